@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react'
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import {
   Box,
   Container,
@@ -35,12 +35,34 @@ import {
   TabPanels,
   Tab,
   TabPanel,
+  CheckboxGroup,
+  Progress,
+  Badge,
 } from '@chakra-ui/react'
 import { ChevronLeftIcon, ChevronRightIcon } from '@chakra-ui/icons'
-import { generateImage, generateSpriteSheet, DEFAULT_NEGATIVE_PROMPT, lastRequest } from './image-service.js'
-import { processImage, processSpriteSheet, renderPixelArt, DITHER_OPTIONS, PREPROCESSING_PRESETS } from './pixel-processor.js'
-import { CONSOLES, DEFAULT_CONSOLE } from './palettes.js'
+import { generateImage, generateSpriteSheet, inpaintImage, DEFAULT_NEGATIVE_PROMPT, lastRequest } from './image-service.js'
+import {
+  processImage,
+  processSpriteSheet,
+  renderPixelArt,
+  buildGenesisPaletteLine,
+  buildSharedPalette,
+  DITHER_OPTIONS,
+  DITHER_PRESETS,
+  PREPROCESSING_PRESETS,
+} from './pixel-processor.js'
+import { CONSOLES, DEFAULT_CONSOLE, registerCustomPalette } from './palettes.js'
+import { importPaletteFile, slugifyPaletteName, PALETTE_FILE_EXTENSIONS } from './palette-import.js'
 import { fetchImageModels, initModels, DEFAULT_MODELS, DEFAULT_MODEL_ID } from './model-service.js'
+import { parseModelId, isLocalProvider, getProviderApiBase } from './provider-service.js'
+import {
+  PROVIDER_ADAPTERS,
+  DEFAULT_SAMPLING,
+  DEFAULT_DENOISE_STRENGTH,
+  supportsReferenceImage,
+  supportsInpainting,
+} from './provider-adapters.js'
+import { createMask, paintMask, isMaskEmpty, renderMaskOverlay, upscaleMask } from './inpaint.js'
 import {
   ANIMATION_STATES,
   VIEWS,
@@ -50,12 +72,140 @@ import {
   getStatesByCategory,
 } from './animation-states.js'
 import { AnimationPlayer } from './animation-player.js'
-import { exportSpriteSheet } from './sprite-sheet.js'
-import { saveAllFrames, loadFrames, listCharacters, listAnimations } from './sprite-storage.js'
+import { exportSpriteSheet, downloadFile } from './sprite-sheet.js'
+import { HARDWARE_EXPORTS } from './hardware-export.js'
+import { exportGodotSpriteFrames, exportUnitySpriteSheet, engineAnimationName } from './engine-export.js'
+import { exportAtlas } from './atlas-packer.js'
+import { exportAseprite, parseAsepriteFile, mapAsepriteTags, ASE_LOOP_PING_PONG } from './aseprite.js'
+import {
+  saveAllFrames,
+  loadFrames,
+  deleteFrames,
+  listCharacters,
+  listAnimations,
+  savePalette,
+  listPalettes,
+  findUnfinishedBatchRun,
+} from './sprite-storage.js'
+import { BatchRunner, createBatch, MAX_BATCH_CONCURRENCY } from './batch-runner.js'
 
 // Initialize multi-provider model service
 initModels();
 
+/**
+ * Get 1:1 pixel data for a stored frame. Frames loaded from storage only
+ * carry their upscaled display canvas, so sample it back down.
+ */
+function getFramePixelData(frame) {
+  if (frame.pixelData) return frame.pixelData
+  const canvas = document.createElement('canvas')
+  canvas.width = frame.spriteW
+  canvas.height = frame.spriteH
+  const ctx = canvas.getContext('2d')
+  ctx.imageSmoothingEnabled = false
+  ctx.drawImage(frame.canvas, 0, 0, frame.spriteW, frame.spriteH)
+  return ctx.getImageData(0, 0, frame.spriteW, frame.spriteH)
+}
+
+/**
+ * Dither strength field (percent, blank = mode default) → processor option
+ */
+function parseDitherStrength(percent) {
+  if (percent === '' || percent == null) return null
+  const value = Number(percent)
+  return Number.isFinite(value) ? Math.max(0, value) / 100 : null
+}
+
+/**
+ * Hex register field (e.g. "E4" or "$E4") → byte
+ */
+function parseRegisterByte(text, label) {
+  const hex = String(text).trim().replace(/^(\$|0x)/i, '')
+  if (!/^[0-9a-f]{1,2}$/i.test(hex)) {
+    throw new Error(`${label} must be a hex byte like E4`)
+  }
+  return parseInt(hex, 16)
+}
+
+/**
+ * Reference options for generating one frame; the pinned frame itself
+ * is generated without them.
+ * @param {object|null} reference - Active pinned reference (with denoiseStrength)
+ * @param {string} stateId - Animation state of the frame
+ * @param {string} viewId - View of the frame
+ * @param {number} frameIdx - Frame index
+ * @returns {object} { reference, denoiseStrength } or {}
+ */
+function referenceOptionsFor(reference, stateId, viewId, frameIdx) {
+  if (!reference) return {}
+  if (reference.stateId === stateId && reference.viewId === viewId && reference.frameIdx === frameIdx) return {}
+  return { reference: { blob: reference.blob, url: reference.url }, denoiseStrength: reference.denoiseStrength }
+}
+
+/**
+ * Batch job: generate, process and store every frame of one state × view
+ * combo using the run's settings snapshot. Replaces any saved frames of
+ * that combo.
+ */
+async function runBatchJob(job, run, { onProgress, signal }) {
+  const { settings } = run
+  const processOptions = {
+    consoleId: settings.consoleId,
+    spriteSize: settings.spriteSize,
+    dithering: settings.dithering,
+    ditherStrength: settings.ditherStrength,
+    ditherPairs: settings.ditherPairs,
+    pipeline: settings.pipeline,
+    outlines: settings.outlines,
+    cleanup: settings.cleanup,
+    preprocessing: PREPROCESSING_PRESETS[settings.preprocessingMode] || PREPROCESSING_PRESETS.none,
+    hardwareLimits: settings.hardwareLimits,
+  }
+  
+  const sources = []
+  const frames = []
+  for (let i = 0; i < job.frameCount; i++) {
+    if (signal.aborted) throw new Error('Batch paused')
+    const img = await generateImage(run.prompt, {
+      model: settings.model,
+      transparent: settings.transparent,
+      negativePrompt: settings.negativePrompt,
+      seed: run.seed + i,
+      consoleName: CONSOLES[settings.consoleId].name,
+      poseDesc: buildPoseDescription(job.stateId, job.viewId, i),
+      sampling: settings.sampling,
+      ...referenceOptionsFor(settings.reference, job.stateId, job.viewId, i),
+    })
+    const { pixelData, spriteW, spriteH, subPalette, pixelAspect, playerGraphics } = await processImage(img, processOptions)
+    const canvas = document.createElement('canvas')
+    renderPixelArt(canvas, pixelData, spriteW, spriteH, { showGrid: settings.showGrid, pixelAspect })
+    sources[i] = img
+    frames[i] = { canvas, pixelData, spriteW, spriteH, pixelAspect, subPalette, playerGraphics, sourceSrc: img.src }
+    onProgress(i + 1)
+  }
+  
+  // Same second pass as Gen All Frames: one palette across the combo
+  if (settings.sharedPalette && sources.length > 1) {
+    const palette = await buildSharedPalette(sources, processOptions)
+    for (let i = 0; i < sources.length; i++) {
+      const { pixelData, spriteW, spriteH, pixelAspect, playerGraphics } = await processImage(sources[i], { ...processOptions, palette })
+      renderPixelArt(frames[i].canvas, pixelData, spriteW, spriteH, { showGrid: settings.showGrid, pixelAspect })
+      frames[i] = { ...frames[i], pixelData, spriteW, spriteH, pixelAspect, subPalette: palette, playerGraphics }
+    }
+  }
+  
+  if (signal.aborted) throw new Error('Batch paused')
+  await deleteFrames(run.characterName, job.stateId, job.viewId)
+  await saveAllFrames(frames, {
+    characterName: run.characterName,
+    consoleId: settings.consoleId,
+    animState: job.stateId,
+    view: job.viewId,
+    prompt: run.prompt,
+    model: settings.model,
+  })
+}
+
 function App() {
   const toast = useToast()
   
@@ -66,14 +216,41 @@ function App() {
   const [modelId, setModelId] = useState(DEFAULT_MODEL_ID)
   const [pipelineMode, setPipelineMode] = useState('enhanced')
   const [ditherMode, setDitherMode] = useState('')
+  const [ditherStrength, setDitherStrength] = useState('')
+  const [ditherPairs, setDitherPairs] = useState(false)
   const [showGrid, setShowGrid] = useState(false)
   const [transparentBg, setTransparentBg] = useState(false)
   const [outlines, setOutlines] = useState(true)
   const [cleanup, setCleanup] = useState(true)
+  const [hardwareLimits, setHardwareLimits] = useState(false)
+  const [gbObp0, setGbObp0] = useState('E4')
+  const [gbObp1, setGbObp1] = useState('E4')
+  const [gbObjPalette, setGbObjPalette] = useState(0)
+  const [sharedPalette, setSharedPalette] = useState(false)
   const [negativePrompt, setNegativePrompt] = useState('')
   const [seed, setSeed] = useState('')
   const [preprocessingMode, setPreprocessingMode] = useState('standard')
   
+  // Local Stable Diffusion sampling
+  const [sdSampler, setSdSampler] = useState('')
+  const [sdSteps, setSdSteps] = useState(DEFAULT_SAMPLING.steps)
+  const [sdCfgScale, setSdCfgScale] = useState(String(DEFAULT_SAMPLING.cfgScale))
+  const [sdLora, setSdLora] = useState('')
+  const [sdLoraWeight, setSdLoraWeight] = useState('0.8')
+  const [sdOptions, setSdOptions] = useState({ samplers: [], loras: [] })
+  const [sdReferenceMode, setSdReferenceMode] = useState(DEFAULT_SAMPLING.referenceMode)
+  
+  // Reference frame sent with later generations
+  const [referenceFrame, setReferenceFrame] = useState(null)
+  const [referenceStrength, setReferenceStrength] = useState(String(DEFAULT_DENOISE_STRENGTH))
+  
+  // Inpainting mask painted on the pixel canvas (one cell per sprite pixel)
+  const [maskMode, setMaskMode] = useState(false)
+  const [maskBrushSize, setMaskBrushSize] = useState('2')
+  const [hasMask, setHasMask] = useState(false)
+  const maskRef = useRef(null)
+  const maskCanvasRef = useRef(null)
+  
   // Animation state
   const [animState, setAnimState] = useState(DEFAULT_STATE)
   const [view, setView] = useState(DEFAULT_VIEW)
@@ -84,6 +261,15 @@ function App() {
   const [pingPong, setPingPong] = useState(false)
   const [onionSkin, setOnionSkin] = useState(false)
   const [isPlaying, setIsPlaying] = useState(false)
+  const [previewScale, setPreviewScale] = useState(4)
+  
+  // Batch generation state
+  const [batchStates, setBatchStates] = useState([DEFAULT_STATE])
+  const [batchViews, setBatchViews] = useState([DEFAULT_VIEW])
+  const [batchConcurrency, setBatchConcurrency] = useState(2)
+  const [batchRun, setBatchRun] = useState(null)
+  const [batchJobs, setBatchJobs] = useState([])
+  const batchRunnerRef = useRef(null)
   
   // Save/load state
   const [charName, setCharName] = useState('')
@@ -92,13 +278,18 @@ function App() {
   const [isGenerating, setIsGenerating] = useState(false)
   const [models, setModels] = useState(DEFAULT_MODELS)
   const [sourceImageSrc, setSourceImageSrc] = useState(null)
+  const [subPalette, setSubPalette] = useState(null)
   const [ditherOptions, setDitherOptions] = useState(DITHER_OPTIONS.enhanced)
+  const [customPaletteIds, setCustomPaletteIds] = useState([])
   
   // Frame storage
   const frameStore = useRef({})
   const pixelCanvasRef = useRef(null)
   const previewCanvasRef = useRef(null)
   const playerRef = useRef(null)
+  const cramLinesRef = useRef({})  // characterName → Genesis CRAM line
+  const paletteInputRef = useRef(null)
+  const asepriteInputRef = useRef(null)
   
   const getFrameKey = useCallback(() => {
     return `${animState}:${view}`
@@ -155,9 +346,99 @@ function App() {
   useEffect(() => {
     fetchImageModels().then((fetchedModels) => {
       setModels(fetchedModels)
+      // Keep the selection if the provider still lists it
+      setModelId((current) => (
+        fetchedModels.length === 0 || fetchedModels.some(m => m.fullId === current) ? current : fetchedModels[0].fullId
+      ))
     })
   }, [])
   
+  // List the local backend's samplers and LoRAs when a local model is picked
+  const modelProvider = parseModelId(modelId).provider
+  const isLocalModel = isLocalProvider(modelProvider)
+  useEffect(() => {
+    setSdOptions({ samplers: [], loras: [] })
+    setSdSampler('')
+    setSdLora('')
+    if (!isLocalModel) return
+    PROVIDER_ADAPTERS[modelProvider].listSamplingOptions(getProviderApiBase(modelProvider))
+      .then(setSdOptions)
+      .catch((err) => {
+        console.warn('Failed to list sampling options:', err)
+      })
+  }, [modelProvider, isLocalModel])
+  
+  // Sampling settings sent with every request to a local backend
+  const sampling = useMemo(() => (isLocalModel ? {
+    sampler: sdSampler,
+    steps: sdSteps,
+    cfgScale: parseFloat(sdCfgScale) || DEFAULT_SAMPLING.cfgScale,
+    loras: sdLora ? [{ name: sdLora, weight: parseFloat(sdLoraWeight) || 0 }] : [],
+    referenceMode: sdReferenceMode,
+  } : undefined), [isLocalModel, sdSampler, sdSteps, sdCfgScale, sdLora, sdLoraWeight, sdReferenceMode])
+  
+  // Pinned reference, when the selected model can use one
+  const referenceSupported = supportsReferenceImage(modelId)
+  const activeReference = useMemo(() => {
+    if (!referenceFrame || !referenceSupported) return null
+    const { stateId, viewId, frameIdx, blob, url } = referenceFrame
+    return { stateId, viewId, frameIdx, blob, url, denoiseStrength: parseFloat(referenceStrength) || DEFAULT_DENOISE_STRENGTH }
+  }, [referenceFrame, referenceSupported, referenceStrength])
+  
+  const inpaintSupported = supportsInpainting(modelId)
+  
+  // Draw the mask at one canvas pixel per sprite pixel; CSS stretches it over the sprite
+  const redrawMask = useCallback(() => {
+    const canvas = maskCanvasRef.current
+    const mask = maskRef.current
+    if (!canvas) return
+    if (mask) {
+      canvas.width = mask.width
+      canvas.height = mask.height
+    }
+    renderMaskOverlay(canvas, mask)
+  }, [])
+  
+  const clearMask = useCallback(() => {
+    maskRef.current = null
+    setHasMask(false)
+    redrawMask()
+  }, [redrawMask])
+  
+  // A mask only makes sense for the sprite it was painted on
+  useEffect(() => {
+    clearMask()
+  }, [currentFrame, animState, view, spriteSize, consoleId, sourceImageSrc, clearMask])
+  
+  // Register saved custom palettes on mount
+  useEffect(() => {
+    listPalettes()
+      .then((rows) => {
+        setCustomPaletteIds(rows.map((row) => registerCustomPalette(row)))
+      })
+      .catch((err) => {
+        console.warn('Failed to load custom palettes:', err)
+      })
+  }, [])
+  
+  // Restore a batch run cut off by a reload (resumed by the user)
+  useEffect(() => {
+    findUnfinishedBatchRun()
+      .then(async (run) => {
+        if (!run) return
+        await openBatchRunner(run.id)
+        toast({
+          title: 'Batch run restored',
+          description: `"${run.characterName}" — press Resume to continue`,
+          status: 'info',
+          duration: 5000,
+        })
+      })
+      .catch((err) => {
+        console.warn('Failed to restore batch run:', err)
+      })
+  }, [])
+  
   // Update sprite sizes when console changes
   useEffect(() => {
     const cfg = CONSOLES[consoleId]
@@ -184,15 +465,15 @@ function App() {
     }
   }, [getCurrentFrames])
   
-  // Handle generate
-  const handleGenerate = useCallback(async () => {
+  // Handle generate — returns the source image, or null on failure
+  const handleGenerate = useCallback(async (frameIdx = currentFrame) => {
     if (!prompt.trim()) {
       toast({
         title: 'Please enter a description for your sprite',
         status: 'error',
         duration: 3000,
       })
-      return
+      return null
     }
     
     const consoleCfg = CONSOLES[consoleId]
@@ -204,10 +485,10 @@ function App() {
     try {
       setIsGenerating(true)
       
-      const poseDesc = buildPoseDescription(animState, view, currentFrame)
+      const poseDesc = buildPoseDescription(animState, view, frameIdx)
       
       toast({
-        title: `Generating frame ${currentFrame + 1}/${getFrameCount()}...`,
+        title: `Generating frame ${frameIdx + 1}/${getFrameCount()}...`,
         status: 'info',
         duration: 2000,
       })
@@ -216,9 +497,11 @@ function App() {
         model,
         transparent: transparentBg,
         negativePrompt: negPrompt,
-        seed: seedVal !== undefined ? seedVal + currentFrame : undefined,
+        seed: seedVal !== undefined ? seedVal + frameIdx : undefined,
         consoleName: consoleCfg.name,
         poseDesc,
+        sampling,
+        ...referenceOptionsFor(activeReference, animState, view, frameIdx),
       })
       
       setSourceImageSrc(img.src)
@@ -233,19 +516,24 @@ function App() {
       
       const preprocessingOptions = PREPROCESSING_PRESETS[preprocessingMode] || PREPROCESSING_PRESETS.none
       
-      const { pixelData, spriteW, spriteH } = await processImage(img, {
+      const { pixelData, spriteW, spriteH, subPalette: framePalette, pixelAspect, playerGraphics } = await processImage(img, {
         consoleId,
         spriteSize,
         dithering,
+        ditherStrength: parseDitherStrength(ditherStrength),
+        ditherPairs,
         pipeline: pipelineMode,
         outlines,
         cleanup,
         preprocessing: preprocessingOptions,
+        hardwareLimits,
       })
+      setSubPalette(framePalette)
       
       if (pixelCanvasRef.current) {
         renderPixelArt(pixelCanvasRef.current, pixelData, spriteW, spriteH, {
           showGrid,
+          pixelAspect,
         })
         
         const frameCanvas = document.createElement('canvas')
@@ -254,16 +542,28 @@ function App() {
         frameCanvas.getContext('2d').drawImage(pixelCanvasRef.current, 0, 0)
         
         const frames = getCurrentFrames()
-        frames[currentFrame] = { canvas: frameCanvas, pixelData, spriteW, spriteH }
+        frames[frameIdx] = {
+          canvas: frameCanvas,
+          pixelData,
+          spriteW,
+          spriteH,
+          pixelAspect,
+          subPalette: framePalette,
+          playerGraphics,
+          sourceSrc: img.src,
+          sourceUrl: img._publicUrl || '',
+        }
         syncPlayerFrames()
       }
       
       toast({
-        title: `Done! Frame ${currentFrame + 1}/${getFrameCount()}`,
+        title: `Done! Frame ${frameIdx + 1}/${getFrameCount()}`,
         description: `${spriteW}×${spriteH} ${consoleCfg.name} sprite`,
         status: 'success',
         duration: 3000,
       })
+      
+      return img
     } catch (err) {
       console.error('Generation failed:', err)
       toast({
@@ -272,10 +572,11 @@ function App() {
         status: 'error',
         duration: 5000,
       })
+      return null
     } finally {
       setIsGenerating(false)
     }
-  }, [prompt, consoleId, ditherMode, modelId, negativePrompt, seed, animState, view, currentFrame, transparentBg, spriteSize, pipelineMode, outlines, cleanup, showGrid, preprocessingMode, toast, getFrameCount, getCurrentFrames, syncPlayerFrames])
+  }, [prompt, consoleId, ditherMode, modelId, negativePrompt, sampling, activeReference, seed, animState, view, currentFrame, transparentBg, spriteSize, pipelineMode, ditherStrength, ditherPairs, outlines, cleanup, hardwareLimits, showGrid, preprocessingMode, toast, getFrameCount, getCurrentFrames, syncPlayerFrames])
   
   // Handle reprocess
   const handleReprocess = useCallback(async () => {
@@ -294,19 +595,24 @@ function App() {
         img.onerror = reject
       })
       
-      const { pixelData, spriteW, spriteH } = await processImage(img, {
+      const { pixelData, spriteW, spriteH, subPalette: framePalette, pixelAspect, playerGraphics } = await processImage(img, {
         consoleId,
         spriteSize,
         dithering,
+        ditherStrength: parseDitherStrength(ditherStrength),
+        ditherPairs,
         pipeline: pipelineMode,
         outlines,
         cleanup,
         preprocessing: preprocessingOptions,
+        hardwareLimits,
       })
+      setSubPalette(framePalette)
       
       if (pixelCanvasRef.current) {
         renderPixelArt(pixelCanvasRef.current, pixelData, spriteW, spriteH, {
           showGrid,
+          pixelAspect,
         })
       }
       
@@ -325,14 +631,176 @@ function App() {
         duration: 3000,
       })
     }
-  }, [sourceImageSrc, consoleId, spriteSize, ditherMode, pipelineMode, outlines, cleanup, showGrid, preprocessingMode, toast])
+  }, [sourceImageSrc, consoleId, spriteSize, ditherMode, ditherStrength, ditherPairs, pipelineMode, outlines, cleanup, hardwareLimits, showGrid, preprocessingMode, toast])
   
+  // Apply a dither preset (mode, strength, pair mode) in one step
+  const handleApplyDitherPreset = (key) => {
+    const preset = DITHER_PRESETS[key]
+    if (!preset) return
+    setDitherMode(preset.dithering || '')
+    setDitherStrength(preset.ditherStrength == null ? '' : String(Math.round(preset.ditherStrength * 100)))
+    setDitherPairs(preset.ditherPairs)
+  }
+
   // Auto-reprocess when settings change
   useEffect(() => {
     if (sourceImageSrc) {
       handleReprocess()
     }
-  }, [consoleId, spriteSize, ditherMode, showGrid, pipelineMode, outlines, cleanup, preprocessingMode, sourceImageSrc, handleReprocess])
+  }, [consoleId, spriteSize, ditherMode, ditherStrength, ditherPairs, showGrid, pipelineMode, outlines, cleanup, hardwareLimits, preprocessingMode, sourceImageSrc, handleReprocess])
+  
+  // Pin the current frame's source image as the reference for later frames and states
+  const handlePinReference = async () => {
+    const frame = getCurrentFrames()[currentFrame]
+    if (!frame?.sourceSrc) return
+    try {
+      const blob = await (await fetch(frame.sourceSrc)).blob()
+      if (referenceFrame) URL.revokeObjectURL(referenceFrame.src)
+      setReferenceFrame({
+        stateId: animState,
+        viewId: view,
+        frameIdx: currentFrame,
+        blob,
+        // Public URL for providers that fetch the reference themselves (Pollinations)
+        url: frame.sourceUrl || '',
+        src: URL.createObjectURL(blob),
+        label: `${ANIMATION_STATES[animState].name} / ${VIEWS[view].name} frame ${currentFrame + 1}`,
+      })
+    } catch (err) {
+      toast({
+        title: 'Could not pin reference',
+        description: err.message,
+        status: 'error',
+        duration: 4000,
+      })
+    }
+  }
+  
+  const handleUnpinReference = () => {
+    if (referenceFrame) URL.revokeObjectURL(referenceFrame.src)
+    setReferenceFrame(null)
+  }
+  
+  // Paint (shift: erase) the mask cell under the pointer
+  const handleMaskPointer = (e) => {
+    if (!maskMode || !(e.buttons & 1)) return
+    const frame = getCurrentFrames()[currentFrame]
+    if (!frame?.sourceSrc) return
+    if (!maskRef.current || maskRef.current.width !== frame.spriteW || maskRef.current.height !== frame.spriteH) {
+      maskRef.current = createMask(frame.spriteW, frame.spriteH)
+    }
+    const mask = maskRef.current
+    const rect = e.currentTarget.getBoundingClientRect()
+    const x = Math.floor(((e.clientX - rect.left) / rect.width) * mask.width)
+    const y = Math.floor(((e.clientY - rect.top) / rect.height) * mask.height)
+    const brushSize = Math.max(1, parseInt(maskBrushSize, 10) || 1)
+    if (paintMask(mask, x, y, brushSize, e.shiftKey)) {
+      redrawMask()
+      setHasMask(!isMaskEmpty(mask))
+    }
+  }
+  
+  // Regenerate only the masked region of the current frame's source image
+  const handleInpaint = async () => {
+    const frames = getCurrentFrames()
+    const frame = frames[currentFrame]
+    const mask = maskRef.current
+    if (!frame?.sourceSrc || isMaskEmpty(mask)) return
+    if (!prompt.trim()) {
+      toast({
+        title: 'Please enter a description for your sprite',
+        status: 'error',
+        duration: 3000,
+      })
+      return
+    }
+    
+    const consoleCfg = CONSOLES[consoleId]
+    const preprocessingOptions = PREPROCESSING_PRESETS[preprocessingMode] || PREPROCESSING_PRESETS.none
+    
+    try {
+      setIsGenerating(true)
+      
+      const source = new Image()
+      source.src = frame.sourceSrc
+      await new Promise((resolve, reject) => {
+        source.onload = resolve
+        source.onerror = reject
+      })
+      
+      const img = await inpaintImage(prompt, {
+        model: modelId,
+        image: source,
+        mask: upscaleMask(mask, source.naturalWidth, source.naturalHeight),
+        negativePrompt: negativePrompt.trim() || DEFAULT_NEGATIVE_PROMPT,
+        seed: seed ? parseInt(seed, 10) + currentFrame : undefined,
+        denoiseStrength: parseFloat(referenceStrength) || DEFAULT_DENOISE_STRENGTH,
+        sampling,
+        consoleName: consoleCfg.name,
+        poseDesc: buildPoseDescription(animState, view, currentFrame),
+      })
+      
+      const { pixelData, spriteW, spriteH, subPalette: framePalette, pixelAspect, playerGraphics } = await processImage(img, {
+        consoleId,
+        spriteSize,
+        dithering: ditherMode || null,
+        ditherStrength: parseDitherStrength(ditherStrength),
+        ditherPairs,
+        pipeline: pipelineMode,
+        outlines,
+        cleanup,
+        preprocessing: preprocessingOptions,
+        hardwareLimits,
+      })
+      setSubPalette(framePalette)
+      
+      if (pixelCanvasRef.current) {
+        renderPixelArt(pixelCanvasRef.current, pixelData, spriteW, spriteH, {
+          showGrid,
+          pixelAspect,
+        })
+        
+        const frameCanvas = document.createElement('canvas')
+        frameCanvas.width = pixelCanvasRef.current.width
+        frameCanvas.height = pixelCanvasRef.current.height
+        frameCanvas.getContext('2d').drawImage(pixelCanvasRef.current, 0, 0)
+        
+        frames[currentFrame] = {
+          ...frame,
+          canvas: frameCanvas,
+          pixelData,
+          spriteW,
+          spriteH,
+          pixelAspect,
+          subPalette: framePalette,
+          playerGraphics,
+          sourceSrc: img.src,
+          // The composite only exists locally
+          sourceUrl: '',
+        }
+        syncPlayerFrames()
+      }
+      
+      setSourceImageSrc(img.src)
+      clearMask()
+      
+      toast({
+        title: `Regenerated masked area of frame ${currentFrame + 1}`,
+        status: 'success',
+        duration: 3000,
+      })
+    } catch (err) {
+      console.error('Inpainting failed:', err)
+      toast({
+        title: 'Inpainting failed',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
+    } finally {
+      setIsGenerating(false)
+    }
+  }
   
   // Handle generate all frames
   const handleGenerateAllFrames = async () => {
@@ -350,9 +818,44 @@ function App() {
     try {
       setIsGenerating(true)
       
+      const sources = []
       for (let i = 0; i < total; i++) {
         setCurrentFrame(i)
-        await handleGenerate()
+        sources[i] = await handleGenerate(i)
+      }
+      
+      // Second pass: re-quantize every frame to one palette picked from all of them
+      const generated = sources.filter(Boolean)
+      if (sharedPalette && generated.length > 1) {
+        const processOptions = {
+          consoleId,
+          spriteSize,
+          dithering: ditherMode || null,
+          ditherStrength: parseDitherStrength(ditherStrength),
+          ditherPairs,
+          pipeline: pipelineMode,
+          outlines,
+          cleanup,
+          preprocessing: PREPROCESSING_PRESETS[preprocessingMode] || PREPROCESSING_PRESETS.none,
+          hardwareLimits,
+        }
+        const palette = await buildSharedPalette(generated, processOptions)
+        
+        const frames = getCurrentFrames()
+        for (let i = 0; i < total; i++) {
+          if (!sources[i]) continue
+          const { pixelData, spriteW, spriteH, pixelAspect, playerGraphics } = await processImage(sources[i], { ...processOptions, palette })
+          const frameCanvas = document.createElement('canvas')
+          renderPixelArt(frameCanvas, pixelData, spriteW, spriteH, { showGrid, pixelAspect })
+          frames[i] = { canvas: frameCanvas, pixelData, spriteW, spriteH, pixelAspect, subPalette: palette, playerGraphics, sourceSrc: sources[i].src, sourceUrl: sources[i]._publicUrl || '' }
+        }
+        
+        if (frames[0] && pixelCanvasRef.current) {
+          pixelCanvasRef.current.width = frames[0].canvas.width
+          pixelCanvasRef.current.height = frames[0].canvas.height
+          pixelCanvasRef.current.getContext('2d').drawImage(frames[0].canvas, 0, 0)
+        }
+        setSubPalette(palette)
       }
       
       setCurrentFrame(0)
@@ -371,7 +874,104 @@ function App() {
         status: 'error',
         duration: 5000,
       })
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+  
+  // Load a stored batch run into a fresh runner wired to the job list
+  const openBatchRunner = async (runId) => {
+    batchRunnerRef.current?.pause()
+    const runner = new BatchRunner({
+      runJob: runBatchJob,
+      onUpdate: (run, jobs) => {
+        setBatchRun({ ...run })
+        setBatchJobs(jobs.map(job => ({ ...job })))
+      },
+    })
+    await runner.load(runId)
+    batchRunnerRef.current = runner
+    return runner
+  }
+  
+  // Work off the loaded batch run until it finishes or is paused
+  const runBatch = async () => {
+    const runner = batchRunnerRef.current
+    if (!runner) return
+    try {
+      const { done, failed, pending } = await runner.start()
+      toast({
+        title: pending > 0 ? 'Batch paused' : 'Batch finished',
+        description: `${done} done, ${failed} failed, ${pending} left — saved as "${runner.run.characterName}"`,
+        status: failed > 0 ? 'warning' : 'success',
+        duration: 5000,
+      })
+    } catch (err) {
+      console.error('Batch run failed:', err)
+      toast({
+        title: 'Batch run failed',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
+    }
+  }
+  
+  // Handle batch start: queue every checked state × view for the character
+  const handleStartBatch = async () => {
+    try {
+      const runId = await createBatch({
+        characterName: charName.trim(),
+        prompt: prompt.trim(),
+        seed: seed ? parseInt(seed, 10) : undefined,
+        concurrency: batchConcurrency,
+        stateIds: batchStates,
+        viewIds: batchViews,
+        settings: {
+          model: modelId,
+          negativePrompt: negativePrompt.trim() || DEFAULT_NEGATIVE_PROMPT,
+          sampling,
+          reference: activeReference,
+          transparent: transparentBg,
+          consoleId,
+          spriteSize,
+          dithering: ditherMode || null,
+          ditherStrength: parseDitherStrength(ditherStrength),
+          ditherPairs,
+          pipeline: pipelineMode,
+          outlines,
+          cleanup,
+          preprocessingMode,
+          hardwareLimits,
+          sharedPalette,
+          showGrid,
+        },
+      })
+      await openBatchRunner(runId)
+    } catch (err) {
+      toast({
+        title: 'Cannot start batch',
+        description: err.message,
+        status: 'error',
+        duration: 4000,
+      })
+      return
     }
+    await runBatch()
+  }
+  
+  // Handle batch retry of failed jobs
+  const handleRetryBatch = async () => {
+    await batchRunnerRef.current?.retryFailed()
+    await runBatch()
+  }
+  
+  // Handle batch discard
+  const handleDiscardBatch = async () => {
+    await batchRunnerRef.current?.discard()
+    batchRunnerRef.current = null
+    setBatchRun(null)
+    setBatchJobs([])
   }
   
   // Handle generate sheet
@@ -413,6 +1013,8 @@ function App() {
         viewDesc: viewObj.promptDesc,
         animDesc: animStateObj.promptDesc,
         frameHints: animStateObj.frameHints,
+        sampling,
+        ...referenceOptionsFor(activeReference),
       })
       
       setSourceImageSrc(sheetImg.src)
@@ -431,21 +1033,26 @@ function App() {
         consoleId,
         spriteSize,
         dithering,
+        ditherStrength: parseDitherStrength(ditherStrength),
+        ditherPairs,
         pipeline: pipelineMode,
         outlines,
         cleanup,
         preprocessing: preprocessingOptions,
+        hardwareLimits,
+        sharedPalette,
       })
       
       const storedFrames = getCurrentFrames()
       for (let i = 0; i < processedFrames.length && i < storedFrames.length; i++) {
-        const { pixelData, spriteW, spriteH } = processedFrames[i]
+        const { pixelData, spriteW, spriteH, subPalette: framePalette, pixelAspect, playerGraphics } = processedFrames[i]
         
         const frameCanvas = document.createElement('canvas')
-        renderPixelArt(frameCanvas, pixelData, spriteW, spriteH, { showGrid })
+        renderPixelArt(frameCanvas, pixelData, spriteW, spriteH, { showGrid, pixelAspect })
         
-        storedFrames[i] = { canvas: frameCanvas, pixelData, spriteW, spriteH }
+        storedFrames[i] = { canvas: frameCanvas, pixelData, spriteW, spriteH, pixelAspect, subPalette: framePalette, playerGraphics }
       }
+      setSubPalette(processedFrames[0]?.subPalette || null)
       
       if (storedFrames[0] && pixelCanvasRef.current) {
         const ctx = pixelCanvasRef.current.getContext('2d')
@@ -476,6 +1083,71 @@ function App() {
     }
   }
   
+  // Handle Genesis CRAM line fitting across every stored frame of the character
+  const handleFitCramLine = () => {
+    const entries = []
+    for (const frames of Object.values(frameStore.current)) {
+      frames.forEach((frame, i) => {
+        if (frame) entries.push({ frames, i, frame })
+      })
+    }
+    
+    if (entries.length === 0) {
+      toast({
+        title: 'No frames to fit',
+        description: 'Generate some first',
+        status: 'error',
+        duration: 3000,
+      })
+      return
+    }
+    
+    const name = charName.trim() || 'untitled'
+    const usedLines = Object.entries(cramLinesRef.current)
+      .filter(([owner]) => owner !== name)
+      .map(([, line]) => line)
+    
+    try {
+      const { paletteLine, cramLine, frames: fitted } = buildGenesisPaletteLine(
+        entries.map(({ frame }) => getFramePixelData(frame)),
+        { usedLines }
+      )
+      
+      entries.forEach(({ frames, i, frame }, idx) => {
+        const pixelData = fitted[idx]
+        const frameCanvas = document.createElement('canvas')
+        renderPixelArt(frameCanvas, pixelData, frame.spriteW, frame.spriteH, { showGrid })
+        frames[i] = { ...frame, canvas: frameCanvas, pixelData, subPalette: paletteLine, cramLine }
+      })
+      cramLinesRef.current[name] = cramLine
+      
+      const current = getCurrentFrames()[currentFrame]
+      if (current && pixelCanvasRef.current) {
+        pixelCanvasRef.current.width = current.canvas.width
+        pixelCanvasRef.current.height = current.canvas.height
+        pixelCanvasRef.current.getContext('2d').drawImage(current.canvas, 0, 0)
+      }
+      
+      setSubPalette(paletteLine)
+      syncPlayerFrames()
+      
+      toast({
+        title: `"${name}" fits CRAM line ${cramLine} (PAL${cramLine})`,
+        description: `${paletteLine.length} colors + transparent across ${entries.length} frames`,
+        status: 'success',
+        duration: 4000,
+      })
+    } catch (err) {
+      console.error('CRAM fitting failed:', err)
+      toast({
+        title: 'CRAM fitting failed',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
+    }
+  }
+  
   // Handle play/pause
   const handlePlayPause = () => {
     if (playerRef.current) {
@@ -492,41 +1164,257 @@ function App() {
     }
   }
   
+  // Handle animated GIF / APNG / WebP export of the preview
+  const handleExportAnimation = async (format) => {
+    const player = playerRef.current
+    const exporters = {
+      gif: { run: () => player.exportGif({ scale: previewScale }), ext: 'gif' },
+      apng: { run: () => player.exportApng({ scale: previewScale }), ext: 'png' },
+      webp: { run: () => player.exportWebp({ scale: previewScale }), ext: 'webp' },
+    }
+    try {
+      const blob = player && await exporters[format].run()
+      if (!blob) {
+        throw new Error('Generate some frames first')
+      }
+      const fileName = `${charName.trim() || 'sprite'}_${engineAnimationName(animState, view)}.${exporters[format].ext}`
+      downloadFile(blob, fileName)
+      toast({
+        title: 'Exported!',
+        description: `${fileName} (${Math.round(blob.size / 1024)} KB)`,
+        status: 'success',
+        duration: 3000,
+      })
+    } catch (err) {
+      console.error('Animation export failed:', err)
+      toast({
+        title: 'Export failed',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
+    }
+  }
+  
   // Handle save frames
   const handleSaveFrames = async () => {
     const frames = getCurrentFrames().filter(f => f !== null)
     if (frames.length === 0) {
       toast({
-        title: 'No frames to save',
-        description: 'Generate some first',
+        title: 'No frames to save',
+        description: 'Generate some first',
+        status: 'error',
+        duration: 3000,
+      })
+      return
+    }
+    
+    const name = charName.trim() || 'untitled'
+    
+    try {
+      await saveAllFrames(getCurrentFrames(), {
+        characterName: name,
+        consoleId,
+        animState,
+        view,
+        prompt: prompt.trim(),
+        model: modelId,
+      })
+      
+      toast({
+        title: 'Saved!',
+        description: `${frames.length} frames for "${name}" (${animState}/${view})`,
+        status: 'success',
+        duration: 3000,
+      })
+    } catch (err) {
+      console.error('Save failed:', err)
+      toast({
+        title: 'Save failed',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
+    }
+  }
+  
+  // Handle export sheet
+  const handleExportSheet = async () => {
+    const frames = getCurrentFrames().filter(f => f !== null)
+    if (frames.length === 0) {
+      toast({
+        title: 'No frames to export',
+        description: 'Generate some first',
+        status: 'error',
+        duration: 3000,
+      })
+      return
+    }
+    
+    try {
+      const name = charName.trim() || 'sprite'
+      const consoleCfg = CONSOLES[consoleId]
+      const animStateObj = ANIMATION_STATES[animState]
+      
+      const result = await exportSpriteSheet(frames, {
+        characterName: name,
+        animName: animState,
+        consoleName: consoleId,
+        fps,
+        loop: animStateObj.loop,
+      })
+      
+      toast({
+        title: 'Exported!',
+        description: `${result.pngName} + ${result.jsonName} (${frames.length} frames)`,
+        status: 'success',
+        duration: 3000,
+      })
+    } catch (err) {
+      console.error('Export failed:', err)
+      toast({
+        title: 'Export failed',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
+    }
+  }
+  
+  // Every stored animation (all states and views) with resolved pixel data
+  const getStoredAnimations = () => {
+    return Object.entries(frameStore.current).map(([key, frames]) => {
+      const [stateId, viewId] = key.split(':')
+      return {
+        stateId,
+        viewId,
+        frames: frames.map(f => f && { pixelData: getFramePixelData(f), subPalette: f.subPalette }),
+      }
+    })
+  }
+  
+  // Handle Aseprite export of every stored animation
+  const handleExportAseprite = () => {
+    const animations = getStoredAnimations()
+    
+    try {
+      const { fileName, frameCount, tagCount } = exportAseprite(animations, {
+        characterName: charName.trim() || 'sprite',
+        fps,
+        pingPong,
+        pixelAspect: Object.values(frameStore.current).flat().find(Boolean)?.pixelAspect || 1,
+      })
+      toast({
+        title: 'Exported!',
+        description: `${fileName} (${frameCount} frames, ${tagCount} tags)`,
+        status: 'success',
+        duration: 3000,
+      })
+    } catch (err) {
+      console.error('Aseprite export failed:', err)
+      toast({
+        title: 'Export failed',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
+    }
+  }
+  
+  // Handle Godot / Unity export of every stored animation
+  const handleExportEngine = async (engine) => {
+    const exporter = engine === 'godot' ? exportGodotSpriteFrames : exportUnitySpriteSheet
+    try {
+      const { files } = await exporter(getStoredAnimations(), {
+        characterName: charName.trim() || 'sprite',
+        fps,
+      })
+      toast({
+        title: 'Exported!',
+        description: files.length > 4 ? `${files.slice(0, 3).join(', ')} + ${files.length - 3} more` : files.join(', '),
+        status: 'success',
+        duration: 3000,
+      })
+    } catch (err) {
+      console.error('Engine export failed:', err)
+      toast({
+        title: 'Export failed',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
+    }
+  }
+
+  // Handle atlas packing of every saved animation for the character
+  const handlePackAtlas = async () => {
+    const name = charName.trim()
+    if (!name) {
+      toast({
+        title: 'Enter a character name to pack',
+        status: 'warning',
+        duration: 3000,
+      })
+      return
+    }
+
+    try {
+      const saved = await listAnimations(name)
+      if (saved.length === 0) {
+        throw new Error(`No saved data for "${name}"`)
+      }
+
+      const animations = []
+      for (const { animState: stateId, view: viewId } of saved) {
+        const frames = []
+        for (const f of await loadFrames(name, stateId, viewId)) {
+          frames[f.meta.frame] = { pixelData: getFramePixelData(f) }
+        }
+        animations.push({ stateId, viewId, frames: Array.from(frames, f => f || null) })
+      }
+
+      const { files, atlas } = await exportAtlas(animations, { characterName: name })
+      toast({
+        title: 'Atlas packed!',
+        description: `${files[0]} ${atlas.width}×${atlas.height} (${atlas.frames.length} frames, ${atlas.uniqueCount} unique)`,
+        status: 'success',
+        duration: 3000,
+      })
+    } catch (err) {
+      console.error('Atlas export failed:', err)
+      toast({
+        title: 'Export failed',
+        description: err.message,
         status: 'error',
-        duration: 3000,
+        duration: 5000,
       })
-      return
     }
-    
-    const name = charName.trim() || 'untitled'
-    
+  }
+
+  // Handle native hardware export (CHR, player graphics, ...)
+  const handleExportHardware = () => {
+    const frames = getCurrentFrames().filter(f => f !== null)
     try {
-      await saveAllFrames(getCurrentFrames(), {
-        characterName: name,
-        consoleId,
-        animState,
-        view,
-        prompt: prompt.trim(),
-        model: modelId,
+      if (frames.length === 0) {
+        throw new Error('Generate some frames first')
+      }
+      const { files } = HARDWARE_EXPORTS[consoleId].run(frames, {
+        characterName: charName.trim() || 'sprite',
+        animName: animState,
+        spriteSize,
+        obp0: parseRegisterByte(gbObp0, 'OBP0'),
+        obp1: parseRegisterByte(gbObp1, 'OBP1'),
+        objPalette: gbObjPalette,
       })
-      
       toast({
-        title: 'Saved!',
-        description: `${frames.length} frames for "${name}" (${animState}/${view})`,
+        title: 'Exported!',
+        description: `${files.join(', ')} (${frames.length} frames)`,
         status: 'success',
         duration: 3000,
       })
     } catch (err) {
-      console.error('Save failed:', err)
       toast({
-        title: 'Save failed',
+        title: 'Export failed',
         description: err.message,
         status: 'error',
         duration: 5000,
@@ -534,42 +1422,106 @@ function App() {
     }
   }
   
-  // Handle export sheet
-  const handleExportSheet = async () => {
-    const frames = getCurrentFrames().filter(f => f !== null)
-    if (frames.length === 0) {
+  // Handle palette import
+  const handleImportPalette = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    
+    try {
+      const palette = await importPaletteFile(file)
+      const id = registerCustomPalette(palette)
+      await savePalette(palette)
+      setCustomPaletteIds((ids) => (ids.includes(id) ? ids : [...ids, id]))
+      setConsoleId(id)
       toast({
-        title: 'No frames to export',
-        description: 'Generate some first',
-        status: 'error',
+        title: `Imported "${palette.name}"`,
+        description: `${palette.colors.length} colors from .${palette.format}`,
+        status: 'success',
         duration: 3000,
       })
-      return
+    } catch (err) {
+      toast({
+        title: 'Palette import error',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+      })
     }
+  }
+  
+  // Handle Aseprite import: tags → animation states, frames → slots
+  const handleImportAseprite = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
     
     try {
-      const name = charName.trim() || 'sprite'
-      const consoleCfg = CONSOLES[consoleId]
-      const animStateObj = ANIMATION_STATES[animState]
+      const parsed = await parseAsepriteFile(await file.arrayBuffer())
+      const { animations, skipped } = mapAsepriteTags(parsed, { stateId: animState, viewId: view })
+      if (animations.length === 0) {
+        throw new Error(`No tags match an animation state (${skipped.join(', ')})`)
+      }
       
-      const result = await exportSpriteSheet(frames, {
-        characterName: name,
-        animName: animState,
-        consoleName: consoleId,
-        fps,
-        loop: animStateObj.loop,
-      })
+      let imported = 0
+      let dropped = 0
+      for (const { stateId, viewId, frames: fileFrames } of animations) {
+        const key = `${stateId}:${viewId}`
+        if (!frameStore.current[key]) {
+          frameStore.current[key] = new Array(ANIMATION_STATES[stateId].frameCount).fill(null)
+        }
+        const slots = frameStore.current[key]
+        fileFrames.forEach(({ pixelData }, i) => {
+          if (i >= slots.length) {
+            dropped++
+            return
+          }
+          const frameCanvas = document.createElement('canvas')
+          renderPixelArt(frameCanvas, pixelData, parsed.width, parsed.height, { showGrid, pixelAspect: parsed.pixelAspect })
+          slots[i] = { canvas: frameCanvas, pixelData, spriteW: parsed.width, spriteH: parsed.height, pixelAspect: parsed.pixelAspect, subPalette: null }
+          imported++
+        })
+      }
+      
+      // Keep the file palette as a custom palette
+      let paletteNote = ''
+      if (parsed.palette) {
+        const name = file.name.replace(/\.[^.]+$/, '')
+        const palette = { slug: slugifyPaletteName(name), name, colors: parsed.palette, format: 'aseprite' }
+        const id = registerCustomPalette(palette)
+        await savePalette(palette)
+        setCustomPaletteIds((ids) => (ids.includes(id) ? ids : [...ids, id]))
+        paletteNote = `, palette "${name}" saved`
+      }
+      
+      if (parsed.frames[0]?.duration) {
+        setFps(Math.max(1, Math.round(1000 / parsed.frames[0].duration)))
+      }
+      setPingPong(parsed.tags.some(tag => tag.direction === ASE_LOOP_PING_PONG))
+      
+      const current = getCurrentFrames()[0]
+      if (current && pixelCanvasRef.current) {
+        pixelCanvasRef.current.width = current.canvas.width
+        pixelCanvasRef.current.height = current.canvas.height
+        pixelCanvasRef.current.getContext('2d').drawImage(current.canvas, 0, 0)
+      }
+      setCurrentFrame(0)
+      syncPlayerFrames()
       
+      const notes = [
+        dropped > 0 && `${dropped} extra frames dropped`,
+        skipped.length > 0 && `unmatched tags: ${skipped.join(', ')}`,
+      ].filter(Boolean)
       toast({
-        title: 'Exported!',
-        description: `${result.pngName} + ${result.jsonName} (${frames.length} frames)`,
+        title: `Imported ${file.name}`,
+        description: `${imported} frames into ${animations.map(a => `${a.stateId}/${a.viewId}`).join(', ')}${paletteNote}${notes.length ? ` (${notes.join('; ')})` : ''}`,
         status: 'success',
-        duration: 3000,
+        duration: 5000,
       })
     } catch (err) {
-      console.error('Export failed:', err)
+      console.error('Aseprite import failed:', err)
       toast({
-        title: 'Export failed',
+        title: 'Aseprite import error',
         description: err.message,
         status: 'error',
         duration: 5000,
@@ -661,6 +1613,12 @@ function App() {
   
   const consoleCfg = CONSOLES[consoleId]
   const spriteSizes = consoleCfg ? Object.entries(consoleCfg.spriteSizes) : []
+  // Frames cut from a sheet or loaded from storage have no source image of their own
+  const currentSourceSrc = getCurrentFrames()[currentFrame]?.sourceSrc || ''
+  const consoleHasLimits = Boolean(
+    consoleCfg?.spriteColors || consoleCfg?.lineColors || consoleCfg?.cell || consoleCfg?.playerWidth ||
+    spriteSizes.some(([, size]) => size.spriteColors)
+  )
   
   return (
     <Container maxW="container.lg" py={8}>
@@ -702,12 +1660,39 @@ function App() {
               borderColor="gray.600"
               size="sm"
             >
-              {Object.entries(CONSOLES).map(([id, cfg]) => (
+              {Object.entries(CONSOLES).filter(([, cfg]) => !cfg.custom).map(([id, cfg]) => (
                 <option key={id} value={id}>{cfg.name}</option>
               ))}
+              {customPaletteIds.length > 0 && (
+                <optgroup label="Custom Palettes">
+                  {customPaletteIds.filter((id) => CONSOLES[id]).map((id) => (
+                    <option key={id} value={id}>{CONSOLES[id].name}</option>
+                  ))}
+                </optgroup>
+              )}
             </Select>
           </FormControl>
           
+          <FormControl maxW="140px">
+            <FormLabel fontSize="xs" color="gray.400">Palette File:</FormLabel>
+            <input
+              ref={paletteInputRef}
+              type="file"
+              accept={PALETTE_FILE_EXTENSIONS.join(',')}
+              onChange={handleImportPalette}
+              style={{ display: 'none' }}
+            />
+            <Button
+              onClick={() => paletteInputRef.current?.click()}
+              size="sm"
+              variant="outline"
+              colorScheme="brand"
+              title={`Import ${PALETTE_FILE_EXTENSIONS.join(' ')}`}
+            >
+              Import…
+            </Button>
+          </FormControl>
+          
           <FormControl maxW="150px">
             <FormLabel fontSize="xs" color="gray.400">Size:</FormLabel>
             <Select
@@ -717,14 +1702,21 @@ function App() {
               borderColor="gray.600"
               size="sm"
             >
-              {spriteSizes.map(([key, { w, h }]) => (
-                <option key={key} value={key}>{w}×{h}</option>
+              {spriteSizes.map(([key, { w, h, pixelAspect }]) => (
+                <option key={key} value={key}>{w}×{h}{pixelAspect > 1 ? ` (${pixelAspect}:1 pixels)` : ''}</option>
               ))}
             </Select>
           </FormControl>
           
           <FormControl maxW="200px">
-            <FormLabel fontSize="xs" color="gray.400">AI Model:</FormLabel>
+            <FormLabel fontSize="xs" color="gray.400">
+              AI Model:
+              {models.find(m => m.fullId === modelId)?.offline && (
+                <Badge ml={2} colorScheme="orange" fontSize="2xs" title="Provider unreachable — showing its last known models">
+                  offline
+                </Badge>
+              )}
+            </FormLabel>
             <Select
               value={modelId}
               onChange={(e) => setModelId(e.target.value)}
@@ -743,12 +1735,12 @@ function App() {
                   modelsByProvider[provider].push(m)
                 })
                 
-                // Render optgroups
+                // Render optgroups (unreachable providers are marked offline)
                 return Object.entries(modelsByProvider).map(([providerName, providerModels]) => (
-                  <optgroup key={providerName} label={providerName}>
+                  <optgroup key={providerName} label={providerModels.some(m => m.offline) ? `${providerName} (offline)` : providerName}>
                     {providerModels.map((m) => (
                       <option key={m.fullId || m.id} value={m.fullId || m.id} title={`${m.description} (${m.cost})`}>
-                        {m.name}
+                        {m.offline ? `${m.name} · offline` : m.name}
                       </option>
                     ))}
                   </optgroup>
@@ -789,6 +1781,52 @@ function App() {
             </Select>
           </FormControl>
           
+          <FormControl maxW="200px">
+            <FormLabel fontSize="xs" color="gray.400">Dither Preset:</FormLabel>
+            <Select
+              value=""
+              onChange={(e) => handleApplyDitherPreset(e.target.value)}
+              isDisabled={pipelineMode !== 'enhanced'}
+              bg="background.secondary"
+              borderColor="gray.600"
+              size="sm"
+            >
+              <option value="">Apply preset…</option>
+              {Object.entries(DITHER_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>
+                  {preset.label}{key === consoleCfg?.ditherPreset ? ` (${consoleCfg.name})` : ''}
+                </option>
+              ))}
+            </Select>
+          </FormControl>
+          
+          <FormControl maxW="100px">
+            <FormLabel fontSize="xs" color="gray.400" title="Percent; blank uses the mode default">Strength:</FormLabel>
+            <NumberInput
+              value={ditherStrength}
+              onChange={(val) => setDitherStrength(val)}
+              min={0}
+              max={200}
+              isDisabled={pipelineMode !== 'enhanced' || !ditherMode}
+            >
+              <NumberInputField
+                placeholder="auto"
+                bg="background.secondary"
+                borderColor="gray.600"
+                size="sm"
+              />
+            </NumberInput>
+          </FormControl>
+          
+          <FormControl maxW="100px">
+            <FormLabel fontSize="xs" color="gray.400" title="Pattern dither only between the two nearest palette colors">Pairs:</FormLabel>
+            <Checkbox
+              isChecked={ditherPairs}
+              onChange={(e) => setDitherPairs(e.target.checked)}
+              isDisabled={pipelineMode !== 'enhanced'}
+            />
+          </FormControl>
+          
           <FormControl maxW="180px">
             <FormLabel fontSize="xs" color="gray.400">Preprocessing:</FormLabel>
             <Select
@@ -824,8 +1862,25 @@ function App() {
             <Checkbox isChecked={cleanup} onChange={(e) => setCleanup(e.target.checked)} />
           </FormControl>
           
+          <FormControl maxW="110px">
+            <FormLabel fontSize="xs" color="gray.400" title={consoleCfg?.colorsPerSprite}>HW Colors:</FormLabel>
+            <Checkbox
+              isChecked={hardwareLimits}
+              onChange={(e) => setHardwareLimits(e.target.checked)}
+              isDisabled={!consoleHasLimits}
+            />
+          </FormControl>
+          
+          <FormControl maxW="120px">
+            <FormLabel fontSize="xs" color="gray.400" title="One palette for every frame of an animation">Share Palette:</FormLabel>
+            <Checkbox
+              isChecked={sharedPalette}
+              onChange={(e) => setSharedPalette(e.target.checked)}
+            />
+          </FormControl>
+          
           <Button
-            onClick={handleGenerate}
+            onClick={() => handleGenerate()}
             isLoading={isGenerating}
             loadingText="Generating..."
             size="md"
@@ -865,6 +1920,103 @@ function App() {
             </NumberInput>
           </FormControl>
         </Flex>
+        
+        {/* Local Stable Diffusion sampling */}
+        {isLocalModel && (
+          <Flex gap={4} flexWrap="wrap" alignItems="flex-end">
+            <FormControl maxW="180px">
+              <FormLabel fontSize="xs" color="gray.400">Sampler:</FormLabel>
+              <Select
+                value={sdSampler}
+                onChange={(e) => setSdSampler(e.target.value)}
+                bg="background.secondary"
+                borderColor="gray.600"
+                size="sm"
+              >
+                <option value="">Backend default</option>
+                {sdOptions.samplers.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </Select>
+            </FormControl>
+            
+            <FormControl maxW="100px">
+              <FormLabel fontSize="xs" color="gray.400">Steps:</FormLabel>
+              <NumberInput
+                value={sdSteps}
+                onChange={(val) => setSdSteps(parseInt(val) || DEFAULT_SAMPLING.steps)}
+                min={1}
+                max={150}
+                size="sm"
+              >
+                <NumberInputField bg="background.secondary" borderColor="gray.600" />
+              </NumberInput>
+            </FormControl>
+            
+            <FormControl maxW="100px">
+              <FormLabel fontSize="xs" color="gray.400">CFG Scale:</FormLabel>
+              <NumberInput
+                value={sdCfgScale}
+                onChange={(val) => setSdCfgScale(val)}
+                min={1}
+                max={30}
+                step={0.5}
+                precision={1}
+                size="sm"
+              >
+                <NumberInputField bg="background.secondary" borderColor="gray.600" />
+              </NumberInput>
+            </FormControl>
+            
+            <FormControl maxW="220px">
+              <FormLabel fontSize="xs" color="gray.400">LoRA:</FormLabel>
+              <Select
+                value={sdLora}
+                onChange={(e) => setSdLora(e.target.value)}
+                bg="background.secondary"
+                borderColor="gray.600"
+                size="sm"
+              >
+                <option value="">None</option>
+                {sdOptions.loras.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </Select>
+            </FormControl>
+            
+            <FormControl maxW="100px">
+              <FormLabel fontSize="xs" color="gray.400">LoRA Weight:</FormLabel>
+              <NumberInput
+                value={sdLoraWeight}
+                onChange={(val) => setSdLoraWeight(val)}
+                min={0}
+                max={2}
+                step={0.05}
+                precision={2}
+                isDisabled={!sdLora}
+                size="sm"
+              >
+                <NumberInputField bg="background.secondary" borderColor="gray.600" />
+              </NumberInput>
+            </FormControl>
+            
+            {modelProvider === 'a1111' && (
+              <FormControl maxW="180px">
+                <FormLabel fontSize="xs" color="gray.400">Reference Mode:</FormLabel>
+                <Select
+                  value={sdReferenceMode}
+                  onChange={(e) => setSdReferenceMode(e.target.value)}
+                  bg="background.secondary"
+                  borderColor="gray.600"
+                  size="sm"
+                >
+                  <option value="img2img">img2img</option>
+                  <option value="controlnet">ControlNet reference</option>
+                </Select>
+              </FormControl>
+            )}
+          </Flex>
+        )}
       </VStack>
       
       <Divider my={4} borderColor="gray.700" />
@@ -955,8 +2107,154 @@ function App() {
         >
           Gen Sheet
         </Button>
+        
+        {consoleId === 'genesis' && (
+          <Button
+            onClick={handleFitCramLine}
+            isDisabled={isGenerating}
+            size="sm"
+            variant="outline"
+            colorScheme="brand"
+            title="Share one 15-color CRAM line across all of this character's frames"
+          >
+            Fit CRAM Line
+          </Button>
+        )}
       </Flex>
       
+      {/* Batch: Generate Full Character */}
+      <Accordion allowToggle mb={4}>
+        <AccordionItem border="1px solid" borderColor="gray.700" borderRadius="md">
+          <AccordionButton>
+            <Box flex="1" textAlign="left" fontSize="sm" color="gray.400">
+              Batch: Generate Full Character
+              {batchRun && ` — ${batchRun.characterName} (${batchRun.status})`}
+            </Box>
+            <AccordionIcon />
+          </AccordionButton>
+          <AccordionPanel pb={4}>
+            <VStack align="stretch" spacing={3}>
+              <Text fontSize="xs" color="gray.500">
+                Uses the description, character name, model and processing settings above. Every frame uses one base
+                seed (the Seed field, or a random one kept for the whole run). Finished combos are saved straight to
+                storage; the queue survives page reloads.
+              </Text>
+              
+              <FormControl>
+                <FormLabel fontSize="xs" color="gray.400">States:</FormLabel>
+                <CheckboxGroup value={batchStates} onChange={setBatchStates}>
+                  <VStack align="stretch" spacing={1}>
+                    {getStatesByCategory().map((group) => (
+                      <HStack key={group.label} spacing={3} flexWrap="wrap">
+                        <Text fontSize="xs" color="gray.500" minW="70px">{group.label}</Text>
+                        {group.states.map((state) => (
+                          <Checkbox key={state.id} value={state.id} size="sm">
+                            {state.name}
+                          </Checkbox>
+                        ))}
+                      </HStack>
+                    ))}
+                  </VStack>
+                </CheckboxGroup>
+              </FormControl>
+              
+              <FormControl>
+                <FormLabel fontSize="xs" color="gray.400">Views:</FormLabel>
+                <CheckboxGroup value={batchViews} onChange={setBatchViews}>
+                  <HStack spacing={3} flexWrap="wrap">
+                    {Object.values(VIEWS).map((v) => (
+                      <Checkbox key={v.id} value={v.id} size="sm">
+                        {v.name}
+                      </Checkbox>
+                    ))}
+                  </HStack>
+                </CheckboxGroup>
+              </FormControl>
+              
+              <HStack spacing={3} flexWrap="wrap">
+                <HStack>
+                  <FormLabel fontSize="xs" color="gray.400" mb={0}>Concurrent jobs:</FormLabel>
+                  <NumberInput
+                    value={batchConcurrency}
+                    onChange={(val) => setBatchConcurrency(parseInt(val) || 1)}
+                    min={1}
+                    max={MAX_BATCH_CONCURRENCY}
+                    maxW="60px"
+                    size="sm"
+                  >
+                    <NumberInputField />
+                  </NumberInput>
+                </HStack>
+                
+                <Text fontSize="xs" color="gray.500">
+                  {batchStates.length * batchViews.length} combos,{' '}
+                  {batchStates.reduce((n, id) => n + ANIMATION_STATES[id].frameCount, 0) * batchViews.length} frames
+                </Text>
+                
+                <Button
+                  onClick={handleStartBatch}
+                  isDisabled={batchRun?.status === 'running'}
+                  size="sm"
+                  colorScheme="brand"
+                >
+                  Start Batch
+                </Button>
+                
+                {batchRun && (
+                  <ButtonGroup size="sm" variant="outline" colorScheme="brand">
+                    {batchRun.status === 'running' ? (
+                      <Button onClick={() => batchRunnerRef.current?.pause()}>Pause</Button>
+                    ) : (
+                      <Button onClick={runBatch} isDisabled={!batchJobs.some(j => j.status === 'pending')}>
+                        Resume
+                      </Button>
+                    )}
+                    <Button
+                      onClick={handleRetryBatch}
+                      isDisabled={batchRun.status === 'running' || !batchJobs.some(j => j.status === 'failed')}
+                    >
+                      Retry Failed
+                    </Button>
+                    <Button onClick={handleDiscardBatch} colorScheme="red" isDisabled={batchRun.status === 'running'}>
+                      Discard
+                    </Button>
+                  </ButtonGroup>
+                )}
+              </HStack>
+              
+              {batchJobs.length > 0 && (
+                <VStack align="stretch" spacing={1} maxH="240px" overflowY="auto">
+                  {batchJobs.map((job) => (
+                    <HStack key={job.id} spacing={3}>
+                      <Text fontSize="xs" minW="160px">
+                        {ANIMATION_STATES[job.stateId]?.name || job.stateId} / {VIEWS[job.viewId]?.name || job.viewId}
+                      </Text>
+                      <Progress
+                        value={(job.framesDone / job.frameCount) * 100}
+                        size="sm"
+                        flex="1"
+                        colorScheme={job.status === 'failed' ? 'red' : 'brand'}
+                        isAnimated={job.status === 'running'}
+                        hasStripe={job.status === 'running'}
+                      />
+                      <Text fontSize="xs" color="gray.500" minW="36px">
+                        {job.framesDone}/{job.frameCount}
+                      </Text>
+                      <Badge
+                        colorScheme={{ done: 'green', failed: 'red', running: 'blue' }[job.status] || 'gray'}
+                        title={job.error || undefined}
+                      >
+                        {job.status}
+                      </Badge>
+                    </HStack>
+                  ))}
+                </VStack>
+              )}
+            </VStack>
+          </AccordionPanel>
+        </AccordionItem>
+      </Accordion>
+      
       {/* Console Info */}
       {consoleCfg && (
         <Alert status="info" variant="left-accent" mb={4} bg="background.secondary" borderColor="brand.500">
@@ -990,6 +2288,40 @@ function App() {
               </Text>
             )}
           </Box>
+          
+          {/* Reference frame: sent with every later frame and state */}
+          <Flex mt={2} gap={3} alignItems="center" flexWrap="wrap">
+            {referenceFrame ? (
+              <>
+                <Image src={referenceFrame.src} boxSize="40px" objectFit="contain" bg="background.tertiary" borderRadius="sm" alt="Reference frame" />
+                <Text fontSize="xs" color="gray.400">Reference: {referenceFrame.label}</Text>
+                <Button size="xs" variant="outline" onClick={handleUnpinReference}>Unpin</Button>
+              </>
+            ) : (
+              <Button size="xs" variant="outline" onClick={handlePinReference} isDisabled={!currentSourceSrc}>
+                Pin as Reference
+              </Button>
+            )}
+            <FormControl maxW="110px">
+              <FormLabel fontSize="xs" color="gray.400" mb={0}>Denoise:</FormLabel>
+              <NumberInput
+                value={referenceStrength}
+                onChange={(val) => setReferenceStrength(val)}
+                min={0.05}
+                max={1}
+                step={0.05}
+                precision={2}
+                size="xs"
+              >
+                <NumberInputField bg="background.secondary" borderColor="gray.600" />
+              </NumberInput>
+            </FormControl>
+            {referenceFrame && !referenceSupported && (
+              <Badge colorScheme="orange" fontSize="2xs" title="Pick a model that accepts a reference image">
+                not used by this model
+              </Badge>
+            )}
+          </Flex>
         </GridItem>
         
         <GridItem>
@@ -1005,13 +2337,91 @@ function App() {
             justifyContent="center"
             overflow="hidden"
           >
-            <canvas
-              ref={pixelCanvasRef}
-              style={{
-                imageRendering: 'pixelated',
-              }}
-            />
+            <Box position="relative" lineHeight={0}>
+              <canvas
+                ref={pixelCanvasRef}
+                style={{
+                  imageRendering: 'pixelated',
+                }}
+              />
+              <canvas
+                ref={maskCanvasRef}
+                onPointerDown={handleMaskPointer}
+                onPointerMove={handleMaskPointer}
+                style={{
+                  position: 'absolute',
+                  inset: 0,
+                  width: '100%',
+                  height: '100%',
+                  imageRendering: 'pixelated',
+                  pointerEvents: maskMode ? 'auto' : 'none',
+                  cursor: maskMode ? 'crosshair' : 'default',
+                  touchAction: 'none',
+                }}
+              />
+            </Box>
           </Box>
+          
+          {/* Inpainting: paint a mask on the sprite, regenerate just that area */}
+          <Flex mt={2} gap={3} alignItems="center" flexWrap="wrap">
+            <Button
+              size="xs"
+              variant={maskMode ? 'solid' : 'outline'}
+              colorScheme={maskMode ? 'brand' : 'gray'}
+              onClick={() => setMaskMode(!maskMode)}
+              isDisabled={!currentSourceSrc}
+              title="Drag on the sprite to mark pixels; hold Shift to erase"
+            >
+              Paint Mask
+            </Button>
+            <FormControl maxW="90px">
+              <FormLabel fontSize="xs" color="gray.400" mb={0}>Brush:</FormLabel>
+              <NumberInput
+                value={maskBrushSize}
+                onChange={(val) => setMaskBrushSize(val)}
+                min={1}
+                max={8}
+                size="xs"
+              >
+                <NumberInputField bg="background.secondary" borderColor="gray.600" />
+              </NumberInput>
+            </FormControl>
+            <Button size="xs" variant="outline" onClick={clearMask} isDisabled={!hasMask}>
+              Clear Mask
+            </Button>
+            <Button
+              size="xs"
+              colorScheme="brand"
+              onClick={handleInpaint}
+              isLoading={isGenerating}
+              isDisabled={!hasMask || !inpaintSupported || !currentSourceSrc}
+              title="Uses the Denoise strength on the left"
+            >
+              Regenerate Masked
+            </Button>
+            {hasMask && !inpaintSupported && (
+              <Badge colorScheme="orange" fontSize="2xs" title="Pick a model that supports inpainting">
+                no inpainting with this model
+              </Badge>
+            )}
+          </Flex>
+          {subPalette && subPalette.length > 0 && (
+            <HStack spacing={1} mt={2}>
+              <Text fontSize="xs" color="gray.500">Sprite palette:</Text>
+              {subPalette.map(([r, g, b], i) => (
+                <Box
+                  key={i}
+                  w="16px"
+                  h="16px"
+                  borderRadius="sm"
+                  border="1px solid"
+                  borderColor="gray.600"
+                  bg={`rgb(${r},${g},${b})`}
+                  title={`rgb(${r}, ${g}, ${b})`}
+                />
+              ))}
+            </HStack>
+          )}
         </GridItem>
       </Grid>
       
@@ -1104,6 +2514,26 @@ function App() {
                 <Checkbox isChecked={onionSkin} onChange={(e) => setOnionSkin(e.target.checked)} size="sm" />
               </HStack>
             </FormControl>
+            
+            <HStack>
+              <FormLabel fontSize="xs" color="gray.400" mb={0}>Scale:</FormLabel>
+              <Select
+                value={previewScale}
+                onChange={(e) => setPreviewScale(parseInt(e.target.value))}
+                bg="background.secondary"
+                borderColor="gray.600"
+                size="sm"
+                maxW="70px"
+              >
+                {[1, 2, 4, 8].map(n => <option key={n} value={n}>{n}×</option>)}
+              </Select>
+            </HStack>
+            
+            <ButtonGroup size="sm" variant="outline" colorScheme="brand" isAttached>
+              <Button onClick={() => handleExportAnimation('gif')}>GIF</Button>
+              <Button onClick={() => handleExportAnimation('apng')}>APNG</Button>
+              <Button onClick={() => handleExportAnimation('webp')}>WebP</Button>
+            </ButtonGroup>
           </HStack>
         </Flex>
         
@@ -1149,9 +2579,80 @@ function App() {
           Export Sheet
         </Button>
         
+        <Button onClick={handleExportAseprite} size="sm" variant="outline" colorScheme="brand">
+          Export .aseprite
+        </Button>
+        
+        <Button onClick={() => handleExportEngine('godot')} size="sm" variant="outline" colorScheme="brand">
+          Export Godot
+        </Button>
+        
+        <Button onClick={() => handleExportEngine('unity')} size="sm" variant="outline" colorScheme="brand">
+          Export Unity
+        </Button>
+        
+        <Button onClick={handlePackAtlas} size="sm" variant="outline" colorScheme="brand">
+          Pack Atlas
+        </Button>
+        
+        {consoleId === 'gameboy' && (
+          <>
+            <FormControl maxW="70px">
+              <FormLabel fontSize="xs" color="gray.400">OBP0:</FormLabel>
+              <Input
+                value={gbObp0}
+                onChange={(e) => setGbObp0(e.target.value)}
+                bg="background.secondary"
+                borderColor="gray.600"
+                size="sm"
+              />
+            </FormControl>
+            <FormControl maxW="70px">
+              <FormLabel fontSize="xs" color="gray.400">OBP1:</FormLabel>
+              <Input
+                value={gbObp1}
+                onChange={(e) => setGbObp1(e.target.value)}
+                bg="background.secondary"
+                borderColor="gray.600"
+                size="sm"
+              />
+            </FormControl>
+            <FormControl maxW="100px">
+              <FormLabel fontSize="xs" color="gray.400">Sprite uses:</FormLabel>
+              <Select
+                value={gbObjPalette}
+                onChange={(e) => setGbObjPalette(Number(e.target.value))}
+                bg="background.secondary"
+                borderColor="gray.600"
+                size="sm"
+              >
+                <option value={0}>OBP0</option>
+                <option value={1}>OBP1</option>
+              </Select>
+            </FormControl>
+          </>
+        )}
+        
+        {HARDWARE_EXPORTS[consoleId] && (
+          <Button onClick={handleExportHardware} size="sm" variant="outline" colorScheme="brand">
+            {HARDWARE_EXPORTS[consoleId].label}
+          </Button>
+        )}
+        
         <Button onClick={handleLoad} size="sm" variant="outline" colorScheme="brand">
           Load
         </Button>
+        
+        <input
+          ref={asepriteInputRef}
+          type="file"
+          accept=".aseprite,.ase"
+          onChange={handleImportAseprite}
+          style={{ display: 'none' }}
+        />
+        <Button onClick={() => asepriteInputRef.current?.click()} size="sm" variant="outline" colorScheme="brand">
+          Import .aseprite
+        </Button>
       </Flex>
       
       {/* Prompt Debug */}
@@ -1199,6 +2700,24 @@ function App() {
                 </Code>
               </Box>
               
+              {lastRequest.revisedPrompt && (
+                <Box>
+                  <Text fontSize="xs" color="gray.600" textTransform="uppercase" mb={1}>
+                    Revised by provider:
+                  </Text>
+                  <Code
+                    display="block"
+                    whiteSpace="pre-wrap"
+                    p={2}
+                    bg="gray.900"
+                    fontSize="xs"
+                    borderRadius="sm"
+                  >
+                    {lastRequest.revisedPrompt}
+                  </Code>
+                </Box>
+              )}
+              
               <Box>
                 <Text fontSize="xs" color="gray.600" textTransform="uppercase" mb={1}>
                   Request:
@@ -1289,6 +2808,23 @@ function App() {
                 </Code>
               </Box>
               
+              {/* Revised Prompt (providers that rewrite prompts) */}
+              {lastRequest.revisedPrompt && (
+                <Box bg="background.secondary" p={5} borderRadius="md" borderWidth="1px" borderColor="gray.700">
+                  <Heading size="sm" mb={3} color="brand.500">Revised Prompt</Heading>
+                  <Code
+                    display="block"
+                    whiteSpace="pre-wrap"
+                    p={3}
+                    bg="gray.900"
+                    fontSize="sm"
+                    borderRadius="sm"
+                  >
+                    {lastRequest.revisedPrompt}
+                  </Code>
+                </Box>
+              )}
+              
               {/* Request URL */}
               <Box bg="background.secondary" p={5} borderRadius="md" borderWidth="1px" borderColor="gray.700">
                 <Heading size="sm" mb={3} color="brand.500">Request URL</Heading>
@@ -1306,7 +2842,27 @@ function App() {
                   {lastRequest.url || '—'}
                 </Code>
               </Box>
-              
+
+              {/* Request Body (POST providers) */}
+              {lastRequest.body && (
+                <Box bg="background.secondary" p={5} borderRadius="md" borderWidth="1px" borderColor="gray.700">
+                  <Heading size="sm" mb={3} color="brand.500">Request Body</Heading>
+                  <Code
+                    display="block"
+                    whiteSpace="pre-wrap"
+                    wordBreak="break-all"
+                    p={3}
+                    bg="gray.900"
+                    fontSize="xs"
+                    borderRadius="sm"
+                    maxH="200px"
+                    overflowY="auto"
+                  >
+                    {lastRequest.body}
+                  </Code>
+                </Box>
+              )}
+
               {/* Configuration */}
               <Box bg="background.secondary" p={5} borderRadius="md" borderWidth="1px" borderColor="gray.700">
                 <Heading size="sm" mb={3} color="brand.500">Configuration</Heading>
@@ -1323,8 +2879,12 @@ function App() {
                     spriteSize,
                     pipelineMode,
                     dithering: ditherMode || 'none',
+                    ditherStrength: ditherStrength === '' ? 'auto' : `${ditherStrength}%`,
+                    ditherPairs,
                     outlines,
                     cleanup,
+                    hardwareLimits,
+                    sharedPalette,
                     transparent: transparentBg,
                     seed: seed || 'random',
                   }, null, 2)}
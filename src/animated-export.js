@@ -0,0 +1,446 @@
+/**
+ * Animated Image Export
+ *
+ * Encoders for sharing animation previews:
+ *   - GIF89a with a built-in LZW encoder (palette from the frames' colors)
+ *   - APNG (PNG frames deflated with CompressionStream)
+ *   - Animated WebP (browser-encoded lossless stills muxed into ANMF chunks)
+ *
+ * All encoders take full RGBA frames of one size plus per-frame delays in
+ * milliseconds. Delays are rounded cumulatively so long animations don't
+ * drift against the requested frame rate.
+ */
+
+// ─── Shared ──────────────────────────────────────────────────────────────────
+
+/**
+ * Round delays to a timing unit without accumulating drift.
+ *
+ * @param {number[]} delays - Delays in milliseconds
+ * @param {number} unit - Timing unit in milliseconds (10 for GIF)
+ * @returns {number[]} Delays in units
+ */
+export function quantizeDelays(delays, unit) {
+  let elapsed = 0;
+  let emitted = 0;
+  return delays.map((delay) => {
+    elapsed += delay;
+    const end = Math.max(emitted + 1, Math.round(elapsed / unit));
+    const units = end - emitted;
+    emitted = end;
+    return units;
+  });
+}
+
+function checkFrames(images, delays) {
+  if (images.length === 0) {
+    throw new Error('No frames to encode');
+  }
+  if (delays.length !== images.length) {
+    throw new Error('Every frame needs a delay');
+  }
+  const { width, height } = images[0];
+  if (images.some(img => img.width !== width || img.height !== height)) {
+    throw new Error('All frames must be the same size');
+  }
+  return { width, height };
+}
+
+const concatBytes = (parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+// ─── GIF ─────────────────────────────────────────────────────────────────────
+
+/** Pixels with alpha below this are written as the transparent index */
+const GIF_ALPHA_THRESHOLD = 128;
+
+/**
+ * Build one color table for all frames. Quantized frames fit as-is; past
+ * the table size the most frequent colors are kept and the rest map to
+ * the nearest kept color.
+ *
+ * @returns {{ colors: number[][], transparent: boolean, indexOf: (r, g, b) => number }}
+ */
+function buildGifPalette(images) {
+  const counts = new Map();
+  let transparent = false;
+  for (const { data } of images) {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < GIF_ALPHA_THRESHOLD) {
+        transparent = true;
+        continue;
+      }
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const limit = transparent ? 255 : 256;
+  const keys = [...counts.keys()];
+  if (keys.length > limit) keys.sort((a, b) => counts.get(b) - counts.get(a));
+  const kept = keys.slice(0, limit);
+  const first = transparent ? 1 : 0;
+  const colors = kept.map(key => [key >> 16, (key >> 8) & 0xff, key & 0xff]);
+  if (transparent) colors.unshift([0, 0, 0]);
+
+  const lookup = new Map(kept.map((key, i) => [key, i + first]));
+  const indexOf = (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let index = lookup.get(key);
+    if (index !== undefined) return index;
+    let best = Infinity;
+    for (let i = first; i < colors.length; i++) {
+      const [cr, cg, cb] = colors[i];
+      const dist = (cr - r) ** 2 + (cg - g) ** 2 + (cb - b) ** 2;
+      if (dist < best) {
+        best = dist;
+        index = i;
+      }
+    }
+    lookup.set(key, index);
+    return index;
+  };
+
+  return { colors, transparent, indexOf };
+}
+
+/**
+ * GIF variable-length LZW, packed into 255-byte sub-blocks.
+ *
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @returns {Uint8Array}
+ */
+export function gifLzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  const blocks = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    blocks.push(block.length, ...block);
+  }
+  blocks.push(0);
+  return Uint8Array.from(blocks);
+}
+
+/**
+ * Encode frames as an animated GIF89a.
+ *
+ * @param {ImageData[]} images
+ * @param {object} options
+ * @param {number[]} options.delays - Per-frame delays in ms
+ * @param {boolean} options.loop - Loop forever (default true); otherwise play once
+ * @returns {Uint8Array}
+ */
+export function encodeGif(images, { delays, loop = true }) {
+  const { width, height } = checkFrames(images, delays);
+  const { colors, transparent, indexOf } = buildGifPalette(images);
+  const tableBits = Math.max(1, Math.ceil(Math.log2(colors.length)));
+  const minCodeSize = Math.max(2, tableBits);
+
+  const parts = [];
+  const push = (...values) => parts.push(Uint8Array.from(values));
+  const word = (v) => [v & 0xff, (v >> 8) & 0xff];
+
+  parts.push(new TextEncoder().encode('GIF89a'));
+  push(...word(width), ...word(height), 0xf0 | (tableBits - 1), 0, 0);
+  const table = new Uint8Array(3 << tableBits);
+  colors.forEach((color, i) => table.set(color, i * 3));
+  parts.push(table);
+
+  if (loop) {
+    push(0x21, 0xff, 0x0b);
+    parts.push(new TextEncoder().encode('NETSCAPE2.0'));
+    push(0x03, 0x01, 0, 0, 0);
+  }
+
+  const centiseconds = quantizeDelays(delays, 10);
+  images.forEach(({ data }, f) => {
+    // Graphic control: restore to background so transparent pixels clear
+    push(0x21, 0xf9, 0x04, (2 << 2) | (transparent ? 1 : 0), ...word(centiseconds[f]), 0, 0);
+    push(0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0);
+
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      const p = i * 4;
+      indices[i] = data[p + 3] < GIF_ALPHA_THRESHOLD ? 0 : indexOf(data[p], data[p + 1], data[p + 2]);
+    }
+    push(minCodeSize);
+    parts.push(gifLzwEncode(indices, minCodeSize));
+  });
+
+  push(0x3b);
+  return concatBytes(parts);
+}
+
+// ─── APNG ────────────────────────────────────────────────────────────────────
+
+const PNG_SIGNATURE = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  out.set(new TextEncoder().encode(type), 4);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+function bigEndian(size, fill) {
+  const bytes = new Uint8Array(size);
+  fill(new DataView(bytes.buffer));
+  return bytes;
+}
+
+/**
+ * zlib-deflate an RGBA frame as PNG scanlines (filter 0).
+ */
+async function deflateScanlines({ width, height, data }) {
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode frames as an animated PNG.
+ *
+ * @param {ImageData[]} images
+ * @param {object} options
+ * @param {number[]} options.delays - Per-frame delays in ms
+ * @param {boolean} options.loop - Loop forever (default true); otherwise play once
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeApng(images, { delays, loop = true }) {
+  const { width, height } = checkFrames(images, delays);
+  const milliseconds = quantizeDelays(delays, 1);
+  let sequence = 0;
+
+  const parts = [PNG_SIGNATURE];
+  parts.push(pngChunk('IHDR', bigEndian(13, (v) => {
+    v.setUint32(0, width);
+    v.setUint32(4, height);
+    v.setUint8(8, 8);   // bit depth
+    v.setUint8(9, 6);   // RGBA
+  })));
+  parts.push(pngChunk('acTL', bigEndian(8, (v) => {
+    v.setUint32(0, images.length);
+    v.setUint32(4, loop ? 0 : 1);
+  })));
+
+  for (let f = 0; f < images.length; f++) {
+    parts.push(pngChunk('fcTL', bigEndian(26, (v) => {
+      v.setUint32(0, sequence++);
+      v.setUint32(4, width);
+      v.setUint32(8, height);
+      v.setUint16(20, milliseconds[f]);
+      v.setUint16(22, 1000);
+      v.setUint8(24, 1);  // dispose to background
+      v.setUint8(25, 0);  // replace, don't blend
+    })));
+
+    const compressed = await deflateScanlines(images[f]);
+    if (f === 0) {
+      parts.push(pngChunk('IDAT', compressed));
+    } else {
+      const data = new Uint8Array(4 + compressed.length);
+      new DataView(data.buffer).setUint32(0, sequence++);
+      data.set(compressed, 4);
+      parts.push(pngChunk('fdAT', data));
+    }
+  }
+
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+  return concatBytes(parts);
+}
+
+// ─── Animated WebP ───────────────────────────────────────────────────────────
+
+function riffChunk(type, data) {
+  const padded = data.length + (data.length & 1);
+  const out = new Uint8Array(8 + padded);
+  out.set(new TextEncoder().encode(type), 0);
+  new DataView(out.buffer).setUint32(4, data.length, true);
+  out.set(data, 8);
+  return out;
+}
+
+const uint24 = (v) => [v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff];
+
+/**
+ * Image chunks (ALPH, VP8, VP8L) of a still WebP file.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array[]} Complete chunks, headers included
+ */
+function webpImageChunks(bytes) {
+  const text = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (text(0) !== 'RIFF' || text(8) !== 'WEBP') {
+    throw new Error('Not a WebP image');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = text(offset);
+    const size = view.getUint32(offset + 4, true);
+    const end = offset + 8 + size + (size & 1);
+    if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+      chunks.push(bytes.subarray(offset, Math.min(end, bytes.length)));
+    }
+    offset = end;
+  }
+  if (chunks.length === 0) {
+    throw new Error('WebP image has no frame data');
+  }
+  return chunks;
+}
+
+/**
+ * Mux still WebP files into one animated WebP.
+ *
+ * @param {Uint8Array[]} stills - Encoded frames, all width × height
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number[]} options.delays - Per-frame delays in ms
+ * @param {boolean} options.loop - Loop forever (default true); otherwise play once
+ * @param {boolean} options.alpha - Frames contain transparency
+ * @returns {Uint8Array}
+ */
+export function muxAnimatedWebp(stills, { width, height, delays, loop = true, alpha = true }) {
+  const milliseconds = quantizeDelays(delays, 1);
+  const chunks = [
+    riffChunk('VP8X', Uint8Array.of(
+      0x02 | (alpha ? 0x10 : 0), 0, 0, 0,
+      ...uint24(width - 1), ...uint24(height - 1),
+    )),
+    riffChunk('ANIM', Uint8Array.of(0, 0, 0, 0, loop ? 0 : 1, 0)),
+  ];
+
+  stills.forEach((still, f) => {
+    chunks.push(riffChunk('ANMF', concatBytes([
+      Uint8Array.of(
+        ...uint24(0), ...uint24(0),
+        ...uint24(width - 1), ...uint24(height - 1),
+        ...uint24(milliseconds[f]),
+        0x02,  // no blending, no disposal: every frame is a full replace
+      ),
+      ...webpImageChunks(still),
+    ])));
+  });
+
+  const body = concatBytes(chunks);
+  const header = new Uint8Array(12);
+  header.set(new TextEncoder().encode('RIFF'), 0);
+  new DataView(header.buffer).setUint32(4, body.length + 4, true);
+  header.set(new TextEncoder().encode('WEBP'), 8);
+  return concatBytes([header, body]);
+}
+
+/**
+ * Lossless still WebP of one frame via the browser's canvas encoder.
+ * Quality 1 selects lossless mode in browsers that encode WebP.
+ *
+ * @param {ImageData} image
+ * @returns {Promise<Uint8Array>}
+ */
+async function encodeWebpStill(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext('2d').putImageData(image, 0, 0);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 1));
+  if (!blob || blob.type !== 'image/webp') {
+    throw new Error('This browser cannot encode WebP images');
+  }
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Encode frames as an animated WebP.
+ *
+ * @param {ImageData[]} images
+ * @param {object} options
+ * @param {number[]} options.delays - Per-frame delays in ms
+ * @param {boolean} options.loop - Loop forever (default true); otherwise play once
+ * @param {(image: ImageData) => Promise<Uint8Array>} options.encodeStill - Still encoder (default: canvas)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeAnimatedWebp(images, { delays, loop = true, encodeStill = encodeWebpStill }) {
+  const { width, height } = checkFrames(images, delays);
+  const stills = [];
+  for (const image of images) stills.push(await encodeStill(image));
+  const alpha = images.some(({ data }) => data.some((v, i) => (i & 3) === 3 && v < 255));
+  return muxAnimatedWebp(stills, { width, height, delays, loop, alpha });
+}
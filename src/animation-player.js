@@ -3,9 +3,11 @@
  *
  * Plays back a sequence of pixel art frames as an animation loop.
  * Renders to a dedicated canvas with configurable FPS, ping-pong mode,
- * and onion-skinning overlay.
+ * and onion-skinning overlay. Exports the loop as GIF, APNG or WebP.
  */
 
+import { encodeGif, encodeApng, encodeAnimatedWebp } from './animated-export.js';
+
 export class AnimationPlayer {
   /**
    * @param {HTMLCanvasElement} canvas - Target canvas for animation playback
@@ -211,19 +213,84 @@ export class AnimationPlayer {
     }
   }
 
+  // ─── Export ──────────────────────────────────────────────────────────────
+
+  /**
+   * Frames in playback order at an integer upscale, with per-frame delays.
+   * Ping-pong plays back down to frame 1 when looping (frame 0 starts the
+   * next cycle) and all the way to frame 0 when it plays once.
+   *
+   * @param {number} scale - Integer upscale factor
+   * @returns {{ images: ImageData[], delays: number[] }}
+   */
+  _exportSequence(scale) {
+    const factor = Math.max(1, Math.floor(scale) || 1);
+    const first = this.frames[0];
+    const w = (first.spriteW || first.canvas.width) * factor;
+    const h = (first.spriteH || first.canvas.height) * factor;
+
+    const order = this.frames.map((_, i) => i);
+    if (this.pingPong && order.length > 1) {
+      const back = order.slice(0, -1).reverse();
+      order.push(...(this.loop ? back.slice(0, -1) : back));
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = false;
+
+    const rendered = this.frames.map(({ canvas: src }) => {
+      ctx.clearRect(0, 0, w, h);
+      ctx.drawImage(src, 0, 0, w, h);
+      return ctx.getImageData(0, 0, w, h);
+    });
+
+    return {
+      images: order.map(i => rendered[i]),
+      delays: order.map(() => 1000 / this.fps),
+    };
+  }
+
+  /**
+   * Export the animation as an animated GIF.
+   * Honors fps, loop and ping-pong.
+   *
+   * @param {object} options
+   * @param {number} options.scale - Integer upscale factor (default: 1)
+   * @returns {Promise<Blob|null>} GIF blob, or null with no frames
+   */
+  async exportGif({ scale = 1 } = {}) {
+    if (this.frames.length === 0) return null;
+    const { images, delays } = this._exportSequence(scale);
+    return new Blob([encodeGif(images, { delays, loop: this.loop })], { type: 'image/gif' });
+  }
+
   /**
-   * Export the current animation as an animated GIF data URL.
-   * Uses a simple GIF encoder built from frames.
-   * Returns null if no frames available.
+   * Export the animation as an animated PNG.
    *
-   * @returns {Promise<Blob|null>} GIF blob or null
+   * @param {object} options
+   * @param {number} options.scale - Integer upscale factor (default: 1)
+   * @returns {Promise<Blob|null>} APNG blob, or null with no frames
    */
-  async exportGif() {
+  async exportApng({ scale = 1 } = {}) {
     if (this.frames.length === 0) return null;
+    const { images, delays } = this._exportSequence(scale);
+    return new Blob([await encodeApng(images, { delays, loop: this.loop })], { type: 'image/apng' });
+  }
 
-    // We'll build a simple sprite-sheet PNG instead of GIF
-    // (GIF encoding in browser without a library is complex)
-    // Users can use the sprite sheet export for that.
-    return null;
+  /**
+   * Export the animation as an animated WebP.
+   *
+   * @param {object} options
+   * @param {number} options.scale - Integer upscale factor (default: 1)
+   * @returns {Promise<Blob|null>} WebP blob, or null with no frames
+   * @throws {Error} If the browser cannot encode WebP
+   */
+  async exportWebp({ scale = 1 } = {}) {
+    if (this.frames.length === 0) return null;
+    const { images, delays } = this._exportSequence(scale);
+    return new Blob([await encodeAnimatedWebp(images, { delays, loop: this.loop })], { type: 'image/webp' });
   }
 }
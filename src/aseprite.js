@@ -0,0 +1,639 @@
+/**
+ * Aseprite Files
+ *
+ * Writes the frame store as a native .aseprite file so artists can retouch
+ * generated sprites in Aseprite (or LibreSprite):
+ *   - one indexed-color layer, one frame per stored animation frame
+ *   - the quantized colors as the file palette (index 0 transparent)
+ *   - one tag per animation state, named after its ANIMATION_STATES id
+ *     (suffixed with the view when several views are stored)
+ *   - per-frame durations from the player FPS, ping-pong tags when enabled
+ *
+ * Reads .aseprite / .ase files back (indexed, grayscale or RGBA, visible
+ * layers flattened) and maps their tags onto animation states and views.
+ *
+ * Format reference: https://github.com/aseprite/aseprite/blob/main/docs/ase-file-specs.md
+ */
+
+import { ANIMATION_STATES, VIEWS } from './animation-states.js';
+import { downloadFile } from './sprite-sheet.js';
+
+const ASE_MAGIC = 0xa5e0;
+const ASE_FRAME_MAGIC = 0xf1fa;
+const ASE_HEADER_SIZE = 128;
+const ASE_FRAME_HEADER_SIZE = 16;
+
+const CHUNK_OLD_PALETTE = 0x0004;
+const CHUNK_OLD_PALETTE_6BIT = 0x0011;
+const CHUNK_LAYER = 0x2004;
+const CHUNK_CEL = 0x2005;
+const CHUNK_TAGS = 0x2018;
+const CHUNK_PALETTE = 0x2019;
+
+const COLOR_DEPTH_RGBA = 32;
+const COLOR_DEPTH_GRAYSCALE = 16;
+const COLOR_DEPTH_INDEXED = 8;
+const CEL_RAW = 0;
+const CEL_LINKED = 1;
+const CEL_COMPRESSED = 2;
+const LAYER_VISIBLE = 0x1;
+const LAYER_VISIBLE_EDITABLE = 0x3;
+const LAYER_BACKGROUND = 0x8;
+const LAYER_REFERENCE = 0x40;
+const LAYER_TYPE_IMAGE = 0;
+const HEADER_FLAG_LAYER_OPACITY = 0x1;
+
+/** Tag loop directions */
+export const ASE_LOOP_FORWARD = 0;
+export const ASE_LOOP_PING_PONG = 2;
+
+/** Palette index used for transparent pixels */
+const TRANSPARENT_INDEX = 0;
+
+// ─── Binary Writer ───────────────────────────────────────────────────────────
+
+/**
+ * Little-endian byte writer that grows as needed.
+ */
+class ByteWriter {
+  constructor(size = 1024) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + n));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  byte(v) {
+    this.reserve(1);
+    this.bytes[this.length++] = v & 0xff;
+  }
+
+  word(v) {
+    this.byte(v);
+    this.byte(v >> 8);
+  }
+
+  dword(v) {
+    this.word(v & 0xffff);
+    this.word(v >>> 16);
+  }
+
+  zeros(n) {
+    this.reserve(n);
+    this.length += n;  // fresh bytes are already zero
+  }
+
+  raw(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  string(text) {
+    const utf8 = new TextEncoder().encode(text);
+    this.word(utf8.length);
+    this.raw(utf8);
+  }
+
+  /** Patch a WORD written earlier */
+  setWord(offset, v) {
+    new DataView(this.bytes.buffer).setUint16(offset, v, true);
+  }
+
+  /** Patch a DWORD written earlier */
+  setDword(offset, v) {
+    new DataView(this.bytes.buffer).setUint32(offset, v >>> 0, true);
+  }
+
+  toUint8Array() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Write one chunk: header plus whatever `body` writes.
+ * @param {ByteWriter} out
+ * @param {number} type
+ * @param {(out: ByteWriter) => void} body
+ */
+function writeChunk(out, type, body) {
+  const start = out.length;
+  out.dword(0);
+  out.word(type);
+  body(out);
+  out.setDword(start, out.length - start);
+}
+
+// ─── Tags ────────────────────────────────────────────────────────────────────
+
+/**
+ * Tag name for a stored animation: the state id, plus ":view" when the file
+ * holds more than one view.
+ * @param {string} stateId
+ * @param {string} viewId
+ * @param {boolean} multiView
+ * @returns {string}
+ */
+export function asepriteTagName(stateId, viewId, multiView) {
+  return multiView ? `${stateId}:${viewId}` : stateId;
+}
+
+// ─── Writer ──────────────────────────────────────────────────────────────────
+
+/**
+ * Collect the file palette: every frame's sub-palette, then any other
+ * opaque pixel color, in first-seen order after the transparent entry.
+ *
+ * @param {Array<{ frames: Array<{ pixelData: ImageData, subPalette?: number[][]|null }|null> }>} animations
+ * @returns {number[][]} Colors for palette indices 1..n
+ * @throws {Error} If the frames use more than 255 colors
+ */
+function collectAsepritePalette(animations) {
+  const colors = new Map();
+  const add = (r, g, b) => {
+    const key = `${r},${g},${b}`;
+    if (!colors.has(key)) colors.set(key, [r, g, b]);
+  };
+
+  const frames = animations.flatMap(a => a.frames).filter(Boolean);
+  for (const { subPalette } of frames) {
+    for (const [r, g, b] of subPalette || []) add(r, g, b);
+  }
+  for (const { pixelData: { data } } of frames) {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] >= 10) add(data[i], data[i + 1], data[i + 2]);
+    }
+  }
+
+  if (colors.size > 255) {
+    throw new Error(`Frames use ${colors.size} colors; an indexed Aseprite file holds 255 + transparent`);
+  }
+  return [...colors.values()];
+}
+
+/**
+ * Build an indexed-color .aseprite file from stored animations.
+ *
+ * Empty slots inside an animation become empty frames so frame numbers
+ * inside each tag still match frame store slots.
+ *
+ * @param {Array<{ stateId: string, viewId: string, frames: Array<{ pixelData: ImageData, subPalette?: number[][]|null }|null> }>} animations
+ * @param {object} options
+ * @param {number} options.fps - Player FPS (frame duration = 1000 / fps ms)
+ * @param {boolean} options.pingPong - Tag loop direction ping-pong instead of forward
+ * @param {number} options.pixelAspect - Pixel width : height (2 for C64 multicolor)
+ * @returns {Uint8Array}
+ * @throws {Error} With no frames or more than 255 colors
+ */
+export function buildAsepriteFile(animations, options = {}) {
+  const { fps = 8, pingPong = false, pixelAspect = 1 } = options;
+  const stored = animations.filter(a => a.frames.some(Boolean));
+  if (stored.length === 0) {
+    throw new Error('No frames to export');
+  }
+
+  const palette = collectAsepritePalette(stored);
+  const lookup = new Map(palette.map((c, i) => [c.join(','), i + 1]));
+  const allFrames = stored.flatMap(a => a.frames);
+  const width = Math.max(...allFrames.filter(Boolean).map(f => f.pixelData.width));
+  const height = Math.max(...allFrames.filter(Boolean).map(f => f.pixelData.height));
+  const duration = Math.max(1, Math.round(1000 / fps));
+  const multiView = new Set(stored.map(a => a.viewId)).size > 1;
+
+  const out = new ByteWriter();
+
+  // Header (file size patched at the end)
+  out.dword(0);
+  out.word(ASE_MAGIC);
+  out.word(allFrames.length);
+  out.word(width);
+  out.word(height);
+  out.word(COLOR_DEPTH_INDEXED);
+  out.dword(HEADER_FLAG_LAYER_OPACITY);
+  out.word(duration);
+  out.dword(0);
+  out.dword(0);
+  out.byte(TRANSPARENT_INDEX);
+  out.zeros(3);
+  out.word(palette.length + 1);
+  out.byte(pixelAspect);
+  out.byte(1);
+  out.word(0);  // grid x
+  out.word(0);  // grid y
+  out.word(16);
+  out.word(16);
+  out.zeros(ASE_HEADER_SIZE - out.length);
+
+  allFrames.forEach((frame, f) => {
+    const frameStart = out.length;
+    out.dword(0);
+    out.word(ASE_FRAME_MAGIC);
+    const chunkCountAt = out.length;
+    out.word(0);
+    out.word(duration);
+    out.zeros(2);
+    out.dword(0);
+
+    let chunks = 0;
+    const chunk = (type, body) => {
+      writeChunk(out, type, body);
+      chunks++;
+    };
+
+    if (f === 0) {
+      // Old palette chunk first, for readers that predate the new one
+      chunk(CHUNK_OLD_PALETTE, (w) => {
+        w.word(1);
+        w.byte(0);
+        w.byte((palette.length + 1) & 0xff);  // 0 means 256
+        w.raw([0, 0, 0]);
+        for (const [r, g, b] of palette) w.raw([r, g, b]);
+      });
+
+      chunk(CHUNK_PALETTE, (w) => {
+        w.dword(palette.length + 1);
+        w.dword(0);
+        w.dword(palette.length);
+        w.zeros(8);
+        w.word(0);
+        w.raw([0, 0, 0, 0]);
+        for (const [r, g, b] of palette) {
+          w.word(0);
+          w.raw([r, g, b, 255]);
+        }
+      });
+
+      chunk(CHUNK_LAYER, (w) => {
+        w.word(LAYER_VISIBLE_EDITABLE);
+        w.word(0);  // normal layer
+        w.word(0);  // child level
+        w.word(0);
+        w.word(0);
+        w.word(0);  // blend mode: normal
+        w.byte(255);
+        w.zeros(3);
+        w.string('Sprite');
+      });
+
+      chunk(CHUNK_TAGS, (w) => {
+        w.word(stored.length);
+        w.zeros(8);
+        let from = 0;
+        for (const { stateId, viewId, frames } of stored) {
+          const loop = ANIMATION_STATES[stateId]?.loop ?? true;
+          w.word(from);
+          w.word(from + frames.length - 1);
+          w.byte(pingPong ? ASE_LOOP_PING_PONG : ASE_LOOP_FORWARD);
+          w.word(loop ? 0 : 1);  // repeat: 0 = forever
+          w.zeros(6);
+          w.raw([0, 0, 0]);
+          w.byte(0);
+          w.string(asepriteTagName(stateId, viewId, multiView));
+          from += frames.length;
+        }
+      });
+    }
+
+    if (frame) {
+      chunk(CHUNK_CEL, (w) => {
+        const { width: celW, height: celH, data } = frame.pixelData;
+        w.word(0);  // layer index
+        w.word(0);  // x
+        w.word(0);  // y
+        w.byte(255);
+        w.word(CEL_RAW);
+        w.word(0);  // z-index
+        w.zeros(5);
+        w.word(celW);
+        w.word(celH);
+        const indices = new Uint8Array(celW * celH);
+        for (let p = 0; p < indices.length; p++) {
+          const i = p * 4;
+          indices[p] = data[i + 3] < 10
+            ? TRANSPARENT_INDEX
+            : lookup.get(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+        }
+        w.raw(indices);
+      });
+    }
+
+    out.setDword(frameStart, out.length - frameStart);
+    out.setWord(chunkCountAt, chunks);
+    out.setDword(frameStart + ASE_FRAME_HEADER_SIZE - 4, chunks);
+  });
+
+  out.setDword(0, out.length);
+  return out.toUint8Array();
+}
+
+/**
+ * Download every stored animation as one .aseprite file.
+ *
+ * @param {Array<{ stateId, viewId, frames }>} animations
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {number} meta.fps
+ * @param {boolean} meta.pingPong
+ * @param {number} meta.pixelAspect
+ * @returns {{ fileName: string, frameCount: number, tagCount: number }}
+ */
+export function exportAseprite(animations, meta = {}) {
+  const { characterName = 'sprite', fps, pingPong, pixelAspect } = meta;
+  const bytes = buildAsepriteFile(animations, { fps, pingPong, pixelAspect });
+  const fileName = `${characterName}.aseprite`;
+  downloadFile(new Blob([bytes], { type: 'application/octet-stream' }), fileName);
+
+  const stored = animations.filter(a => a.frames.some(Boolean));
+  return {
+    fileName,
+    frameCount: stored.reduce((n, a) => n + a.frames.length, 0),
+    tagCount: stored.length,
+  };
+}
+
+// ─── Reader ──────────────────────────────────────────────────────────────────
+
+/**
+ * Inflate zlib data (compressed cels).
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Convert cel pixels of any color depth to RGBA.
+ * @param {Uint8Array} pixels
+ * @param {number} depth - 32, 16 or 8 bits per pixel
+ * @param {number[][]} palette - RGBA entries (indexed only)
+ * @param {number} transparentIndex - Indexed only; drawn opaque on background layers
+ * @param {boolean} background
+ * @returns {Uint8ClampedArray}
+ */
+function celToRgba(pixels, depth, palette, transparentIndex, background) {
+  if (depth === COLOR_DEPTH_RGBA) return new Uint8ClampedArray(pixels);
+  const count = depth === COLOR_DEPTH_GRAYSCALE ? pixels.length / 2 : pixels.length;
+  const rgba = new Uint8ClampedArray(count * 4);
+  for (let p = 0; p < count; p++) {
+    if (depth === COLOR_DEPTH_GRAYSCALE) {
+      const v = pixels[p * 2];
+      rgba.set([v, v, v, pixels[p * 2 + 1]], p * 4);
+    } else {
+      const index = pixels[p];
+      if (index === transparentIndex && !background) continue;
+      const [r, g, b, a] = palette[index] || [0, 0, 0, 0];
+      rgba.set([r, g, b, background ? 255 : a], p * 4);
+    }
+  }
+  return rgba;
+}
+
+/**
+ * Parse an .aseprite / .ase file and flatten its visible layers.
+ *
+ * Layers are composited bottom to top with normal blending (other blend
+ * modes are treated as normal); hidden layers, layers inside hidden groups
+ * and reference layers are skipped. Indexed files keep their palette;
+ * grayscale and RGBA files get one built from their opaque pixels.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{ width: number, height: number, pixelAspect: number, frames: Array<{ duration: number, pixelData: ImageData }>, tags: Array<{ name: string, from: number, to: number, direction: number }>, palette: number[][]|null }>}
+ * @throws {Error} On a bad signature, unsupported color depth or tilemap cels
+ */
+export async function parseAsepriteFile(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  if (buffer.byteLength < ASE_HEADER_SIZE || view.getUint16(4, true) !== ASE_MAGIC) {
+    throw new Error('Not an Aseprite file: bad header magic');
+  }
+
+  const frameCount = view.getUint16(6, true);
+  const width = view.getUint16(8, true);
+  const height = view.getUint16(10, true);
+  const depth = view.getUint16(12, true);
+  const opacityValid = Boolean(view.getUint32(14, true) & HEADER_FLAG_LAYER_OPACITY);
+  const transparentIndex = view.getUint8(28);
+  const pixelW = view.getUint8(34);
+  const pixelH = view.getUint8(35);
+  if (![COLOR_DEPTH_RGBA, COLOR_DEPTH_GRAYSCALE, COLOR_DEPTH_INDEXED].includes(depth)) {
+    throw new Error(`Unsupported Aseprite color depth: ${depth} bpp`);
+  }
+  const bytesPerPixel = depth / 8;
+  const readString = (o) => new TextDecoder().decode(bytes.subarray(o + 2, o + 2 + view.getUint16(o, true)));
+
+  const palette = [];
+  const oldPalette = [];
+  const layers = [];
+  const tags = [];
+  const frames = [];
+  let offset = ASE_HEADER_SIZE;
+
+  for (let f = 0; f < frameCount; f++) {
+    if (view.getUint16(offset + 4, true) !== ASE_FRAME_MAGIC) {
+      throw new Error(`Corrupt Aseprite file: bad magic in frame ${f}`);
+    }
+    const frameSize = view.getUint32(offset, true);
+    const chunkCount = view.getUint32(offset + 12, true) || view.getUint16(offset + 6, true);
+    const frame = { duration: view.getUint16(offset + 8, true), cels: [] };
+    let c = offset + ASE_FRAME_HEADER_SIZE;
+
+    for (let i = 0; i < chunkCount; i++) {
+      const chunkSize = view.getUint32(c, true);
+      const type = view.getUint16(c + 4, true);
+      const d = c + 6;
+
+      if (type === CHUNK_OLD_PALETTE || type === CHUNK_OLD_PALETTE_6BIT) {
+        // Only used when the file has no new palette chunk
+        const scale = type === CHUNK_OLD_PALETTE_6BIT ? (v) => (v << 2) | (v >> 4) : (v) => v;
+        let p = d + 2;
+        let index = 0;
+        for (let k = 0; k < view.getUint16(d, true); k++) {
+          index += bytes[p];
+          const n = bytes[p + 1] || 256;
+          p += 2;
+          for (let e = 0; e < n; e++, index++, p += 3) {
+            oldPalette[index] = [scale(bytes[p]), scale(bytes[p + 1]), scale(bytes[p + 2]), 255];
+          }
+        }
+      } else if (type === CHUNK_PALETTE) {
+        const first = view.getUint32(d + 4, true);
+        const last = view.getUint32(d + 8, true);
+        let p = d + 20;
+        for (let index = first; index <= last; index++) {
+          const flags = view.getUint16(p, true);
+          palette[index] = [bytes[p + 2], bytes[p + 3], bytes[p + 4], bytes[p + 5]];
+          p += 6;
+          if (flags & 1) p += 2 + view.getUint16(p, true);  // entry name
+        }
+      } else if (type === CHUNK_LAYER) {
+        layers.push({
+          flags: view.getUint16(d, true),
+          type: view.getUint16(d + 2, true),
+          childLevel: view.getUint16(d + 4, true),
+          opacity: opacityValid ? bytes[d + 12] : 255,
+          name: readString(d + 16),
+        });
+      } else if (type === CHUNK_CEL) {
+        const cel = {
+          layer: view.getUint16(d, true),
+          x: view.getInt16(d + 2, true),
+          y: view.getInt16(d + 4, true),
+          opacity: bytes[d + 6],
+          zIndex: view.getInt16(d + 9, true),
+        };
+        const celType = view.getUint16(d + 7, true);
+        if (celType === CEL_LINKED) {
+          cel.link = view.getUint16(d + 16, true);
+        } else if (celType === CEL_RAW || celType === CEL_COMPRESSED) {
+          cel.w = view.getUint16(d + 16, true);
+          cel.h = view.getUint16(d + 18, true);
+          const data = bytes.subarray(d + 20, c + chunkSize);
+          cel.pixels = celType === CEL_RAW ? data : await inflate(data);
+          if (cel.pixels.length < cel.w * cel.h * bytesPerPixel) {
+            throw new Error(`Corrupt Aseprite file: short cel in frame ${f}`);
+          }
+        } else {
+          throw new Error('Tilemap layers are not supported — convert them to regular layers first');
+        }
+        frame.cels.push(cel);
+      } else if (type === CHUNK_TAGS) {
+        let p = d + 10;
+        for (let k = 0; k < view.getUint16(d, true); k++) {
+          tags.push({
+            from: view.getUint16(p, true),
+            to: view.getUint16(p + 2, true),
+            direction: bytes[p + 4],
+            name: readString(p + 17),
+          });
+          p += 19 + view.getUint16(p + 17, true);
+        }
+      }
+      c += chunkSize;
+    }
+
+    frames.push(frame);
+    offset += frameSize;
+  }
+
+  const rgbaPalette = palette.length > 0 ? palette : oldPalette;
+
+  // A layer shows only if it and every enclosing group are visible
+  const parents = [];
+  const shown = layers.map((layer) => {
+    parents.length = layer.childLevel;
+    const visible = Boolean(layer.flags & LAYER_VISIBLE) && !(layer.flags & LAYER_REFERENCE) &&
+      parents.every(Boolean);
+    parents.push(visible);
+    return visible && layer.type === LAYER_TYPE_IMAGE;
+  });
+
+  const flattened = frames.map(({ duration, cels }) => {
+    const out = new Uint8ClampedArray(width * height * 4);
+    const ordered = cels
+      .filter(cel => shown[cel.layer])
+      .sort((a, b) => (a.layer + a.zIndex) - (b.layer + b.zIndex) || a.zIndex - b.zIndex);
+
+    for (const cel of ordered) {
+      const source = cel.link !== undefined
+        ? frames[cel.link]?.cels.find(other => other.layer === cel.layer && other.pixels)
+        : cel;
+      if (!source) continue;
+      const layer = layers[cel.layer];
+      const rgba = celToRgba(source.pixels, depth, rgbaPalette, transparentIndex,
+        Boolean(layer.flags & LAYER_BACKGROUND));
+      const opacity = (cel.opacity / 255) * (layer.opacity / 255);
+
+      for (let y = 0; y < source.h; y++) {
+        const ty = source.y + y;
+        if (ty < 0 || ty >= height) continue;
+        for (let x = 0; x < source.w; x++) {
+          const tx = source.x + x;
+          if (tx < 0 || tx >= width) continue;
+          const s = (y * source.w + x) * 4;
+          const t = (ty * width + tx) * 4;
+          const sa = (rgba[s + 3] / 255) * opacity;
+          if (sa === 0) continue;
+          const ta = out[t + 3] / 255;
+          const a = sa + ta * (1 - sa);
+          for (let k = 0; k < 3; k++) {
+            out[t + k] = (rgba[s + k] * sa + out[t + k] * ta * (1 - sa)) / a;
+          }
+          out[t + 3] = a * 255;
+        }
+      }
+    }
+    return { duration, pixelData: new ImageData(out, width, height) };
+  });
+
+  let colors;
+  if (depth === COLOR_DEPTH_INDEXED) {
+    colors = rgbaPalette
+      .map((c, i) => (i !== transparentIndex && c && c[3] > 0 ? c.slice(0, 3) : null))
+      .filter(Boolean);
+  } else {
+    const seen = new Map();
+    for (const { pixelData: { data } } of flattened) {
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 255) seen.set(`${data[i]},${data[i + 1]},${data[i + 2]}`, [data[i], data[i + 1], data[i + 2]]);
+      }
+    }
+    colors = [...seen.values()];
+  }
+  const uniqueColors = [...new Map(colors.map(c => [c.join(','), c])).values()];
+
+  return {
+    width,
+    height,
+    pixelAspect: pixelW && pixelH ? pixelW / pixelH : 1,
+    frames: flattened,
+    tags,
+    palette: uniqueColors.length > 0 && uniqueColors.length <= 256 ? uniqueColors : null,
+  };
+}
+
+/**
+ * Find an entry in an id → { id, name } registry by id or display name.
+ */
+function matchRegistry(registry, text) {
+  const key = text.trim().toLowerCase();
+  return Object.values(registry).find(
+    entry => entry.id.toLowerCase() === key || entry.name.toLowerCase() === key
+  )?.id || null;
+}
+
+/**
+ * Map a parsed file's tags onto animation states and views. Tag names are a
+ * state id or name, optionally followed by ":view" (as written by
+ * buildAsepriteFile); tags without a view use the fallback view. A file
+ * without tags becomes one animation in the fallback state.
+ *
+ * @param {Awaited<ReturnType<typeof parseAsepriteFile>>} file
+ * @param {{ stateId: string, viewId: string }} fallback - Current state and view
+ * @returns {{ animations: Array<{ stateId: string, viewId: string, frames: Array<{ duration: number, pixelData: ImageData }> }>, skipped: string[] }}
+ */
+export function mapAsepriteTags(file, fallback) {
+  if (file.tags.length === 0) {
+    return { animations: [{ ...fallback, frames: file.frames }], skipped: [] };
+  }
+
+  const animations = [];
+  const skipped = [];
+  for (const tag of file.tags) {
+    const [statePart, viewPart] = tag.name.split(':');
+    const stateId = matchRegistry(ANIMATION_STATES, statePart);
+    const viewId = viewPart === undefined ? fallback.viewId : matchRegistry(VIEWS, viewPart);
+    if (!stateId || !viewId) {
+      skipped.push(tag.name);
+      continue;
+    }
+    animations.push({ stateId, viewId, frames: file.frames.slice(tag.from, tag.to + 1) });
+  }
+  return { animations, skipped };
+}
@@ -0,0 +1,327 @@
+/**
+ * Atlas Packer
+ *
+ * Packs every animation of a character into one texture atlas:
+ *   - trims transparent borders (spriteSourceSize keeps the offsets)
+ *   - stores identical frames once
+ *   - MaxRects packing (best short side fit) into a power-of-two texture
+ *   - edge extrusion and padding against filtering bleed
+ *
+ * The atlas is written as TexturePacker JSON Hash, PixiJS spritesheet and
+ * Phaser multi-atlas JSON.
+ */
+
+import { engineAnimationName } from './engine-export.js';
+import { downloadFile, exportSheetAsPng } from './sprite-sheet.js';
+
+/** Largest atlas side we will grow to */
+export const MAX_ATLAS_SIZE = 4096;
+
+// ─── Trimming & Dedupe ───────────────────────────────────────────────────────
+
+/**
+ * Bounding box of a frame's non-transparent pixels. Fully transparent
+ * frames keep a 1×1 box so they still get an atlas entry.
+ *
+ * @param {ImageData} pixelData
+ * @returns {{ x: number, y: number, w: number, h: number }}
+ */
+export function trimBounds(pixelData) {
+  const { width, height, data } = pixelData;
+  let x0 = width, y0 = height, x1 = -1, y1 = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+    }
+  }
+  if (x1 === -1) return { x: 0, y: 0, w: 1, h: 1 };
+  return { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+/**
+ * Copy a region of a frame, extruding its edge pixels outward.
+ *
+ * @param {ImageData} pixelData
+ * @param {{ x: number, y: number, w: number, h: number }} rect
+ * @param {number} extrude - Pixels of edge repeat on each side
+ * @returns {ImageData}
+ */
+function cropExtruded(pixelData, rect, extrude) {
+  const w = rect.w + extrude * 2;
+  const h = rect.h + extrude * 2;
+  const out = new ImageData(w, h);
+  for (let y = 0; y < h; y++) {
+    const sy = rect.y + Math.min(rect.h - 1, Math.max(0, y - extrude));
+    for (let x = 0; x < w; x++) {
+      const sx = rect.x + Math.min(rect.w - 1, Math.max(0, x - extrude));
+      const s = (sy * pixelData.width + sx) * 4;
+      out.data.set(pixelData.data.subarray(s, s + 4), (y * w + x) * 4);
+    }
+  }
+  return out;
+}
+
+/**
+ * Identity key of a trimmed frame: its offsets, sizes and pixels.
+ */
+function frameKey(pixelData, rect) {
+  const parts = [pixelData.width, pixelData.height, rect.x, rect.y, rect.w, rect.h];
+  for (let y = rect.y; y < rect.y + rect.h; y++) {
+    const row = pixelData.data.subarray((y * pixelData.width + rect.x) * 4, (y * pixelData.width + rect.x + rect.w) * 4);
+    parts.push(row.join(','));
+  }
+  return parts.join('|');
+}
+
+// ─── MaxRects ────────────────────────────────────────────────────────────────
+
+/**
+ * Pack rectangles into a bin with MaxRects (best short side fit).
+ *
+ * @param {Array<{ w: number, h: number }>} sizes
+ * @param {number} binW
+ * @param {number} binH
+ * @returns {Array<{ x: number, y: number }>|null} Positions in input order, or null if they don't fit
+ */
+export function packMaxRects(sizes, binW, binH) {
+  let free = [{ x: 0, y: 0, w: binW, h: binH }];
+  const positions = new Array(sizes.length);
+
+  // Big items first pack tighter
+  const order = sizes
+    .map((size, i) => i)
+    .sort((a, b) => Math.max(sizes[b].w, sizes[b].h) - Math.max(sizes[a].w, sizes[a].h) ||
+      sizes[b].w * sizes[b].h - sizes[a].w * sizes[a].h);
+
+  for (const i of order) {
+    const { w, h } = sizes[i];
+    let best = null;
+    let bestShort = Infinity;
+    let bestLong = Infinity;
+    for (const rect of free) {
+      if (rect.w < w || rect.h < h) continue;
+      const short = Math.min(rect.w - w, rect.h - h);
+      const long = Math.max(rect.w - w, rect.h - h);
+      if (short < bestShort || (short === bestShort && long < bestLong)) {
+        best = rect;
+        bestShort = short;
+        bestLong = long;
+      }
+    }
+    if (!best) return null;
+
+    const placed = { x: best.x, y: best.y, w, h };
+    positions[i] = { x: placed.x, y: placed.y };
+
+    // Split every free rect the placed one overlaps
+    const next = [];
+    for (const rect of free) {
+      if (placed.x >= rect.x + rect.w || placed.x + w <= rect.x ||
+          placed.y >= rect.y + rect.h || placed.y + h <= rect.y) {
+        next.push(rect);
+        continue;
+      }
+      if (placed.x > rect.x) next.push({ x: rect.x, y: rect.y, w: placed.x - rect.x, h: rect.h });
+      if (placed.x + w < rect.x + rect.w) {
+        next.push({ x: placed.x + w, y: rect.y, w: rect.x + rect.w - placed.x - w, h: rect.h });
+      }
+      if (placed.y > rect.y) next.push({ x: rect.x, y: rect.y, w: rect.w, h: placed.y - rect.y });
+      if (placed.y + h < rect.y + rect.h) {
+        next.push({ x: rect.x, y: placed.y + h, w: rect.w, h: rect.y + rect.h - placed.y - h });
+      }
+    }
+
+    // Drop free rects contained in another
+    free = next.filter((a, ai) => !next.some((b, bi) => bi !== ai &&
+      a.x >= b.x && a.y >= b.y && a.x + a.w <= b.x + b.w && a.y + a.h <= b.y + b.h &&
+      (bi < ai || a.x !== b.x || a.y !== b.y || a.w !== b.w || a.h !== b.h)));
+  }
+  return positions;
+}
+
+const nextPowerOfTwo = (v) => 2 ** Math.ceil(Math.log2(Math.max(1, v)));
+
+// ─── Atlas ───────────────────────────────────────────────────────────────────
+
+/**
+ * Pack animations into one power-of-two atlas.
+ *
+ * @param {Array<{ stateId: string, viewId: string, frames: Array<{ pixelData: ImageData }|null> }>} animations
+ * @param {object} options
+ * @param {boolean} options.trim - Trim transparent borders (default true)
+ * @param {number} options.padding - Transparent pixels between frames and around the edge (default 2)
+ * @param {number} options.extrude - Edge pixels repeated around each frame (default 1)
+ * @param {number} options.maxSize - Largest atlas side (default 4096)
+ * @returns {{ canvas: HTMLCanvasElement, width: number, height: number, frames: Array<{ name: string, frame: { x, y, w, h }, trimmed: boolean, spriteSourceSize: { x, y, w, h }, sourceSize: { w, h } }>, animations: Object<string, string[]>, uniqueCount: number }}
+ * @throws {Error} With no frames, or if they don't fit maxSize
+ */
+export function packAtlas(animations, options = {}) {
+  const { trim = true, padding = 2, extrude = 1, maxSize = MAX_ATLAS_SIZE } = options;
+
+  const entries = [];
+  const animationFrames = {};
+  for (const { stateId, viewId, frames } of animations) {
+    const animName = engineAnimationName(stateId, viewId);
+    const names = [];
+    frames.forEach((frame, i) => {
+      if (!frame) return;
+      const name = `${animName}_${String(i).padStart(3, '0')}`;
+      const { width, height } = frame.pixelData;
+      const rect = trim ? trimBounds(frame.pixelData) : { x: 0, y: 0, w: width, h: height };
+      entries.push({ name, pixelData: frame.pixelData, rect });
+      names.push(name);
+    });
+    if (names.length > 0) animationFrames[animName] = names;
+  }
+  if (entries.length === 0) {
+    throw new Error('No frames to pack');
+  }
+
+  // Identical trimmed frames share one packed region
+  const unique = [];
+  const byKey = new Map();
+  for (const entry of entries) {
+    const key = frameKey(entry.pixelData, entry.rect);
+    if (!byKey.has(key)) {
+      byKey.set(key, unique.length);
+      unique.push(entry);
+    }
+    entry.unique = byKey.get(key);
+  }
+
+  const cell = (entry) => ({ w: entry.rect.w + extrude * 2 + padding, h: entry.rect.h + extrude * 2 + padding });
+  const sizes = unique.map(cell);
+  const area = sizes.reduce((n, s) => n + s.w * s.h, 0);
+  let width = nextPowerOfTwo(Math.max(Math.sqrt(area), ...sizes.map(s => s.w + padding)));
+  let height = nextPowerOfTwo(Math.max(area / width, ...sizes.map(s => s.h + padding)));
+
+  let positions = null;
+  while (width <= maxSize && height <= maxSize) {
+    // The bin starts after the leading padding; each cell carries its trailing padding
+    positions = packMaxRects(sizes, width - padding, height - padding);
+    if (positions) break;
+    if (width <= height) width *= 2;
+    else height *= 2;
+  }
+  if (!positions) {
+    throw new Error(`Frames do not fit a ${maxSize}×${maxSize} atlas`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  unique.forEach((entry, i) => {
+    ctx.putImageData(cropExtruded(entry.pixelData, entry.rect, extrude),
+      positions[i].x + padding, positions[i].y + padding);
+  });
+
+  const frames = entries.map(({ name, pixelData, rect, unique: u }) => ({
+    name,
+    frame: {
+      x: positions[u].x + padding + extrude,
+      y: positions[u].y + padding + extrude,
+      w: rect.w,
+      h: rect.h,
+    },
+    trimmed: rect.w !== pixelData.width || rect.h !== pixelData.height,
+    spriteSourceSize: { ...rect },
+    sourceSize: { w: pixelData.width, h: pixelData.height },
+  }));
+
+  return { canvas, width, height, frames, animations: animationFrames, uniqueCount: unique.length };
+}
+
+// ─── JSON Formats ────────────────────────────────────────────────────────────
+
+const atlasMeta = (atlas, image) => ({
+  app: 'PixelGen',
+  version: '1.0',
+  image,
+  format: 'RGBA8888',
+  size: { w: atlas.width, h: atlas.height },
+  scale: '1',
+});
+
+const frameData = ({ frame, trimmed, spriteSourceSize, sourceSize }) => ({
+  frame,
+  rotated: false,
+  trimmed,
+  spriteSourceSize,
+  sourceSize,
+});
+
+/**
+ * Generic TexturePacker JSON Hash.
+ * @param {ReturnType<typeof packAtlas>} atlas
+ * @param {string} image - Atlas image file name
+ * @returns {object}
+ */
+export function toTexturePackerHash(atlas, image) {
+  return {
+    frames: Object.fromEntries(atlas.frames.map(f => [f.name, frameData(f)])),
+    meta: atlasMeta(atlas, image),
+  };
+}
+
+/**
+ * PixiJS spritesheet: JSON Hash plus the animations map used by
+ * AnimatedSprite.
+ * @param {ReturnType<typeof packAtlas>} atlas
+ * @param {string} image
+ * @returns {object}
+ */
+export function toPixiSpritesheet(atlas, image) {
+  return { ...toTexturePackerHash(atlas, image), animations: atlas.animations };
+}
+
+/**
+ * Phaser 3 multi-atlas (one texture entry holding every frame).
+ * @param {ReturnType<typeof packAtlas>} atlas
+ * @param {string} image
+ * @returns {object}
+ */
+export function toPhaserMultiAtlas(atlas, image) {
+  const { app, version } = atlasMeta(atlas, image);
+  return {
+    textures: [{
+      image,
+      format: 'RGBA8888',
+      size: { w: atlas.width, h: atlas.height },
+      scale: 1,
+      frames: atlas.frames.map(f => ({ filename: f.name, ...frameData(f) })),
+    }],
+    meta: { app, version },
+  };
+}
+
+/**
+ * Pack and download the atlas PNG plus TexturePacker, PixiJS and Phaser JSON.
+ *
+ * @param {Array<{ stateId, viewId, frames }>} animations
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {object} meta.options - packAtlas options
+ * @returns {Promise<{ files: string[], atlas: ReturnType<typeof packAtlas> }>}
+ */
+export async function exportAtlas(animations, meta = {}) {
+  const { characterName = 'sprite', options = {} } = meta;
+  const atlas = packAtlas(animations, options);
+  const image = `${characterName}_atlas.png`;
+
+  const files = {
+    [`${characterName}_atlas.json`]: toTexturePackerHash(atlas, image),
+    [`${characterName}_atlas_pixi.json`]: toPixiSpritesheet(atlas, image),
+    [`${characterName}_atlas_phaser.json`]: toPhaserMultiAtlas(atlas, image),
+  };
+
+  downloadFile(await exportSheetAsPng(atlas.canvas), image);
+  for (const [fileName, json] of Object.entries(files)) {
+    downloadFile(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), fileName);
+  }
+  return { files: [image, ...Object.keys(files)], atlas };
+}
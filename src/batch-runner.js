@@ -0,0 +1,244 @@
+/**
+ * Batch Runner
+ *
+ * Generates a whole character in one run: one job per animation state ×
+ * view, worked off with a fixed number of jobs in flight. The run and its
+ * queue live in IndexedDB (sprite-storage), so a run cut off by a page
+ * reload can be loaded and resumed where it stopped.
+ *
+ * The runner only schedules and records progress; the caller supplies the
+ * job itself (generate, process and save every frame of one combo).
+ */
+
+import { ANIMATION_STATES } from './animation-states.js';
+import {
+  createBatchRun,
+  getBatchRun,
+  updateBatchRun,
+  updateBatchJob,
+} from './sprite-storage.js';
+
+/** Most jobs allowed in flight at once */
+export const MAX_BATCH_CONCURRENCY = 4;
+
+/**
+ * Queue entries for every checked state × view, state-major.
+ *
+ * @param {string[]} stateIds
+ * @param {string[]} viewIds
+ * @returns {Array<{ stateId, viewId, frameCount, framesDone, status, error }>}
+ */
+export function planBatchJobs(stateIds, viewIds) {
+  const jobs = [];
+  for (const stateId of stateIds) {
+    const state = ANIMATION_STATES[stateId];
+    if (!state) continue;
+    for (const viewId of viewIds) {
+      jobs.push({ stateId, viewId, frameCount: state.frameCount, framesDone: 0, status: 'pending', error: '' });
+    }
+  }
+  return jobs;
+}
+
+/**
+ * Store a new batch run. Without a seed, one random base seed is picked
+ * so every combo (and any resumed job) uses the same one.
+ *
+ * @param {object} options
+ * @param {string} options.characterName
+ * @param {string} options.prompt - Character description
+ * @param {number} options.seed - Base seed; frame i uses seed + i
+ * @param {number} options.concurrency - Jobs in flight (1–4)
+ * @param {object} options.settings - Generation/processing settings snapshot
+ * @param {string[]} options.stateIds
+ * @param {string[]} options.viewIds
+ * @returns {Promise<number>} Run ID
+ * @throws {Error} With no name, prompt or combos
+ */
+export async function createBatch({ characterName, prompt, seed, concurrency = 2, settings = {}, stateIds, viewIds }) {
+  if (!characterName) {
+    throw new Error('Enter a character name for the batch');
+  }
+  if (!prompt) {
+    throw new Error('Enter a character description for the batch');
+  }
+  const jobs = planBatchJobs(stateIds, viewIds);
+  if (jobs.length === 0) {
+    throw new Error('Pick at least one animation state and one view');
+  }
+  return createBatchRun({
+    characterName,
+    prompt,
+    seed: seed ?? Math.floor(Math.random() * 1e9),
+    concurrency: Math.min(MAX_BATCH_CONCURRENCY, Math.max(1, concurrency)),
+    settings,
+    status: 'paused',
+  }, jobs);
+}
+
+export class BatchRunner {
+  /**
+   * @param {object} options
+   * @param {(job: object, run: object, context: { onProgress: (framesDone: number) => void, signal: AbortSignal }) => Promise<void>} options.runJob
+   *   Generates and saves one combo; should stop with an error once signal is aborted
+   * @param {(run: object, jobs: object[]) => void} options.onUpdate - Called on every status/progress change
+   */
+  constructor({ runJob, onUpdate = null }) {
+    this.runJob = runJob;
+    this.onUpdate = onUpdate;
+    this.run = null;
+    this.jobs = [];
+    this._controller = null;
+    this._active = null;
+  }
+
+  get isRunning() {
+    return this._controller !== null;
+  }
+
+  /**
+   * Load a stored run. Jobs that were mid-flight when the page went away
+   * start over.
+   * @param {number} runId
+   * @returns {Promise<object>} The run
+   */
+  async load(runId) {
+    const { run, jobs } = await getBatchRun(runId);
+    if (!run) {
+      throw new Error(`Batch run ${runId} not found`);
+    }
+    for (const job of jobs) {
+      if (job.status === 'running') {
+        Object.assign(job, { status: 'pending', framesDone: 0 });
+        await updateBatchJob(job.id, { status: 'pending', framesDone: 0 });
+      }
+    }
+    if (run.status === 'running') {
+      run.status = 'paused';
+      await updateBatchRun(run.id, { status: 'paused' });
+    }
+    this.run = run;
+    this.jobs = jobs;
+    this._notify();
+    return run;
+  }
+
+  /**
+   * Work off every pending job, `run.concurrency` at a time.
+   * Resolves when the queue is empty or the run was paused.
+   * @returns {Promise<{ done: number, failed: number, pending: number }>}
+   */
+  async start() {
+    if (!this.run) {
+      throw new Error('No batch run loaded');
+    }
+    if (this.isRunning) return this.summary();
+
+    const controller = new AbortController();
+    this._controller = controller;
+    this._active = this._work(controller.signal);
+    try {
+      return await this._active;
+    } finally {
+      this._controller = null;
+      this._active = null;
+    }
+  }
+
+  /**
+   * Stop after the jobs in flight give up; they go back to pending.
+   */
+  pause() {
+    this._controller?.abort();
+  }
+
+  /**
+   * Queue failed jobs again.
+   */
+  async retryFailed() {
+    for (const job of this.jobs) {
+      if (job.status !== 'failed') continue;
+      Object.assign(job, { status: 'pending', framesDone: 0, error: '' });
+      await updateBatchJob(job.id, { status: 'pending', framesDone: 0, error: '' });
+    }
+    this._notify();
+  }
+
+  /**
+   * Drop the run so it isn't offered for resuming again.
+   */
+  async discard() {
+    this.pause();
+    // Let start() write its final status first so it can't overwrite ours
+    await this._active?.catch(() => {});
+    if (this.run) {
+      await this._setStatus('discarded');
+    }
+  }
+
+  /**
+   * Job counts by outcome.
+   * @returns {{ done: number, failed: number, pending: number }}
+   */
+  summary() {
+    const count = (status) => this.jobs.filter(job => job.status === status).length;
+    return { done: count('done'), failed: count('failed'), pending: count('pending') + count('running') };
+  }
+
+  // ─── Internal ────────────────────────────────────────────────────────────
+
+  async _work(signal) {
+    await this._setStatus('running');
+
+    const nextJob = () => this.jobs.find(job => job.status === 'pending');
+    const worker = async () => {
+      for (let job = nextJob(); job && !signal.aborted; job = nextJob()) {
+        await this._runOne(job, signal);
+      }
+    };
+    await Promise.all(Array.from({ length: this.run.concurrency || 1 }, worker));
+
+    const summary = this.summary();
+    await this._setStatus(summary.pending === 0 && summary.failed === 0 ? 'done' : 'paused');
+    return summary;
+  }
+
+  async _runOne(job, signal) {
+    // Claim the job before the first await so no other worker picks it
+    Object.assign(job, { status: 'running', framesDone: 0, error: '' });
+    this._notify();
+
+    const onProgress = (framesDone) => {
+      job.framesDone = framesDone;
+      this._notify();
+      updateBatchJob(job.id, { framesDone }).catch(err => console.warn('Failed to store batch progress:', err));
+    };
+
+    let changes;
+    try {
+      await updateBatchJob(job.id, { status: 'running', framesDone: 0, error: '' });
+      await this.runJob(job, this.run, { onProgress, signal });
+      changes = { status: 'done', framesDone: job.frameCount, error: '' };
+    } catch (err) {
+      changes = signal.aborted
+        ? { status: 'pending', framesDone: 0, error: '' }
+        : { status: 'failed', error: err.message };
+      if (!signal.aborted) console.error(`Batch job ${job.stateId}/${job.viewId} failed:`, err);
+    }
+    Object.assign(job, changes);
+    this._notify();
+    await updateBatchJob(job.id, changes);
+  }
+
+  async _setStatus(status) {
+    this.run.status = status;
+    this._notify();
+    await updateBatchRun(this.run.id, { status });
+  }
+
+  _notify() {
+    if (this.onUpdate) {
+      this.onUpdate(this.run, this.jobs);
+    }
+  }
+}
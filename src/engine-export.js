@@ -0,0 +1,464 @@
+/**
+ * Game Engine Export
+ *
+ * Packs every stored animation into one grid sheet (a row per state/view,
+ * frames left to right) and writes it with the engine files that describe
+ * it:
+ *   - Godot 4: a SpriteFrames .tres (one animation per state/view, with
+ *     speed and loop) and an AnimatedSprite2D .tscn using nearest filtering
+ *   - Unity: a .png.meta slicing the sheet (spriteMode: Multiple, point
+ *     filter, pixels-per-unit from the sprite size) and one AnimationClip
+ *     .anim per state/view
+ */
+
+import { ANIMATION_STATES } from './animation-states.js';
+import { downloadFile, exportSheetAsPng } from './sprite-sheet.js';
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Make a state/view pair safe for engine resource names ("3/4-front" →
+ * "3_4_front").
+ * @param {string} stateId
+ * @param {string} viewId
+ * @returns {string}
+ */
+export function engineAnimationName(stateId, viewId) {
+  return `${stateId}_${viewId}`.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Deterministic 32-hex-digit id (Unity GUIDs and sprite IDs), so
+ * re-exporting the same character keeps engine references intact.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stableHexId(text) {
+  let hex = '';
+  for (let seed = 0; seed < 4; seed++) {
+    // FNV-1a, one pass per 32-bit quarter
+    let h = (0x811c9dc5 ^ seed) >>> 0;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    hex += h.toString(16).padStart(8, '0');
+  }
+  return hex;
+}
+
+// ─── Sheet Layout ────────────────────────────────────────────────────────────
+
+/**
+ * Lay out stored animations as a grid sheet: one row per animation, empty
+ * slots skipped. Cells use the largest frame size.
+ *
+ * @param {Array<{ stateId: string, viewId: string, frames: Array<{ pixelData: ImageData }|null> }>} animations
+ * @returns {{ canvas: HTMLCanvasElement, width: number, height: number, frameWidth: number, frameHeight: number, animations: Array<{ name: string, stateId: string, viewId: string, loop: boolean, frames: Array<{ x: number, y: number, w: number, h: number }> }> }}
+ * @throws {Error} If there are no frames
+ */
+export function buildAnimationGrid(animations) {
+  const rows = animations
+    .map(a => ({ ...a, frames: a.frames.filter(Boolean) }))
+    .filter(a => a.frames.length > 0);
+  if (rows.length === 0) {
+    throw new Error('No frames to export');
+  }
+
+  const frameWidth = Math.max(...rows.flatMap(a => a.frames.map(f => f.pixelData.width)));
+  const frameHeight = Math.max(...rows.flatMap(a => a.frames.map(f => f.pixelData.height)));
+  const width = Math.max(...rows.map(a => a.frames.length)) * frameWidth;
+  const height = rows.length * frameHeight;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const layout = rows.map(({ stateId, viewId, frames }, row) => ({
+    name: engineAnimationName(stateId, viewId),
+    stateId,
+    viewId,
+    loop: ANIMATION_STATES[stateId]?.loop ?? true,
+    frames: frames.map(({ pixelData }, i) => {
+      const x = i * frameWidth;
+      const y = row * frameHeight;
+      ctx.putImageData(pixelData, x, y);
+      return { x, y, w: frameWidth, h: frameHeight };
+    }),
+  }));
+
+  return { canvas, width, height, frameWidth, frameHeight, animations: layout };
+}
+
+// ─── Godot 4 ─────────────────────────────────────────────────────────────────
+
+/**
+ * Godot 4 SpriteFrames resource: one AtlasTexture per frame region.
+ *
+ * @param {ReturnType<typeof buildAnimationGrid>} grid
+ * @param {object} meta
+ * @param {string} meta.texturePath - res:// path of the sheet PNG
+ * @param {number} meta.fps - Animation speed
+ * @returns {string}
+ */
+export function buildGodotSpriteFrames(grid, meta = {}) {
+  const { texturePath = 'res://spritesheet.png', fps = 8 } = meta;
+  const regions = grid.animations.flatMap(a => a.frames);
+
+  const lines = [
+    `[gd_resource type="SpriteFrames" load_steps=${regions.length + 2} format=3]`,
+    '',
+    `[ext_resource type="Texture2D" path="${texturePath}" id="1_sheet"]`,
+    '',
+  ];
+  regions.forEach(({ x, y, w, h }, i) => {
+    lines.push(
+      `[sub_resource type="AtlasTexture" id="AtlasTexture_${i}"]`,
+      'atlas = ExtResource("1_sheet")',
+      `region = Rect2(${x}, ${y}, ${w}, ${h})`,
+      ''
+    );
+  });
+
+  let region = 0;
+  const animations = grid.animations.map(({ name, loop, frames }) => {
+    const frameEntries = frames.map(() => `{
+"duration": 1.0,
+"texture": SubResource("AtlasTexture_${region++}")
+}`);
+    return `{
+"frames": [${frameEntries.join(', ')}],
+"loop": ${loop},
+"name": &"${name}",
+"speed": ${Number(fps).toFixed(1)}
+}`;
+  });
+  lines.push('[resource]', `animations = [${animations.join(', ')}]`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Godot 4 scene with an AnimatedSprite2D using the SpriteFrames and
+ * nearest-neighbor filtering.
+ *
+ * @param {ReturnType<typeof buildAnimationGrid>} grid
+ * @param {object} meta
+ * @param {string} meta.name - Node name
+ * @param {string} meta.spriteFramesPath - res:// path of the .tres
+ * @returns {string}
+ */
+export function buildGodotScene(grid, meta = {}) {
+  const { name = 'Sprite', spriteFramesPath = 'res://sprite.tres' } = meta;
+  const first = grid.animations[0];
+  return [
+    '[gd_scene load_steps=2 format=3]',
+    '',
+    `[ext_resource type="SpriteFrames" path="${spriteFramesPath}" id="1_frames"]`,
+    '',
+    `[node name="${name}" type="AnimatedSprite2D"]`,
+    'texture_filter = 1',
+    'sprite_frames = ExtResource("1_frames")',
+    `animation = &"${first.name}"`,
+    first.loop ? `autoplay = "${first.name}"` : null,
+    '',
+  ].filter(line => line !== null).join('\n');
+}
+
+// ─── Unity ───────────────────────────────────────────────────────────────────
+
+const UNITY_SPRITE_FILE_ID = 21300000;  // legacy Sprite fileID base, stepped by 2
+const UNITY_CLASS_SPRITE_RENDERER = 212;
+const UNITY_BINDING_SPRITE = 23;
+
+/**
+ * Sprite names and fileIDs in sheet order.
+ * @param {ReturnType<typeof buildAnimationGrid>} grid
+ * @param {string} baseName
+ * @returns {Array<Array<{ name: string, fileId: number }>>} Per animation, per frame
+ */
+function unitySpriteIds(grid, baseName) {
+  let index = 0;
+  return grid.animations.map(({ name, frames }) => frames.map((_, i) => ({
+    name: `${baseName}_${name}_${i}`,
+    fileId: UNITY_SPRITE_FILE_ID + 2 * index++,
+  })));
+}
+
+/**
+ * Unity TextureImporter .png.meta slicing the sheet into sprites
+ * (spriteMode: Multiple), with point filtering, no compression or mipmaps,
+ * and a bottom-center pivot.
+ *
+ * @param {ReturnType<typeof buildAnimationGrid>} grid
+ * @param {object} meta
+ * @param {string} meta.baseName - Sprite name prefix
+ * @param {string} meta.guid - Texture GUID
+ * @param {number} meta.pixelsPerUnit - Default: the larger sprite side
+ * @returns {string}
+ */
+export function buildUnityTextureMeta(grid, meta = {}) {
+  const {
+    baseName = 'sprite',
+    guid = stableHexId(baseName),
+    pixelsPerUnit = Math.max(grid.frameWidth, grid.frameHeight),
+  } = meta;
+  const ids = unitySpriteIds(grid, baseName);
+
+  const sprites = [];
+  const nameTable = [];
+  grid.animations.forEach((anim, a) => {
+    anim.frames.forEach(({ x, y, w, h }, i) => {
+      const { name, fileId } = ids[a][i];
+      nameTable.push(`      ${name}: ${fileId}`);
+      sprites.push(
+        '    - serializedVersion: 2',
+        `      name: ${name}`,
+        '      rect:',
+        '        serializedVersion: 2',
+        `        x: ${x}`,
+        `        y: ${grid.height - y - h}`,  // Unity rects start bottom-left
+        `        width: ${w}`,
+        `        height: ${h}`,
+        '      alignment: 7',
+        '      pivot: {x: 0.5, y: 0}',
+        '      border: {x: 0, y: 0, z: 0, w: 0}',
+        '      outline: []',
+        '      physicsShape: []',
+        '      tessellationDetail: 0',
+        '      bones: []',
+        `      spriteID: ${stableHexId(`${guid}:${name}`)}`,
+        `      internalID: ${fileId}`,
+        '      vertices: []',
+        '      indices: ',
+        '      edges: []',
+        '      weights: []'
+      );
+    });
+  });
+
+  return `fileFormatVersion: 2
+guid: ${guid}
+TextureImporter:
+  internalIDToNameTable: []
+  externalObjects: {}
+  serializedVersion: 12
+  mipmaps:
+    mipMapMode: 0
+    enableMipMap: 0
+    sRGBTexture: 1
+    linearTexture: 0
+    fadeOut: 0
+    borderMipMap: 0
+    mipMapsPreserveCoverage: 0
+    alphaTestReferenceValue: 0.5
+    mipMapFadeDistanceStart: 1
+    mipMapFadeDistanceEnd: 3
+  isReadable: 0
+  maxTextureSize: 2048
+  textureSettings:
+    serializedVersion: 2
+    filterMode: 0
+    aniso: 1
+    mipBias: 0
+    wrapU: 1
+    wrapV: 1
+    wrapW: 1
+  nPOTScale: 0
+  lightmap: 0
+  compressionQuality: 50
+  spriteMode: 2
+  spriteExtrude: 1
+  spriteMeshType: 0
+  alignment: 7
+  spritePivot: {x: 0.5, y: 0}
+  spritePixelsToUnits: ${pixelsPerUnit}
+  spriteBorder: {x: 0, y: 0, z: 0, w: 0}
+  spriteGenerateFallbackPhysicsShape: 1
+  alphaUsage: 1
+  alphaIsTransparency: 1
+  textureType: 8
+  textureShape: 1
+  platformSettings:
+  - serializedVersion: 3
+    buildTarget: DefaultTexturePlatform
+    maxTextureSize: 2048
+    resizeAlgorithm: 0
+    textureFormat: -1
+    textureCompression: 0
+    compressionQuality: 50
+    crunchedCompression: 0
+    allowsAlphaSplitting: 0
+    overridden: 0
+  spriteSheet:
+    serializedVersion: 2
+    sprites:
+${sprites.join('\n')}
+    outline: []
+    physicsShape: []
+    bones: []
+    spriteID:
+    internalID: 0
+    vertices: []
+    indices:
+    edges: []
+    weights: []
+    secondaryTextures: []
+    nameFileIdTable:
+${nameTable.join('\n')}
+  spritePackingTag:
+  pSDRemoveMatte: 0
+  userData:
+  assetBundleName:
+  assetBundleVariant:
+`;
+}
+
+/**
+ * Unity AnimationClip (.anim) swapping SpriteRenderer.sprite once per frame.
+ *
+ * @param {ReturnType<typeof buildAnimationGrid>} grid
+ * @param {number} index - Animation index in the grid
+ * @param {object} meta
+ * @param {string} meta.baseName - Sprite name prefix (as in the .meta)
+ * @param {string} meta.guid - Texture GUID (as in the .meta)
+ * @param {number} meta.fps - Sample rate
+ * @returns {string}
+ */
+export function buildUnityAnimationClip(grid, index, meta = {}) {
+  const { baseName = 'sprite', guid = stableHexId(baseName), fps = 8 } = meta;
+  const anim = grid.animations[index];
+  const ids = unitySpriteIds(grid, baseName)[index];
+  const ref = (fileId) => `{fileID: ${fileId}, guid: ${guid}, type: 3}`;
+  const round = (t) => Number(t.toFixed(6));
+
+  const keys = ids.map(({ fileId }, i) => [
+    `    - time: ${round(i / fps)}`,
+    `      value: ${ref(fileId)}`,
+  ].join('\n'));
+
+  return `%YAML 1.1
+%TAG !u! tag:unity3d.com,2011:
+--- !u!74 &7400000
+AnimationClip:
+  m_ObjectHideFlags: 0
+  m_CorrespondingSourceObject: {fileID: 0}
+  m_PrefabInstance: {fileID: 0}
+  m_PrefabAsset: {fileID: 0}
+  m_Name: ${baseName}_${anim.name}
+  serializedVersion: 7
+  m_Legacy: 0
+  m_Compressed: 0
+  m_UseHighQualityCurve: 1
+  m_RotationCurves: []
+  m_CompressedRotationCurves: []
+  m_EulerCurves: []
+  m_PositionCurves: []
+  m_ScaleCurves: []
+  m_FloatCurves: []
+  m_PPtrCurves:
+  - curve:
+${keys.join('\n')}
+    attribute: m_Sprite
+    path:
+    classID: ${UNITY_CLASS_SPRITE_RENDERER}
+    script: {fileID: 0}
+  m_SampleRate: ${fps}
+  m_WrapMode: 0
+  m_Bounds:
+    m_Center: {x: 0, y: 0, z: 0}
+    m_Extent: {x: 0, y: 0, z: 0}
+  m_ClipBindingConstant:
+    genericBindings:
+    - serializedVersion: 2
+      path: 0
+      attribute: 0
+      script: {fileID: 0}
+      typeID: ${UNITY_CLASS_SPRITE_RENDERER}
+      customType: ${UNITY_BINDING_SPRITE}
+      isPPtrCurve: 1
+    pptrCurveMapping:
+${ids.map(({ fileId }) => `    - ${ref(fileId)}`).join('\n')}
+  m_AnimationClipSettings:
+    serializedVersion: 2
+    m_AdditiveReferencePoseClip: {fileID: 0}
+    m_AdditiveReferencePoseTime: 0
+    m_StartTime: 0
+    m_StopTime: ${round(ids.length / fps)}
+    m_OrientationOffsetY: 0
+    m_Level: 0
+    m_CycleOffset: 0
+    m_HasAdditiveReferencePose: 0
+    m_LoopTime: ${anim.loop ? 1 : 0}
+    m_LoopBlend: 0
+    m_LoopBlendOrientation: 0
+    m_LoopBlendPositionY: 0
+    m_LoopBlendPositionXZ: 0
+    m_KeepOriginalOrientation: 0
+    m_KeepOriginalPositionY: 1
+    m_KeepOriginalPositionXZ: 0
+    m_HeightFromFeet: 0
+    m_Mirror: 0
+  m_EditorCurves: []
+  m_EulerEditorCurves: []
+  m_HasGenericRootTransform: 0
+  m_HasMotionFloatCurves: 0
+  m_Events: []
+`;
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+/**
+ * Download the grid sheet PNG plus Godot SpriteFrames and scene files.
+ *
+ * @param {Array<{ stateId, viewId, frames }>} animations
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {number} meta.fps
+ * @returns {Promise<{ files: string[] }>}
+ */
+export async function exportGodotSpriteFrames(animations, meta = {}) {
+  const { characterName = 'sprite', fps = 8 } = meta;
+  const grid = buildAnimationGrid(animations);
+  const files = [`${characterName}.png`, `${characterName}.tres`, `${characterName}.tscn`];
+
+  downloadFile(await exportSheetAsPng(grid.canvas), files[0]);
+  const tres = buildGodotSpriteFrames(grid, { texturePath: `res://${files[0]}`, fps });
+  downloadFile(new Blob([tres], { type: 'text/plain' }), files[1]);
+  const scene = buildGodotScene(grid, { name: characterName, spriteFramesPath: `res://${files[1]}` });
+  downloadFile(new Blob([scene], { type: 'text/plain' }), files[2]);
+
+  return { files };
+}
+
+/**
+ * Download the grid sheet PNG plus its Unity .meta and one .anim per
+ * animation.
+ *
+ * @param {Array<{ stateId, viewId, frames }>} animations
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {number} meta.fps
+ * @returns {Promise<{ files: string[] }>}
+ */
+export async function exportUnitySpriteSheet(animations, meta = {}) {
+  const { characterName = 'sprite', fps = 8 } = meta;
+  const grid = buildAnimationGrid(animations);
+  const guid = stableHexId(`${characterName}.png`);
+  const pngName = `${characterName}.png`;
+
+  downloadFile(await exportSheetAsPng(grid.canvas), pngName);
+  const textureMeta = buildUnityTextureMeta(grid, { baseName: characterName, guid });
+  downloadFile(new Blob([textureMeta], { type: 'text/plain' }), `${pngName}.meta`);
+
+  const files = [pngName, `${pngName}.meta`];
+  grid.animations.forEach((anim, i) => {
+    const fileName = `${characterName}_${anim.name}.anim`;
+    const clip = buildUnityAnimationClip(grid, i, { baseName: characterName, guid, fps });
+    downloadFile(new Blob([clip], { type: 'text/plain' }), fileName);
+    files.push(fileName);
+  });
+
+  return { files };
+}
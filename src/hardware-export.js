@@ -0,0 +1,1220 @@
+/**
+ * Hardware Export
+ *
+ * Writes processed frames in the native graphics formats of the target
+ * hardware, ready to include in a homebrew build:
+ *   - Atari 2600: player graphics (GRP) and per-row color (COLUP) tables
+ *     as DASM assembly
+ *   - NES: 2bpp planar CHR tiles (deduplicated, including flips), a
+ *     metasprite table and the 4-byte sprite sub-palette, as binaries and
+ *     ca65 / asm6 source
+ *   - Game Boy: interleaved 2bpp tiles (deduplicated, including flips) as a
+ *     .2bpp binary, OBJ layout tables, and RGBDS (.asm / .inc) and GBDK (.c)
+ *     source; color IDs follow the OBP0 / OBP1 shade registers
+ *   - Genesis: 4bpp tiles in VDP column-major sprite order, per-frame
+ *     sprite pieces (size code + offset) and the 16-entry CRAM palette, as
+ *     binaries, an SGDK .res and C / 68000 assembly source
+ *   - C64: 64-byte sprite blocks (hires 24×21 or multicolor 12×21) as .bin
+ *     and .prg, ACME and KickAssembler source, and a SpritePad .spd file
+ */
+
+import { CONSOLES, NES_PALETTE_FULL, GENESIS_CHANNEL_LEVELS } from './palettes.js';
+import { downloadFile } from './sprite-sheet.js';
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Make a name safe for use as an assembler label.
+ * @param {string} name
+ * @returns {string}
+ */
+function toLabel(name) {
+  const label = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z_]/.test(label) ? label : `_${label}`;
+}
+
+const hexByte = (v) => `$${v.toString(16).toUpperCase().padStart(2, '0')}`;
+const binByte = (v) => `%${v.toString(2).padStart(8, '0')}`;
+
+const colorKey = (r, g, b) => `${r},${g},${b}`;
+const luma = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+/**
+ * Map the opaque colors of a set of frames to indices 1..n (0 = transparent).
+ * Colors come from the frames' shared sub-palette when it covers every
+ * pixel, otherwise from the pixels themselves ordered dark → light.
+ *
+ * @param {Array<{ pixelData: ImageData, subPalette?: number[][]|null }>} frames
+ * @param {number} maxColors - Hardware limit (excluding transparent)
+ * @param {string} hint - How to fix a frame that uses too many colors
+ * @returns {number[][]} Colors for indices 1..n
+ * @throws {Error} If the frames use more than maxColors colors
+ */
+function collectFrameColors(frames, maxColors, hint) {
+  const used = new Map();
+  for (const { pixelData: { data } } of frames) {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 10) continue;
+      const key = colorKey(data[i], data[i + 1], data[i + 2]);
+      if (!used.has(key)) used.set(key, [data[i], data[i + 1], data[i + 2]]);
+    }
+  }
+  if (used.size > maxColors) {
+    throw new Error(`Frames use ${used.size} colors; the hardware allows ${maxColors} + transparent. ${hint}`);
+  }
+
+  const subPalette = frames[0]?.subPalette;
+  if (subPalette && subPalette.length <= maxColors &&
+      [...used.keys()].every(key => subPalette.some(c => colorKey(...c) === key))) {
+    return subPalette.map(c => [...c]);
+  }
+  return [...used.values()].sort((a, b) => luma(a) - luma(b));
+}
+
+/**
+ * Convert a frame to a grid of color indices, padded with transparent (0)
+ * up to a multiple of the tile size.
+ *
+ * @param {ImageData} pixelData
+ * @param {number[][]} colors - Colors for indices 1..n
+ * @param {number} tileW
+ * @param {number} tileH
+ * @returns {{ width: number, height: number, indices: Uint8Array }}
+ */
+function indexFrame(pixelData, colors, tileW, tileH) {
+  const { width: srcW, height: srcH, data } = pixelData;
+  const width = Math.ceil(srcW / tileW) * tileW;
+  const height = Math.ceil(srcH / tileH) * tileH;
+  const lookup = new Map(colors.map((c, i) => [colorKey(...c), i + 1]));
+  const indices = new Uint8Array(width * height);
+
+  for (let y = 0; y < srcH; y++) {
+    for (let x = 0; x < srcW; x++) {
+      const i = (y * srcW + x) * 4;
+      if (data[i + 3] < 10) continue;
+      indices[y * width + x] = lookup.get(colorKey(data[i], data[i + 1], data[i + 2])) || 0;
+    }
+  }
+  return { width, height, indices };
+}
+
+/**
+ * Slice an indexed frame into tiles, deduplicating identical and flipped
+ * tiles against `tileSet`. Fully transparent tiles are skipped.
+ *
+ * @param {{ width: number, height: number, indices: Uint8Array }} frame
+ * @param {number} tileW
+ * @param {number} tileH
+ * @param {{ tiles: Uint8Array[], lookup: Map<string, number> }} tileSet - Shared across frames
+ * @returns {Array<{ x: number, y: number, tile: number, hflip: boolean, vflip: boolean }>}
+ */
+function sliceTiles(frame, tileW, tileH, tileSet) {
+  const flip = (tile, h, v) => {
+    const out = new Uint8Array(tile.length);
+    for (let y = 0; y < tileH; y++) {
+      for (let x = 0; x < tileW; x++) {
+        out[y * tileW + x] = tile[(v ? tileH - 1 - y : y) * tileW + (h ? tileW - 1 - x : x)];
+      }
+    }
+    return out;
+  };
+
+  const placements = [];
+  for (let ty = 0; ty < frame.height; ty += tileH) {
+    for (let tx = 0; tx < frame.width; tx += tileW) {
+      const tile = new Uint8Array(tileW * tileH);
+      let empty = true;
+      for (let y = 0; y < tileH; y++) {
+        for (let x = 0; x < tileW; x++) {
+          const v = frame.indices[(ty + y) * frame.width + tx + x];
+          tile[y * tileW + x] = v;
+          if (v) empty = false;
+        }
+      }
+      if (empty) continue;
+
+      // A flipped variant already stored means this tile is that tile, flipped
+      let placed = null;
+      for (const [hflip, vflip] of [[false, false], [true, false], [false, true], [true, true]]) {
+        const index = tileSet.lookup.get(flip(tile, hflip, vflip).join(','));
+        if (index !== undefined) {
+          placed = { tile: index, hflip, vflip };
+          break;
+        }
+      }
+      if (!placed) {
+        tileSet.lookup.set(tile.join(','), tileSet.tiles.length);
+        placed = { tile: tileSet.tiles.length, hflip: false, vflip: false };
+        tileSet.tiles.push(tile);
+      }
+      placements.push({ x: tx, y: ty, ...placed });
+    }
+  }
+  return placements;
+}
+
+/**
+ * Encode one 8×8 block of 2-bit indices as 16 bytes of row-interleaved
+ * data (Game Boy): each row is a bit 0 byte followed by a bit 1 byte.
+ */
+function encodeInterleaved2bpp(indices, offset, stride) {
+  const planar = encodePlanar2bpp(indices, offset, stride);
+  const bytes = new Uint8Array(16);
+  for (let y = 0; y < 8; y++) {
+    bytes[y * 2] = planar[y];
+    bytes[y * 2 + 1] = planar[y + 8];
+  }
+  return bytes;
+}
+
+/**
+ * Encode one 8×8 block of 2-bit indices as 16 bytes of planar data:
+ * 8 bytes of bit 0 followed by 8 bytes of bit 1, leftmost pixel in the MSB.
+ */
+function encodePlanar2bpp(indices, offset, stride) {
+  const bytes = new Uint8Array(16);
+  for (let y = 0; y < 8; y++) {
+    let lo = 0, hi = 0;
+    for (let x = 0; x < 8; x++) {
+      const v = indices[offset + y * stride + x];
+      lo |= (v & 1) << (7 - x);
+      hi |= ((v >> 1) & 1) << (7 - x);
+    }
+    bytes[y] = lo;
+    bytes[y + 8] = hi;
+  }
+  return bytes;
+}
+
+// ─── Atari 2600 ──────────────────────────────────────────────────────────────
+
+/**
+ * TIA color register value for a color from the Atari palette.
+ * Palette entry hue * 8 + lum maps to (hue << 4) | (lum << 1).
+ *
+ * @param {number[]|null} color - [R,G,B] from CONSOLES.atari.palette
+ * @returns {number} COLUP byte (0 for empty rows)
+ * @throws {Error} If the color is not in the 2600 palette
+ */
+export function atariColorRegister(color) {
+  if (!color) return 0;
+  const index = CONSOLES.atari.palette.findIndex(
+    c => c[0] === color[0] && c[1] === color[1] && c[2] === color[2]
+  );
+  if (index === -1) {
+    throw new Error(`Color ${color.join(',')} is not in the Atari 2600 palette`);
+  }
+  return ((index >> 3) << 4) | ((index & 7) << 1);
+}
+
+/**
+ * Build GRP and COLUP tables for 2600 player graphics frames.
+ * Rows are listed top to bottom.
+ *
+ * @param {Array<{ playerGraphics: Array<{ x: number, rows: Array<{ bits: number, color: number[]|null }> }> }>} frames
+ * @returns {Array<Array<{ x: number, graphics: number[], colors: number[] }>>} Per frame, per player
+ * @throws {Error} If a frame was not processed with Atari hardware limits
+ */
+export function buildAtariPlayerTables(frames) {
+  return frames.map((frame, i) => {
+    if (!frame.playerGraphics) {
+      throw new Error(`Frame ${i + 1} has no player graphics — process it for Atari 2600 with HW Colors on`);
+    }
+    return frame.playerGraphics.map(({ x, rows }) => ({
+      x,
+      graphics: rows.map(row => row.bits),
+      colors: rows.map(row => atariColorRegister(row.color)),
+    }));
+  });
+}
+
+/**
+ * Format 2600 player graphics frames as DASM source: one GRP and one COLUP
+ * table per frame and player.
+ *
+ * @param {Array<{ playerGraphics }>} frames
+ * @param {object} meta
+ * @param {string} meta.name - Label prefix
+ * @returns {string}
+ */
+export function formatAtariPlayerAsm(frames, meta = {}) {
+  const { name = 'sprite' } = meta;
+  const prefix = toLabel(name);
+  const tables = buildAtariPlayerTables(frames);
+  const multiPlayer = tables.some(players => players.length > 1);
+
+  const lines = [
+    `; ${name} — Atari 2600 player graphics (PixelGen)`,
+    '; Rows top to bottom: GRP bitmaps and matching COLUP colors',
+    '',
+  ];
+
+  tables.forEach((players, f) => {
+    players.forEach((player, p) => {
+      const label = `${prefix}_F${f}${multiPlayer ? `_P${p}` : ''}`;
+      lines.push(`${label}_Gfx:`);
+      for (const bits of player.graphics) {
+        lines.push(`    .byte ${binByte(bits)}`);
+      }
+      lines.push(`${label}_Colors:`);
+      for (const colu of player.colors) {
+        lines.push(`    .byte ${hexByte(colu)}`);
+      }
+      lines.push('');
+    });
+  });
+
+  lines.push(`${prefix}_HEIGHT = ${tables[0]?.[0]?.graphics.length ?? 0}`);
+  return `${lines.join('\n')}\n`;
+}
+
+// ─── NES ─────────────────────────────────────────────────────────────────────
+
+const NES_OAM_FLIP_H = 0x40;
+const NES_OAM_FLIP_V = 0x80;
+const NES_METASPRITE_END = 0x80;
+const NES_BLACK = 0x0f;  // $0D is the "blacker than black" entry to avoid
+
+/**
+ * PPU palette index ($00–$3F) of an NES color.
+ * @param {number[]} color - [R,G,B] from the NES palette
+ * @returns {number}
+ * @throws {Error} If the color is not an NES color
+ */
+export function nesColorIndex(color) {
+  if (color[0] === 0 && color[1] === 0 && color[2] === 0) return NES_BLACK;
+  const index = NES_PALETTE_FULL.findIndex(
+    c => c[0] === color[0] && c[1] === color[1] && c[2] === color[2]
+  );
+  if (index === -1) {
+    throw new Error(`Color ${color.join(',')} is not in the NES palette`);
+  }
+  return index;
+}
+
+/**
+ * Build NES CHR data, metasprites and the sprite sub-palette for a set of
+ * frames that share one 3-color sub-palette.
+ *
+ * 8×16 mode treats each 8×16 sprite as one unit (two consecutive CHR tiles,
+ * starting at an even index) so flips mirror the whole sprite like the PPU.
+ * Metasprite entries use the neslib layout: x, y, tile, attribute, with
+ * each frame terminated by $80.
+ *
+ * @param {Array<{ pixelData: ImageData, subPalette?: number[][]|null }>} frames
+ * @param {object} options
+ * @param {number} options.tileHeight - 8 or 16 (8×16 sprite mode)
+ * @param {number} options.paletteIndex - Sprite palette (0–3) for attribute bytes
+ * @param {number} options.backgroundColor - PPU index for palette entry 0 (default $0F)
+ * @returns {{ chr: Uint8Array, tileCount: number, metasprites: Array<Array<{ x, y, tile, attr }>>, metaspriteBytes: Uint8Array, palette: Uint8Array }}
+ * @throws {Error} On more than 3 colors or more than 256 tiles
+ */
+export function buildNesChr(frames, options = {}) {
+  const { tileHeight = 8, paletteIndex = 0, backgroundColor = NES_BLACK } = options;
+  if (tileHeight !== 8 && tileHeight !== 16) {
+    throw new Error(`NES sprites are 8×8 or 8×16, not 8×${tileHeight}`);
+  }
+  if (frames.length === 0) {
+    throw new Error('No frames to export');
+  }
+
+  const colors = collectFrameColors(frames, 3, 'Process for NES with HW Colors on.');
+  const tileSet = { tiles: [], lookup: new Map() };
+  const placements = frames.map(({ pixelData }) =>
+    sliceTiles(indexFrame(pixelData, colors, 8, tileHeight), 8, tileHeight, tileSet)
+  );
+
+  const tilesPerUnit = tileHeight / 8;
+  const tileCount = tileSet.tiles.length * tilesPerUnit;
+  if (tileCount > 256) {
+    throw new Error(`Frames need ${tileCount} CHR tiles; a pattern table holds 256`);
+  }
+
+  const chr = new Uint8Array(tileCount * 16);
+  tileSet.tiles.forEach((unit, u) => {
+    for (let t = 0; t < tilesPerUnit; t++) {
+      chr.set(encodePlanar2bpp(unit, t * 64, 8), (u * tilesPerUnit + t) * 16);
+    }
+  });
+
+  const metasprites = placements.map(frame => frame.map(({ x, y, tile, hflip, vflip }) => ({
+    x,
+    y,
+    tile: tile * tilesPerUnit,  // even index = pattern table 0 in 8×16 mode
+    attr: (paletteIndex & 3) | (hflip ? NES_OAM_FLIP_H : 0) | (vflip ? NES_OAM_FLIP_V : 0),
+  })));
+
+  const metaspriteBytes = new Uint8Array(
+    metasprites.reduce((n, entries) => n + entries.length * 4 + 1, 0)
+  );
+  let o = 0;
+  for (const entries of metasprites) {
+    for (const { x, y, tile, attr } of entries) {
+      metaspriteBytes.set([x, y, tile, attr], o);
+      o += 4;
+    }
+    metaspriteBytes[o++] = NES_METASPRITE_END;
+  }
+
+  // Entry 0 is transparent for sprites; unused entries repeat it
+  const palette = new Uint8Array(4).fill(backgroundColor);
+  palette.set(colors.map(nesColorIndex), 1);
+
+  return { chr, tileCount, metasprites, metaspriteBytes, palette };
+}
+
+/**
+ * Format NES export data as assembly source.
+ *
+ * @param {ReturnType<typeof buildNesChr>} data
+ * @param {object} meta
+ * @param {string} meta.name - Label prefix
+ * @param {string} meta.syntax - 'ca65' or 'asm6'
+ * @param {string} meta.chrFile - CHR file name for .incbin
+ * @returns {string}
+ */
+export function formatNesAsm(data, meta = {}) {
+  const { name = 'sprite', syntax = 'ca65', chrFile = `${name}.chr` } = meta;
+  const prefix = toLabel(name);
+  const byteDirective = syntax === 'asm6' ? '.db' : '.byte';
+  const wordDirective = syntax === 'asm6' ? '.dw' : '.word';
+  const bytes = (values) => `    ${byteDirective} ${Array.from(values, hexByte).join(', ')}`;
+
+  const lines = [
+    `; ${name} — NES sprite data (PixelGen, ${syntax})`,
+    `; ${data.tileCount} CHR tiles in ${chrFile}`,
+    '; Metasprites: x, y, tile, attribute ... $80',
+    '',
+  ];
+  if (syntax === 'ca65') {
+    lines.push(`.export ${prefix}_Palette, ${prefix}_Frames`, '');
+  }
+
+  lines.push(`${prefix}_Palette:`, bytes(data.palette), '');
+
+  lines.push(`${prefix}_Frames:`);
+  lines.push(`    ${wordDirective} ${data.metasprites.map((_, f) => `${prefix}_F${f}`).join(', ')}`);
+  lines.push('');
+
+  data.metasprites.forEach((entries, f) => {
+    lines.push(`${prefix}_F${f}:`);
+    for (const { x, y, tile, attr } of entries) {
+      lines.push(bytes([x, y, tile, attr]));
+    }
+    lines.push(bytes([NES_METASPRITE_END]), '');
+  });
+
+  if (syntax === 'ca65') {
+    lines.push('.segment "CHARS"', `    .incbin "${chrFile}"`);
+  } else {
+    lines.push(`; CHR: .incbin "${chrFile}" in your CHR-ROM bank`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Download NES CHR, metasprite and palette binaries plus ca65 and asm6 source.
+ *
+ * @param {Array<{ pixelData, subPalette }>} frames
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {string} meta.animName
+ * @param {number} meta.tileHeight - 8 or 16
+ * @returns {{ files: string[], data: ReturnType<typeof buildNesChr> }}
+ */
+export function exportNesChr(frames, meta = {}) {
+  const { characterName = 'sprite', animName = 'idle', tileHeight = 8 } = meta;
+  const baseName = `${characterName}_${animName}_nes`;
+  const data = buildNesChr(frames, { tileHeight });
+  const asmMeta = { name: `${characterName}_${animName}`, chrFile: `${baseName}.chr` };
+
+  const files = {
+    [`${baseName}.chr`]: data.chr,
+    [`${baseName}_meta.bin`]: data.metaspriteBytes,
+    [`${baseName}_pal.bin`]: data.palette,
+    [`${baseName}.s`]: formatNesAsm(data, { ...asmMeta, syntax: 'ca65' }),
+    [`${baseName}.asm`]: formatNesAsm(data, { ...asmMeta, syntax: 'asm6' }),
+  };
+  for (const [fileName, content] of Object.entries(files)) {
+    const type = typeof content === 'string' ? 'text/plain' : 'application/octet-stream';
+    downloadFile(new Blob([content], { type }), fileName);
+  }
+  return { files: Object.keys(files), data };
+}
+
+/**
+ * Download 2600 player graphics frames as a .asm file.
+ *
+ * @param {Array<{ playerGraphics }>} frames
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {string} meta.animName
+ * @returns {{ files: string[], source: string }}
+ */
+export function exportAtariPlayerAsm(frames, meta = {}) {
+  const { characterName = 'sprite', animName = 'idle' } = meta;
+  const fileName = `${characterName}_${animName}_atari.asm`;
+  const source = formatAtariPlayerAsm(frames, { name: `${characterName}_${animName}` });
+  downloadFile(new Blob([source], { type: 'text/plain' }), fileName);
+  return { files: [fileName], source };
+}
+
+// ─── Game Boy ────────────────────────────────────────────────────────────────
+
+const GB_OAM_PALETTE_OBP1 = 0x10;
+const GB_OAM_FLIP_X = 0x20;
+const GB_OAM_FLIP_Y = 0x40;
+const GB_LAYOUT_END = 0x80;
+
+/** Default OBP value: color ID n shows shade n */
+export const GB_DEFAULT_OBP = 0xe4;
+
+/**
+ * DMG shade (0 = lightest … 3 = darkest) of a Game Boy palette color.
+ * Shades follow the darkness order of the console palette, so they stay
+ * correct whatever green the palette uses.
+ *
+ * @param {number[]} color - [R,G,B] from CONSOLES.gameboy.palette
+ * @returns {number}
+ * @throws {Error} If the color is not a Game Boy shade
+ */
+export function gameBoyShade(color) {
+  const byDarkness = [...CONSOLES.gameboy.palette].sort((a, b) => luma(a) - luma(b));
+  const rank = byDarkness.findIndex(
+    c => c[0] === color[0] && c[1] === color[1] && c[2] === color[2]
+  );
+  if (rank === -1) {
+    throw new Error(`Color ${color.join(',')} is not a Game Boy shade`);
+  }
+  return byDarkness.length - 1 - rank;
+}
+
+/**
+ * Colors for sprite color IDs 1..3 under an OBP register value. When two
+ * IDs show the same shade the lower ID wins; the others get a placeholder
+ * that never matches a pixel.
+ *
+ * @param {number} obp - OBP0/OBP1 byte (bits 2n+1..2n = shade of color ID n)
+ * @returns {number[][]}
+ */
+function gameBoyObjColors(obp) {
+  const byShade = new Map(CONSOLES.gameboy.palette.map(c => [gameBoyShade(c), c]));
+  const seen = new Set();
+  return [1, 2, 3].map(id => {
+    const shade = (obp >> (id * 2)) & 3;
+    if (seen.has(shade)) return [-1, -1, -1];
+    seen.add(shade);
+    return byShade.get(shade);
+  });
+}
+
+/**
+ * Build Game Boy 2bpp tile data and OBJ layout tables for a set of frames.
+ *
+ * Pixel shades are mapped to the color IDs that show them through the
+ * selected OBP register. 8×16 mode treats each 8×16 object as one unit (two
+ * consecutive tiles, starting at an even index) so flips mirror the whole
+ * object like the PPU. Layout entries are y, x, tile, flags relative to the
+ * frame's top-left, each frame terminated by $80.
+ *
+ * @param {Array<{ pixelData: ImageData }>} frames
+ * @param {object} options
+ * @param {number} options.tileHeight - 8 or 16 (LCDC 8×16 OBJ mode)
+ * @param {number} options.obp0 - OBP0 register value (default $E4)
+ * @param {number} options.obp1 - OBP1 register value (default $E4)
+ * @param {number} options.objPalette - 0 = OBP0, 1 = OBP1
+ * @returns {{ tiles: Uint8Array, tileCount: number, layouts: Array<Array<{ x, y, tile, flags }>>, layoutBytes: Uint8Array, obp0: number, obp1: number }}
+ * @throws {Error} On non-Game Boy colors, shades the OBP register cannot show, or more than 256 tiles
+ */
+export function buildGameBoyTiles(frames, options = {}) {
+  const {
+    tileHeight = 8,
+    obp0 = GB_DEFAULT_OBP,
+    obp1 = GB_DEFAULT_OBP,
+    objPalette = 0,
+  } = options;
+  if (tileHeight !== 8 && tileHeight !== 16) {
+    throw new Error(`Game Boy objects are 8×8 or 8×16, not 8×${tileHeight}`);
+  }
+  if (frames.length === 0) {
+    throw new Error('No frames to export');
+  }
+
+  const obp = objPalette ? obp1 : obp0;
+  const objColors = gameBoyObjColors(obp);
+  // Pixels only: a shared sub-palette may list shades no pixel uses
+  const pixelsOnly = frames.map(({ pixelData }) => ({ pixelData }));
+  for (const color of collectFrameColors(pixelsOnly, 3, 'Process for Game Boy with HW Colors on.')) {
+    const shade = gameBoyShade(color);
+    if (!objColors.some(c => colorKey(...c) === colorKey(...color))) {
+      throw new Error(`Shade ${shade} is not shown by any color ID in OBP${objPalette ? 1 : 0} ${hexByte(obp)}`);
+    }
+  }
+
+  const tileSet = { tiles: [], lookup: new Map() };
+  const placements = frames.map(({ pixelData }) =>
+    sliceTiles(indexFrame(pixelData, objColors, 8, tileHeight), 8, tileHeight, tileSet)
+  );
+
+  const tilesPerUnit = tileHeight / 8;
+  const tileCount = tileSet.tiles.length * tilesPerUnit;
+  if (tileCount > 256) {
+    throw new Error(`Frames need ${tileCount} tiles; OBJ tile data holds 256`);
+  }
+
+  const tiles = new Uint8Array(tileCount * 16);
+  tileSet.tiles.forEach((unit, u) => {
+    for (let t = 0; t < tilesPerUnit; t++) {
+      tiles.set(encodeInterleaved2bpp(unit, t * 64, 8), (u * tilesPerUnit + t) * 16);
+    }
+  });
+
+  const layouts = placements.map(frame => frame.map(({ x, y, tile, hflip, vflip }) => ({
+    y,
+    x,
+    tile: tile * tilesPerUnit,  // 8×16 mode ignores bit 0
+    flags: (objPalette ? GB_OAM_PALETTE_OBP1 : 0) |
+      (hflip ? GB_OAM_FLIP_X : 0) | (vflip ? GB_OAM_FLIP_Y : 0),
+  })));
+
+  const layoutBytes = new Uint8Array(
+    layouts.reduce((n, entries) => n + entries.length * 4 + 1, 0)
+  );
+  let o = 0;
+  for (const entries of layouts) {
+    for (const { y, x, tile, flags } of entries) {
+      layoutBytes.set([y, x, tile, flags], o);
+      o += 4;
+    }
+    layoutBytes[o++] = GB_LAYOUT_END;
+  }
+
+  return { tiles, tileCount, layouts, layoutBytes, obp0, obp1 };
+}
+
+/**
+ * Format Game Boy export data as RGBDS source: tile INCBIN and layout tables
+ * (.asm) plus constants (.inc).
+ *
+ * @param {ReturnType<typeof buildGameBoyTiles>} data
+ * @param {object} meta
+ * @param {string} meta.name - Label prefix
+ * @param {string} meta.tileFile - .2bpp file name for INCBIN
+ * @param {number} meta.tileHeight - 8 or 16
+ * @returns {{ asm: string, inc: string }}
+ */
+export function formatGameBoyRgbds(data, meta = {}) {
+  const { name = 'sprite', tileFile = `${name}.2bpp`, tileHeight = 8 } = meta;
+  const prefix = toLabel(name);
+  const bytes = (values) => `    db ${Array.from(values, hexByte).join(', ')}`;
+
+  const asm = [
+    `; ${name} — Game Boy sprite data (PixelGen, RGBDS)`,
+    `; ${data.tileCount} tiles in ${tileFile}, 8×${tileHeight} OBJ mode`,
+    '; Layouts: y, x, tile, flags ... $80',
+    '',
+    `SECTION "${prefix} Graphics", ROMX`,
+    '',
+    `${prefix}_Tiles::`,
+    `    INCBIN "${tileFile}"`,
+    `${prefix}_TilesEnd::`,
+    '',
+    `${prefix}_Frames::`,
+    `    dw ${data.layouts.map((_, f) => `${prefix}_F${f}`).join(', ')}`,
+    '',
+  ];
+  data.layouts.forEach((entries, f) => {
+    asm.push(`${prefix}_F${f}:`);
+    for (const { y, x, tile, flags } of entries) {
+      asm.push(bytes([y, x, tile, flags]));
+    }
+    asm.push(bytes([GB_LAYOUT_END]), '');
+  });
+
+  const inc = [
+    `; ${name} — Game Boy sprite constants (PixelGen, RGBDS)`,
+    '',
+    `DEF ${prefix}_TILE_COUNT EQU ${data.tileCount}`,
+    `DEF ${prefix}_FRAME_COUNT EQU ${data.layouts.length}`,
+    `DEF ${prefix}_OBJ_HEIGHT EQU ${tileHeight}`,
+    `DEF ${prefix}_OBP0 EQU ${binByte(data.obp0)}`,
+    `DEF ${prefix}_OBP1 EQU ${binByte(data.obp1)}`,
+  ];
+
+  return { asm: `${asm.join('\n')}\n`, inc: `${inc.join('\n')}\n` };
+}
+
+/**
+ * Format Game Boy export data as a GBDK C source file: the tile array and
+ * one metasprite_t table per frame.
+ *
+ * @param {ReturnType<typeof buildGameBoyTiles>} data
+ * @param {object} meta
+ * @param {string} meta.name - Identifier prefix
+ * @param {number} meta.tileHeight - 8 or 16
+ * @returns {string}
+ */
+export function formatGameBoyGbdk(data, meta = {}) {
+  const { name = 'sprite', tileHeight = 8 } = meta;
+  const prefix = toLabel(name);
+  const macro = prefix.toUpperCase();
+  const hex = (v) => `0x${v.toString(16).toUpperCase().padStart(2, '0')}`;
+
+  const lines = [
+    `// ${name} — Game Boy sprite data (PixelGen, GBDK)`,
+    `// 8×${tileHeight} OBJ mode; metasprite offsets are relative to the top-left`,
+    '#include <gb/gb.h>',
+    '#include <gb/metasprites.h>',
+    '',
+    `#define ${macro}_TILE_COUNT ${data.tileCount}`,
+    `#define ${macro}_FRAME_COUNT ${data.layouts.length}`,
+    `#define ${macro}_OBP0 ${hex(data.obp0)}`,
+    `#define ${macro}_OBP1 ${hex(data.obp1)}`,
+    '',
+    `const unsigned char ${prefix}_tiles[] = {`,
+  ];
+  for (let i = 0; i < data.tiles.length; i += 16) {
+    lines.push(`    ${Array.from(data.tiles.subarray(i, i + 16), hex).join(', ')},`);
+  }
+  lines.push('};', '');
+
+  // GBDK metasprites store each offset relative to the previous item
+  data.layouts.forEach((entries, f) => {
+    lines.push(`const metasprite_t ${prefix}_F${f}[] = {`);
+    let prevX = 0, prevY = 0;
+    for (const { y, x, tile, flags } of entries) {
+      lines.push(`    METASPR_ITEM(${y - prevY}, ${x - prevX}, ${tile}, ${hex(flags)}),`);
+      prevX = x;
+      prevY = y;
+    }
+    lines.push('    METASPR_TERM', '};', '');
+  });
+
+  lines.push(`const metasprite_t* const ${prefix}_frames[] = {`);
+  lines.push(`    ${data.layouts.map((_, f) => `${prefix}_F${f}`).join(', ')}`);
+  lines.push('};');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Download Game Boy .2bpp tiles plus RGBDS .asm / .inc and GBDK .c source.
+ *
+ * @param {Array<{ pixelData }>} frames
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {string} meta.animName
+ * @param {number} meta.tileHeight - 8 or 16
+ * @param {number} meta.obp0
+ * @param {number} meta.obp1
+ * @param {number} meta.objPalette - 0 = OBP0, 1 = OBP1
+ * @returns {{ files: string[], data: ReturnType<typeof buildGameBoyTiles> }}
+ */
+export function exportGameBoyTiles(frames, meta = {}) {
+  const { characterName = 'sprite', animName = 'idle', tileHeight = 8, obp0, obp1, objPalette } = meta;
+  const baseName = `${characterName}_${animName}_gb`;
+  const name = `${characterName}_${animName}`;
+  const data = buildGameBoyTiles(frames, { tileHeight, obp0, obp1, objPalette });
+  const { asm, inc } = formatGameBoyRgbds(data, { name, tileFile: `${baseName}.2bpp`, tileHeight });
+
+  const files = {
+    [`${baseName}.2bpp`]: data.tiles,
+    [`${baseName}.asm`]: asm,
+    [`${baseName}.inc`]: inc,
+    [`${baseName}.c`]: formatGameBoyGbdk(data, { name, tileHeight }),
+  };
+  for (const [fileName, content] of Object.entries(files)) {
+    const type = typeof content === 'string' ? 'text/plain' : 'application/octet-stream';
+    downloadFile(new Blob([content], { type }), fileName);
+  }
+  return { files: Object.keys(files), data };
+}
+
+// ─── Sega Genesis ────────────────────────────────────────────────────────────
+
+/** Largest VDP sprite, in tiles per side */
+const GENESIS_SPRITE_MAX_TILES = 4;
+
+/**
+ * CRAM word (----BBB-GGG-RRR-) of a Genesis palette color.
+ * @param {number[]} color - [R,G,B] on the 9-bit Genesis grid
+ * @returns {number}
+ * @throws {Error} If a channel is not a Genesis level
+ */
+export function genesisCramWord(color) {
+  const [r, g, b] = color.map(v => GENESIS_CHANNEL_LEVELS.indexOf(v));
+  if (r === -1 || g === -1 || b === -1) {
+    throw new Error(`Color ${color.join(',')} is not in the Genesis palette`);
+  }
+  return (b << 9) | (g << 5) | (r << 1);
+}
+
+/**
+ * VDP sprite size code: (width - 1) << 2 | (height - 1), in tiles.
+ * @param {number} w - 1–4 tiles
+ * @param {number} h - 1–4 tiles
+ * @returns {number}
+ */
+export function genesisSizeCode(w, h) {
+  return ((w - 1) << 2) | (h - 1);
+}
+
+/**
+ * Encode one 8×8 block of 4-bit indices as 32 bytes of packed data:
+ * rows top to bottom, two pixels per byte, left pixel in the high nibble.
+ */
+function encodePacked4bpp(indices, offset, stride) {
+  const bytes = new Uint8Array(32);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x += 2) {
+      const i = offset + y * stride + x;
+      bytes[y * 4 + x / 2] = (indices[i] << 4) | indices[i + 1];
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Build Genesis VDP tile data, sprite pieces and CRAM palette for a set of
+ * frames (from processImage or processSpriteSheet) sharing one 15-color line.
+ *
+ * Each frame is split into hardware sprites of at most 4×4 tiles, trimmed
+ * to their non-empty tiles. A sprite's tiles are stored column-major (top
+ * to bottom, then left to right) as the VDP reads them.
+ *
+ * @param {Array<{ pixelData: ImageData, subPalette?: number[][]|null }>} frames
+ * @returns {{ tiles: Uint8Array, tileCount: number, frames: Array<Array<{ x, y, w, h, size, tile }>>, palette: Uint16Array }}
+ * @throws {Error} On more than 15 colors or colors outside the 9-bit grid
+ */
+export function buildGenesisSprites(frames) {
+  if (frames.length === 0) {
+    throw new Error('No frames to export');
+  }
+
+  const colors = collectFrameColors(frames, 15, 'Process for Genesis with HW Colors on.');
+  const palette = new Uint16Array(16);  // entry 0 is transparent
+  palette.set(colors.map(genesisCramWord), 1);
+
+  const tileData = [];
+  const pieces = frames.map(({ pixelData }) => {
+    const frame = indexFrame(pixelData, colors, 8, 8);
+    const cols = frame.width / 8;
+    const rows = frame.height / 8;
+    const tileEmpty = (tx, ty) => {
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          if (frame.indices[(ty * 8 + y) * frame.width + tx * 8 + x]) return false;
+        }
+      }
+      return true;
+    };
+
+    const framePieces = [];
+    for (let py = 0; py < rows; py += GENESIS_SPRITE_MAX_TILES) {
+      for (let px = 0; px < cols; px += GENESIS_SPRITE_MAX_TILES) {
+        // Trim the chunk to the bounding box of its non-empty tiles
+        let x0 = Infinity, y0 = Infinity, x1 = -1, y1 = -1;
+        for (let ty = py; ty < Math.min(rows, py + GENESIS_SPRITE_MAX_TILES); ty++) {
+          for (let tx = px; tx < Math.min(cols, px + GENESIS_SPRITE_MAX_TILES); tx++) {
+            if (tileEmpty(tx, ty)) continue;
+            x0 = Math.min(x0, tx);
+            y0 = Math.min(y0, ty);
+            x1 = Math.max(x1, tx);
+            y1 = Math.max(y1, ty);
+          }
+        }
+        if (x1 === -1) continue;
+
+        const w = x1 - x0 + 1;
+        const h = y1 - y0 + 1;
+        framePieces.push({ x: x0 * 8, y: y0 * 8, w, h, size: genesisSizeCode(w, h), tile: tileData.length });
+        for (let tx = x0; tx <= x1; tx++) {
+          for (let ty = y0; ty <= y1; ty++) {
+            tileData.push(encodePacked4bpp(frame.indices, ty * 8 * frame.width + tx * 8, frame.width));
+          }
+        }
+      }
+    }
+    return framePieces;
+  });
+
+  const tiles = new Uint8Array(tileData.length * 32);
+  tileData.forEach((tile, i) => tiles.set(tile, i * 32));
+
+  return { tiles, tileCount: tileData.length, frames: pieces, palette };
+}
+
+/**
+ * Big-endian bytes of the CRAM palette, as the VDP (and SGDK's BIN
+ * resource) expects them.
+ * @param {Uint16Array} palette
+ * @returns {Uint8Array}
+ */
+function genesisPaletteBytes(palette) {
+  const bytes = new Uint8Array(palette.length * 2);
+  palette.forEach((word, i) => {
+    bytes[i * 2] = word >> 8;
+    bytes[i * 2 + 1] = word & 0xff;
+  });
+  return bytes;
+}
+
+/**
+ * Format Genesis export data as an SGDK resource file, C source and 68000
+ * assembly.
+ *
+ * @param {ReturnType<typeof buildGenesisSprites>} data
+ * @param {object} meta
+ * @param {string} meta.name - Identifier prefix
+ * @param {string} meta.tileFile - Tile binary for the .res / incbin
+ * @param {string} meta.paletteFile - Palette binary for the .res
+ * @returns {{ res: string, c: string, asm: string }}
+ */
+export function formatGenesisSources(data, meta = {}) {
+  const { name = 'sprite', tileFile = `${name}.bin`, paletteFile = `${name}_pal.bin` } = meta;
+  const prefix = toLabel(name);
+  const macro = prefix.toUpperCase();
+  const hexWord = (v) => `0x${v.toString(16).toUpperCase().padStart(4, '0')}`;
+  const hexLong = (v) => `0x${(v >>> 0).toString(16).toUpperCase().padStart(8, '0')}`;
+  const pieceCount = data.frames.map(p => p.length);
+
+  const res = [
+    `// ${name} — Genesis sprite data (PixelGen, SGDK rescomp)`,
+    `BIN ${prefix}_tiles "${tileFile}" 2`,
+    `BIN ${prefix}_palette "${paletteFile}" 2`,
+  ];
+
+  const c = [
+    `// ${name} — Genesis sprite data (PixelGen, SGDK)`,
+    '// Pieces: offset from the frame top-left, VDP size code, first tile',
+    '#include <genesis.h>',
+    '',
+    `#define ${macro}_TILE_COUNT ${data.tileCount}`,
+    `#define ${macro}_FRAME_COUNT ${data.frames.length}`,
+    '',
+    'typedef struct {',
+    '    s16 x, y;',
+    '    u16 size;',
+    '    u16 tile;',
+    `} ${prefix}_Piece;`,
+    '',
+    `const u16 ${prefix}_palette[16] = {`,
+    `    ${Array.from(data.palette, hexWord).join(', ')}`,
+    '};',
+    '',
+    `const u32 ${prefix}_tiles[${data.tileCount * 8}] = {`,
+  ];
+  const view = new DataView(data.tiles.buffer, data.tiles.byteOffset, data.tiles.byteLength);
+  for (let i = 0; i < data.tiles.length; i += 32) {
+    const longs = [];
+    for (let j = 0; j < 32; j += 4) longs.push(hexLong(view.getUint32(i + j)));
+    c.push(`    ${longs.join(', ')},`);
+  }
+  c.push('};', '');
+  data.frames.forEach((framePieces, f) => {
+    c.push(`const ${prefix}_Piece ${prefix}_F${f}[${Math.max(1, framePieces.length)}] = {`);
+    for (const { x, y, w, h, tile } of framePieces) {
+      c.push(`    { ${x}, ${y}, SPRITE_SIZE(${w}, ${h}), ${tile} },`);
+    }
+    if (framePieces.length === 0) c.push('    { 0, 0, 0, 0 },');
+    c.push('};', '');
+  });
+  c.push(`const ${prefix}_Piece* const ${prefix}_frames[] = {`);
+  c.push(`    ${data.frames.map((_, f) => `${prefix}_F${f}`).join(', ')}`);
+  c.push('};');
+  c.push(`const u16 ${prefix}_pieceCounts[] = { ${pieceCount.join(', ')} };`);
+
+  const asm = [
+    `; ${name} — Genesis sprite data (PixelGen, 68000)`,
+    '; Pieces: x, y, size code, first tile',
+    '',
+    `${prefix}_Palette:`,
+    `    dc.w ${Array.from(data.palette, v => `$${v.toString(16).toUpperCase().padStart(4, '0')}`).join(', ')}`,
+    '',
+    `${prefix}_Tiles:`,
+    `    incbin "${tileFile}"`,
+    `${prefix}_TilesEnd:`,
+    '',
+    `${prefix}_Frames:`,
+    `    dc.l ${data.frames.map((_, f) => `${prefix}_F${f}`).join(', ')}`,
+    '',
+  ];
+  data.frames.forEach((framePieces, f) => {
+    asm.push(`${prefix}_F${f}:`);
+    asm.push(`    dc.w ${framePieces.length}`);
+    for (const { x, y, size, tile } of framePieces) {
+      asm.push(`    dc.w ${x}, ${y}, ${hexByte(size)}, ${tile}`);
+    }
+    asm.push('');
+  });
+
+  return { res: `${res.join('\n')}\n`, c: `${c.join('\n')}\n`, asm: `${asm.join('\n')}` };
+}
+
+/**
+ * Download Genesis tile and palette binaries plus SGDK .res, C and 68000
+ * assembly source.
+ *
+ * @param {Array<{ pixelData, subPalette }>} frames
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {string} meta.animName
+ * @returns {{ files: string[], data: ReturnType<typeof buildGenesisSprites> }}
+ */
+export function exportGenesisSprites(frames, meta = {}) {
+  const { characterName = 'sprite', animName = 'idle' } = meta;
+  const baseName = `${characterName}_${animName}_md`;
+  const data = buildGenesisSprites(frames);
+  const { res, c, asm } = formatGenesisSources(data, {
+    name: `${characterName}_${animName}`,
+    tileFile: `${baseName}.bin`,
+    paletteFile: `${baseName}_pal.bin`,
+  });
+
+  const files = {
+    [`${baseName}.bin`]: data.tiles,
+    [`${baseName}_pal.bin`]: genesisPaletteBytes(data.palette),
+    [`${baseName}.res`]: res,
+    [`${baseName}.c`]: c,
+    [`${baseName}.s`]: asm,
+  };
+  for (const [fileName, content] of Object.entries(files)) {
+    const type = typeof content === 'string' ? 'text/plain' : 'application/octet-stream';
+    downloadFile(new Blob([content], { type }), fileName);
+  }
+  return { files: Object.keys(files), data };
+}
+
+// ─── Commodore 64 ────────────────────────────────────────────────────────────
+
+const C64_SPRITE_W = 24;
+const C64_SPRITE_ROWS = 21;
+const C64_BLOCK_BYTES = 64;
+const C64_MULTICOLOR_FLAG = 0x80;  // byte 63 of a block: SpritePad attributes
+
+/** Default load address for .prg output (must be 64-byte aligned) */
+export const C64_DEFAULT_SPRITE_ADDRESS = 0x2000;
+
+/**
+ * VIC-II color number (0–15) of a C64 palette color.
+ * @param {number[]} color - [R,G,B] from CONSOLES.c64.palette
+ * @returns {number}
+ * @throws {Error} If the color is not a C64 color
+ */
+export function c64ColorIndex(color) {
+  const index = CONSOLES.c64.palette.findIndex(
+    c => c[0] === color[0] && c[1] === color[1] && c[2] === color[2]
+  );
+  if (index === -1) {
+    throw new Error(`Color ${color.join(',')} is not in the C64 palette`);
+  }
+  return index;
+}
+
+/**
+ * Build C64 sprite blocks: one 64-byte block per frame (63 bytes of sprite
+ * data plus a SpritePad attribute byte).
+ *
+ * Hires frames (up to 24×21) have one sprite color. Multicolor frames (up
+ * to 12×21, processed at 2:1 pixel aspect) have up to three: the most used
+ * becomes the per-sprite color (%10) and the others the shared multicolor
+ * registers MC0 (%01) and MC1 (%11).
+ *
+ * @param {Array<{ pixelData: ImageData, pixelAspect?: number }>} frames
+ * @param {object} options
+ * @param {boolean} options.multicolor - Defaults to frames processed at 2:1 aspect
+ * @returns {{ blocks: Uint8Array, multicolor: boolean, color: number, mc0: number, mc1: number }}
+ * @throws {Error} On oversized frames or too many colors
+ */
+export function buildC64Sprites(frames, options = {}) {
+  if (frames.length === 0) {
+    throw new Error('No frames to export');
+  }
+  const { multicolor = frames[0].pixelAspect === 2 } = options;
+  const maxW = multicolor ? C64_SPRITE_W / 2 : C64_SPRITE_W;
+  const maxColors = multicolor ? 3 : 1;
+
+  // Most used first, so the per-sprite color is the dominant one
+  const counts = new Map();
+  for (const { pixelData: { width, height, data } } of frames) {
+    if (width > maxW || height > C64_SPRITE_ROWS) {
+      throw new Error(`${width}×${height} frame does not fit a ${maxW}×${C64_SPRITE_ROWS} ${multicolor ? 'multicolor' : 'hires'} sprite`);
+    }
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 10) continue;
+      const key = colorKey(data[i], data[i + 1], data[i + 2]);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  if (counts.size > maxColors) {
+    throw new Error(`Frames use ${counts.size} colors; a ${multicolor ? 'multicolor' : 'hires'} sprite allows ${maxColors}. Process for C64 with HW Colors on.`);
+  }
+  const ranked = [...counts.keys()]
+    .sort((a, b) => counts.get(b) - counts.get(a))
+    .map(key => c64ColorIndex(key.split(',').map(Number)));
+
+  // Bit pattern for each ranked color
+  const patterns = multicolor ? [0b10, 0b01, 0b11] : [0b1];
+  const colorBits = new Map(ranked.map((index, i) => [index, patterns[i]]));
+  const bitsPerPixel = multicolor ? 2 : 1;
+  const [color = 1, mc0 = 0, mc1 = 0] = ranked;
+
+  const blocks = new Uint8Array(frames.length * C64_BLOCK_BYTES);
+  frames.forEach(({ pixelData: { width, height, data } }, f) => {
+    const base = f * C64_BLOCK_BYTES;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] < 10) continue;
+        const bits = colorBits.get(c64ColorIndex([data[i], data[i + 1], data[i + 2]]));
+        const bit = x * bitsPerPixel;
+        blocks[base + y * 3 + (bit >> 3)] |= bits << (8 - bitsPerPixel - (bit & 7));
+      }
+    }
+    blocks[base + 63] = (multicolor ? C64_MULTICOLOR_FLAG : 0) | color;
+  });
+
+  return { blocks, multicolor, color, mc0, mc1 };
+}
+
+/**
+ * Format C64 sprite blocks as assembly source.
+ *
+ * @param {ReturnType<typeof buildC64Sprites>} data
+ * @param {object} meta
+ * @param {string} meta.name - Label prefix
+ * @param {string} meta.syntax - 'acme' or 'kick' (KickAssembler)
+ * @param {number} meta.address - Load address of the first block
+ * @returns {string}
+ */
+export function formatC64Asm(data, meta = {}) {
+  const { name = 'sprite', syntax = 'acme', address = C64_DEFAULT_SPRITE_ADDRESS } = meta;
+  const prefix = toLabel(name);
+  const kick = syntax === 'kick';
+  const comment = kick ? '//' : ';';
+  const constant = (label, value) => (kick ? `.const ${label} = ${value}` : `${label} = ${value}`);
+  const byteDirective = kick ? '.byte' : '!byte';
+  const frameCount = data.blocks.length / C64_BLOCK_BYTES;
+
+  const lines = [
+    `${comment} ${name} — C64 ${data.multicolor ? 'multicolor' : 'hires'} sprites (PixelGen, ${kick ? 'KickAssembler' : 'ACME'})`,
+    `${comment} One 64-byte block per frame; pointer = ${prefix}_PTR + frame`,
+    '',
+    constant(`${prefix}_PTR`, hexByte(address / C64_BLOCK_BYTES)),
+    constant(`${prefix}_FRAMES`, frameCount),
+    constant(`${prefix}_COLOR`, data.color),
+  ];
+  if (data.multicolor) {
+    lines.push(constant(`${prefix}_MC0`, data.mc0), constant(`${prefix}_MC1`, data.mc1));
+  }
+  lines.push('', kick ? `* = $${address.toString(16)} "${name} sprites"` : `* = $${address.toString(16)}`, '');
+
+  for (let f = 0; f < frameCount; f++) {
+    lines.push(`${prefix}_F${f}:`);
+    const block = data.blocks.subarray(f * C64_BLOCK_BYTES, (f + 1) * C64_BLOCK_BYTES);
+    for (let row = 0; row < C64_SPRITE_ROWS; row++) {
+      lines.push(`    ${byteDirective} ${Array.from(block.subarray(row * 3, row * 3 + 3), binByte).join(', ')}`);
+    }
+    lines.push(`    ${byteDirective} ${hexByte(block[63])}`, '');
+  }
+  return `${lines.join('\n')}`;
+}
+
+/**
+ * SpritePad v1 (.spd) file: header, the sprite blocks and one animation
+ * spanning every frame.
+ *
+ * @param {ReturnType<typeof buildC64Sprites>} data
+ * @param {object} options
+ * @param {number} options.backgroundColor - VIC-II color number (default 0)
+ * @param {number} options.timer - Animation delay in frames (default 6)
+ * @returns {Uint8Array}
+ */
+export function buildSpritePadFile(data, options = {}) {
+  const { backgroundColor = 0, timer = 6 } = options;
+  const frameCount = data.blocks.length / C64_BLOCK_BYTES;
+  if (frameCount > 256) {
+    throw new Error(`SpritePad files hold 256 sprites, not ${frameCount}`);
+  }
+
+  const header = [0x53, 0x50, 0x44, 1, frameCount - 1, 0, backgroundColor, data.mc0, data.mc1];
+  const animation = [0, frameCount - 1, timer, 0];  // start, end, timer, flags
+  const bytes = new Uint8Array(header.length + data.blocks.length + animation.length);
+  bytes.set(header, 0);
+  bytes.set(data.blocks, header.length);
+  bytes.set(animation, header.length + data.blocks.length);
+  return bytes;
+}
+
+/**
+ * Download C64 sprite blocks as .bin and .prg plus ACME, KickAssembler and
+ * SpritePad files.
+ *
+ * @param {Array<{ pixelData, pixelAspect }>} frames
+ * @param {object} meta
+ * @param {string} meta.characterName
+ * @param {string} meta.animName
+ * @param {number} meta.address - .prg load address (default $2000)
+ * @returns {{ files: string[], data: ReturnType<typeof buildC64Sprites> }}
+ */
+export function exportC64Sprites(frames, meta = {}) {
+  const { characterName = 'sprite', animName = 'idle', address = C64_DEFAULT_SPRITE_ADDRESS } = meta;
+  if (address % C64_BLOCK_BYTES !== 0) {
+    throw new Error(`Sprite address $${address.toString(16)} is not 64-byte aligned`);
+  }
+  const baseName = `${characterName}_${animName}_c64`;
+  const name = `${characterName}_${animName}`;
+  const data = buildC64Sprites(frames);
+
+  const prg = new Uint8Array(2 + data.blocks.length);
+  prg.set([address & 0xff, address >> 8], 0);
+  prg.set(data.blocks, 2);
+
+  const files = {
+    [`${baseName}.bin`]: data.blocks,
+    [`${baseName}.prg`]: prg,
+    [`${baseName}.a`]: formatC64Asm(data, { name, syntax: 'acme', address }),
+    [`${baseName}.asm`]: formatC64Asm(data, { name, syntax: 'kick', address }),
+    [`${baseName}.spd`]: buildSpritePadFile(data),
+  };
+  for (const [fileName, content] of Object.entries(files)) {
+    const type = typeof content === 'string' ? 'text/plain' : 'application/octet-stream';
+    downloadFile(new Blob([content], { type }), fileName);
+  }
+  return { files: Object.keys(files), data };
+}
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+/**
+ * Native exporters by console key. Each `run(frames, meta)` downloads its
+ * files and returns `{ files }`; meta carries characterName, animName,
+ * spriteSize and, for the Game Boy, obp0 / obp1 / objPalette.
+ */
+export const HARDWARE_EXPORTS = {
+  atari: {
+    label: 'Export 2600 ASM',
+    run: exportAtariPlayerAsm,
+  },
+  nes: {
+    label: 'Export NES CHR',
+    run: (frames, meta) => exportNesChr(frames, {
+      ...meta,
+      tileHeight: meta.spriteSize === '8x16' ? 16 : 8,
+    }),
+  },
+  genesis: {
+    label: 'Export Genesis VDP',
+    run: exportGenesisSprites,
+  },
+  c64: {
+    label: 'Export C64 Sprites',
+    run: exportC64Sprites,
+  },
+  gameboy: {
+    label: 'Export GB 2bpp',
+    run: (frames, meta) => exportGameBoyTiles(frames, {
+      ...meta,
+      tileHeight: meta.spriteSize === '8x16' ? 16 : 8,
+    }),
+  },
+};
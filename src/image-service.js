@@ -1,15 +1,16 @@
 /**
  * Image generation service supporting multiple providers
  *
- * Supports Pollinations, Gemini, OpenAI, and other providers via Vite dev-server proxy.
+ * Supports Pollinations, Gemini, OpenAI and local Stable Diffusion backends
+ * (Automatic1111, ComfyUI) via Vite dev-server proxy.
  * The proxy injects API keys server-side so they're never exposed in the browser.
+ * Each provider's wire format lives in provider-adapters.js.
  * Supports multiple AI models, transparent backgrounds, and negative prompts.
  */
 
-import { parseModelId, getProviderApiBase } from './provider-service.js';
-
-// Default base for backward compatibility
-const DEFAULT_API_BASE = '/api/pollinations';
+import { parseModelId, getProviderApiBase, getProviderPublicApiBase } from './provider-service.js';
+import { getProviderAdapter, fetchGeneratedImage, canvasToPngBlob } from './provider-adapters.js';
+import { compositeInpaint } from './inpaint.js';
 
 /**
  * Last request debug info — updated on every generate call.
@@ -23,7 +24,10 @@ export const lastRequest = {
   height: 0,
   model: '',
   provider: '',
-  type: '',  // 'single' or 'sheet'
+  type: '',  // 'single', 'sheet' or 'inpaint'
+  body: '',  // Request body for POST-based providers (image data abbreviated)
+  revisedPrompt: '',  // Prompt as rewritten by the provider (OpenAI DALL-E 3)
+  reference: false,  // Whether a reference image was sent
 };
 
 /**
@@ -133,94 +137,167 @@ function buildSheetPrompt(userPrompt, options = {}) {
 }
 
 /**
- * Generate an image from a text prompt via Pollinations.ai
+ * Request body as readable text for the Inspector: base64 image data and
+ * uploaded files are abbreviated.
  *
- * @param {string} prompt - User's text description
- * @param {object} options
- * @param {string}  options.model - AI model to use (default: 'flux')
- * @param {number}  options.width - Image width to request (default 512)
- * @param {number}  options.height - Image height to request (default 512)
- * @param {number}  options.seed - Optional seed for reproducibility
- * @param {boolean} options.transparent - Request transparent background
- * @param {string}  options.negativePrompt - Things to avoid in generation
- * @param {string}  options.consoleName - Console name for prompt enhancement
- * @param {string}  options.poseDesc - Pose/view for prompt enhancement
- * @returns {Promise<HTMLImageElement>} - The loaded image element
+ * @param {string|FormData|undefined} body
+ * @returns {string}
  */
-export async function generateImage(prompt, options = {}) {
-  const {
-    model = 'pollinations:flux',
-    width = 512,
-    height = 512,
-    seed,
-    transparent = false,
-    negativePrompt = '',
-    consoleName = '',
-    poseDesc = '',
-  } = options;
-
-  const enhancedPrompt = buildPrompt(prompt, { consoleName, poseDesc });
-  const encodedPrompt = encodeURIComponent(enhancedPrompt);
+function describeRequestBody(body) {
+  if (typeof body === 'string') {
+    return body.replace(/"([A-Za-z0-9+/]{200,}={0,2})"/g, (match, data) => `"<base64 image, ${data.length} chars>"`);
+  }
+  if (body instanceof FormData) {
+    const fields = {};
+    for (const [key, value] of body) {
+      fields[key] = value instanceof Blob ? `<${value.type || 'file'}, ${value.size} bytes>` : value;
+    }
+    return JSON.stringify(fields);
+  }
+  return '';
+}
 
-  // Parse provider and model
+/**
+ * Send a generation request through the provider's adapter.
+ * Records debug info in lastRequest before the call goes out.
+ *
+ * @param {string} model - Full model ID ("provider:model")
+ * @param {object} request - { prompt, negativePrompt, width, height, seed, transparent, fit, sampling,
+ *                             reference, denoiseStrength, inpaint }
+ * @param {object} options
+ * @param {string} options.type - 'single', 'sheet' or 'inpaint'
+ * @param {string} options.apiBase - Override the provider's proxy base
+ * @param {string} options.failure - Error message prefix
+ * @returns {Promise<{ blob: Blob, publicUrl: string }>} publicUrl is set when the
+ *   provider serves the same image at a shareable URL
+ */
+async function requestImage(model, request, { type, apiBase, failure }) {
   const { provider, modelId } = parseModelId(model);
-
-  // NOTE: For now, all image generation is routed through the Pollinations backend.
-  // The `provider` field is used for model grouping/display only.
-  const apiBase = DEFAULT_API_BASE;
-
-  // Build Pollinations-style URL
-  let url = `${apiBase}/${encodedPrompt}?model=${encodeURIComponent(modelId)}&width=${width}&height=${height}&nologo=true&nofeed=true`;
-  if (seed !== undefined) {
-    url += `&seed=${seed}`;
-  }
-  if (transparent) {
-    url += '&transparent=true';
+  const adapter = getProviderAdapter(provider);
+  if (request.reference && !adapter.supportsReference?.(modelId)) {
+    throw new Error(`${model} cannot use a reference image`);
   }
-  if (negativePrompt) {
-    url += `&negative_prompt=${encodeURIComponent(negativePrompt)}`;
+  if (request.inpaint && !adapter.supportsInpaint?.(modelId)) {
+    throw new Error(`${model} cannot regenerate a masked region`);
   }
+  const fullRequest = { ...request, modelId };
+  const httpRequest = await adapter.buildRequest(fullRequest, apiBase || getProviderApiBase(provider));
+
+  const publicApiBase = getProviderPublicApiBase(provider);
+  const publicUrl = publicApiBase && !apiBase ? (await adapter.buildRequest(fullRequest, publicApiBase)).url : '';
 
   // Store debug info
-  lastRequest.prompt = enhancedPrompt;
-  lastRequest.negativePrompt = negativePrompt;
-  lastRequest.url = url;
-  lastRequest.width = width;
-  lastRequest.height = height;
+  lastRequest.prompt = request.prompt;
+  lastRequest.negativePrompt = request.negativePrompt;
+  lastRequest.url = httpRequest.url;
+  lastRequest.body = describeRequestBody(httpRequest.init.body);
+  lastRequest.reference = Boolean(request.reference);
+  lastRequest.width = request.width;
+  lastRequest.height = request.height;
   lastRequest.model = model;
   lastRequest.provider = provider;
-  lastRequest.type = 'single';
+  lastRequest.type = type;
+  lastRequest.revisedPrompt = '';
   console.log('[PixelGen] Provider:', provider);
   console.log('[PixelGen] Model:', modelId);
-  console.log('[PixelGen] Prompt:', enhancedPrompt);
-  console.log('[PixelGen] URL:', url);
+  console.log(type === 'sheet' ? '[PixelGen] Sheet Prompt:' : '[PixelGen] Prompt:', request.prompt);
+  console.log(type === 'sheet' ? '[PixelGen] Sheet URL:' : '[PixelGen] URL:', httpRequest.url);
 
-  // Fetch the image as a blob so we can handle errors properly
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Image generation failed: ${response.status} ${response.statusText}`);
+  const { blob, revisedPrompt } = await fetchGeneratedImage(adapter, httpRequest, fullRequest, failure);
+  if (revisedPrompt) {
+    lastRequest.revisedPrompt = revisedPrompt;
+    console.log('[PixelGen] Revised Prompt:', revisedPrompt);
   }
+  return { blob, publicUrl };
+}
 
-  const blob = await response.blob();
+/**
+ * Load an image Blob into an image element. The object URL stays alive for
+ * display and processing; it is kept on img._blobUrl so callers can revoke it.
+ *
+ * @param {Blob} blob
+ * @param {string} failure - Error message if the image doesn't decode
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImageBlob(blob, failure) {
   const objectUrl = URL.createObjectURL(blob);
 
   return new Promise((resolve, reject) => {
     const img = new Image();
     img.onload = () => {
-      // Don't revoke yet — the URL is needed for display and processing.
-      // Store it so callers can revoke later if needed.
       img._blobUrl = objectUrl;
       resolve(img);
     };
     img.onerror = () => {
       URL.revokeObjectURL(objectUrl);
-      reject(new Error('Failed to load generated image'));
+      reject(new Error(failure));
     };
     img.crossOrigin = 'anonymous';
     img.src = objectUrl;
   });
 }
 
+/**
+ * Generate an image from a text prompt via the model's provider
+ *
+ * @param {string} prompt - User's text description
+ * @param {object} options
+ * @param {string}  options.model - AI model to use (default: 'pollinations:flux')
+ * @param {number}  options.width - Image width to request (default 512)
+ * @param {number}  options.height - Image height to request (default 512)
+ * @param {number}  options.seed - Optional seed for reproducibility
+ * @param {boolean} options.transparent - Request transparent background
+ * @param {string}  options.negativePrompt - Things to avoid in generation
+ * @param {string}  options.consoleName - Console name for prompt enhancement
+ * @param {string}  options.poseDesc - Pose/view for prompt enhancement
+ * @param {string}  options.fit - 'crop' (default) or 'letterbox' when the provider only
+ *                                offers other sizes
+ * @param {object}  options.sampling - { sampler, steps, cfgScale, loras, referenceMode } for
+ *                                     local Stable Diffusion backends
+ * @param {{ blob: Blob, url?: string }} options.reference - Image to stay consistent with
+ *                                     (only for models that support it)
+ * @param {number}  options.denoiseStrength - How far to move from the reference (0–1)
+ * @param {string}  options.apiBase - Override the provider's proxy base (e.g. a mock server)
+ * @returns {Promise<HTMLImageElement>} - The loaded image element; img._publicUrl holds
+ *                                        a shareable URL of the image when there is one
+ */
+export async function generateImage(prompt, options = {}) {
+  const {
+    model = 'pollinations:flux',
+    width = 512,
+    height = 512,
+    seed,
+    transparent = false,
+    negativePrompt = '',
+    consoleName = '',
+    poseDesc = '',
+    fit = 'crop',
+    sampling,
+    reference,
+    denoiseStrength,
+    apiBase,
+  } = options;
+
+  const enhancedPrompt = buildPrompt(prompt, { consoleName, poseDesc });
+
+  const { blob, publicUrl } = await requestImage(model, {
+    prompt: enhancedPrompt,
+    negativePrompt,
+    width,
+    height,
+    seed,
+    transparent,
+    fit,
+    sampling,
+    reference,
+    denoiseStrength,
+  }, { type: 'single', apiBase, failure: 'Image generation failed' });
+
+  const img = await loadImageBlob(blob, 'Failed to load generated image');
+  img._publicUrl = publicUrl;
+  return img;
+}
+
 /**
  * Default negative prompt for sprite sheet generation.
  * Extra terms to avoid grid lines, labels, and uneven spacing.
@@ -245,6 +322,10 @@ export const SHEET_NEGATIVE_PROMPT =
  * @param {string}  options.viewDesc - View/facing description
  * @param {string}  options.animDesc - Animation name/description
  * @param {string[]} options.frameHints - Per-frame pose descriptions
+ * @param {object}  options.sampling - Local Stable Diffusion sampling settings
+ * @param {{ blob: Blob, url?: string }} options.reference - Image to stay consistent with
+ * @param {number}  options.denoiseStrength - How far to move from the reference (0–1)
+ * @param {string}  options.apiBase - Override the provider's proxy base
  * @returns {Promise<HTMLImageElement>} - The loaded sprite sheet image
  */
 export async function generateSpriteSheet(prompt, options = {}) {
@@ -258,6 +339,10 @@ export async function generateSpriteSheet(prompt, options = {}) {
     viewDesc = '',
     animDesc = '',
     frameHints = [],
+    sampling,
+    reference,
+    denoiseStrength,
+    apiBase,
   } = options;
 
   // Use wider aspect ratio for horizontal strip
@@ -273,56 +358,91 @@ export async function generateSpriteSheet(prompt, options = {}) {
     frameCount,
   });
 
-  const encodedPrompt = encodeURIComponent(enhancedPrompt);
   const effectiveNegative = negativePrompt || SHEET_NEGATIVE_PROMPT;
 
-  // Parse provider and model
-  const { provider, modelId } = parseModelId(model);
-  const apiBase = getProviderApiBase(provider);
-
-  let url = `${apiBase}/${encodedPrompt}?model=${encodeURIComponent(modelId)}&width=${width}&height=${height}&nologo=true&nofeed=true`;
-  if (seed !== undefined) {
-    url += `&seed=${seed}`;
-  }
-  if (transparent) {
-    url += '&transparent=true';
-  }
-  url += `&negative_prompt=${encodeURIComponent(effectiveNegative)}`;
-
-  // Store debug info
-  lastRequest.prompt = enhancedPrompt;
-  lastRequest.negativePrompt = effectiveNegative;
-  lastRequest.url = url;
-  lastRequest.width = width;
-  lastRequest.height = height;
-  lastRequest.model = model;
-  lastRequest.provider = provider;
-  lastRequest.type = 'sheet';
-  console.log('[PixelGen] Provider:', provider);
-  console.log('[PixelGen] Model:', modelId);
-  console.log('[PixelGen] Sheet Prompt:', enhancedPrompt);
-  console.log('[PixelGen] Sheet URL:', url);
+  const { blob } = await requestImage(model, {
+    prompt: enhancedPrompt,
+    negativePrompt: effectiveNegative,
+    width,
+    height,
+    seed,
+    transparent,
+    // Frames are sliced in equal columns, so keep whatever layout came back
+    fit: 'none',
+    sampling,
+    reference,
+    denoiseStrength,
+  }, { type: 'sheet', apiBase, failure: 'Sprite sheet generation failed' });
+
+  const img = await loadImageBlob(blob, 'Failed to load sprite sheet image');
+  img._frameCount = frameCount;
+  return img;
+}
 
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Sprite sheet generation failed: ${response.status} ${response.statusText}`);
-  }
+// ─── Inpainting ──────────────────────────────────────────────────────────────
 
-  const blob = await response.blob();
-  const objectUrl = URL.createObjectURL(blob);
+/**
+ * Regenerate the masked region of a source image and composite the result
+ * back over it, leaving everything outside the mask untouched.
+ *
+ * @param {string} prompt - What to paint inside the mask
+ * @param {object} options
+ * @param {string}  options.model - AI model (must support inpainting)
+ * @param {HTMLImageElement} options.image - Source image at natural size
+ * @param {HTMLCanvasElement} options.mask - From upscaleMask, at the source size
+ * @param {string}  options.negativePrompt - Things to avoid in generation
+ * @param {number}  options.seed - Optional seed
+ * @param {number}  options.denoiseStrength - How far to move from the source (0–1)
+ * @param {object}  options.sampling - Local Stable Diffusion sampling settings
+ * @param {string}  options.consoleName - Console name for prompt enhancement
+ * @param {string}  options.poseDesc - Pose/view for prompt enhancement
+ * @param {number}  options.feather - Mask edge blur in source pixels (default 0)
+ * @param {string}  options.apiBase - Override the provider's proxy base
+ * @returns {Promise<HTMLImageElement>} - The composited image at the source size
+ */
+export async function inpaintImage(prompt, options = {}) {
+  const {
+    model = 'openai:dall-e-2',
+    image,
+    mask,
+    negativePrompt = '',
+    seed,
+    denoiseStrength,
+    sampling,
+    consoleName = '',
+    poseDesc = '',
+    feather = 0,
+    apiBase,
+  } = options;
 
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.onload = () => {
-      img._blobUrl = objectUrl;
-      img._frameCount = frameCount;
-      resolve(img);
-    };
-    img.onerror = () => {
-      URL.revokeObjectURL(objectUrl);
-      reject(new Error('Failed to load sprite sheet image'));
-    };
-    img.crossOrigin = 'anonymous';
-    img.src = objectUrl;
-  });
+  const { width, height } = mask;
+  const source = document.createElement('canvas');
+  source.width = width;
+  source.height = height;
+  source.getContext('2d').drawImage(image, 0, 0, width, height);
+
+  const { blob } = await requestImage(model, {
+    prompt: buildPrompt(prompt, { consoleName, poseDesc }),
+    negativePrompt,
+    width,
+    height,
+    seed,
+    // Stretched onto the mask when compositing
+    fit: 'none',
+    sampling,
+    denoiseStrength,
+    inpaint: {
+      image: await canvasToPngBlob(source, 'Failed to encode the source image'),
+      mask: await canvasToPngBlob(mask, 'Failed to encode the inpainting mask'),
+    },
+  }, { type: 'inpaint', apiBase, failure: 'Inpainting failed' });
+
+  const result = await loadImageBlob(blob, 'Failed to load inpainted image');
+  const composited = compositeInpaint(source, result, mask, { feather });
+  URL.revokeObjectURL(result._blobUrl);
+
+  return loadImageBlob(
+    await canvasToPngBlob(composited, 'Failed to encode the inpainted image'),
+    'Failed to load inpainted image',
+  );
 }
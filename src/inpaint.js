@@ -0,0 +1,148 @@
+/**
+ * Inpainting Masks
+ *
+ * A mask is painted on the sprite grid (one cell per sprite pixel) and
+ * scaled up to the AI source image so only that region is regenerated.
+ * processImage downscales by plain cell division, so sprite cell (x, y)
+ * covers source pixels [x·srcW/spriteW, (x+1)·srcW/spriteW) — a
+ * nearest-neighbour upscale lines the mask up exactly. The provider's
+ * result is then composited back over the source inside the mask.
+ */
+
+// ─── Mask Painting ───────────────────────────────────────────────────────────
+
+/**
+ * Create an empty mask for a sprite.
+ * @param {number} width - Sprite width in pixels
+ * @param {number} height - Sprite height in pixels
+ * @returns {{ width: number, height: number, data: Uint8Array }} data is 1 where to regenerate
+ */
+export function createMask(width, height) {
+  return { width, height, data: new Uint8Array(width * height) };
+}
+
+/**
+ * Paint (or erase) a square brush centered on a sprite pixel.
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} mask
+ * @param {number} x - Sprite pixel column
+ * @param {number} y - Sprite pixel row
+ * @param {number} brushSize - Brush edge length in sprite pixels
+ * @param {boolean} erase - Clear instead of paint
+ * @returns {boolean} Whether any cell changed
+ */
+export function paintMask(mask, x, y, brushSize = 1, erase = false) {
+  const value = erase ? 0 : 1;
+  const start = Math.floor((brushSize - 1) / 2);
+  let changed = false;
+  for (let dy = 0; dy < brushSize; dy++) {
+    for (let dx = 0; dx < brushSize; dx++) {
+      const px = x - start + dx;
+      const py = y - start + dy;
+      if (px < 0 || py < 0 || px >= mask.width || py >= mask.height) continue;
+      const idx = py * mask.width + px;
+      if (mask.data[idx] !== value) {
+        mask.data[idx] = value;
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+/**
+ * Check whether nothing is masked.
+ * @param {{ data: Uint8Array }} mask
+ * @returns {boolean}
+ */
+export function isMaskEmpty(mask) {
+  return !mask || !mask.data.some(Boolean);
+}
+
+/**
+ * Draw the mask as a translucent overlay matching a rendered sprite canvas.
+ *
+ * @param {HTMLCanvasElement} canvas - Overlay canvas, sized like the sprite canvas
+ * @param {{ width: number, height: number, data: Uint8Array }} mask
+ * @param {string} color - CSS fill for masked cells
+ */
+export function renderMaskOverlay(canvas, mask, color = 'rgba(255, 48, 96, 0.5)') {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!mask) return;
+  const cellW = canvas.width / mask.width;
+  const cellH = canvas.height / mask.height;
+  ctx.fillStyle = color;
+  for (let y = 0; y < mask.height; y++) {
+    for (let x = 0; x < mask.width; x++) {
+      if (mask.data[y * mask.width + x]) {
+        ctx.fillRect(x * cellW, y * cellH, cellW, cellH);
+      }
+    }
+  }
+}
+
+// ─── Source Resolution ───────────────────────────────────────────────────────
+
+/**
+ * Scale a sprite mask up to the source image: opaque white where to
+ * regenerate, transparent elsewhere (reads as black once the alpha is
+ * dropped, which is what Stable Diffusion inpainting expects).
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} mask
+ * @param {number} width - Source image width
+ * @param {number} height - Source image height
+ * @returns {HTMLCanvasElement}
+ */
+export function upscaleMask(mask, width, height) {
+  const cells = new ImageData(mask.width, mask.height);
+  for (let i = 0; i < mask.data.length; i++) {
+    if (mask.data[i]) cells.data.fill(255, i * 4, i * 4 + 4);
+  }
+  const small = document.createElement('canvas');
+  small.width = mask.width;
+  small.height = mask.height;
+  small.getContext('2d').putImageData(cells, 0, 0);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(small, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Paste the regenerated image over the source inside the mask. The result
+ * is stretched to the source size (providers may answer at another size),
+ * and the mask edge can be feathered to hide seams.
+ *
+ * @param {CanvasImageSource} source - Original source image
+ * @param {CanvasImageSource} result - Provider output
+ * @param {HTMLCanvasElement} maskCanvas - From upscaleMask, at source size
+ * @param {object} options
+ * @param {number} options.feather - Edge blur radius in source pixels
+ * @returns {HTMLCanvasElement} Composited image at source size
+ */
+export function compositeInpaint(source, result, maskCanvas, { feather = 0 } = {}) {
+  const { width, height } = maskCanvas;
+
+  // Regenerated pixels, cut to the mask
+  const patch = document.createElement('canvas');
+  patch.width = width;
+  patch.height = height;
+  const patchCtx = patch.getContext('2d');
+  patchCtx.drawImage(result, 0, 0, width, height);
+  patchCtx.globalCompositeOperation = 'destination-in';
+  if (feather > 0) patchCtx.filter = `blur(${feather}px)`;
+  patchCtx.drawImage(maskCanvas, 0, 0);
+
+  const out = document.createElement('canvas');
+  out.width = width;
+  out.height = height;
+  const ctx = out.getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+  ctx.drawImage(patch, 0, 0);
+  return out;
+}
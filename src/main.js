@@ -196,12 +196,12 @@ function populateModelSelect(models) {
   // Create optgroups for each provider
   for (const [providerName, providerModels] of Object.entries(modelsByProvider)) {
     const optGroup = document.createElement('optgroup');
-    optGroup.label = providerName;
+    optGroup.label = providerModels.some(m => m.offline) ? `${providerName} (offline)` : providerName;
     
     for (const m of providerModels) {
       const opt = document.createElement('option');
       opt.value = m.fullId;
-      opt.textContent = m.name;
+      opt.textContent = m.offline ? `${m.name} · offline` : m.name;
       opt.title = `${m.description} (${m.cost})`;
       if (m.fullId === DEFAULT_MODEL_ID) opt.selected = true;
       optGroup.appendChild(opt);
@@ -2,10 +2,21 @@
  * Model Discovery Service
  *
  * Discovers available image generation models from multiple providers
- * (Pollinations, Gemini, OpenAI, etc.) based on configured API keys.
+ * (Pollinations, Gemini, OpenAI, local Stable Diffusion) based on
+ * configured API keys and backend URLs.
  */
 
-import { initializeProviders, getAllModels, getDefaultModelId } from './provider-service.js';
+import {
+  initializeProviders,
+  getAllModels,
+  getDefaultModelId,
+  getAvailableProviders,
+  getProviderApiBase,
+  getProviderName,
+  getCuratedModels,
+  registerDiscoveredModels,
+} from './provider-service.js';
+import { PROVIDER_ADAPTERS } from './provider-adapters.js';
 
 /**
  * Default model ID — first available model from provider service
@@ -33,13 +44,120 @@ export function initModels() {
   DEFAULT_MODEL_ID = getDefaultModelId();
 }
 
+// ─── Discovery ───────────────────────────────────────────────────────────────
+
+/** How long a provider's discovered model list is reused */
+export const MODEL_CACHE_TTL = 60 * 60 * 1000;
+
+/** localStorage key of the discovery cache */
+const MODEL_CACHE_KEY = 'pixelgen.modelCache';
+
+/**
+ * Read the discovery cache: provider ID → { fetchedAt, models }.
+ * @returns {object}
+ */
+function readModelCache() {
+  try {
+    return JSON.parse(localStorage.getItem(MODEL_CACHE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Store one provider's discovered models.
+ * @param {string} providerId
+ * @param {Array<object>} models
+ */
+function writeModelCache(providerId, models) {
+  try {
+    const cache = readModelCache();
+    cache[providerId] = { fetchedAt: Date.now(), models };
+    localStorage.setItem(MODEL_CACHE_KEY, JSON.stringify(cache));
+  } catch (err) {
+    console.warn('[PixelGen] Could not cache model list:', err);
+  }
+}
+
+/**
+ * Forget every cached model list, so the next fetch asks the providers.
+ */
+export function clearModelCache() {
+  try {
+    localStorage.removeItem(MODEL_CACHE_KEY);
+  } catch {
+    // Storage unavailable — nothing cached
+  }
+}
+
+/**
+ * Merge a provider's live model list with its curated entries. Curated
+ * models the provider still lists keep their names, costs and limits (and
+ * come first, in curated order); listed models without an entry follow.
+ * Curated models the provider no longer lists are dropped.
+ *
+ * @param {string} providerId
+ * @param {Array<object>} live - From the adapter's listModels
+ * @returns {Array<object>}
+ */
+function mergeWithCurated(providerId, live) {
+  const curated = getCuratedModels(providerId);
+  const liveIds = new Set(live.map(m => m.id));
+  const kept = curated.filter(c => liveIds.has(c.apiModel || c.id));
+  const keptIds = new Set(kept.map(c => c.apiModel || c.id));
+  return [...kept, ...live.filter(m => !keptIds.has(m.id))];
+}
+
+/**
+ * Models of one provider: the cached list while it is fresh, else the live
+ * list. A provider that can't be reached falls back to its last known (or
+ * curated) list, flagged `offline`.
+ *
+ * @param {string} providerId
+ * @param {object} options
+ * @param {string} options.apiBase - Override the provider's proxy base
+ * @param {boolean} options.refresh - Ignore the cache
+ * @returns {Promise<Array<object>>}
+ */
+async function discoverProviderModels(providerId, { apiBase, refresh }) {
+  const cached = readModelCache()[providerId];
+  if (!refresh && cached && Date.now() - cached.fetchedAt < MODEL_CACHE_TTL) {
+    return cached.models;
+  }
+
+  try {
+    const live = await PROVIDER_ADAPTERS[providerId].listModels(apiBase || getProviderApiBase(providerId));
+    const models = mergeWithCurated(providerId, live);
+    writeModelCache(providerId, models);
+    return models;
+  } catch (err) {
+    console.warn(`[PixelGen] Could not list ${getProviderName(providerId)} models:`, err);
+    const fallback = cached?.models.length ? cached.models : getCuratedModels(providerId);
+    return fallback.map(model => ({ ...model, offline: true }));
+  }
+}
+
 /**
  * Fetch available image models from all configured providers.
+ * Each provider is asked for its live model list (cached for
+ * MODEL_CACHE_TTL), merged with the curated metadata in provider-service.
  * 
- * @returns {Promise<Array<{id: string, name: string, description: string, cost: string, provider: string, providerName: string}>>}
+ * @param {object} options
+ * @param {Object<string, string>} options.apiBases - Provider ID → proxy base override
+ * @param {boolean} options.refresh - Ignore cached lists
+ * @returns {Promise<Array<{id: string, name: string, description: string, cost: string, provider: string, providerName: string, fullId: string, offline?: boolean}>>}
  */
-export async function fetchImageModels() {
-  // For now, return the statically configured models
-  // In the future, this could dynamically fetch from provider APIs
-  return DEFAULT_MODELS;
+export async function fetchImageModels({ apiBases = {}, refresh = false } = {}) {
+  const providers = getAvailableProviders().filter(id => PROVIDER_ADAPTERS[id]?.listModels);
+  const lists = await Promise.all(providers.map(async (providerId) => {
+    const models = await discoverProviderModels(providerId, { apiBase: apiBases[providerId], refresh });
+    registerDiscoveredModels(providerId, models);
+    return models.map(model => ({
+      ...model,
+      provider: providerId,
+      providerName: getProviderName(providerId),
+      fullId: `${providerId}:${model.id}`,
+    }));
+  }));
+  return lists.flat();
 }
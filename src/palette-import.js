@@ -0,0 +1,319 @@
+/**
+ * Palette Import Module
+ *
+ * Parses palette files into lists of [R,G,B] colors:
+ *   - GIMP .gpl
+ *   - JASC .pal (Paint Shop Pro)
+ *   - Lospec .hex (one RRGGBB per line)
+ *   - Adobe .ase (Swatch Exchange)
+ *   - PNG swatches (one pixel per color, read in scan order)
+ *
+ * Imported palettes are registered as virtual consoles via
+ * registerCustomPalette() in palettes.js and persisted by sprite-storage.
+ */
+
+/** Largest palette we accept — anything bigger is almost certainly not a palette */
+export const MAX_PALETTE_COLORS = 256;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const clampByte = (v) => Math.max(0, Math.min(255, Math.round(v)));
+
+/**
+ * Drop exact duplicates (keeping first occurrence) and enforce the size cap.
+ * @param {number[][]} colors
+ * @param {string} format - For the error message
+ * @returns {number[][]}
+ */
+function finalizeColors(colors, format) {
+  const seen = new Set();
+  const unique = [];
+  for (const color of colors) {
+    const key = color.join(',');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    unique.push(color);
+  }
+  if (unique.length === 0) {
+    throw new Error(`No colors found in ${format} palette`);
+  }
+  if (unique.length > MAX_PALETTE_COLORS) {
+    throw new Error(`${format} palette has ${unique.length} colors (max ${MAX_PALETTE_COLORS})`);
+  }
+  return unique;
+}
+
+/**
+ * Turn a display name into a registry slug.
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugifyPaletteName(name) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'palette';
+}
+
+// ─── Text Formats ────────────────────────────────────────────────────────────
+
+/**
+ * Parse a GIMP palette (.gpl).
+ * @param {string} text
+ * @returns {{ name: string|null, colors: number[][] }}
+ */
+export function parseGpl(text) {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0] || !lines[0].trim().startsWith('GIMP Palette')) {
+    throw new Error('Not a GIMP palette: missing "GIMP Palette" header');
+  }
+
+  let name = null;
+  const colors = [];
+  for (const raw of lines.slice(1)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const header = line.match(/^(Name|Columns):\s*(.*)$/i);
+    if (header) {
+      if (header[1].toLowerCase() === 'name') name = header[2].trim() || null;
+      continue;
+    }
+
+    const parts = line.split(/\s+/);
+    const rgb = parts.slice(0, 3).map(Number);
+    if (rgb.length < 3 || rgb.some(v => !Number.isFinite(v))) {
+      throw new Error(`Invalid GIMP palette line: "${line}"`);
+    }
+    colors.push(rgb.map(clampByte));
+  }
+
+  return { name, colors: finalizeColors(colors, 'GIMP') };
+}
+
+/**
+ * Parse a JASC-PAL palette (.pal).
+ * @param {string} text
+ * @returns {{ name: null, colors: number[][] }}
+ */
+export function parsePal(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines[0] !== 'JASC-PAL') {
+    throw new Error('Not a JASC palette: missing "JASC-PAL" header');
+  }
+
+  const count = parseInt(lines[2], 10);
+  if (!Number.isFinite(count)) {
+    throw new Error('Invalid JASC palette: missing color count');
+  }
+
+  const colors = [];
+  for (const line of lines.slice(3, 3 + count)) {
+    const rgb = line.split(/\s+/).slice(0, 3).map(Number);
+    if (rgb.length < 3 || rgb.some(v => !Number.isFinite(v))) {
+      throw new Error(`Invalid JASC palette line: "${line}"`);
+    }
+    colors.push(rgb.map(clampByte));
+  }
+  if (colors.length < count) {
+    throw new Error(`JASC palette declares ${count} colors but has ${colors.length}`);
+  }
+
+  return { name: null, colors: finalizeColors(colors, 'JASC') };
+}
+
+/**
+ * Parse a Lospec .hex palette (one RRGGBB per line, optional '#').
+ * @param {string} text
+ * @returns {{ name: null, colors: number[][] }}
+ */
+export function parseHex(text) {
+  const colors = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim().replace(/^#/, '');
+    if (!line) continue;
+    if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(line)) {
+      throw new Error(`Invalid hex color: "${raw.trim()}"`);
+    }
+    colors.push([0, 2, 4].map(i => parseInt(line.slice(i, i + 2), 16)));
+  }
+  return { name: null, colors: finalizeColors(colors, 'HEX') };
+}
+
+// ─── Adobe Swatch Exchange ───────────────────────────────────────────────────
+
+const ASE_BLOCK_COLOR = 0x0001;
+
+/**
+ * CIELAB (D50, as Adobe stores it) → sRGB.
+ */
+function labToRgb(L, a, b) {
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+  const X = 0.9642 * finv(fx);
+  const Y = 1.0 * finv(fy);
+  const Z = 0.8249 * finv(fz);
+
+  // Bradford-adapted D50 → linear sRGB
+  const lr =  3.1338561 * X - 1.6168667 * Y - 0.4906146 * Z;
+  const lg = -0.9787684 * X + 1.9161415 * Y + 0.0334540 * Z;
+  const lb =  0.0719453 * X - 0.2289914 * Y + 1.4052427 * Z;
+  const gamma = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+  return [lr, lg, lb].map(c => clampByte(gamma(Math.max(0, c)) * 255));
+}
+
+/**
+ * Convert one ASE color block's model + values to [R,G,B].
+ */
+function aseColorToRgb(model, values) {
+  switch (model) {
+    case 'RGB':
+      return values.slice(0, 3).map(v => clampByte(v * 255));
+    case 'CMYK': {
+      const [c, m, y, k] = values;
+      return [c, m, y].map(v => clampByte(255 * (1 - v) * (1 - k)));
+    }
+    case 'Gray':
+      return [0, 0, 0].map(() => clampByte(values[0] * 255));
+    case 'LAB':
+      return labToRgb(values[0] * 100, values[1], values[2]);
+    default:
+      throw new Error(`Unsupported ASE color model "${model}"`);
+  }
+}
+
+/**
+ * Parse an Adobe Swatch Exchange file (.ase). Groups are flattened.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ name: null, colors: number[][] }}
+ */
+export function parseAse(buffer) {
+  const view = new DataView(buffer);
+  const signature = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+  if (signature !== 'ASEF') {
+    throw new Error('Not an Adobe Swatch Exchange file: missing "ASEF" signature');
+  }
+
+  const blockCount = view.getUint32(8);
+  const colors = [];
+  let offset = 12;
+
+  for (let i = 0; i < blockCount; i++) {
+    if (offset + 6 > buffer.byteLength) {
+      throw new Error('Truncated ASE file');
+    }
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const body = offset + 6;
+    offset = body + length;
+    if (offset > buffer.byteLength) {
+      throw new Error('Truncated ASE file');
+    }
+    if (type !== ASE_BLOCK_COLOR) continue;  // group start/end
+
+    // Name: UTF-16BE, length in code units including the terminator
+    const nameLength = view.getUint16(body);
+    let p = body + 2 + nameLength * 2;
+
+    const model = String.fromCharCode(
+      view.getUint8(p), view.getUint8(p + 1), view.getUint8(p + 2), view.getUint8(p + 3)
+    ).trim();
+    p += 4;
+
+    const channels = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model];
+    if (!channels) {
+      throw new Error(`Unsupported ASE color model "${model}"`);
+    }
+    const values = [];
+    for (let c = 0; c < channels; c++) {
+      values.push(view.getFloat32(p + c * 4));
+    }
+    colors.push(aseColorToRgb(model, values));
+  }
+
+  return { name: null, colors: finalizeColors(colors, 'ASE') };
+}
+
+// ─── PNG Swatch ──────────────────────────────────────────────────────────────
+
+/**
+ * Read a swatch image (one pixel per color) in scan order.
+ * Fully transparent pixels are skipped, so padded swatch strips work too.
+ * @param {ImageData} imageData
+ * @returns {{ name: null, colors: number[][] }}
+ */
+export function parseSwatchImage(imageData) {
+  const { data } = imageData;
+  const colors = [];
+  const seen = new Set();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 10) continue;
+    const key = `${data[i]},${data[i + 1]},${data[i + 2]}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (colors.length >= MAX_PALETTE_COLORS) {
+      throw new Error(`PNG swatch has more than ${MAX_PALETTE_COLORS} colors — is it a palette image?`);
+    }
+    colors.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  return { name: null, colors: finalizeColors(colors, 'PNG') };
+}
+
+/**
+ * Decode an image Blob to ImageData.
+ * @param {Blob} blob
+ * @returns {Promise<ImageData>}
+ */
+async function decodeImageBlob(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// ─── File Import ─────────────────────────────────────────────────────────────
+
+/** Accepted file extensions (for <input accept>) */
+export const PALETTE_FILE_EXTENSIONS = ['.gpl', '.pal', '.hex', '.ase', '.png'];
+
+/**
+ * Parse a palette File/Blob, picking the format from its extension.
+ *
+ * @param {File} file
+ * @returns {Promise<{ slug: string, name: string, colors: number[][], format: string }>}
+ * @throws {Error} On unknown extensions or malformed files
+ */
+export async function importPaletteFile(file) {
+  const match = /\.([a-z0-9]+)$/i.exec(file.name || '');
+  const ext = match ? match[1].toLowerCase() : '';
+  const baseName = (file.name || 'palette').replace(/\.[^.]+$/, '');
+
+  let parsed;
+  switch (ext) {
+    case 'gpl':
+      parsed = parseGpl(await file.text());
+      break;
+    case 'pal':
+      parsed = parsePal(await file.text());
+      break;
+    case 'hex':
+      parsed = parseHex(await file.text());
+      break;
+    case 'ase':
+      parsed = parseAse(await file.arrayBuffer());
+      break;
+    case 'png':
+      parsed = parseSwatchImage(await decodeImageBlob(file));
+      break;
+    default:
+      throw new Error(`Unsupported palette format ".${ext}". Use ${PALETTE_FILE_EXTENSIONS.join(', ')}`);
+  }
+
+  const name = parsed.name || baseName;
+  return { slug: slugifyPaletteName(name), name, colors: parsed.colors, format: ext };
+}
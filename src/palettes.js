@@ -8,9 +8,17 @@
  *   - Game Boy (DMG)
  *   - Commodore 64
  *   - Atari 2600
+ *   - Game Boy Color
+ *   - Sega Master System
+ *   - PC Engine / TurboGrafx-16
+ *   - PICO-8
+ *   - MSX1 (TMS9918)
+ *   - ZX Spectrum
  *
  * Each console entry includes palette data, sprite sizes, and
- * metadata describing the console's color capabilities.
+ * metadata describing the console's color capabilities. Imported
+ * palettes (see palette-import.js) are registered alongside them as
+ * `custom:<slug>` entries.
  */
 
 // ─── Re-export NES palette for backward compatibility ────────────────────────
@@ -31,21 +39,30 @@ const gameBoyPalette = [
 // ─── Sega Genesis / Mega Drive ───────────────────────────────────────────────
 // 9-bit RGB: 3 bits per channel = 8 levels per channel = 512 total colors.
 // Channel levels: 0, 36, 73, 109, 146, 182, 219, 255
-const GENESIS_CHANNEL_LEVELS = [0, 36, 73, 109, 146, 182, 219, 255];
+export const GENESIS_CHANNEL_LEVELS = [0, 36, 73, 109, 146, 182, 219, 255];
 
-function generateGenesisPalette() {
+// CRAM holds 4 palette lines of 16 entries; entry 0 of each line is transparent
+// for sprites, so a sprite (or a whole character) gets 15 colors from one line.
+export const GENESIS_CRAM_LINES = 4;
+
+/**
+ * Every RGB combination of the given per-channel levels.
+ * @param {number[]} levels - Channel values (0–255)
+ * @returns {number[][]} levels³ colors
+ */
+function generateChannelGridPalette(levels) {
   const palette = [];
-  for (const r of GENESIS_CHANNEL_LEVELS) {
-    for (const g of GENESIS_CHANNEL_LEVELS) {
-      for (const b of GENESIS_CHANNEL_LEVELS) {
+  for (const r of levels) {
+    for (const g of levels) {
+      for (const b of levels) {
         palette.push([r, g, b]);
       }
     }
   }
-  return palette; // 8 × 8 × 8 = 512 colors
+  return palette;
 }
 
-const genesisFullPalette = generateGenesisPalette();
+const genesisFullPalette = generateChannelGridPalette(GENESIS_CHANNEL_LEVELS); // 8 × 8 × 8 = 512 colors
 
 // ─── Commodore 64 ────────────────────────────────────────────────────────────
 // Pepto palette — the most accurate C64 color reproduction.
@@ -70,7 +87,8 @@ const c64Palette = [
 ];
 
 // ─── Atari 2600 (NTSC TIA) ──────────────────────────────────────────────────
-// 128 colors: 16 hues × 8 luminance levels.
+// 128 colors: 16 hues × 8 luminance levels. Entry hue * 8 + lum is the
+// TIA color register value (hue << 4) | (lum << 1).
 // Based on the Stella emulator's default NTSC palette.
 // Hue 0 is grayscale; hues 1–15 add chroma.
 //
@@ -121,6 +139,88 @@ function generateAtari2600Palette() {
 
 const atariPalette = generateAtari2600Palette();
 
+// ─── Sega Master System ──────────────────────────────────────────────────────
+// 6-bit RGB: 2 bits per channel = 4 levels per channel = 64 total colors.
+// Sprites use the second 16-entry CRAM palette; entry 0 is transparent.
+const SMS_CHANNEL_LEVELS = [0, 85, 170, 255];
+const smsPalette = generateChannelGridPalette(SMS_CHANNEL_LEVELS); // 4 × 4 × 4 = 64 colors
+
+// ─── PC Engine / TurboGrafx-16 ───────────────────────────────────────────────
+// 9-bit RGB (3 bits per channel, 512 colors) like the Genesis, but with a
+// linear DAC. 16 sprite palettes of 16 entries; entry 0 is transparent.
+const PCE_CHANNEL_LEVELS = [0, 36, 73, 109, 146, 182, 219, 255];
+const pcePalette = generateChannelGridPalette(PCE_CHANNEL_LEVELS);
+
+// ─── PICO-8 ──────────────────────────────────────────────────────────────────
+// Fantasy console: 16 fixed colors (the default draw palette).
+const pico8Palette = [
+  [  0,   0,   0],  // 0  — Black
+  [ 29,  43,  83],  // 1  — Dark Blue
+  [126,  37,  83],  // 2  — Dark Purple
+  [  0, 135,  81],  // 3  — Dark Green
+  [171,  82,  54],  // 4  — Brown
+  [ 95,  87,  79],  // 5  — Dark Gray
+  [194, 195, 199],  // 6  — Light Gray
+  [255, 241, 232],  // 7  — White
+  [255,   0,  77],  // 8  — Red
+  [255, 163,   0],  // 9  — Orange
+  [255, 236,  39],  // 10 — Yellow
+  [  0, 228,  54],  // 11 — Green
+  [ 41, 173, 255],  // 12 — Blue
+  [131, 118, 156],  // 13 — Lavender
+  [255, 119, 168],  // 14 — Pink
+  [255, 204, 170],  // 15 — Peach
+];
+
+// ─── MSX1 (TMS9918) ──────────────────────────────────────────────────────────
+// TI TMS9918 VDP: 15 fixed colors plus transparent (color 0).
+// Sprites are 1 bit deep — a single color per sprite line.
+const msxPalette = [
+  [  0,   0,   0],  // 1  — Black
+  [ 33, 200,  66],  // 2  — Medium Green
+  [ 94, 220, 120],  // 3  — Light Green
+  [ 84,  85, 237],  // 4  — Dark Blue
+  [125, 118, 252],  // 5  — Light Blue
+  [212,  82,  77],  // 6  — Dark Red
+  [ 66, 235, 245],  // 7  — Cyan
+  [252,  85,  84],  // 8  — Medium Red
+  [255, 121, 120],  // 9  — Light Red
+  [212, 193,  84],  // 10 — Dark Yellow
+  [230, 206, 128],  // 11 — Light Yellow
+  [ 33, 176,  59],  // 12 — Dark Green
+  [201,  91, 186],  // 13 — Magenta
+  [204, 204, 204],  // 14 — Gray
+  [255, 255, 255],  // 15 — White
+];
+
+// ─── ZX Spectrum ─────────────────────────────────────────────────────────────
+// 8 colors at two brightness levels (BRIGHT 0 / BRIGHT 1); black is the same
+// in both, giving 15 distinct colors. Color is set per 8×8 attribute cell:
+// one ink and one paper color, sharing the cell's BRIGHT bit.
+const zxSpectrumPalette = [
+  [  0,   0,   0],  // Black
+  [  0,   0, 215],  // Blue
+  [215,   0,   0],  // Red
+  [215,   0, 215],  // Magenta
+  [  0, 215,   0],  // Green
+  [  0, 215, 215],  // Cyan
+  [215, 215,   0],  // Yellow
+  [215, 215, 215],  // White
+  [  0,   0, 255],  // Bright Blue
+  [255,   0,   0],  // Bright Red
+  [255,   0, 255],  // Bright Magenta
+  [  0, 255,   0],  // Bright Green
+  [  0, 255, 255],  // Bright Cyan
+  [255, 255,   0],  // Bright Yellow
+  [255, 255, 255],  // Bright White
+];
+
+// BRIGHT is per cell, so a cell's ink and paper come from the same half
+const zxBrightGroups = [
+  zxSpectrumPalette.slice(0, 8),
+  [zxSpectrumPalette[0], ...zxSpectrumPalette.slice(8)],
+];
+
 // ─── SNES 15-bit color reduction ─────────────────────────────────────────────
 // The SNES uses 15-bit RGB: 5 bits per channel = 32 levels per channel.
 // Rather than a fixed palette of 32,768 colors, we reduce each channel
@@ -172,12 +272,23 @@ export function reduceImageTo15Bit(pixels) {
  *   - name / fullName / year: display metadata
  *   - colorDepth: human-readable description
  *   - colorsPerSprite: hardware sprite color limit
+ *   - spriteColors: opaque colors one sprite may use (enforced with hardwareLimits;
+ *     bit-reduced consoles get an adaptive palette at that size)
+ *   - lineColors: opaque colors one sprite row may use (enforced with hardwareLimits)
+ *   - playerWidth: 1-bit player graphics this many pixels wide, one color per
+ *     row (Atari 2600; with hardwareLimits)
  *   - palette: Array of [R,G,B] triplets (null if using bit-depth reduction)
  *   - paletteFlat: Flat [R,G,B,R,G,B,...] for RgbQuant (null if using reduction)
  *   - bitDepthReduce: if non-null, { bits } for per-channel bit reduction
- *   - spriteSizes: available sprite dimensions
+ *   - spriteSizes: available sprite dimensions; an entry may add pixelAspect
+ *     (display width of one pixel relative to its height) and spriteColors
+ *     (overrides the console's for that size)
+ *   - cell: { w, h, colors, groups? } per-cell color limit (attribute clash,
+ *     enforced with hardwareLimits); a cell's colors all come from one group
  *   - defaultSize: default sprite size key
+ *   - ditherPreset: recommended DITHER_PRESETS key (pixel-processor.js)
  *   - quantizeMode: 'palette' (fixed palette) or 'bitreduce' (per-channel reduction)
+ *   - custom: true for imported palettes (registerCustomPalette)
  */
 export const CONSOLES = {
   nes: {
@@ -186,6 +297,7 @@ export const CONSOLES = {
     year: 1983,
     colorDepth: '6-bit (~54 colors)',
     colorsPerSprite: '3 + transparent',
+    spriteColors: 3,
     palette: NES_PALETTE,
     paletteFlat: NES_PALETTE_FLAT,
     spriteSizes: {
@@ -197,6 +309,7 @@ export const CONSOLES = {
     },
     defaultSize: '32x32',
     quantizeMode: 'palette',
+    ditherPreset: 'bayer-pairs',
   },
 
   snes: {
@@ -205,6 +318,7 @@ export const CONSOLES = {
     year: 1990,
     colorDepth: '15-bit (32,768 colors)',
     colorsPerSprite: '15 + transparent',
+    spriteColors: 15,
     palette: null,
     paletteFlat: null,
     bitDepthReduce: { bits: 5 },
@@ -216,6 +330,7 @@ export const CONSOLES = {
     },
     defaultSize: '32x32',
     quantizeMode: 'bitreduce',
+    ditherPreset: 'diffusion',
   },
 
   genesis: {
@@ -224,6 +339,7 @@ export const CONSOLES = {
     year: 1988,
     colorDepth: '9-bit (512 colors)',
     colorsPerSprite: '15 + transparent',
+    spriteColors: 15,
     palette: genesisFullPalette,
     paletteFlat: genesisFullPalette.flat(),
     spriteSizes: {
@@ -234,6 +350,7 @@ export const CONSOLES = {
     },
     defaultSize: '32x32',
     quantizeMode: 'palette',
+    ditherPreset: 'bayer-soft',
   },
 
   gameboy: {
@@ -242,6 +359,7 @@ export const CONSOLES = {
     year: 1989,
     colorDepth: '2-bit (4 shades)',
     colorsPerSprite: '3 + transparent',
+    spriteColors: 3,
     palette: gameBoyPalette,
     paletteFlat: gameBoyPalette.flat(),
     spriteSizes: {
@@ -252,6 +370,7 @@ export const CONSOLES = {
     },
     defaultSize: '16x16',
     quantizeMode: 'palette',
+    ditherPreset: 'checkerboard',
   },
 
   c64: {
@@ -263,13 +382,14 @@ export const CONSOLES = {
     palette: c64Palette,
     paletteFlat: c64Palette.flat(),
     spriteSizes: {
-      '12x21': { w: 12, h: 21 },
-      '24x21': { w: 24, h: 21 },
+      '12x21': { w: 12, h: 21, pixelAspect: 2, spriteColors: 3 },  // multicolor
+      '24x21': { w: 24, h: 21, spriteColors: 1 },                  // hires
       '16x16': { w: 16, h: 16 },
       '32x32': { w: 32, h: 32 },
     },
     defaultSize: '24x21',
     quantizeMode: 'palette',
+    ditherPreset: 'checkerboard',
   },
 
   atari: {
@@ -278,6 +398,7 @@ export const CONSOLES = {
     year: 1977,
     colorDepth: '7-bit (128 colors)',
     colorsPerSprite: '1 + background',
+    playerWidth: 8,
     palette: atariPalette,
     paletteFlat: atariPalette.flat(),
     spriteSizes: {
@@ -287,6 +408,125 @@ export const CONSOLES = {
     },
     defaultSize: '8x16',
     quantizeMode: 'palette',
+    ditherPreset: 'none',
+  },
+
+  gbc: {
+    name: 'Game Boy Color',
+    fullName: 'Nintendo Game Boy Color',
+    year: 1998,
+    colorDepth: '15-bit (32,768 colors)',
+    colorsPerSprite: '3 + transparent',
+    spriteColors: 3,
+    palette: null,
+    paletteFlat: null,
+    bitDepthReduce: { bits: 5 },
+    spriteSizes: {
+      '8x8':   { w: 8,  h: 8 },
+      '8x16':  { w: 8,  h: 16 },
+      '16x16': { w: 16, h: 16 },
+      '32x32': { w: 32, h: 32 },
+    },
+    defaultSize: '16x16',
+    quantizeMode: 'bitreduce',
+    ditherPreset: 'checkerboard',
+  },
+
+  sms: {
+    name: 'Master System',
+    fullName: 'Sega Master System',
+    year: 1985,
+    colorDepth: '6-bit (64 colors)',
+    colorsPerSprite: '15 + transparent',
+    spriteColors: 15,
+    palette: smsPalette,
+    paletteFlat: smsPalette.flat(),
+    spriteSizes: {
+      '8x8':   { w: 8,  h: 8 },
+      '8x16':  { w: 8,  h: 16 },
+      '16x16': { w: 16, h: 16 },
+      '32x32': { w: 32, h: 32 },
+    },
+    defaultSize: '16x16',
+    quantizeMode: 'palette',
+    ditherPreset: 'bayer-pairs',
+  },
+
+  pce: {
+    name: 'PC Engine',
+    fullName: 'NEC PC Engine / TurboGrafx-16',
+    year: 1987,
+    colorDepth: '9-bit (512 colors)',
+    colorsPerSprite: '15 + transparent',
+    spriteColors: 15,
+    palette: pcePalette,
+    paletteFlat: pcePalette.flat(),
+    spriteSizes: {
+      '16x16': { w: 16, h: 16 },
+      '16x32': { w: 16, h: 32 },
+      '32x32': { w: 32, h: 32 },
+      '32x64': { w: 32, h: 64 },
+    },
+    defaultSize: '32x32',
+    quantizeMode: 'palette',
+    ditherPreset: 'bayer-soft',
+  },
+
+  pico8: {
+    name: 'PICO-8',
+    fullName: 'PICO-8 Fantasy Console',
+    year: 2015,
+    colorDepth: '16 fixed colors',
+    colorsPerSprite: '15 + transparent',
+    spriteColors: 15,
+    palette: pico8Palette,
+    paletteFlat: pico8Palette.flat(),
+    spriteSizes: {
+      '8x8':   { w: 8,  h: 8 },
+      '16x16': { w: 16, h: 16 },
+      '32x32': { w: 32, h: 32 },
+    },
+    defaultSize: '16x16',
+    quantizeMode: 'palette',
+    ditherPreset: 'checkerboard',
+  },
+
+  msx: {
+    name: 'MSX',
+    fullName: 'MSX1 (TMS9918)',
+    year: 1983,
+    colorDepth: '15 fixed colors',
+    colorsPerSprite: '1 per line + transparent',
+    lineColors: 1,
+    palette: msxPalette,
+    paletteFlat: msxPalette.flat(),
+    spriteSizes: {
+      '8x8':   { w: 8,  h: 8 },
+      '16x16': { w: 16, h: 16 },
+    },
+    defaultSize: '16x16',
+    quantizeMode: 'palette',
+    ditherPreset: 'none',
+  },
+
+  zx: {
+    name: 'ZX Spectrum',
+    fullName: 'Sinclair ZX Spectrum',
+    year: 1982,
+    colorDepth: '15 colors (8 × 2 brightness)',
+    colorsPerSprite: '2 per 8×8 cell (ink + paper)',
+    cell: { w: 8, h: 8, colors: 2, groups: zxBrightGroups },
+    palette: zxSpectrumPalette,
+    paletteFlat: zxSpectrumPalette.flat(),
+    spriteSizes: {
+      '8x8':   { w: 8,  h: 8 },
+      '16x16': { w: 16, h: 16 },
+      '24x24': { w: 24, h: 24 },
+      '32x32': { w: 32, h: 32 },
+    },
+    defaultSize: '16x16',
+    quantizeMode: 'palette',
+    ditherPreset: 'checkerboard',
   },
 };
 
@@ -327,3 +567,64 @@ export function getPaletteForConsole(consoleId) {
     bitDepthReduce: entry.bitDepthReduce || null,
   };
 }
+
+// ─── Custom Palettes ─────────────────────────────────────────────────────────
+
+/** Registry key prefix for imported palettes */
+export const CUSTOM_PALETTE_PREFIX = 'custom:';
+
+/** Sprite sizes offered for imported palettes (no hardware to follow) */
+const CUSTOM_SPRITE_SIZES = {
+  '8x8':   { w: 8,  h: 8 },
+  '16x16': { w: 16, h: 16 },
+  '24x24': { w: 24, h: 24 },
+  '32x32': { w: 32, h: 32 },
+  '48x48': { w: 48, h: 48 },
+  '64x64': { w: 64, h: 64 },
+};
+
+/**
+ * Register an imported palette as a virtual console, so it can be picked
+ * anywhere a CONSOLES key is accepted. Re-registering an id replaces it.
+ *
+ * @param {object} palette
+ * @param {string} palette.slug - Stable identifier (becomes `custom:<slug>`)
+ * @param {string} palette.name - Display name
+ * @param {number[][]} palette.colors - [R,G,B] triplets
+ * @returns {string} The registry key
+ * @throws {Error} If the palette has no colors
+ */
+export function registerCustomPalette({ slug, name, colors }) {
+  if (!colors || colors.length === 0) {
+    throw new Error(`Palette "${name || slug}" has no colors`);
+  }
+  const id = `${CUSTOM_PALETTE_PREFIX}${slug}`;
+  const palette = colors.map(([r, g, b]) => [r, g, b]);
+
+  CONSOLES[id] = {
+    name: name || slug,
+    fullName: `${name || slug} (custom palette)`,
+    year: null,
+    colorDepth: `${palette.length} colors`,
+    colorsPerSprite: 'unrestricted',
+    palette,
+    paletteFlat: palette.flat(),
+    spriteSizes: CUSTOM_SPRITE_SIZES,
+    defaultSize: '32x32',
+    quantizeMode: 'palette',
+    ditherPreset: 'bayer-soft',
+    custom: true,
+  };
+  return id;
+}
+
+/**
+ * Remove an imported palette from the registry.
+ * @param {string} id - Registry key (`custom:<slug>`)
+ * @returns {boolean} Whether an entry was removed
+ */
+export function unregisterCustomPalette(id) {
+  if (!id.startsWith(CUSTOM_PALETTE_PREFIX) || !CONSOLES[id]) return false;
+  delete CONSOLES[id];
+  return true;
+}
@@ -8,19 +8,35 @@
  *
  * Enhanced pipeline:
  *   1. Mode-based downscale (preserves hard edges)
- *   2. OKLAB perceptual color quantization
- *   3. Optional Bayer ordered dithering
+ *   2. OKLAB perceptual color quantization (optionally limited to the
+ *      console's per-sprite sub-palette, e.g. 3 colors for NES)
+ *   3. Optional dithering in OKLAB: ordered (Bayer 2×2/4×4/8×8, blue noise)
+ *      or serpentine error diffusion (Floyd-Steinberg, Atkinson, Stucki, Sierra)
  *   4. Optional automatic outline generation
  *   5. Optional orphan pixel cleanup
  *   6. Render with optional grid overlay
  *
  * Supports two quantization modes per console:
- *   - 'palette': Fixed palette matching (NES, Genesis, GB, C64, Atari)
- *   - 'bitreduce': Per-channel bit-depth reduction (SNES 15-bit)
+ *   - 'palette': Fixed palette matching (NES, Genesis, GB, C64, Atari, ...)
+ *   - 'bitreduce': Per-channel bit-depth reduction (SNES/GBC 15-bit), or an
+ *     adaptive BGR555 palette of `spriteColors` colors when hardware limits are on
+ *
+ * With hardware limits, consoles with `lineColors` (MSX1) also get each
+ * sprite row reduced to that many colors, and consoles with a `cell`
+ * (ZX Spectrum) get attribute clash: a color limit per character cell.
+ * Sprite sizes may declare a `pixelAspect` (C64 multicolor's double-wide
+ * pixels), which renderPixelArt honors. Consoles with `playerWidth`
+ * (Atari 2600) are encoded as 1-bit player graphics with one color per row.
  */
 
 import RgbQuant from 'rgbquant';
-import { CONSOLES, DEFAULT_CONSOLE, reduceImageTo15Bit } from './palettes.js';
+import {
+  CONSOLES,
+  DEFAULT_CONSOLE,
+  GENESIS_CRAM_LINES,
+  reduceTo15Bit,
+  reduceImageTo15Bit,
+} from './palettes.js';
 import { preprocessImage, PREPROCESSING_PRESETS } from './image-preprocessor.js';
 
 // ─── OKLAB Color Space ───────────────────────────────────────────────────────
@@ -58,6 +74,35 @@ function srgbToOklab(r, g, b) {
   ];
 }
 
+/**
+ * Convert linear light [0-1] to sRGB [0-255], clamped.
+ */
+function linearToSrgb(c) {
+  const v = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, Math.round(v * 255)));
+}
+
+/**
+ * Convert OKLAB [L, a, b] back to sRGB [0-255].
+ * @param {number[]} lab - [L, a, b]
+ * @returns {number[]} [R, G, B]
+ */
+function oklabToSrgb([L, a, b]) {
+  const l_ = L + 0.3963377774 * a + 0.2158037573 * b;
+  const m_ = L - 0.1055613458 * a - 0.0638541728 * b;
+  const s_ = L - 0.0894841775 * a - 1.2914855480 * b;
+
+  const l = l_ * l_ * l_;
+  const m = m_ * m_ * m_;
+  const s = s_ * s_ * s_;
+
+  return [
+    linearToSrgb( 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+  ];
+}
+
 /**
  * Squared Euclidean distance in OKLAB space (faster than sqrt).
  */
@@ -216,23 +261,210 @@ function quantizeOklab(imageData, palette) {
   return result;
 }
 
+// ─── Dithering ───────────────────────────────────────────────────────────────
+
+/**
+ * Index of the palette color nearest to an OKLAB value.
+ */
+function nearestPaletteIndex(lab, oklabPalette) {
+  let bestIdx = 0;
+  let bestDist = Infinity;
+  for (let j = 0; j < oklabPalette.length; j++) {
+    const d = oklabDistSq(lab, oklabPalette[j]);
+    if (d < bestDist) {
+      bestDist = d;
+      bestIdx = j;
+    }
+  }
+  return bestIdx;
+}
+
+/**
+ * Build an n×n Bayer matrix (n a power of two) by recursive expansion.
+ * Values are thresholds centered on zero: rank / n² − 0.5.
+ */
+function buildBayerMatrix(n) {
+  let m = [[0]];
+  for (let size = 1; size < n; size *= 2) {
+    const next = [];
+    for (let y = 0; y < size * 2; y++) {
+      next.push(new Array(size * 2));
+      for (let x = 0; x < size * 2; x++) {
+        const base = 4 * m[y % size][x % size];
+        const quadrant = [0, 2, 3, 1][(y < size ? 0 : 2) + (x < size ? 0 : 1)];
+        next[y][x] = base + quadrant;
+      }
+    }
+    m = next;
+  }
+  const levels = n * n;
+  return m.map(row => row.map(v => v / levels - 0.5));
+}
+
+/**
+ * Build an n×n blue-noise threshold matrix with the void-and-cluster method.
+ * Blue noise has no visible grid structure, so it dithers more organically
+ * than Bayer while staying stable between animation frames.
+ */
+function buildBlueNoiseMatrix(n, sigma = 1.5) {
+  const size = n * n;
+  const kernel = new Float64Array(size);
+  for (let dy = 0; dy < n; dy++) {
+    for (let dx = 0; dx < n; dx++) {
+      const ty = Math.min(dy, n - dy);
+      const tx = Math.min(dx, n - dx);
+      kernel[dy * n + dx] = Math.exp(-(tx * tx + ty * ty) / (2 * sigma * sigma));
+    }
+  }
+
+  const energy = new Float64Array(size);
+  const pattern = new Uint8Array(size);
+  const toggle = (idx, on) => {
+    pattern[idx] = on ? 1 : 0;
+    const px = idx % n, py = Math.floor(idx / n);
+    const sign = on ? 1 : -1;
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const k = ((y - py + n) % n) * n + ((x - px + n) % n);
+        energy[y * n + x] += sign * kernel[k];
+      }
+    }
+  };
+  const extreme = (value, pickMax) => {
+    let best = -1;
+    for (let i = 0; i < size; i++) {
+      if (pattern[i] !== value) continue;
+      if (best === -1 || (pickMax ? energy[i] > energy[best] : energy[i] < energy[best])) best = i;
+    }
+    return best;
+  };
+
+  // Deterministic initial pattern (~10% ones) from a small LCG
+  let seed = 12345;
+  const initial = Math.max(1, Math.floor(size / 10));
+  let placed = 0;
+  while (placed < initial) {
+    seed = (Math.imul(seed, 1103515245) + 12345) & 0x7fffffff;
+    const idx = (seed >>> 8) % size;
+    if (!pattern[idx]) {
+      toggle(idx, true);
+      placed++;
+    }
+  }
+
+  // Relax: move the tightest cluster into the largest void until stable
+  for (let iter = 0; iter < size * 4; iter++) {
+    const cluster = extreme(1, true);
+    toggle(cluster, false);
+    const voidIdx = extreme(0, false);
+    toggle(voidIdx, true);
+    if (voidIdx === cluster) break;
+  }
+
+  const ranks = new Int32Array(size);
+  const relaxed = pattern.slice();
+  const relaxedEnergy = energy.slice();
+
+  // Rank the initial points by removing tightest clusters
+  for (let rank = initial - 1; rank >= 0; rank--) {
+    const cluster = extreme(1, true);
+    toggle(cluster, false);
+    ranks[cluster] = rank;
+  }
+
+  // Rank the remaining cells by filling the largest voids
+  pattern.set(relaxed);
+  energy.set(relaxedEnergy);
+  for (let rank = initial; rank < size; rank++) {
+    const voidIdx = extreme(0, false);
+    toggle(voidIdx, true);
+    ranks[voidIdx] = rank;
+  }
+
+  const matrix = [];
+  for (let y = 0; y < n; y++) {
+    matrix.push(Array.from(ranks.subarray(y * n, y * n + n), r => (r + 0.5) / size - 0.5));
+  }
+  return matrix;
+}
+
+/**
+ * Ordered dither threshold matrices, built on first use.
+ */
+const ORDERED_MATRICES = {
+  checker: () => [[-0.25, 0.25], [0.25, -0.25]],
+  bayer2: () => buildBayerMatrix(2),
+  bayer: () => buildBayerMatrix(4),
+  bayer8: () => buildBayerMatrix(8),
+  bluenoise: () => buildBlueNoiseMatrix(16),
+};
+const _orderedMatrixCache = new Map();
+
+function getOrderedMatrix(name) {
+  if (!_orderedMatrixCache.has(name)) {
+    _orderedMatrixCache.set(name, ORDERED_MATRICES[name]());
+  }
+  return _orderedMatrixCache.get(name);
+}
+
 /**
- * Bayer ordered dithering in OKLAB space.
- * Applies a 4x4 Bayer matrix threshold to produce the characteristic
- * pixel art cross-hatch dither pattern.
+ * Error-diffusion kernels: [dx, dy, weight] relative to the current pixel
+ * (dx is mirrored on right-to-left rows), normalized by `divisor`.
+ * Atkinson deliberately diffuses only 6/8 of the error.
+ */
+const DIFFUSION_KERNELS = {
+  FloydSteinberg: {
+    divisor: 16,
+    taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]],
+  },
+  Atkinson: {
+    divisor: 8,
+    taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]],
+  },
+  Stucki: {
+    divisor: 42,
+    taps: [
+      [1, 0, 8], [2, 0, 4],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+      [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1],
+    ],
+  },
+  Sierra: {
+    divisor: 32,
+    taps: [
+      [1, 0, 5], [2, 0, 3],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+      [-1, 2, 2], [0, 2, 3], [1, 2, 2],
+    ],
+  },
+  SierraLite: {
+    divisor: 4,
+    taps: [[1, 0, 2], [-1, 1, 1], [0, 1, 1]],
+  },
+};
+
+/**
+ * Ordered dithering in OKLAB space.
+ * Offsets lightness by a tiled threshold matrix before nearest-color
+ * matching, producing the characteristic pixel art cross-hatch pattern.
+ *
+ * With `pairs`, each pixel instead dithers only between its two nearest
+ * palette colors: the matrix decides which of the two to use based on how
+ * far the pixel sits between them. This is the classic hardware look — a
+ * 50% checkerboard of two shades rather than noise across the palette.
+ *
+ * @param {ImageData} imageData
+ * @param {number[][]} palette
+ * @param {number[][]} matrix - Thresholds centered on zero (from ORDERED_MATRICES)
+ * @param {number} strength - Lightness offset scale, or threshold scale (0–1) with pairs
+ * @param {boolean} pairs - Pattern dither between the two nearest colors only
  */
-function quantizeOklabBayer(imageData, palette, strength = 0.3) {
+function quantizeOklabOrdered(imageData, palette, matrix, strength = 0.3, pairs = false) {
   const { width, height, data } = imageData;
   const oklabPalette = getPaletteOklab(palette);
   const result = new ImageData(width, height);
   const dst = result.data;
-
-  const bayer4 = [
-    [ 0/16 - 0.5,  8/16 - 0.5,  2/16 - 0.5, 10/16 - 0.5],
-    [12/16 - 0.5,  4/16 - 0.5, 14/16 - 0.5,  6/16 - 0.5],
-    [ 3/16 - 0.5, 11/16 - 0.5,  1/16 - 0.5,  9/16 - 0.5],
-    [15/16 - 0.5,  7/16 - 0.5, 13/16 - 0.5,  5/16 - 0.5],
-  ];
+  const n = matrix.length;
 
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
@@ -246,23 +478,484 @@ function quantizeOklabBayer(imageData, palette, strength = 0.3) {
       }
 
       const pixelOklab = srgbToOklab(data[i], data[i + 1], data[i + 2]);
-      const threshold = bayer4[y % 4][x % 4] * strength;
-      const ditheredOklab = [pixelOklab[0] + threshold, pixelOklab[1], pixelOklab[2]];
-
-      let bestIdx = 0;
-      let bestDist = Infinity;
-      for (let j = 0; j < oklabPalette.length; j++) {
-        const d = oklabDistSq(ditheredOklab, oklabPalette[j]);
-        if (d < bestDist) {
-          bestDist = d;
-          bestIdx = j;
+      const threshold = matrix[y % n][x % n];
+
+      let bestIdx;
+      if (pairs && oklabPalette.length > 1) {
+        // Two nearest colors, and the pixel's position along the line between them
+        let first = 0, second = -1;
+        let d1 = Infinity, d2 = Infinity;
+        for (let j = 0; j < oklabPalette.length; j++) {
+          const d = oklabDistSq(pixelOklab, oklabPalette[j]);
+          if (d < d1) {
+            d2 = d1; second = first;
+            d1 = d; first = j;
+          } else if (d < d2) {
+            d2 = d; second = j;
+          }
         }
+        // Order the pair dark → light so the pattern phase is stable across a ramp
+        if (oklabPalette[second][0] < oklabPalette[first][0]) [first, second] = [second, first];
+        const c1 = oklabPalette[first];
+        const c2 = oklabPalette[second];
+        const span = oklabDistSq(c1, c2);
+        let mix = 0;
+        if (span > 0) {
+          mix = ((pixelOklab[0] - c1[0]) * (c2[0] - c1[0]) +
+                 (pixelOklab[1] - c1[1]) * (c2[1] - c1[1]) +
+                 (pixelOklab[2] - c1[2]) * (c2[2] - c1[2])) / span;
+        }
+        bestIdx = mix > 0.5 + threshold * strength ? second : first;
+      } else {
+        const ditheredOklab = [pixelOklab[0] + threshold * strength, pixelOklab[1], pixelOklab[2]];
+        bestIdx = nearestPaletteIndex(ditheredOklab, oklabPalette);
+      }
+
+      dst[i]     = palette[bestIdx][0];
+      dst[i + 1] = palette[bestIdx][1];
+      dst[i + 2] = palette[bestIdx][2];
+      dst[i + 3] = a;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Error-diffusion dithering in OKLAB space.
+ * Quantization error is carried in OKLAB (so it spreads perceptually) and
+ * rows alternate direction (serpentine) to avoid directional artifacts.
+ * Error never flows into or out of transparent pixels.
+ *
+ * @param {ImageData} imageData
+ * @param {number[][]} palette
+ * @param {{ divisor: number, taps: number[][] }} kernel - From DIFFUSION_KERNELS
+ * @param {number} strength - Fraction of error to diffuse (0–1)
+ */
+function quantizeOklabDiffusion(imageData, palette, kernel, strength = 1) {
+  const { width, height, data } = imageData;
+  const oklabPalette = getPaletteOklab(palette);
+  const result = new ImageData(width, height);
+  const dst = result.data;
+
+  const lab = new Float32Array(width * height * 3);
+  for (let p = 0; p < width * height; p++) {
+    const [L, A, B] = srgbToOklab(data[p * 4], data[p * 4 + 1], data[p * 4 + 2]);
+    lab[p * 3] = L;
+    lab[p * 3 + 1] = A;
+    lab[p * 3 + 2] = B;
+  }
+
+  const { divisor, taps } = kernel;
+  for (let y = 0; y < height; y++) {
+    const dir = y % 2 === 0 ? 1 : -1;
+    for (let step = 0; step < width; step++) {
+      const x = dir === 1 ? step : width - 1 - step;
+      const p = y * width + x;
+      const i = p * 4;
+      const a = data[i + 3];
+
+      if (a < 10) {
+        dst[i] = dst[i + 1] = dst[i + 2] = 0;
+        dst[i + 3] = 0;
+        continue;
       }
 
+      const pixelOklab = [lab[p * 3], lab[p * 3 + 1], lab[p * 3 + 2]];
+      const bestIdx = nearestPaletteIndex(pixelOklab, oklabPalette);
+      const chosen = oklabPalette[bestIdx];
+
       dst[i]     = palette[bestIdx][0];
       dst[i + 1] = palette[bestIdx][1];
       dst[i + 2] = palette[bestIdx][2];
       dst[i + 3] = a;
+
+      const errL = (pixelOklab[0] - chosen[0]) * strength / divisor;
+      const errA = (pixelOklab[1] - chosen[1]) * strength / divisor;
+      const errB = (pixelOklab[2] - chosen[2]) * strength / divisor;
+
+      for (const [dx, dy, weight] of taps) {
+        const nx = x + dx * dir;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        const np = ny * width + nx;
+        if (data[np * 4 + 3] < 10) continue;
+        lab[np * 3]     += errL * weight;
+        lab[np * 3 + 1] += errA * weight;
+        lab[np * 3 + 2] += errB * weight;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Quantize in OKLAB with the named dither mode (see DITHER_OPTIONS.enhanced).
+ * Unknown or empty modes fall back to plain nearest-color matching.
+ *
+ * @param {ImageData} imageData
+ * @param {number[][]} palette
+ * @param {string|null} dithering - Matrix or kernel name
+ * @param {object} options
+ * @param {number|null} options.strength - Null for the mode's default (0.3 ordered, 1 diffusion)
+ * @param {boolean} options.pairs - Ordered modes: dither between the two nearest colors only
+ */
+function quantizeOklabDithered(imageData, palette, dithering, options = {}) {
+  const { strength = null, pairs = false } = options;
+
+  if (dithering && ORDERED_MATRICES[dithering]) {
+    const matrix = getOrderedMatrix(dithering);
+    return quantizeOklabOrdered(imageData, palette, matrix, strength ?? (pairs ? 1 : 0.3), pairs);
+  }
+  if (dithering && DIFFUSION_KERNELS[dithering]) {
+    return quantizeOklabDiffusion(imageData, palette, DIFFUSION_KERNELS[dithering], strength ?? 1);
+  }
+  return quantizeOklab(imageData, palette);
+}
+
+// ─── Sprite Palette Selection ────────────────────────────────────────────────
+// Hardware sprites can only reference a handful of colors at once (e.g. an NES
+// sprite uses one 3-color sub-palette plus transparency). These helpers pick
+// the subset of a console palette that best represents the actual pixels.
+
+/**
+ * Build a weighted color histogram from one or more images.
+ * Transparent pixels are ignored.
+ *
+ * @param {ImageData[]} images
+ * @returns {Array<{ rgb: number[], lab: number[], weight: number }>}
+ */
+function buildColorHistogram(images) {
+  const counts = new Map();
+  for (const { data } of images) {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 10) continue;
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const histogram = [];
+  for (const [key, weight] of counts) {
+    const rgb = [(key >> 16) & 0xff, (key >> 8) & 0xff, key & 0xff];
+    histogram.push({ rgb, lab: srgbToOklab(rgb[0], rgb[1], rgb[2]), weight });
+  }
+  return histogram;
+}
+
+/**
+ * Choose the `count` palette colors that minimize total OKLAB error over a
+ * histogram. Greedy selection followed by swap refinement (k-medoids), so
+ * the result is always a subset of the hardware palette.
+ *
+ * @param {Array<{ lab: number[], weight: number }>} histogram - From buildColorHistogram
+ * @param {number[][]} palette - Candidate [R,G,B] colors
+ * @param {number} count - Number of colors to pick
+ * @returns {number[][]} Selected colors, sorted dark → light
+ */
+function selectSubPalette(histogram, palette, count) {
+  if (histogram.length === 0) return [];
+
+  const oklabPalette = getPaletteOklab(palette);
+  const n = histogram.length;
+  const p = palette.length;
+  const k = Math.min(count, p);
+
+  // dist[h * p + j] = weighted distance from histogram entry h to palette color j
+  const dist = new Float64Array(n * p);
+  for (let h = 0; h < n; h++) {
+    const { lab, weight } = histogram[h];
+    for (let j = 0; j < p; j++) {
+      dist[h * p + j] = weight * oklabDistSq(lab, oklabPalette[j]);
+    }
+  }
+
+  // Greedy: add whichever color reduces error the most
+  const chosen = [];
+  const nearest = new Float64Array(n).fill(Infinity);
+  while (chosen.length < k) {
+    let bestJ = -1;
+    let bestCost = Infinity;
+    for (let j = 0; j < p; j++) {
+      if (chosen.includes(j)) continue;
+      let total = 0;
+      for (let h = 0; h < n; h++) {
+        total += Math.min(nearest[h], dist[h * p + j]);
+      }
+      if (total < bestCost) {
+        bestCost = total;
+        bestJ = j;
+      }
+    }
+    chosen.push(bestJ);
+    for (let h = 0; h < n; h++) {
+      nearest[h] = Math.min(nearest[h], dist[h * p + bestJ]);
+    }
+  }
+
+  // Refine: swap a chosen color for an unchosen one while it lowers error.
+  // Tracking each entry's nearest and second-nearest chosen color makes
+  // every swap evaluation O(histogram) instead of O(histogram × count).
+  const nearestSlot = new Int32Array(n);
+  const second = new Float64Array(n);
+  const rankChosen = () => {
+    let total = 0;
+    for (let h = 0; h < n; h++) {
+      let d1 = Infinity, d2 = Infinity, slot = 0;
+      for (let s = 0; s < chosen.length; s++) {
+        const d = dist[h * p + chosen[s]];
+        if (d < d1) {
+          d2 = d1;
+          d1 = d;
+          slot = s;
+        } else if (d < d2) {
+          d2 = d;
+        }
+      }
+      nearest[h] = d1;
+      second[h] = d2;
+      nearestSlot[h] = slot;
+      total += d1;
+    }
+    return total;
+  };
+
+  let currentCost = rankChosen();
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let s = 0; s < chosen.length; s++) {
+      for (let j = 0; j < p; j++) {
+        if (chosen.includes(j)) continue;
+        let cost = 0;
+        for (let h = 0; h < n; h++) {
+          const others = nearestSlot[h] === s ? second[h] : nearest[h];
+          cost += Math.min(others, dist[h * p + j]);
+        }
+        if (cost < currentCost - 1e-12) {
+          chosen[s] = j;
+          currentCost = rankChosen();
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return chosen
+    .sort((a, b) => oklabPalette[a][0] - oklabPalette[b][0])
+    .map(j => palette[j]);
+}
+
+/**
+ * Adaptive palette search for consoles without a fixed palette (SNES).
+ * Weighted k-means in OKLAB, seeded by farthest-point sampling so results
+ * are deterministic. Each centroid is snapped to hardware precision by
+ * `snap`, so the palette is directly loadable (e.g. BGR555 for SNES CGRAM).
+ *
+ * @param {Array<{ lab: number[], weight: number }>} histogram - From buildColorHistogram
+ * @param {number} count - Maximum number of colors
+ * @param {function(number, number, number): number[]} snap - Reduce an RGB color to hardware precision
+ * @returns {number[][]} Palette colors, sorted dark → light
+ */
+function buildAdaptivePalette(histogram, count, snap) {
+  const n = histogram.length;
+  if (n === 0) return [];
+  const k = Math.min(count, n);
+
+  // Seed with the heaviest color, then repeatedly the worst-served one
+  let heaviest = 0;
+  for (let h = 1; h < n; h++) {
+    if (histogram[h].weight > histogram[heaviest].weight) heaviest = h;
+  }
+  const centers = [histogram[heaviest].lab.slice()];
+  const nearest = new Float64Array(n).fill(Infinity);
+  while (centers.length < k) {
+    const last = centers[centers.length - 1];
+    let farthest = -1;
+    let farthestScore = 0;
+    for (let h = 0; h < n; h++) {
+      nearest[h] = Math.min(nearest[h], oklabDistSq(histogram[h].lab, last));
+      const score = nearest[h] * histogram[h].weight;
+      if (score > farthestScore) {
+        farthestScore = score;
+        farthest = h;
+      }
+    }
+    if (farthest === -1) break;
+    centers.push(histogram[farthest].lab.slice());
+  }
+
+  // Lloyd iterations
+  const assignment = new Int32Array(n).fill(-1);
+  for (let iter = 0; iter < 16; iter++) {
+    let changed = false;
+    for (let h = 0; h < n; h++) {
+      let best = 0;
+      let bestDist = Infinity;
+      for (let c = 0; c < centers.length; c++) {
+        const d = oklabDistSq(histogram[h].lab, centers[c]);
+        if (d < bestDist) {
+          bestDist = d;
+          best = c;
+        }
+      }
+      if (assignment[h] !== best) {
+        assignment[h] = best;
+        changed = true;
+      }
+    }
+    if (!changed) break;
+
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    for (let h = 0; h < n; h++) {
+      const { lab, weight } = histogram[h];
+      const sum = sums[assignment[h]];
+      sum[0] += lab[0] * weight;
+      sum[1] += lab[1] * weight;
+      sum[2] += lab[2] * weight;
+      sum[3] += weight;
+    }
+    sums.forEach((sum, c) => {
+      if (sum[3] > 0) {
+        centers[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+      }
+    });
+  }
+
+  // Snap to hardware precision; snapping can merge neighbors
+  const seen = new Set();
+  const palette = [];
+  for (const center of centers) {
+    const rgb = snap(...oklabToSrgb(center));
+    const key = rgb.join(',');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    palette.push(rgb);
+  }
+
+  return palette
+    .map(rgb => ({ rgb, L: srgbToOklab(rgb[0], rgb[1], rgb[2])[0] }))
+    .sort((a, b) => a.L - b.L)
+    .map(({ rgb }) => rgb);
+}
+
+/**
+ * Pick a reduced palette for a console from one or more frames:
+ * a subset of the fixed palette, or an adaptive search for bit-reduced
+ * consoles. `count` defaults to the per-sprite limit; returns null when
+ * there is no count to reduce to.
+ *
+ * @param {ImageData[]} images - Downscaled frames
+ * @param {object} consoleConfig - Entry from CONSOLES
+ * @param {number} [count] - Palette size (default: consoleConfig.spriteColors)
+ * @returns {number[][]|null}
+ */
+function selectSpritePalette(images, consoleConfig, count = consoleConfig.spriteColors) {
+  if (!count) return null;
+
+  const histogram = buildColorHistogram(images);
+  if (consoleConfig.quantizeMode === 'bitreduce') {
+    return buildAdaptivePalette(histogram, count, reduceTo15Bit);
+  }
+  return selectSubPalette(histogram, consoleConfig.palette, count);
+}
+
+/**
+ * Limit every row of a frame to `colorsPerLine` opaque colors, chosen per
+ * row from `palette` to minimize OKLAB error (1-bit-per-line sprite hardware
+ * such as the TMS9918). Transparent pixels keep the row's shape.
+ *
+ * @param {ImageData} imageData
+ * @param {number[][]} palette - Candidate [R,G,B] colors
+ * @param {number} colorsPerLine
+ * @returns {ImageData}
+ */
+function enforceLineColors(imageData, palette, colorsPerLine) {
+  const { width, height, data } = imageData;
+  const result = new ImageData(new Uint8ClampedArray(data), width, height);
+  const rowBytes = width * 4;
+
+  for (let y = 0; y < height; y++) {
+    const row = new ImageData(data.slice(y * rowBytes, (y + 1) * rowBytes), width, 1);
+    const lineColors = selectSubPalette(buildColorHistogram([row]), palette, colorsPerLine);
+    if (lineColors.length === 0) continue;
+    result.data.set(quantizeOklab(row, lineColors).data, y * rowBytes);
+  }
+
+  return result;
+}
+
+/**
+ * Total weighted OKLAB error of mapping a histogram onto `colors`.
+ */
+function histogramError(histogram, colors) {
+  const oklabColors = getPaletteOklab(colors);
+  let total = 0;
+  for (const { lab, weight } of histogram) {
+    let best = Infinity;
+    for (const c of oklabColors) {
+      const d = oklabDistSq(lab, c);
+      if (d < best) best = d;
+    }
+    total += weight * best;
+  }
+  return total;
+}
+
+/**
+ * Limit every `cell.w × cell.h` cell of a frame to `cell.colors` colors
+ * (attribute clash, e.g. ZX Spectrum ink + paper per 8×8 cell).
+ *
+ * Each cell gets the color set that minimizes its OKLAB error. When the
+ * cell declares `groups` (color sets a cell may not mix, e.g. the Spectrum's
+ * BRIGHT 0 and BRIGHT 1 halves), every group is tried and the best wins.
+ *
+ * @param {ImageData} imageData
+ * @param {number[][]} palette - Candidate [R,G,B] colors
+ * @param {{ w: number, h: number, colors: number, groups?: number[][][] }} cell
+ * @returns {ImageData}
+ */
+function enforceCellColors(imageData, palette, cell) {
+  const { width, height, data } = imageData;
+  const result = new ImageData(new Uint8ClampedArray(data), width, height);
+
+  // Restrict each group to the colors actually available in `palette`
+  const available = new Set(palette.map(c => c.join(',')));
+  const candidates = (cell.groups || [palette])
+    .map(group => group.filter(c => available.has(c.join(','))))
+    .filter(group => group.length > 0);
+
+  for (let cy = 0; cy < height; cy += cell.h) {
+    for (let cx = 0; cx < width; cx += cell.w) {
+      const cw = Math.min(cell.w, width - cx);
+      const ch = Math.min(cell.h, height - cy);
+
+      const cellData = new ImageData(cw, ch);
+      for (let y = 0; y < ch; y++) {
+        const start = ((cy + y) * width + cx) * 4;
+        cellData.data.set(data.subarray(start, start + cw * 4), y * cw * 4);
+      }
+
+      const histogram = buildColorHistogram([cellData]);
+      if (histogram.length === 0) continue;
+
+      let best = null;
+      let bestError = Infinity;
+      for (const group of candidates) {
+        const colors = selectSubPalette(histogram, group, cell.colors);
+        const error = histogramError(histogram, colors);
+        if (error < bestError) {
+          bestError = error;
+          best = colors;
+        }
+      }
+      if (!best) continue;
+
+      const mapped = quantizeOklab(cellData, best).data;
+      for (let y = 0; y < ch; y++) {
+        result.data.set(mapped.subarray(y * cw * 4, (y + 1) * cw * 4), ((cy + y) * width + cx) * 4);
+      }
     }
   }
 
@@ -399,6 +1092,196 @@ function cleanupOrphans(imageData, threshold = 3) {
   return result;
 }
 
+// ─── Frame Stages ────────────────────────────────────────────────────────────
+// Shared by processImage and processSpriteSheet so single frames and sliced
+// sheet frames go through identical quantization and cleanup.
+
+/**
+ * Quantize a downscaled frame to the console palette.
+ * With `hardwareLimits`, first narrows the palette to the console's
+ * per-sprite color budget (`spriteColors`), unless a precomputed
+ * `subPalette` (e.g. shared across sheet frames) is passed in.
+ *
+ * @returns {{ pixelData: ImageData, subPalette: number[][]|null }}
+ */
+function quantizeFrame(downscaled, consoleConfig, options) {
+  const {
+    pipeline,
+    dithering,
+    ditherStrength = null,
+    ditherPairs = false,
+    hardwareLimits,
+    subPalette: precomputed = null,
+  } = options;
+
+  let subPalette = precomputed;
+  if (!subPalette && hardwareLimits) {
+    subPalette = selectSpritePalette([downscaled], consoleConfig);
+  }
+  const palette = subPalette && subPalette.length > 0 ? subPalette : consoleConfig.palette;
+
+  let pixelData;
+  if (!palette) {
+    pixelData = quantizeBitReduce(downscaled);
+  } else if (pipeline === 'enhanced') {
+    pixelData = quantizeOklabDithered(downscaled, palette, dithering, {
+      strength: ditherStrength,
+      pairs: ditherPairs,
+    });
+  } else {
+    pixelData = quantizePalette(downscaled, {
+      dithering,
+      palette,
+    });
+  }
+
+  return { pixelData, subPalette };
+}
+
+/**
+ * Cleanup and outline passes (enhanced pipeline only), then hardware
+ * re-constraint. Outlines darken pixels, so a constrained sub-palette is
+ * re-applied afterwards to keep the frame within its hardware colors, and
+ * per-line (`lineColors`) and per-cell (`cell`) limits are enforced last.
+ */
+function postProcessFrame(pixelData, subPalette, consoleConfig, options) {
+  const { pipeline, outlines, cleanup, hardwareLimits } = options;
+  const constrained = subPalette && subPalette.length > 0;
+
+  if (pipeline === 'enhanced') {
+    if (cleanup) {
+      pixelData = cleanupOrphans(pixelData);
+    }
+    if (outlines) {
+      pixelData = generateOutlines(pixelData);
+    }
+    if (constrained) {
+      pixelData = quantizeOklab(pixelData, subPalette);
+    }
+  }
+
+  if (hardwareLimits && consoleConfig.palette) {
+    const palette = constrained ? subPalette : consoleConfig.palette;
+    if (consoleConfig.lineColors) {
+      pixelData = enforceLineColors(pixelData, palette, consoleConfig.lineColors);
+    }
+    if (consoleConfig.cell) {
+      pixelData = enforceCellColors(pixelData, palette, consoleConfig.cell);
+    }
+  }
+  return pixelData;
+}
+
+// ─── Atari 2600 Player Graphics ──────────────────────────────────────────────
+// TIA players are 8 pixels wide and 1 bit deep; the kernel can load a new
+// color (COLUP0/1) every scanline. Wider sprites use several players side by side.
+
+/**
+ * Most common opaque color on the frame border — the background of an
+ * opaque frame, which becomes the players' 0 bits.
+ * @returns {string|null} "r,g,b" key, or null if the frame has transparency
+ */
+function detectBackgroundKey(imageData) {
+  const { width, height, data } = imageData;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 10) return null;
+  }
+
+  const counts = new Map();
+  const add = (x, y) => {
+    const i = (y * width + x) * 4;
+    const key = `${data[i]},${data[i + 1]},${data[i + 2]}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  };
+  for (let x = 0; x < width; x++) {
+    add(x, 0);
+    add(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    add(0, y);
+    add(width - 1, y);
+  }
+
+  let best = null;
+  let bestCount = 0;
+  for (const [key, count] of counts) {
+    if (count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Convert a frame to 2600 player graphics: every `playerWidth`-pixel row
+ * segment becomes a bitmask (GRP byte) plus one color for that row, picked
+ * from `palette` to minimize OKLAB error over the row's set pixels.
+ * Transparent pixels — or, for opaque frames, the border background color —
+ * are the 0 bits.
+ *
+ * @param {ImageData} imageData
+ * @param {number[][]} palette - Candidate row colors
+ * @param {number} playerWidth - Pixels per player (8 on the TIA)
+ * @returns {{ pixelData: ImageData, players: Array<{ x: number, rows: Array<{ bits: number, color: number[]|null }> }> }}
+ */
+function encodePlayerGraphics(imageData, palette, playerWidth = 8) {
+  const { width, height, data } = imageData;
+  const result = new ImageData(width, height);
+  const backgroundKey = detectBackgroundKey(imageData);
+  const isSet = (i) => data[i + 3] >= 10 &&
+    `${data[i]},${data[i + 1]},${data[i + 2]}` !== backgroundKey;
+
+  const players = [];
+  for (let px = 0; px < width; px += playerWidth) {
+    const segW = Math.min(playerWidth, width - px);
+    const rows = [];
+
+    for (let y = 0; y < height; y++) {
+      const segment = new ImageData(segW, 1);
+      let bits = 0;
+      for (let x = 0; x < segW; x++) {
+        const i = (y * width + px + x) * 4;
+        if (!isSet(i)) continue;
+        bits |= 0x80 >> x;
+        segment.data.set(data.subarray(i, i + 4), x * 4);
+      }
+
+      const [color = null] = bits
+        ? selectSubPalette(buildColorHistogram([segment]), palette, 1)
+        : [];
+      rows.push({ bits, color });
+
+      if (!color) continue;
+      for (let x = 0; x < segW; x++) {
+        if (!(bits & (0x80 >> x))) continue;
+        const o = (y * width + px + x) * 4;
+        result.data[o] = color[0];
+        result.data[o + 1] = color[1];
+        result.data[o + 2] = color[2];
+        result.data[o + 3] = 255;
+      }
+    }
+    players.push({ x: px, rows });
+  }
+
+  return { pixelData: result, players };
+}
+
+/**
+ * Final hardware encoding for consoles with `playerWidth` (Atari 2600):
+ * with hardwareLimits, replaces the frame with its player graphics.
+ * @returns {{ pixelData: ImageData, playerGraphics: Array|null }}
+ */
+function encodeFrameHardware(pixelData, subPalette, consoleConfig, options) {
+  if (!options.hardwareLimits || !consoleConfig.playerWidth || !consoleConfig.palette) {
+    return { pixelData, playerGraphics: null };
+  }
+  const palette = subPalette && subPalette.length > 0 ? subPalette : consoleConfig.palette;
+  const { pixelData: encoded, players } = encodePlayerGraphics(pixelData, palette, consoleConfig.playerWidth);
+  return { pixelData: encoded, playerGraphics: players };
+}
+
 // ─── Main Pipeline ───────────────────────────────────────────────────────────
 
 /**
@@ -420,7 +1303,16 @@ export { PREPROCESSING_PRESETS };
 export const DITHER_OPTIONS = {
   enhanced: [
     { value: '', label: 'None' },
+    { value: 'checker', label: 'Checkerboard 50%' },
+    { value: 'bayer2', label: 'Bayer 2×2' },
     { value: 'bayer', label: 'Bayer 4×4 (pixel art style)' },
+    { value: 'bayer8', label: 'Bayer 8×8' },
+    { value: 'bluenoise', label: 'Blue noise' },
+    { value: 'FloydSteinberg', label: 'Floyd-Steinberg' },
+    { value: 'Atkinson', label: 'Atkinson' },
+    { value: 'Stucki', label: 'Stucki' },
+    { value: 'Sierra', label: 'Sierra' },
+    { value: 'SierraLite', label: 'Sierra Lite' },
   ],
   classic: [
     { value: '', label: 'None' },
@@ -432,6 +1324,113 @@ export const DITHER_OPTIONS = {
   ],
 };
 
+/**
+ * Named dithering presets for the enhanced pipeline. Each console points
+ * at the one that best matches its period look via `ditherPreset`.
+ */
+export const DITHER_PRESETS = {
+  checkerboard: {
+    label: 'Checkerboard (nearest pair)',
+    dithering: 'checker',
+    ditherStrength: 1,
+    ditherPairs: true,
+  },
+  'bayer-pairs': {
+    label: 'Bayer 4×4 (nearest pair)',
+    dithering: 'bayer',
+    ditherStrength: 1,
+    ditherPairs: true,
+  },
+  'bayer-soft': {
+    label: 'Soft Bayer 4×4',
+    dithering: 'bayer',
+    ditherStrength: 0.3,
+    ditherPairs: false,
+  },
+  diffusion: {
+    label: 'Floyd-Steinberg (soft)',
+    dithering: 'FloydSteinberg',
+    ditherStrength: 0.75,
+    ditherPairs: false,
+  },
+  none: {
+    label: 'No dithering',
+    dithering: null,
+    ditherStrength: null,
+    ditherPairs: false,
+  },
+};
+
+/**
+ * Default size of a shared palette when hardware limits are off.
+ */
+const DEFAULT_SHARED_PALETTE_SIZE = 16;
+
+/**
+ * Look up a console entry and its sprite dimensions.
+ * Sprite size entries can override the console's color limits (e.g. C64
+ * multicolor vs. hires sprites), so the returned config is the effective
+ * one for that size.
+ * @returns {{ consoleConfig: object, spriteW: number, spriteH: number, pixelAspect: number }}
+ */
+function resolveTarget(consoleId, spriteSize) {
+  let consoleConfig = CONSOLES[consoleId];
+  if (!consoleConfig) throw new Error(`Unknown console: ${consoleId}`);
+
+  const effectiveSize = spriteSize || consoleConfig.defaultSize;
+  const size = consoleConfig.spriteSizes[effectiveSize];
+  if (!size) throw new Error(`Unknown sprite size "${effectiveSize}" for ${consoleConfig.name}`);
+
+  if (size.spriteColors !== undefined) {
+    consoleConfig = { ...consoleConfig, spriteColors: size.spriteColors };
+  }
+
+  return { consoleConfig, spriteW: size.w, spriteH: size.h, pixelAspect: size.pixelAspect || 1 };
+}
+
+/**
+ * Apply optional preprocessing and draw the image into an OffscreenCanvas.
+ * @returns {Promise<OffscreenCanvas>}
+ */
+async function loadSourceCanvas(img, preprocessing) {
+  let processedImg = img;
+  if (preprocessing && preprocessing.enabled !== false) {
+    processedImg = await preprocessImage(img, preprocessing);
+  }
+
+  const imgW = processedImg.naturalWidth || processedImg.width;
+  const imgH = processedImg.naturalHeight || processedImg.height;
+
+  if (!imgW || !imgH) {
+    throw new Error(`Image has no dimensions (${imgW}x${imgH}). It may not be fully loaded.`);
+  }
+
+  const canvas = new OffscreenCanvas(imgW, imgH);
+  canvas.getContext('2d').drawImage(processedImg, 0, 0);
+  return canvas;
+}
+
+/**
+ * Step 1 of the pipeline: downscale a source region to sprite size.
+ */
+function downscaleFrame(sourceData, spriteW, spriteH, pipeline) {
+  return pipeline === 'enhanced'
+    ? downscaleMode(sourceData, spriteW, spriteH)
+    : downscaleAverage(sourceData, spriteW, spriteH);
+}
+
+/**
+ * Choose the palette shared by a set of downscaled frames: the per-sprite
+ * limit with hardwareLimits, otherwise `paletteSize` colors.
+ */
+function selectSharedPalette(downscaledFrames, consoleConfig, options) {
+  const { hardwareLimits, paletteSize = DEFAULT_SHARED_PALETTE_SIZE } = options;
+  const count = hardwareLimits && consoleConfig.spriteColors
+    ? consoleConfig.spriteColors
+    : paletteSize;
+  return selectSpritePalette(downscaledFrames, consoleConfig, count);
+}
+
 /**
  * Full pipeline: take an HTMLImageElement and produce retro pixel art.
  *
@@ -440,195 +1439,241 @@ export const DITHER_OPTIONS = {
  * @param {string} options.consoleId - Console key from CONSOLES
  * @param {string} options.spriteSize - Sprite size key
  * @param {string|null} options.dithering - Dithering mode or null
+ * @param {number|null} options.ditherStrength - Dither strength (null = mode default)
+ * @param {boolean} options.ditherPairs - Ordered dither between the two nearest colors only
  * @param {string} options.pipeline - 'enhanced' or 'classic'
  * @param {boolean} options.outlines - Generate auto-outlines
  * @param {boolean} options.cleanup - Clean orphan pixels
  * @param {object|null} options.preprocessing - Preprocessing options (from PREPROCESSING_PRESETS)
- * @returns {Promise<{ pixelData: ImageData, spriteW: number, spriteH: number }>}
+ * @param {boolean} options.hardwareLimits - Enforce the console's per-sprite, per-line and per-cell color limits
+ * @param {number[][]|null} options.palette - Precomputed palette to quantize to (from buildSharedPalette)
+ * @returns {Promise<{ pixelData: ImageData, spriteW: number, spriteH: number, subPalette: number[][]|null, pixelAspect: number, playerGraphics: Array|null }>}
+ *   pixelAspect is the display width of one pixel relative to its height (2 for C64 multicolor);
+ *   playerGraphics holds Atari 2600 players ({ x, rows: [{ bits, color }] }) with hardwareLimits
  */
 export async function processImage(img, options = {}) {
   const {
     consoleId = DEFAULT_CONSOLE,
     spriteSize,
     dithering = null,
+    ditherStrength = null,
+    ditherPairs = false,
     pipeline = 'enhanced',
     outlines = true,
     cleanup = true,
     preprocessing = null,
+    hardwareLimits = false,
+    palette = null,
   } = options;
 
-  // Apply preprocessing if requested
-  let processedImg = img;
-  if (preprocessing && preprocessing.enabled !== false) {
-    processedImg = await preprocessImage(img, preprocessing);
-  }
+  const { consoleConfig, spriteW, spriteH, pixelAspect } = resolveTarget(consoleId, spriteSize);
+  const sourceCanvas = await loadSourceCanvas(img, preprocessing);
+  const sourceData = sourceCanvas.getContext('2d')
+    .getImageData(0, 0, sourceCanvas.width, sourceCanvas.height);
 
-  const consoleConfig = CONSOLES[consoleId];
-  if (!consoleConfig) throw new Error(`Unknown console: ${consoleId}`);
+  // Step 1: Downscale
+  const downscaled = downscaleFrame(sourceData, spriteW, spriteH, pipeline);
 
-  const effectiveSize = spriteSize || consoleConfig.defaultSize;
-  const size = consoleConfig.spriteSizes[effectiveSize];
-  if (!size) throw new Error(`Unknown sprite size "${effectiveSize}" for ${consoleConfig.name}`);
+  // Step 2: Quantize to console palette
+  const stageOptions = {
+    pipeline,
+    dithering,
+    ditherStrength,
+    ditherPairs,
+    outlines,
+    cleanup,
+    hardwareLimits,
+  };
+  const { pixelData: quantized, subPalette } = quantizeFrame(downscaled, consoleConfig, {
+    ...stageOptions,
+    subPalette: palette,
+  });
 
-  const { w: spriteW, h: spriteH } = size;
-  const imgW = processedImg.naturalWidth || processedImg.width;
-  const imgH = processedImg.naturalHeight || processedImg.height;
+  // Step 3: Post-processing (enhanced pipeline only)
+  const processed = postProcessFrame(quantized, subPalette, consoleConfig, stageOptions);
 
-  if (!imgW || !imgH) {
-    throw new Error(`Image has no dimensions (${imgW}x${imgH}). It may not be fully loaded.`);
-  }
+  // Step 4: Hardware encoding (2600 player graphics)
+  const { pixelData, playerGraphics } = encodeFrameHardware(processed, subPalette, consoleConfig, stageOptions);
 
-  const tmpCanvas = new OffscreenCanvas(imgW, imgH);
-  const tmpCtx = tmpCanvas.getContext('2d');
-  tmpCtx.drawImage(processedImg, 0, 0);
-  const sourceData = tmpCtx.getImageData(0, 0, imgW, imgH);
+  return { pixelData, spriteW, spriteH, subPalette, pixelAspect, playerGraphics };
+}
 
-  // Step 1: Downscale
-  const downscaled = pipeline === 'enhanced'
-    ? downscaleMode(sourceData, spriteW, spriteH)
-    : downscaleAverage(sourceData, spriteW, spriteH);
+/**
+ * First pass of shared-palette processing for separately generated frames
+ * (e.g. "Generate All Frames"): gather color statistics from every source
+ * image and pick one reduced palette. Pass the result to processImage as
+ * `palette` for each frame so colors stay stable across the animation.
+ *
+ * @param {HTMLImageElement[]} images - Source images, one per frame
+ * @param {object} options - Same as processImage, plus:
+ * @param {number} options.paletteSize - Colors to keep without hardwareLimits (default 16)
+ * @returns {Promise<number[][]>}
+ */
+export async function buildSharedPalette(images, options = {}) {
+  const {
+    consoleId = DEFAULT_CONSOLE,
+    spriteSize,
+    pipeline = 'enhanced',
+    preprocessing = null,
+  } = options;
 
-  // Step 2: Quantize to console palette
-  let pixelData;
-  if (consoleConfig.quantizeMode === 'bitreduce') {
-    pixelData = quantizeBitReduce(downscaled);
-  } else if (pipeline === 'enhanced') {
-    if (dithering === 'bayer') {
-      pixelData = quantizeOklabBayer(downscaled, consoleConfig.palette);
-    } else {
-      pixelData = quantizeOklab(downscaled, consoleConfig.palette);
-    }
-  } else {
-    pixelData = quantizePalette(downscaled, {
-      dithering,
-      palette: consoleConfig.palette,
-    });
-  }
+  const { consoleConfig, spriteW, spriteH } = resolveTarget(consoleId, spriteSize);
 
-  // Step 3: Post-processing (enhanced pipeline only)
-  if (pipeline === 'enhanced') {
-    if (cleanup) {
-      pixelData = cleanupOrphans(pixelData);
-    }
-    if (outlines) {
-      pixelData = generateOutlines(pixelData);
-    }
+  const downscaledFrames = [];
+  for (const img of images) {
+    const sourceCanvas = await loadSourceCanvas(img, preprocessing);
+    const sourceData = sourceCanvas.getContext('2d')
+      .getImageData(0, 0, sourceCanvas.width, sourceCanvas.height);
+    downscaledFrames.push(downscaleFrame(sourceData, spriteW, spriteH, pipeline));
   }
 
-  return { pixelData, spriteW, spriteH };
+  return selectSharedPalette(downscaledFrames, consoleConfig, options) || [];
 }
 
 /**
  * Process a sprite sheet image: slice into N frames, process each through
- * the pixel art pipeline, sharing palette across frames for consistency.
+ * the pixel art pipeline.
+ *
+ * With `sharedPalette`, runs in two passes: first gathers color statistics
+ * from all sliced frames and picks one reduced palette, then quantizes
+ * every frame to it so colors don't flicker between frames.
  *
  * @param {HTMLImageElement} img - Source sprite sheet image (horizontal strip)
  * @param {number} frameCount - Number of frames to slice
- * @param {object} options - Same options as processImage
- * @returns {Promise<{ frames: Array<{ pixelData: ImageData, spriteW: number, spriteH: number }> }>}
+ * @param {object} options - Same options as processImage, plus:
+ * @param {boolean} options.sharedPalette - Quantize all frames to one palette picked from every frame
+ * @param {number} options.paletteSize - Shared palette size without hardwareLimits (default 16)
+ * @returns {Promise<{ frames: Array<{ pixelData: ImageData, spriteW: number, spriteH: number, subPalette: number[][]|null, pixelAspect: number, playerGraphics: Array|null }>, palette: number[][]|null }>}
  */
 export async function processSpriteSheet(img, frameCount, options = {}) {
   const {
     consoleId = DEFAULT_CONSOLE,
     spriteSize,
     dithering = null,
+    ditherStrength = null,
+    ditherPairs = false,
     pipeline = 'enhanced',
     outlines = true,
     cleanup = true,
     preprocessing = null,
+    hardwareLimits = false,
+    sharedPalette = false,
   } = options;
 
-  // Apply preprocessing if requested
-  let processedImg = img;
-  if (preprocessing && preprocessing.enabled !== false) {
-    processedImg = await preprocessImage(img, preprocessing);
-  }
-
-  const consoleConfig = CONSOLES[consoleId];
-  if (!consoleConfig) throw new Error(`Unknown console: ${consoleId}`);
-
-  const effectiveSize = spriteSize || consoleConfig.defaultSize;
-  const size = consoleConfig.spriteSizes[effectiveSize];
-  if (!size) throw new Error(`Unknown sprite size "${effectiveSize}" for ${consoleConfig.name}`);
-
-  const { w: spriteW, h: spriteH } = size;
-  const imgW = processedImg.naturalWidth || processedImg.width;
-  const imgH = processedImg.naturalHeight || processedImg.height;
-
-  if (!imgW || !imgH) {
-    throw new Error(`Image has no dimensions. It may not be fully loaded.`);
-  }
+  const { consoleConfig, spriteW, spriteH, pixelAspect } = resolveTarget(consoleId, spriteSize);
+  const sheetCanvas = await loadSourceCanvas(img, preprocessing);
+  const imgH = sheetCanvas.height;
 
   // Slice the sheet: divide width into frameCount equal columns
-  const frameW = Math.floor(imgW / frameCount);
-  const tmpCanvas = new OffscreenCanvas(imgW, imgH);
-  const tmpCtx = tmpCanvas.getContext('2d');
-  tmpCtx.drawImage(processedImg, 0, 0);
-
-  // Extract palette from first frame for shared palette mode
-  let sharedPaletteOklab = null;
-
-  const frames = [];
-
+  const frameW = Math.floor(sheetCanvas.width / frameCount);
+
+  const stageOptions = {
+    pipeline,
+    dithering,
+    ditherStrength,
+    ditherPairs,
+    outlines,
+    cleanup,
+    hardwareLimits,
+  };
+
+  // Pass 1: slice and downscale every frame
+  const downscaledFrames = [];
   for (let i = 0; i < frameCount; i++) {
     // Extract this frame's region
     const frameCanvas = new OffscreenCanvas(frameW, imgH);
     const frameCtx = frameCanvas.getContext('2d');
-    frameCtx.drawImage(tmpCanvas, i * frameW, 0, frameW, imgH, 0, 0, frameW, imgH);
+    frameCtx.drawImage(sheetCanvas, i * frameW, 0, frameW, imgH, 0, 0, frameW, imgH);
     const sourceData = frameCtx.getImageData(0, 0, frameW, imgH);
 
     // Step 1: Downscale
-    const downscaled = pipeline === 'enhanced'
-      ? downscaleMode(sourceData, spriteW, spriteH)
-      : downscaleAverage(sourceData, spriteW, spriteH);
+    downscaledFrames.push(downscaleFrame(sourceData, spriteW, spriteH, pipeline));
+  }
+
+  // One palette from all frames' colors, so frames don't flicker
+  const palette = sharedPalette
+    ? selectSharedPalette(downscaledFrames, consoleConfig, options)
+    : null;
 
+  // Pass 2: quantize and post-process
+  const frames = downscaledFrames.map((downscaled) => {
     // Step 2: Quantize
-    let pixelData;
-    if (consoleConfig.quantizeMode === 'bitreduce') {
-      pixelData = quantizeBitReduce(downscaled);
-    } else if (pipeline === 'enhanced') {
-      // Use shared palette: extract from first frame, reuse for all
-      if (i === 0 && !sharedPaletteOklab) {
-        sharedPaletteOklab = getPaletteOklab(consoleConfig.palette);
-      }
-      if (dithering === 'bayer') {
-        pixelData = quantizeOklabBayer(downscaled, consoleConfig.palette);
-      } else {
-        pixelData = quantizeOklab(downscaled, consoleConfig.palette);
-      }
-    } else {
-      pixelData = quantizePalette(downscaled, {
-        dithering,
-        palette: consoleConfig.palette,
-      });
-    }
+    const { pixelData: quantized, subPalette } = quantizeFrame(downscaled, consoleConfig, {
+      ...stageOptions,
+      subPalette: palette,
+    });
 
     // Step 3: Post-processing
-    if (pipeline === 'enhanced') {
-      if (cleanup) {
-        pixelData = cleanupOrphans(pixelData);
-      }
-      if (outlines) {
-        pixelData = generateOutlines(pixelData);
-      }
-    }
+    const processed = postProcessFrame(quantized, subPalette, consoleConfig, stageOptions);
+
+    // Step 4: Hardware encoding
+    const { pixelData, playerGraphics } = encodeFrameHardware(processed, subPalette, consoleConfig, stageOptions);
+
+    return { pixelData, spriteW, spriteH, subPalette, pixelAspect, playerGraphics };
+  });
+
+  return { frames, palette };
+}
+
+/**
+ * Fit every frame of a Genesis character into one shared CRAM palette line.
+ *
+ * Builds a single 15-color line (plus transparent entry 0) from the colors
+ * of all frames, picked from the 9-bit GENESIS_CHANNEL_LEVELS palette, and
+ * re-quantizes each frame to it. The line is placed in the first CRAM line
+ * not listed in `usedLines`.
+ *
+ * @param {ImageData[]} images - Processed frames (all animation states/views)
+ * @param {object} options
+ * @param {number[]} options.usedLines - CRAM lines already claimed (0–3)
+ * @returns {{ paletteLine: number[][], cramLine: number, frames: ImageData[] }}
+ * @throws {Error} If all four CRAM lines are taken or there are no frames
+ */
+export function buildGenesisPaletteLine(images, options = {}) {
+  const { usedLines = [] } = options;
 
-    frames.push({ pixelData, spriteW, spriteH });
+  if (!images || images.length === 0) {
+    throw new Error('No frames to build a palette line from');
   }
 
-  return { frames };
+  let cramLine = -1;
+  for (let line = 0; line < GENESIS_CRAM_LINES; line++) {
+    if (!usedLines.includes(line)) {
+      cramLine = line;
+      break;
+    }
+  }
+  if (cramLine === -1) {
+    throw new Error(`All ${GENESIS_CRAM_LINES} CRAM palette lines are already in use`);
+  }
+
+  const genesis = CONSOLES.genesis;
+  const paletteLine = selectSubPalette(
+    buildColorHistogram(images),
+    genesis.palette,
+    genesis.spriteColors
+  );
+
+  const frames = images.map(image =>
+    paletteLine.length > 0 ? quantizeOklab(image, paletteLine) : image
+  );
+
+  return { paletteLine, cramLine, frames };
 }
 
 /**
  * Render pixel art to a visible canvas with optional grid overlay.
+ * `pixelAspect` stretches pixels horizontally for non-square pixel modes.
  */
 export function renderPixelArt(canvas, pixelData, spriteW, spriteH, options = {}) {
   const {
-    scale = Math.floor(Math.min(256 / spriteW, 256 / spriteH)),
+    pixelAspect = 1,
+    scale = Math.max(1, Math.floor(Math.min(256 / (spriteW * pixelAspect), 256 / spriteH))),
     showGrid = false,
   } = options;
 
-  const displayW = spriteW * scale;
+  const scaleX = scale * pixelAspect;
+  const displayW = spriteW * scaleX;
   const displayH = spriteH * scale;
 
   canvas.width = displayW;
@@ -646,7 +1691,7 @@ export function renderPixelArt(canvas, pixelData, spriteW, spriteH, options = {}
       const a = src[idx + 3];
 
       ctx.fillStyle = `rgba(${r},${g},${b},${a / 255})`;
-      ctx.fillRect(x * scale, y * scale, scale, scale);
+      ctx.fillRect(x * scaleX, y * scale, scaleX, scale);
     }
   }
 
@@ -656,8 +1701,8 @@ export function renderPixelArt(canvas, pixelData, spriteW, spriteH, options = {}
 
     for (let x = 0; x <= spriteW; x++) {
       ctx.beginPath();
-      ctx.moveTo(x * scale + 0.5, 0);
-      ctx.lineTo(x * scale + 0.5, displayH);
+      ctx.moveTo(x * scaleX + 0.5, 0);
+      ctx.lineTo(x * scaleX + 0.5, displayH);
       ctx.stroke();
     }
 
@@ -0,0 +1,866 @@
+/**
+ * Provider Adapters
+ *
+ * Each image provider turns one generation request into its own HTTP call
+ * and parses the reply into an image Blob. image-service builds the prompt;
+ * adapters only deal with the wire format.
+ *
+ * Generation request shape (shared by every adapter):
+ *   { modelId, prompt, negativePrompt, width, height, seed, transparent, fit, sampling,
+ *     reference, denoiseStrength, inpaint }
+ * `fit` ('crop', 'letterbox' or 'none') says how an image of a different
+ * aspect ratio is brought back to width × height. `sampling`
+ * ({ sampler, steps, cfgScale, loras: [{ name, weight }], referenceMode }) is
+ * only read by the local Stable Diffusion backends. `reference`
+ * ({ blob, url }) is an image the result should stay consistent with;
+ * `denoiseStrength` (0–1) is how far the result may move away from it,
+ * where the provider has such a control. `inpaint` ({ image, mask } PNG
+ * Blobs of the same size, mask opaque white where to regenerate) asks for
+ * an edit of that region only.
+ *
+ * Adapter shape:
+ *   buildRequest(request, apiBase) → { url, init, apiBase? }   (or a Promise of it)
+ *   parseResponse(response, request, httpRequest) → Promise<{ blob, revisedPrompt? }>
+ *   describeError(status, body) → string | null              (optional)
+ *   listModels(apiBase) → Promise<Array<{ id, name, description, cost }>>   (optional;
+ *     live model list, merged with the curated configs by model-service)
+ *   listSamplingOptions(apiBase) → Promise<{ samplers: string[], loras: string[] }>   (optional)
+ *   supportsReference(modelId) → boolean   (optional; without it `reference` is refused)
+ *   supportsInpaint(modelId) → boolean     (optional; without it `inpaint` is refused)
+ */
+
+import { getModelConfig, parseModelId } from './provider-service.js';
+
+// ─── Shared ──────────────────────────────────────────────────────────────────
+
+/**
+ * Decode base64 image data into a Blob.
+ * @param {string} data - Base64 payload
+ * @param {string} mimeType
+ * @returns {Blob}
+ */
+export function base64ToBlob(data, mimeType = 'image/png') {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Encode a Blob as base64 (no data: prefix).
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/** Default denoise strength for reference-conditioned generation */
+export const DEFAULT_DENOISE_STRENGTH = 0.6;
+
+/**
+ * Fold a negative prompt into the positive one for providers without a
+ * negative prompt field.
+ * @param {string} prompt
+ * @param {string} negativePrompt
+ * @returns {string}
+ */
+export function foldNegativePrompt(prompt, negativePrompt) {
+  return negativePrompt ? `${prompt}. Avoid: ${negativePrompt}` : prompt;
+}
+
+/** Cost shown for listed models that have no curated entry */
+const UNLISTED_COST = 'See provider pricing';
+
+/**
+ * GET a JSON document from a provider.
+ * @param {string} url
+ * @param {string} backend - Display name for errors
+ * @returns {Promise<any>}
+ */
+async function fetchJson(url, backend) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${backend} request failed: ${response.status} ${response.statusText}`.trim());
+  }
+  return response.json();
+}
+
+/**
+ * Readable message for a failed provider response. The adapter gets the
+ * first say; otherwise JSON error bodies ({ error: { message } } or
+ * { error: "..." }) contribute their message.
+ *
+ * @param {object} adapter
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function describeErrorResponse(adapter, response) {
+  const status = `${response.status} ${response.statusText}`.trim();
+  let text = '';
+  let body = null;
+  try {
+    text = await response.text();
+    body = JSON.parse(text);
+  } catch {
+    // Not JSON (or unreadable) — fall back to the raw text
+  }
+
+  const described = adapter.describeError?.(response.status, body);
+  if (described) return described;
+
+  let detail = '';
+  if (body) {
+    detail = body.error?.message || (typeof body.error === 'string' ? body.error : '') || body.message || '';
+  } else if (text.length <= 200) {
+    detail = text.trim();
+  }
+  return detail ? `${status}: ${detail}` : status;
+}
+
+/**
+ * Encode a canvas as a PNG Blob.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} failure - Error message if encoding fails
+ * @returns {Promise<Blob>}
+ */
+export function canvasToPngBlob(canvas, failure) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((out) => {
+      if (out) resolve(out);
+      else reject(new Error(failure));
+    }, 'image/png');
+  });
+}
+
+/**
+ * Bring an image to an exact size. 'crop' scales to cover and trims the
+ * overflow; 'letterbox' scales to fit and pads with the image's corner
+ * color (generated sprites sit on a flat background); 'stretch' scales
+ * each axis on its own; 'none' keeps the image as generated.
+ *
+ * @param {Blob} blob
+ * @param {number} width
+ * @param {number} height
+ * @param {'crop'|'letterbox'|'stretch'|'none'} fit
+ * @returns {Promise<Blob>}
+ */
+export async function fitImageBlob(blob, width, height, fit = 'crop') {
+  if (fit === 'none') return blob;
+  const bitmap = await createImageBitmap(blob);
+  if (bitmap.width === width && bitmap.height === height) {
+    bitmap.close();
+    return blob;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+
+  const scale = fit === 'letterbox'
+    ? Math.min(width / bitmap.width, height / bitmap.height)
+    : Math.max(width / bitmap.width, height / bitmap.height);
+  const drawW = fit === 'stretch' ? width : bitmap.width * scale;
+  const drawH = fit === 'stretch' ? height : bitmap.height * scale;
+
+  if (fit === 'letterbox') {
+    ctx.drawImage(bitmap, 0, 0, 1, 1, 0, 0, 1, 1);
+    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+    ctx.clearRect(0, 0, 1, 1);
+    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(bitmap, (width - drawW) / 2, (height - drawH) / 2, drawW, drawH);
+  bitmap.close();
+
+  return canvasToPngBlob(canvas, 'Failed to resize generated image');
+}
+
+// ─── Pollinations ────────────────────────────────────────────────────────────
+
+const pollinationsAdapter = {
+  buildRequest(request, apiBase) {
+    const { modelId, prompt, negativePrompt, width, height, seed, transparent } = request;
+    let url = `${apiBase}/${encodeURIComponent(prompt)}?model=${encodeURIComponent(modelId)}&width=${width}&height=${height}&nologo=true&nofeed=true`;
+    if (seed !== undefined) {
+      url += `&seed=${seed}`;
+    }
+    if (transparent) {
+      url += '&transparent=true';
+    }
+    if (negativePrompt) {
+      url += `&negative_prompt=${encodeURIComponent(negativePrompt)}`;
+    }
+    if (request.reference) {
+      // Pollinations fetches the reference itself, so it needs a public URL
+      if (!/^https?:/.test(request.reference.url || '')) {
+        throw new Error('Pollinations can only use a reference image with a public URL — pin a frame generated with Pollinations');
+      }
+      url += `&image=${encodeURIComponent(request.reference.url)}`;
+    }
+    return { url, init: {} };
+  },
+
+  supportsReference(modelId) {
+    return Boolean(getModelConfig('pollinations', modelId)?.imageInput);
+  },
+
+  async parseResponse(response) {
+    return { blob: await response.blob() };
+  },
+
+  async listModels(apiBase) {
+    const models = await fetchJson(`${apiBase}/models`, 'Pollinations');
+    // Older endpoints list bare names; newer ones describe each model
+    return models
+      .map(m => (typeof m === 'string' ? { name: m } : m))
+      .filter(m => !m.output_modalities || m.output_modalities.includes('image'))
+      .map(m => ({ id: m.name, name: m.name, description: m.description || 'Pollinations image model', cost: UNLISTED_COST }));
+  },
+};
+
+// ─── Gemini ──────────────────────────────────────────────────────────────────
+
+/** Aspect ratios accepted by Gemini imageConfig */
+const GEMINI_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+/**
+ * Closest supported Gemini aspect ratio for a requested size.
+ * @param {number} width
+ * @param {number} height
+ * @returns {string}
+ */
+export function geminiAspectRatio(width, height) {
+  const target = Math.log(width / height);
+  let best = '1:1';
+  let bestDiff = Infinity;
+  for (const ratio of GEMINI_ASPECT_RATIOS) {
+    const [w, h] = ratio.split(':').map(Number);
+    const diff = Math.abs(Math.log(w / h) - target);
+    if (diff < bestDiff) {
+      best = ratio;
+      bestDiff = diff;
+    }
+  }
+  return best;
+}
+
+const geminiAdapter = {
+  async buildRequest(request, apiBase) {
+    const { modelId, prompt, negativePrompt, width, height, seed, reference } = request;
+    const apiModel = getModelConfig('gemini', modelId)?.apiModel || modelId;
+
+    // No negative prompt field — fold it into the instruction
+    const text = foldNegativePrompt(prompt, negativePrompt);
+    const imagePart = async blob => ({ inlineData: { mimeType: blob.type || 'image/png', data: await blobToBase64(blob) } });
+    let parts = [{ text }];
+    if (request.inpaint) {
+      // No mask field: send the mask as a second image and describe it
+      parts = [
+        await imagePart(request.inpaint.image),
+        await imagePart(request.inpaint.mask),
+        { text: `Edit the first image. Repaint only the area that is white in the second image (the mask) and keep everything else unchanged. ${text}` },
+      ];
+    } else if (reference) {
+      parts = [
+        await imagePart(reference.blob),
+        { text: `Keep the character's design, proportions and colors from the attached reference image. ${text}` },
+      ];
+    }
+
+    const generationConfig = {
+      responseModalities: ['IMAGE'],
+      imageConfig: { aspectRatio: geminiAspectRatio(width, height) },
+    };
+    if (seed !== undefined) {
+      generationConfig.seed = seed;
+    }
+
+    return {
+      url: `${apiBase}/models/${encodeURIComponent(apiModel)}:generateContent`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents: [{ role: 'user', parts }],
+          generationConfig,
+        }),
+      },
+    };
+  },
+
+  async parseResponse(response) {
+    const json = await response.json();
+    const candidate = json.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+    const image = parts.map(p => p.inlineData || p.inline_data).find(Boolean);
+    if (!image) {
+      const reason = json.promptFeedback?.blockReason || candidate?.finishReason;
+      const note = parts.find(p => p.text)?.text;
+      throw new Error(`Gemini returned no image${reason ? ` (${reason})` : ''}${note ? `: ${note}` : ''}`);
+    }
+    return { blob: base64ToBlob(image.data, image.mimeType || image.mime_type) };
+  },
+
+  supportsReference() {
+    return true;
+  },
+
+  supportsInpaint() {
+    return true;
+  },
+
+  async listModels(apiBase) {
+    const json = await fetchJson(`${apiBase}/models?pageSize=1000`, 'Gemini');
+    // Image output models are the ones named "*image*" that take generateContent
+    return (json.models || [])
+      .filter(m => m.name.includes('image') && m.supportedGenerationMethods?.includes('generateContent'))
+      .map((m) => {
+        const apiModel = m.name.replace(/^models\//, '');
+        return {
+          id: apiModel,
+          apiModel,
+          name: m.displayName || apiModel,
+          description: m.description || 'Gemini image model',
+          cost: UNLISTED_COST,
+        };
+      });
+  },
+};
+
+// ─── OpenAI ──────────────────────────────────────────────────────────────────
+
+/**
+ * Supported OpenAI size closest to the requested aspect ratio; among
+ * equally close sizes, the smallest that covers the request (else the
+ * largest).
+ *
+ * @param {string[]} sizes - "WxH" strings the model accepts
+ * @param {number} width
+ * @param {number} height
+ * @returns {string}
+ */
+export function openaiImageSize(sizes, width, height) {
+  const target = Math.log(width / height);
+  const parsed = sizes.map((size) => {
+    const [w, h] = size.split('x').map(Number);
+    return { size, w, h, diff: Math.abs(Math.log(w / h) - target) };
+  });
+  const bestDiff = Math.min(...parsed.map(p => p.diff));
+  const closest = parsed
+    .filter(p => p.diff - bestDiff < 1e-9)
+    .sort((a, b) => a.w * a.h - b.w * b.h);
+  return (closest.find(p => p.w >= width && p.h >= height) || closest[closest.length - 1]).size;
+}
+
+/**
+ * Request limits per OpenAI image model family, for listed models without
+ * a curated entry. GPT Image models always answer in base64 and can take
+ * reference images through the edits endpoint; the edits endpoint also
+ * inpaints for GPT Image and DALL-E 2.
+ */
+const OPENAI_MODEL_FAMILIES = [
+  { pattern: /^gpt-image-/, sizes: ['1024x1024', '1536x1024', '1024x1536'], maxPromptLength: 32000, b64Only: true, imageInput: true, inpaint: true },
+  { pattern: /^dall-e-3/, sizes: ['1024x1024', '1792x1024', '1024x1792'], maxPromptLength: 4000 },
+  { pattern: /^dall-e-2/, sizes: ['256x256', '512x512', '1024x1024'], maxPromptLength: 1000, inpaint: true },
+];
+
+/** File extension OpenAI expects for an uploaded image type */
+function imageFileName(name, blob) {
+  const ext = { 'image/jpeg': 'jpg', 'image/webp': 'webp' }[blob.type] || 'png';
+  return `${name}.${ext}`;
+}
+
+/**
+ * Turn a white-on-transparent inpainting mask into OpenAI's format: an
+ * opaque image whose fully transparent pixels mark the area to edit.
+ *
+ * @param {Blob} maskBlob
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Blob>}
+ */
+async function openaiEditMask(maskBlob, width, height) {
+  const bitmap = await createImageBitmap(maskBlob);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return canvasToPngBlob(canvas, 'Failed to encode the inpainting mask');
+}
+
+/**
+ * Multipart body for the edits endpoint.
+ * @param {object} fields - Text fields
+ * @param {Array<[string, Blob, string]>} files - [field, blob, filename]
+ * @returns {FormData}
+ */
+function editForm(fields, files) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+  for (const [key, blob, filename] of files) form.append(key, blob, filename);
+  return form;
+}
+
+const openaiAdapter = {
+  async buildRequest(request, apiBase) {
+    const { modelId, prompt, negativePrompt, width, height, reference, inpaint } = request;
+    const config = getModelConfig('openai', modelId) || {};
+    const sizes = config.sizes || ['1024x1024'];
+
+    // No negative prompt field; keep within the model's prompt limit
+    let text = foldNegativePrompt(prompt, negativePrompt);
+    if (config.maxPromptLength && text.length > config.maxPromptLength) {
+      text = text.slice(0, config.maxPromptLength);
+    }
+
+    const body = {
+      model: config.apiModel || modelId,
+      prompt: text,
+      n: 1,
+      size: openaiImageSize(sizes, width, height),
+    };
+    if (!config.b64Only) {
+      body.response_format = 'b64_json';
+    }
+
+    if (inpaint) {
+      // Image and mask must match the requested size exactly
+      const [editW, editH] = body.size.split('x').map(Number);
+      const form = editForm(body, [
+        ['image', await fitImageBlob(inpaint.image, editW, editH, 'stretch'), 'image.png'],
+        ['mask', await openaiEditMask(inpaint.mask, editW, editH), 'mask.png'],
+      ]);
+      return { url: `${apiBase}/images/edits`, init: { method: 'POST', body: form } };
+    }
+    if (reference) {
+      // The edits endpoint takes the reference as a multipart upload
+      const form = editForm(body, [['image', reference.blob, imageFileName('reference', reference.blob)]]);
+      return { url: `${apiBase}/images/edits`, init: { method: 'POST', body: form } };
+    }
+
+    return {
+      url: `${apiBase}/images/generations`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      },
+    };
+  },
+
+  async parseResponse(response, request) {
+    const json = await response.json();
+    const image = json.data?.[0];
+    if (!image?.b64_json) {
+      throw new Error('OpenAI returned no image data');
+    }
+    const blob = await fitImageBlob(base64ToBlob(image.b64_json, 'image/png'), request.width, request.height, request.fit);
+    return { blob, revisedPrompt: image.revised_prompt || '' };
+  },
+
+  describeError(status, body) {
+    const error = body?.error || {};
+    const detail = error.message ? `: ${error.message}` : '';
+    if (error.code === 'content_policy_violation') {
+      return `OpenAI rejected the prompt under its content policy${detail}`;
+    }
+    if (error.code === 'billing_hard_limit_reached') {
+      return 'OpenAI billing limit reached — check your account usage limits';
+    }
+    if (status === 401) {
+      return 'OpenAI API key is missing or invalid (set OPENAI_API_KEY in .env)';
+    }
+    if (status === 429) {
+      return `OpenAI rate limit reached, try again shortly${detail}`;
+    }
+    if (error.message) {
+      return `OpenAI ${error.type || 'error'}${error.param ? ` (${error.param})` : ''}${detail}`;
+    }
+    return null;
+  },
+
+  supportsReference(modelId) {
+    return Boolean(getModelConfig('openai', modelId)?.imageInput);
+  },
+
+  supportsInpaint(modelId) {
+    return Boolean(getModelConfig('openai', modelId)?.inpaint);
+  },
+
+  async listModels(apiBase) {
+    const json = await fetchJson(`${apiBase}/models`, 'OpenAI');
+    return (json.data || []).flatMap((m) => {
+      const family = OPENAI_MODEL_FAMILIES.find(f => f.pattern.test(m.id));
+      if (!family) return [];
+      const { pattern, ...limits } = family;
+      return [{ id: m.id, name: m.id, description: 'OpenAI image model', cost: UNLISTED_COST, ...limits }];
+    });
+  },
+};
+
+// ─── Local Stable Diffusion ──────────────────────────────────────────────────
+
+/**
+ * Default sampling settings for the local backends. `referenceMode` picks
+ * how Automatic1111 uses a reference image: 'img2img' starts from it,
+ * 'controlnet' keeps txt2img and steers it with ControlNet reference_only.
+ */
+export const DEFAULT_SAMPLING = { steps: 20, cfgScale: 7, loras: [], referenceMode: 'img2img' };
+
+/**
+ * Stable Diffusion works in 8-pixel latent blocks; round a side to a
+ * multiple of 8.
+ * @param {number} size
+ * @returns {number}
+ */
+function latentSize(size) {
+  return Math.max(64, Math.round(size / 8) * 8);
+}
+
+/** Message for a local backend the dev-server proxy can't reach */
+function unreachableMessage(backend, envKey) {
+  return `${backend} is not reachable — check that it is running and ${envKey} in .env`;
+}
+
+const automatic1111Adapter = {
+  async buildRequest(request, apiBase) {
+    const { modelId, prompt, negativePrompt, width, height, seed, reference } = request;
+    const sampling = { ...DEFAULT_SAMPLING, ...request.sampling };
+    const denoiseStrength = request.denoiseStrength ?? DEFAULT_DENOISE_STRENGTH;
+
+    // LoRAs are applied through A1111's prompt syntax
+    const loraTags = (sampling.loras || []).map(l => `<lora:${l.name}:${l.weight ?? 1}>`);
+
+    const body = {
+      prompt: [prompt, ...loraTags].join(' '),
+      negative_prompt: negativePrompt || '',
+      width: latentSize(width),
+      height: latentSize(height),
+      seed: seed ?? -1,
+      sampler_name: sampling.sampler || 'Euler a',
+      steps: sampling.steps,
+      cfg_scale: sampling.cfgScale,
+      batch_size: 1,
+      n_iter: 1,
+      override_settings: { sd_model_checkpoint: modelId },
+      override_settings_restore_afterwards: true,
+    };
+
+    let endpoint = 'txt2img';
+    if (request.inpaint) {
+      // Regenerate the masked area only, starting from what is there
+      endpoint = 'img2img';
+      Object.assign(body, {
+        init_images: [await blobToBase64(request.inpaint.image)],
+        mask: await blobToBase64(request.inpaint.mask),
+        denoising_strength: denoiseStrength,
+        inpainting_fill: 1,
+        inpaint_full_res: true,
+        inpaint_full_res_padding: 32,
+        mask_blur: 4,
+        resize_mode: 0,
+      });
+    } else if (reference) {
+      const image = await blobToBase64(reference.blob);
+      if (sampling.referenceMode === 'controlnet') {
+        // reference_only needs no ControlNet model; lower denoise follows the reference closer
+        body.alwayson_scripts = {
+          controlnet: {
+            args: [{ enabled: true, module: 'reference_only', model: 'None', image, weight: 1 - denoiseStrength, pixel_perfect: true }],
+          },
+        };
+      } else {
+        endpoint = 'img2img';
+        Object.assign(body, { init_images: [image], denoising_strength: denoiseStrength, resize_mode: 1 });
+      }
+    }
+
+    return {
+      url: `${apiBase}/sdapi/v1/${endpoint}`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      },
+    };
+  },
+
+  supportsReference() {
+    return true;
+  },
+
+  supportsInpaint() {
+    return true;
+  },
+
+  async parseResponse(response, request) {
+    const json = await response.json();
+    const data = json.images?.[0];
+    if (!data) {
+      throw new Error('Automatic1111 returned no image');
+    }
+    const blob = await fitImageBlob(base64ToBlob(data, 'image/png'), request.width, request.height, request.fit);
+    return { blob };
+  },
+
+  describeError(status, body) {
+    if (status === 404) {
+      return 'Automatic1111 API not found — start the web UI with the --api flag';
+    }
+    if (!body && status >= 500) {
+      return unreachableMessage('Automatic1111', 'A1111_BASE_URL');
+    }
+    const detail = body?.errors || (typeof body?.detail === 'string' ? body.detail : '');
+    if (body?.error || detail) {
+      return `Automatic1111 ${body.error || 'error'}${detail ? `: ${detail}` : ''}`;
+    }
+    return null;
+  },
+
+  async listModels(apiBase) {
+    const checkpoints = await fetchJson(`${apiBase}/sdapi/v1/sd-models`, 'Automatic1111');
+    return checkpoints.map(c => ({
+      id: c.title,
+      name: c.model_name,
+      description: `Local checkpoint ${c.filename || c.title}`,
+      cost: 'Local',
+    }));
+  },
+
+  async listSamplingOptions(apiBase) {
+    const [samplers, loras] = await Promise.all([
+      fetchJson(`${apiBase}/sdapi/v1/samplers`, 'Automatic1111'),
+      fetchJson(`${apiBase}/sdapi/v1/loras`, 'Automatic1111'),
+    ]);
+    return { samplers: samplers.map(s => s.name), loras: loras.map(l => l.name) };
+  },
+};
+
+/** Delay between ComfyUI /history polls */
+export const COMFYUI_POLL_INTERVAL = 1000;
+
+/** Give up on a ComfyUI prompt after this long */
+const COMFYUI_TIMEOUT = 10 * 60 * 1000;
+
+/** Node IDs of the ComfyUI workflow (LoRA loaders follow from 100) */
+const COMFY_NODES = { checkpoint: '1', positive: '2', negative: '3', latent: '4', sampler: '5', decode: '6', save: '7' };
+
+/**
+ * Build a ComfyUI API-format workflow: checkpoint → LoRA chain → prompts →
+ * KSampler → VAE decode → SaveImage.
+ *
+ * @param {object} request - Generation request
+ * @returns {object} Node ID → node
+ */
+export function buildComfyWorkflow(request) {
+  const { modelId, prompt, negativePrompt, width, height, seed } = request;
+  const sampling = { ...DEFAULT_SAMPLING, ...request.sampling };
+  const n = COMFY_NODES;
+
+  const workflow = {
+    [n.checkpoint]: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: modelId } },
+  };
+  let model = [n.checkpoint, 0];
+  let clip = [n.checkpoint, 1];
+  (sampling.loras || []).forEach((lora, i) => {
+    const id = String(100 + i);
+    workflow[id] = {
+      class_type: 'LoraLoader',
+      inputs: { model, clip, lora_name: lora.name, strength_model: lora.weight ?? 1, strength_clip: lora.weight ?? 1 },
+    };
+    model = [id, 0];
+    clip = [id, 1];
+  });
+
+  workflow[n.positive] = { class_type: 'CLIPTextEncode', inputs: { text: prompt, clip } };
+  workflow[n.negative] = { class_type: 'CLIPTextEncode', inputs: { text: negativePrompt || '', clip } };
+  workflow[n.latent] = {
+    class_type: 'EmptyLatentImage',
+    inputs: { width: latentSize(width), height: latentSize(height), batch_size: 1 },
+  };
+  workflow[n.sampler] = {
+    class_type: 'KSampler',
+    inputs: {
+      model,
+      positive: [n.positive, 0],
+      negative: [n.negative, 0],
+      latent_image: [n.latent, 0],
+      seed: seed ?? Math.floor(Math.random() * 1e9),
+      steps: sampling.steps,
+      cfg: sampling.cfgScale,
+      sampler_name: sampling.sampler || 'euler',
+      scheduler: 'normal',
+      denoise: 1,
+    },
+  };
+  workflow[n.decode] = { class_type: 'VAEDecode', inputs: { samples: [n.sampler, 0], vae: [n.checkpoint, 2] } };
+  workflow[n.save] = { class_type: 'SaveImage', inputs: { images: [n.decode, 0], filename_prefix: 'PixelGen' } };
+  return workflow;
+}
+
+/**
+ * Choices ComfyUI offers for one input of a node class.
+ * @param {string} apiBase
+ * @param {string} nodeClass
+ * @param {string} input
+ * @returns {Promise<string[]>}
+ */
+async function comfyInputChoices(apiBase, nodeClass, input) {
+  const info = await fetchJson(`${apiBase}/object_info/${nodeClass}`, 'ComfyUI');
+  const choices = info[nodeClass]?.input?.required?.[input]?.[0];
+  return Array.isArray(choices) ? choices : [];
+}
+
+const comfyuiAdapter = {
+  buildRequest(request, apiBase) {
+    return {
+      url: `${apiBase}/prompt`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prompt: buildComfyWorkflow(request), client_id: 'pixelgen' }),
+      },
+      apiBase,
+    };
+  },
+
+  async parseResponse(response, request, httpRequest) {
+    const { prompt_id: promptId } = await response.json();
+    const { apiBase } = httpRequest;
+    const deadline = Date.now() + COMFYUI_TIMEOUT;
+
+    // The prompt is queued; its history entry appears once it has run
+    let entry;
+    while (!entry) {
+      if (Date.now() > deadline) {
+        throw new Error('ComfyUI did not finish the prompt in time');
+      }
+      await new Promise(resolve => setTimeout(resolve, COMFYUI_POLL_INTERVAL));
+      const history = await fetchJson(`${apiBase}/history/${encodeURIComponent(promptId)}`, 'ComfyUI');
+      entry = history[promptId];
+    }
+
+    if (entry.status?.status_str === 'error') {
+      const failure = entry.status.messages?.find(([type]) => type === 'execution_error')?.[1];
+      throw new Error(`ComfyUI failed to run the workflow${failure ? `: ${failure.exception_message}` : ''}`);
+    }
+    const image = entry.outputs?.[COMFY_NODES.save]?.images?.[0];
+    if (!image) {
+      throw new Error('ComfyUI returned no image');
+    }
+
+    const params = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' });
+    const view = await fetch(`${apiBase}/view?${params}`);
+    if (!view.ok) {
+      throw new Error(`ComfyUI image download failed: ${view.status} ${view.statusText}`.trim());
+    }
+    const blob = await fitImageBlob(await view.blob(), request.width, request.height, request.fit);
+    return { blob };
+  },
+
+  describeError(status, body) {
+    if (!body && status >= 500) {
+      return unreachableMessage('ComfyUI', 'COMFYUI_BASE_URL');
+    }
+    if (body?.error) {
+      const message = body.error.message || body.error;
+      const nodeError = Object.values(body.node_errors || {})[0]?.errors?.[0];
+      const detail = nodeError ? `: ${nodeError.message}${nodeError.details ? ` (${nodeError.details})` : ''}` : '';
+      return `ComfyUI rejected the workflow — ${message}${detail}`;
+    }
+    return null;
+  },
+
+  async listModels(apiBase) {
+    const checkpoints = await comfyInputChoices(apiBase, 'CheckpointLoaderSimple', 'ckpt_name');
+    return checkpoints.map(name => ({
+      id: name,
+      name: name.replace(/\.(safetensors|ckpt|pt)$/i, ''),
+      description: `Local checkpoint ${name}`,
+      cost: 'Local',
+    }));
+  },
+
+  async listSamplingOptions(apiBase) {
+    const [samplers, loras] = await Promise.all([
+      comfyInputChoices(apiBase, 'KSampler', 'sampler_name'),
+      comfyInputChoices(apiBase, 'LoraLoader', 'lora_name'),
+    ]);
+    return { samplers, loras };
+  },
+};
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+/** Adapter per provider ID */
+export const PROVIDER_ADAPTERS = {
+  pollinations: pollinationsAdapter,
+  gemini: geminiAdapter,
+  openai: openaiAdapter,
+  a1111: automatic1111Adapter,
+  comfyui: comfyuiAdapter,
+};
+
+/**
+ * Look up a provider's adapter.
+ * @param {string} providerId
+ * @returns {object}
+ * @throws {Error} If the provider has no adapter
+ */
+export function getProviderAdapter(providerId) {
+  const adapter = PROVIDER_ADAPTERS[providerId];
+  if (!adapter) {
+    throw new Error(`No image adapter for provider "${providerId}"`);
+  }
+  return adapter;
+}
+
+/**
+ * Check whether a model can be conditioned on a reference image.
+ * @param {string} fullModelId - "provider:model"
+ * @returns {boolean}
+ */
+export function supportsReferenceImage(fullModelId) {
+  const { provider, modelId } = parseModelId(fullModelId);
+  return Boolean(PROVIDER_ADAPTERS[provider]?.supportsReference?.(modelId));
+}
+
+/**
+ * Check whether a model can regenerate a masked region.
+ * @param {string} fullModelId - "provider:model"
+ * @returns {boolean}
+ */
+export function supportsInpainting(fullModelId) {
+  const { provider, modelId } = parseModelId(fullModelId);
+  return Boolean(PROVIDER_ADAPTERS[provider]?.supportsInpaint?.(modelId));
+}
+
+/**
+ * Send a built request and parse the image out of the reply.
+ *
+ * @param {object} adapter
+ * @param {{ url: string, init: object, apiBase?: string }} httpRequest - From adapter.buildRequest
+ * @param {object} request - The generation request
+ * @param {string} failure - Message prefix when the provider errors
+ * @returns {Promise<{ blob: Blob, revisedPrompt?: string }>}
+ */
+export async function fetchGeneratedImage(adapter, httpRequest, request, failure = 'Image generation failed') {
+  const response = await fetch(httpRequest.url, httpRequest.init);
+  if (!response.ok) {
+    throw new Error(`${failure}: ${await describeErrorResponse(adapter, response)}`);
+  }
+  return adapter.parseResponse(response, request, httpRequest);
+}
@@ -9,21 +9,29 @@
 /**
  * Provider configuration for supported API services.
  * Each provider defines its available models and how to route requests.
+ * `apiModel` is the provider's own model name when it differs from `id`;
+ * `sizes` and `maxPromptLength` describe what fixed-size APIs accept;
+ * `imageInput` marks models that take a reference image, `inpaint` those
+ * that can regenerate a masked region.
+ * Local backends (`local: true`) list no models here; their checkpoints are
+ * discovered from the running backend.
  */
 const PROVIDER_CONFIGS = {
   pollinations: {
     name: 'Pollinations',
     envKey: 'POLLINATIONS_API_KEY',
     apiBase: '/api/pollinations',
+    // Where the proxy forwards to; images there are addressable by URL
+    publicApiBase: 'https://gen.pollinations.ai/image',
     models: [
       { id: 'flux', name: 'Flux Schnell', description: 'Fast high-quality generation', cost: 'Free-tier' },
       { id: 'zimage', name: 'Z-Image Turbo', description: 'Fast Flux + 2x upscaling', cost: 'Free-tier' },
-      { id: 'gptimage', name: 'GPT Image 1 Mini', description: 'OpenAI — excellent prompt following', cost: '~$0.008/img' },
-      { id: 'nanobanana', name: 'Gemini Flash Image', description: 'Google Gemini 2.5 Flash', cost: '~$0.039/img' },
-      { id: 'nanobanana-pro', name: 'Gemini 3 Pro Image', description: 'Highest quality, 4K support', cost: '~$0.134/img' },
-      { id: 'seedream', name: 'Seedream 4.0', description: 'ByteDance — good quality', cost: '~$0.03/img' },
-      { id: 'klein', name: 'FLUX.2 Klein 4B', description: 'Fast generation & editing', cost: '~$0.008/img' },
-      { id: 'kontext', name: 'FLUX.1 Kontext', description: 'In-context image editing', cost: '~$0.04/img' },
+      { id: 'gptimage', name: 'GPT Image 1 Mini', description: 'OpenAI — excellent prompt following', cost: '~$0.008/img', imageInput: true },
+      { id: 'nanobanana', name: 'Gemini Flash Image', description: 'Google Gemini 2.5 Flash', cost: '~$0.039/img', imageInput: true },
+      { id: 'nanobanana-pro', name: 'Gemini 3 Pro Image', description: 'Highest quality, 4K support', cost: '~$0.134/img', imageInput: true },
+      { id: 'seedream', name: 'Seedream 4.0', description: 'ByteDance — good quality', cost: '~$0.03/img', imageInput: true },
+      { id: 'klein', name: 'FLUX.2 Klein 4B', description: 'Fast generation & editing', cost: '~$0.008/img', imageInput: true },
+      { id: 'kontext', name: 'FLUX.1 Kontext', description: 'In-context image editing', cost: '~$0.04/img', imageInput: true },
     ],
   },
   gemini: {
@@ -31,8 +39,8 @@ const PROVIDER_CONFIGS = {
     envKey: 'GEMINI_API_KEY',
     apiBase: '/api/gemini',
     models: [
-      { id: 'gemini-flash-image', name: 'Gemini 2.5 Flash', description: 'Fast image generation', cost: '~$0.039/img' },
-      { id: 'gemini-pro-image', name: 'Gemini 3 Pro', description: 'High quality image generation', cost: '~$0.134/img' },
+      { id: 'gemini-flash-image', apiModel: 'gemini-2.5-flash-image', name: 'Gemini 2.5 Flash', description: 'Fast image generation', cost: '~$0.039/img' },
+      { id: 'gemini-pro-image', apiModel: 'gemini-3-pro-image-preview', name: 'Gemini 3 Pro', description: 'High quality image generation', cost: '~$0.134/img' },
     ],
   },
   openai: {
@@ -40,12 +48,33 @@ const PROVIDER_CONFIGS = {
     envKey: 'OPENAI_API_KEY',
     apiBase: '/api/openai',
     models: [
-      { id: 'dall-e-3', name: 'DALL-E 3', description: 'High quality image generation', cost: '~$0.04/img' },
-      { id: 'dall-e-2', name: 'DALL-E 2', description: 'Fast image generation', cost: '~$0.02/img' },
+      { id: 'dall-e-3', name: 'DALL-E 3', description: 'High quality image generation', cost: '~$0.04/img', sizes: ['1024x1024', '1792x1024', '1024x1792'], maxPromptLength: 4000 },
+      { id: 'dall-e-2', name: 'DALL-E 2', description: 'Fast image generation', cost: '~$0.02/img', sizes: ['256x256', '512x512', '1024x1024'], maxPromptLength: 1000, inpaint: true },
     ],
   },
+  a1111: {
+    name: 'Automatic1111 (local)',
+    envKey: 'A1111_BASE_URL',
+    apiBase: '/api/a1111',
+    local: true,
+    models: [],
+  },
+  comfyui: {
+    name: 'ComfyUI (local)',
+    envKey: 'COMFYUI_BASE_URL',
+    apiBase: '/api/comfyui',
+    local: true,
+    models: [],
+  },
 };
 
+/**
+ * Models found by live discovery, per provider (see model-service.js).
+ * Consulted after the curated configs so request limits of unlisted
+ * models are known.
+ */
+const discoveredModels = {};
+
 /**
  * Check which providers are available based on environment variables.
  * This will be populated by the server-side Vite config.
@@ -94,16 +123,57 @@ export function getAllModels() {
   return models;
 }
 
+/**
+ * Get a provider's curated model entries (without provider info).
+ *
+ * @param {string} providerId
+ * @returns {Array<object>}
+ */
+export function getCuratedModels(providerId) {
+  return PROVIDER_CONFIGS[providerId]?.models || [];
+}
+
+/**
+ * Record the models live discovery found for a provider.
+ *
+ * @param {string} providerId
+ * @param {Array<object>} models - Model entries with provider-side `id`s
+ */
+export function registerDiscoveredModels(providerId, models) {
+  discoveredModels[providerId] = models;
+}
+
+/**
+ * Check whether a provider is a local Stable Diffusion backend.
+ *
+ * @param {string} providerId
+ * @returns {boolean}
+ */
+export function isLocalProvider(providerId) {
+  return Boolean(PROVIDER_CONFIGS[providerId]?.local);
+}
+
+/**
+ * Get a provider's display name.
+ *
+ * @param {string} providerId
+ * @returns {string}
+ */
+export function getProviderName(providerId) {
+  return PROVIDER_CONFIGS[providerId]?.name || providerId;
+}
+
 /**
  * Parse a full model ID into provider and model parts.
+ * Only the first colon separates them; local checkpoint names may contain more.
  * 
  * @param {string} fullId - Format: "provider:modelId"
  * @returns {{provider: string, modelId: string}}
  */
 export function parseModelId(fullId) {
-  const parts = fullId.split(':');
-  if (parts.length === 2) {
-    return { provider: parts[0], modelId: parts[1] };
+  const separator = fullId.indexOf(':');
+  if (separator > 0) {
+    return { provider: fullId.slice(0, separator), modelId: fullId.slice(separator + 1) };
   }
   // Fallback to pollinations for backward compatibility
   return { provider: 'pollinations', modelId: fullId };
@@ -120,6 +190,30 @@ export function getProviderApiBase(providerId) {
   return config ? config.apiBase : '/api/pollinations';
 }
 
+/**
+ * Get the public API base a provider's GET requests can be shared under,
+ * if it has one (so another service can fetch a generated image).
+ *
+ * @param {string} providerId
+ * @returns {string|null}
+ */
+export function getProviderPublicApiBase(providerId) {
+  return PROVIDER_CONFIGS[providerId]?.publicApiBase || null;
+}
+
+/**
+ * Get a provider's configured entry for a model, falling back to what
+ * live discovery reported.
+ *
+ * @param {string} providerId
+ * @param {string} modelId - Model ID without the provider prefix
+ * @returns {object|undefined}
+ */
+export function getModelConfig(providerId, modelId) {
+  return getCuratedModels(providerId).find(m => m.id === modelId)
+    || discoveredModels[providerId]?.find(m => m.id === modelId);
+}
+
 /**
  * Get the default model ID (first available model).
  * 
@@ -3,6 +3,8 @@
  *
  * Stores individual frames and assembled sprite sheets with metadata.
  * Queryable by character, animation state, console, view, etc.
+ * Also keeps imported custom palettes and batch generation queues so they
+ * survive reloads.
  */
 
 import Dexie from 'dexie';
@@ -16,6 +18,18 @@ db.version(1).stores({
   sheets: '++id, characterName, consoleId, animState, createdAt',
 });
 
+db.version(2).stores({
+  // Palettes: imported custom palettes, keyed by slug
+  palettes: '++id, &slug, name, createdAt',
+});
+
+db.version(3).stores({
+  // Batch runs: one "generate full character" request with its settings
+  batchRuns: '++id, status, createdAt',
+  // Batch jobs: one animation state × view combo of a run
+  batchJobs: '++id, runId, status',
+});
+
 /**
  * Convert a canvas to a Blob for storage.
  * @param {HTMLCanvasElement} canvas
@@ -204,12 +218,117 @@ export async function deleteCharacter(characterName) {
   return ids.length;
 }
 
+// ─── Custom Palettes ─────────────────────────────────────────────────────────
+
+/**
+ * Save an imported palette. A palette with the same slug is replaced.
+ *
+ * @param {object} palette
+ * @param {string} palette.slug
+ * @param {string} palette.name
+ * @param {number[][]} palette.colors - [R,G,B] triplets
+ * @param {string} palette.format - Source file format (gpl, pal, hex, ase, png)
+ * @returns {Promise<number>} - Row ID
+ */
+export async function savePalette(palette) {
+  const row = {
+    slug: palette.slug,
+    name: palette.name,
+    colors: palette.colors,
+    format: palette.format || '',
+    createdAt: new Date(),
+  };
+  const existing = await db.palettes.where('slug').equals(palette.slug).first();
+  if (existing) {
+    await db.palettes.update(existing.id, row);
+    return existing.id;
+  }
+  return db.palettes.add(row);
+}
+
+/**
+ * List all saved palettes, oldest first.
+ * @returns {Promise<Array<{ id, slug, name, colors, format, createdAt }>>}
+ */
+export async function listPalettes() {
+  return db.palettes.orderBy('createdAt').toArray();
+}
+
+/**
+ * Delete a saved palette.
+ * @param {string} slug
+ * @returns {Promise<number>} Count of deleted rows
+ */
+export async function deletePalette(slug) {
+  return db.palettes.where('slug').equals(slug).delete();
+}
+
+// ─── Batch Runs ──────────────────────────────────────────────────────────────
+
+/**
+ * Store a new batch run and its queued jobs.
+ *
+ * @param {object} run - { characterName, prompt, seed, concurrency, settings, status }
+ * @param {Array<object>} jobs - { stateId, viewId, frameCount, framesDone, status, error }
+ * @returns {Promise<number>} - Run ID
+ */
+export async function createBatchRun(run, jobs) {
+  return db.transaction('rw', db.batchRuns, db.batchJobs, async () => {
+    const runId = await db.batchRuns.add({ ...run, createdAt: new Date() });
+    await db.batchJobs.bulkAdd(jobs.map(job => ({ ...job, runId })));
+    return runId;
+  });
+}
+
+/**
+ * Load a batch run with its jobs in queue order.
+ * @param {number} runId
+ * @returns {Promise<{ run: object|undefined, jobs: Array<object> }>}
+ */
+export async function getBatchRun(runId) {
+  const run = await db.batchRuns.get(runId);
+  const jobs = await db.batchJobs.where('runId').equals(runId).sortBy('id');
+  return { run, jobs };
+}
+
+/**
+ * Most recent run that still has work left (running or paused).
+ * @returns {Promise<object|undefined>}
+ */
+export async function findUnfinishedBatchRun() {
+  const runs = await db.batchRuns.where('status').anyOf('running', 'paused').sortBy('createdAt');
+  return runs[runs.length - 1];
+}
+
+/**
+ * Update fields of a batch run.
+ * @param {number} runId
+ * @param {object} changes
+ * @returns {Promise<number>}
+ */
+export async function updateBatchRun(runId, changes) {
+  return db.batchRuns.update(runId, changes);
+}
+
+/**
+ * Update fields of a batch job.
+ * @param {number} jobId
+ * @param {object} changes
+ * @returns {Promise<number>}
+ */
+export async function updateBatchJob(jobId, changes) {
+  return db.batchJobs.update(jobId, changes);
+}
+
 /**
  * Clear entire database.
  */
 export async function clearAll() {
   await db.sprites.clear();
   await db.sheets.clear();
+  await db.palettes.clear();
+  await db.batchRuns.clear();
+  await db.batchJobs.clear();
 }
 
 /** Direct access to the db for advanced queries. */
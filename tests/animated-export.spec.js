@@ -0,0 +1,105 @@
+/**
+ * Tests for animated GIF, APNG and WebP export.
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Animated Export', () => {
+  test('encodes GIF, APNG and WebP with timing, looping and transparency', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { encodeGif, encodeApng, encodeAnimatedWebp, quantizeDelays } = await import('/src/animated-export.js');
+
+      const frame = (color) => {
+        const img = new ImageData(4, 2);
+        for (let i = 1; i < 8; i++) img.data.set(color, i * 4);  // pixel 0 stays transparent
+        return img;
+      };
+      const images = [frame([255, 0, 0, 255]), frame([0, 0, 255, 255])];
+      const delays = [1000 / 12, 1000 / 12];
+
+      const gif = encodeGif(images, { delays, loop: true });
+      const gifOnce = encodeGif(images, { delays, loop: false });
+      const apng = await encodeApng(images, { delays, loop: false });
+      const webp = await encodeAnimatedWebp(images, { delays, loop: true });
+
+      // Decoding the GIF back through the browser proves the LZW stream is valid
+      const decoded = await createImageBitmap(new Blob([gif], { type: 'image/gif' }));
+      const canvas = document.createElement('canvas');
+      canvas.width = 4;
+      canvas.height = 2;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(decoded, 0, 0);
+
+      const text = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+      const latin = (bytes) => String.fromCharCode(...bytes);
+      return {
+        gifHeader: text(gif, 0, 6),
+        gifLoops: latin(gif).includes('NETSCAPE2.0'),
+        gifOnceLoops: latin(gifOnce).includes('NETSCAPE2.0'),
+        gifDelay: gif[latin(gif).indexOf('\x21\xf9') + 4],
+        gifPixels: [Array.from(ctx.getImageData(0, 0, 1, 1).data), Array.from(ctx.getImageData(1, 0, 1, 1).data)],
+        apngChunks: ['acTL', 'fcTL', 'IDAT', 'fdAT'].map(type => latin(apng).split(type).length - 1),
+        apngPlays: new DataView(apng.buffer).getUint32(latin(apng).indexOf('acTL') + 8),
+        webpChunks: ['VP8X', 'ANIM', 'ANMF'].map(type => latin(webp).split(type).length - 1),
+        quantized: quantizeDelays([1000 / 12, 1000 / 12, 1000 / 12], 10),
+      };
+    });
+
+    expect(result.gifHeader).toBe('GIF89a');
+    expect(result.gifLoops).toBe(true);
+    expect(result.gifOnceLoops).toBe(false);
+    expect(result.gifDelay).toBe(8);
+    expect(result.gifPixels).toEqual([[0, 0, 0, 0], [255, 0, 0, 255]]);
+    expect(result.apngChunks).toEqual([1, 2, 1, 1]);
+    expect(result.apngPlays).toBe(1);
+    expect(result.webpChunks).toEqual([1, 1, 2]);
+    // 83.3ms frames round to 8, 9, 8 centiseconds without drifting
+    expect(result.quantized).toEqual([8, 9, 8]);
+  });
+
+  test('player exports follow ping-pong order and upscale', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { AnimationPlayer } = await import('/src/animation-player.js');
+
+      const frames = [[255, 0, 0], [0, 255, 0], [0, 0, 255]].map(([r, g, b]) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 8;
+        canvas.height = 8;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillRect(0, 0, 8, 8);
+        return { canvas, spriteW: 8, spriteH: 8 };
+      });
+
+      const player = new AnimationPlayer(document.createElement('canvas'), { fps: 10, pingPong: true });
+      player.setFrames(frames);
+      const looping = player._exportSequence(3);
+      player.loop = false;
+      const once = player._exportSequence(3);
+
+      const gif = await player.exportGif({ scale: 2 });
+      const empty = new AnimationPlayer(document.createElement('canvas'));
+
+      return {
+        loopingOrder: looping.images.map(img => img.data[1] === 255 ? 'g' : img.data[0] === 255 ? 'r' : 'b'),
+        onceCount: once.images.length,
+        size: [looping.images[0].width, looping.images[0].height],
+        delays: looping.delays,
+        gifType: gif.type,
+        gifSize: Array.from(new Uint8Array(await gif.slice(6, 10).arrayBuffer())),
+        emptyGif: await empty.exportGif(),
+      };
+    });
+
+    expect(result.loopingOrder).toEqual(['r', 'g', 'b', 'g']);
+    expect(result.onceCount).toBe(5);
+    expect(result.size).toEqual([24, 24]);
+    expect(result.delays).toEqual([100, 100, 100, 100]);
+    expect(result.gifType).toBe('image/gif');
+    expect(result.gifSize).toEqual([16, 0, 16, 0]);
+    expect(result.emptyGif).toBeNull();
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for Aseprite file export and import.
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Aseprite Files', () => {
+  test('writes indexed frames, palette and one tag per animation state', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { buildAsepriteFile, ASE_LOOP_PING_PONG } = await import('/src/aseprite.js');
+
+      const pixelData = new ImageData(4, 3);
+      pixelData.data.set([255, 0, 0, 255], 0);
+      pixelData.data.set([0, 255, 0, 255], 20);
+
+      const bytes = buildAsepriteFile([
+        { stateId: 'idle', viewId: 'side', frames: [{ pixelData, subPalette: [[0, 0, 255]] }, null] },
+        { stateId: 'walk', viewId: 'side', frames: [null, null, null, null] },  // nothing stored
+        { stateId: 'jump', viewId: 'side', frames: [{ pixelData }] },
+      ], { fps: 10, pingPong: true });
+
+      // Walk the frames and chunks
+      const view = new DataView(bytes.buffer);
+      const frames = [];
+      let o = 128;
+      for (let f = 0; f < view.getUint16(6, true); f++) {
+        const size = view.getUint32(o, true);
+        const chunks = [];
+        let c = o + 16;
+        for (let i = 0; i < view.getUint32(o + 12, true); i++) {
+          chunks.push({ type: view.getUint16(c + 4, true), offset: c });
+          c += view.getUint32(c, true);
+        }
+        frames.push({ size, duration: view.getUint16(o + 8, true), chunks, consistent: c - o === size });
+        o += size;
+      }
+
+      const tags = frames[0].chunks.find(ch => ch.type === 0x2018).offset + 6;
+      const firstTagName = view.getUint16(tags + 10 + 17, true);
+      const cel = frames[0].chunks.find(ch => ch.type === 0x2005).offset + 6;
+      const palette = frames[0].chunks.find(ch => ch.type === 0x2019).offset + 6;
+
+      return {
+        fileSize: view.getUint32(0, true),
+        length: bytes.length,
+        magic: view.getUint16(4, true),
+        frameCount: view.getUint16(6, true),
+        size: [view.getUint16(8, true), view.getUint16(10, true)],
+        depth: view.getUint16(12, true),
+        colorCount: view.getUint16(32, true),
+        durations: frames.map(f => f.duration),
+        consistent: frames.every(f => f.consistent),
+        celCounts: frames.map(f => f.chunks.filter(ch => ch.type === 0x2005).length),
+        tagCount: view.getUint16(tags, true),
+        firstTag: {
+          from: view.getUint16(tags + 10, true),
+          to: view.getUint16(tags + 12, true),
+          direction: view.getUint8(tags + 14),
+          name: new TextDecoder().decode(bytes.subarray(tags + 10 + 19, tags + 10 + 19 + firstTagName)),
+        },
+        pingPong: ASE_LOOP_PING_PONG,
+        // Sub-palette colors come first: blue = 1, red = 2, green = 3
+        celPixels: Array.from(bytes.subarray(cel + 20, cel + 20 + 12)),
+        paletteSecond: Array.from(bytes.subarray(palette + 20 + 6 + 2, palette + 20 + 6 + 6)),
+      };
+    });
+
+    expect(result.magic).toBe(0xa5e0);
+    expect(result.fileSize).toBe(result.length);
+    expect(result.frameCount).toBe(3);
+    expect(result.size).toEqual([4, 3]);
+    expect(result.depth).toBe(8);
+    expect(result.colorCount).toBe(4);
+    expect(result.durations).toEqual([100, 100, 100]);
+    expect(result.consistent).toBe(true);
+    expect(result.celCounts).toEqual([1, 0, 1]);
+    expect(result.tagCount).toBe(2);
+    expect(result.firstTag).toEqual({ from: 0, to: 1, direction: result.pingPong, name: 'idle' });
+    expect(result.celPixels).toEqual([2, 0, 0, 0, 0, 3, 0, 0, 0, 0, 0, 0]);
+    expect(result.paletteSecond).toEqual([0, 0, 255, 255]);
+  });
+
+  test('reads files back, flattening visible layers and mapping tags to states', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { buildAsepriteFile, parseAsepriteFile, mapAsepriteTags } = await import('/src/aseprite.js');
+
+      // Round trip through the writer
+      const pixelData = new ImageData(4, 3);
+      pixelData.data.set([255, 0, 0, 255], 0);
+      const written = buildAsepriteFile([
+        { stateId: 'idle', viewId: 'side', frames: [{ pixelData }, null] },
+        { stateId: 'jump', viewId: 'front', frames: [{ pixelData }] },
+      ], { fps: 10, pixelAspect: 2 });
+      const roundTrip = await parseAsepriteFile(written.buffer);
+      const mapped = mapAsepriteTags(roundTrip, { stateId: 'walk', viewId: 'side' });
+
+      // Hand-built RGBA file: compressed cel on a 50% layer, a hidden layer,
+      // and tags named after a state, a state name and an unknown id
+      const bytes = [];
+      const u8 = (v) => bytes.push(v & 255);
+      const u16 = (v) => { u8(v); u8(v >> 8); };
+      const u32 = (v) => { u16(v & 0xffff); u16(v >>> 16); };
+      const str = (t) => { const b = new TextEncoder().encode(t); u16(b.length); bytes.push(...b); };
+      const patch32 = (at, v) => { bytes[at] = v & 255; bytes[at + 1] = (v >> 8) & 255; bytes[at + 2] = (v >> 16) & 255; bytes[at + 3] = v >>> 24; };
+      const chunk = (type, body) => { const at = bytes.length; u32(0); u16(type); body(); patch32(at, bytes.length - at); };
+
+      u32(0); u16(0xa5e0); u16(2); u16(4); u16(4); u16(32); u32(1); u16(100); u32(0); u32(0);
+      u8(0); u8(0); u8(0); u8(0); u16(0); u8(1); u8(1);
+      while (bytes.length < 128) u8(0);
+
+      const celPixels = new Uint8Array(16);
+      for (let i = 0; i < 4; i++) celPixels.set([10, 20, 30, 255], i * 4);
+      const deflated = new Uint8Array(await new Response(
+        new Blob([celPixels]).stream().pipeThrough(new CompressionStream('deflate'))
+      ).arrayBuffer());
+
+      for (let f = 0; f < 2; f++) {
+        const frameAt = bytes.length;
+        u32(0); u16(0xf1fa); u16(0); u16(50); u8(0); u8(0); u32(0);
+        let chunks = 0;
+        const count = (type, body) => { chunk(type, body); chunks++; };
+        if (f === 0) {
+          const layer = (flags, opacity, name) => count(0x2004, () => {
+            u16(flags); u16(0); u16(0); u16(0); u16(0); u16(0); u8(opacity); u8(0); u8(0); u8(0); str(name);
+          });
+          layer(3, 128, 'Base');
+          layer(2, 255, 'Hidden');
+          count(0x2018, () => {
+            u16(3); for (let i = 0; i < 8; i++) u8(0);
+            for (const [from, to, name] of [[0, 0, 'run'], [1, 1, 'Jump:Back'], [0, 1, 'wiggle']]) {
+              u16(from); u16(to); u8(0); u16(0); for (let i = 0; i < 10; i++) u8(0); str(name);
+            }
+          });
+        }
+        count(0x2005, () => {
+          u16(0); u16(1); u16(1); u8(255); u16(2); u16(0); for (let i = 0; i < 5; i++) u8(0);
+          u16(2); u16(2); bytes.push(...deflated);
+        });
+        count(0x2005, () => {
+          u16(1); u16(0); u16(0); u8(255); u16(0); u16(0); for (let i = 0; i < 5; i++) u8(0);
+          u16(1); u16(1); bytes.push(99, 99, 99, 255);
+        });
+        patch32(frameAt, bytes.length - frameAt);
+        patch32(frameAt + 12, chunks);
+      }
+      patch32(0, bytes.length);
+
+      const rgba = await parseAsepriteFile(new Uint8Array(bytes).buffer);
+      const rgbaMapped = mapAsepriteTags(rgba, { stateId: 'idle', viewId: 'side' });
+
+      let notAse = null;
+      try {
+        await parseAsepriteFile(new ArrayBuffer(256));
+      } catch (err) {
+        notAse = err.message;
+      }
+
+      return {
+        roundTrip: {
+          size: [roundTrip.width, roundTrip.height],
+          pixelAspect: roundTrip.pixelAspect,
+          durations: roundTrip.frames.map(f => f.duration),
+          firstPixel: Array.from(roundTrip.frames[0].pixelData.data.slice(0, 4)),
+          emptySlot: roundTrip.frames[1].pixelData.data.every(v => v === 0),
+          palette: roundTrip.palette,
+        },
+        mapped: mapped.animations.map(a => [a.stateId, a.viewId, a.frames.length]),
+        rgba: {
+          hiddenPixel: Array.from(rgba.frames[0].pixelData.data.slice(0, 4)),
+          celPixel: Array.from(rgba.frames[0].pixelData.data.slice(20, 24)),
+          duration: rgba.frames[0].duration,
+        },
+        rgbaMapped: rgbaMapped.animations.map(a => [a.stateId, a.viewId, a.frames.length]),
+        skipped: rgbaMapped.skipped,
+        notAse,
+      };
+    });
+
+    expect(result.roundTrip).toEqual({
+      size: [4, 3],
+      pixelAspect: 2,
+      durations: [100, 100, 100],
+      firstPixel: [255, 0, 0, 255],
+      emptySlot: true,
+      palette: [[255, 0, 0]],
+    });
+    expect(result.mapped).toEqual([['idle', 'side', 2], ['jump', 'front', 1]]);
+    expect(result.rgba.hiddenPixel).toEqual([0, 0, 0, 0]);
+    expect(result.rgba.celPixel).toEqual([10, 20, 30, 128]);
+    expect(result.rgba.duration).toBe(50);
+    expect(result.rgbaMapped).toEqual([['run', 'side', 1], ['jump', 'back', 1]]);
+    expect(result.skipped).toEqual(['wiggle']);
+    expect(result.notAse).toContain('Not an Aseprite file');
+  });
+});
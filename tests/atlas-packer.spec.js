@@ -0,0 +1,82 @@
+/**
+ * Tests for the texture atlas packer.
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Atlas Packer', () => {
+  test('trims, dedupes and packs frames into a power-of-two atlas', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const {
+        packAtlas, packMaxRects, toTexturePackerHash, toPixiSpritesheet, toPhaserMultiAtlas,
+      } = await import('/src/atlas-packer.js');
+
+      // 32×32 frame with a 4×6 red block at (10, 20)
+      const makeFrame = (color) => {
+        const pixelData = new ImageData(32, 32);
+        for (let y = 20; y < 26; y++) {
+          for (let x = 10; x < 14; x++) pixelData.data.set(color, (y * 32 + x) * 4);
+        }
+        return { pixelData };
+      };
+      const red = makeFrame([255, 0, 0, 255]);
+      const blue = makeFrame([0, 0, 255, 255]);
+
+      const atlas = packAtlas([
+        { stateId: 'idle', viewId: 'side', frames: [red, makeFrame([255, 0, 0, 255]), null, blue] },
+        { stateId: 'walk', viewId: 'side', frames: [blue] },
+      ], { padding: 2, extrude: 1 });
+
+      const [first, second, , walk] = atlas.frames;
+      const ctx = atlas.canvas.getContext('2d');
+      const pixelAt = (x, y) => Array.from(ctx.getImageData(x, y, 1, 1).data);
+
+      return {
+        size: [atlas.width, atlas.height],
+        uniqueCount: atlas.uniqueCount,
+        names: atlas.frames.map(f => f.name),
+        first,
+        sharedRegion: JSON.stringify(first.frame) === JSON.stringify(second.frame),
+        walkShared: JSON.stringify(walk.frame) === JSON.stringify(atlas.frames[2].frame),
+        // Pixel just outside the trimmed frame holds the extruded edge
+        extruded: pixelAt(first.frame.x - 1, first.frame.y),
+        padded: pixelAt(first.frame.x - 2, first.frame.y),
+        overflow: packMaxRects([{ w: 10, h: 10 }, { w: 10, h: 10 }], 16, 16),
+        fits: packMaxRects([{ w: 8, h: 16 }, { w: 8, h: 8 }, { w: 8, h: 8 }], 16, 16),
+        hash: toTexturePackerHash(atlas, 'hero_atlas.png'),
+        pixi: toPixiSpritesheet(atlas, 'hero_atlas.png'),
+        phaser: toPhaserMultiAtlas(atlas, 'hero_atlas.png'),
+      };
+    });
+
+    expect(result.size).toEqual([32, 16]);
+    expect(result.uniqueCount).toBe(2);
+    expect(result.names).toEqual(['idle_side_000', 'idle_side_001', 'idle_side_003', 'walk_side_000']);
+    expect(result.first.trimmed).toBe(true);
+    expect(result.first.frame.w).toBe(4);
+    expect(result.first.frame.h).toBe(6);
+    expect(result.first.spriteSourceSize).toEqual({ x: 10, y: 20, w: 4, h: 6 });
+    expect(result.first.sourceSize).toEqual({ w: 32, h: 32 });
+    expect(result.sharedRegion).toBe(true);
+    expect(result.walkShared).toBe(true);
+    expect(result.extruded).toEqual([255, 0, 0, 255]);
+    expect(result.padded).toEqual([0, 0, 0, 0]);
+
+    expect(result.overflow).toBeNull();
+    expect(result.fits).toHaveLength(3);
+
+    const hashFrame = result.hash.frames.idle_side_000;
+    expect(hashFrame.rotated).toBe(false);
+    expect(hashFrame.spriteSourceSize).toEqual({ x: 10, y: 20, w: 4, h: 6 });
+    expect(result.hash.meta.size).toEqual({ w: 32, h: 16 });
+    expect(result.hash.meta.image).toBe('hero_atlas.png');
+
+    expect(result.pixi.animations.idle_side).toEqual(['idle_side_000', 'idle_side_001', 'idle_side_003']);
+    expect(result.pixi.animations.walk_side).toEqual(['walk_side_000']);
+
+    expect(result.phaser.textures).toHaveLength(1);
+    expect(result.phaser.textures[0].image).toBe('hero_atlas.png');
+    expect(result.phaser.textures[0].frames.map(f => f.filename)).toContain('walk_side_000');
+  });
+});
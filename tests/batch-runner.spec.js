@@ -0,0 +1,140 @@
+/**
+ * Tests for the batch "generate full character" job runner.
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Batch Runner', () => {
+  test('plans state × view jobs and validates the request', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { planBatchJobs, createBatch } = await import('/src/batch-runner.js');
+      const attempt = (options) => createBatch(options).then(() => null, err => err.message);
+      return {
+        jobs: planBatchJobs(['idle', 'walk'], ['side', 'front']).map(j => `${j.stateId}/${j.viewId}:${j.frameCount}`),
+        noName: await attempt({ characterName: '', prompt: 'knight', stateIds: ['idle'], viewIds: ['side'] }),
+        noCombos: await attempt({ characterName: 'hero', prompt: 'knight', stateIds: ['idle'], viewIds: [] }),
+      };
+    });
+
+    expect(result.jobs).toEqual(['idle/side:2', 'idle/front:2', 'walk/side:4', 'walk/front:4']);
+    expect(result.noName).toBe('Enter a character name for the batch');
+    expect(result.noCombos).toBe('Pick at least one animation state and one view');
+  });
+
+  test('runs jobs with limited concurrency and resumes after a reload', async ({ page }) => {
+    await page.goto('/');
+
+    const first = await page.evaluate(async () => {
+      const { BatchRunner, createBatch } = await import('/src/batch-runner.js');
+      const { clearAll } = await import('/src/sprite-storage.js');
+      await clearAll();
+
+      const runId = await createBatch({
+        characterName: 'hero',
+        prompt: 'knight',
+        concurrency: 2,
+        stateIds: ['idle', 'walk'],
+        viewIds: ['side', 'front'],
+      });
+
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const seeds = new Set();
+      const runner = new BatchRunner({
+        runJob: async (job, run, { onProgress, signal }) => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          seeds.add(run.seed);
+          try {
+            for (let i = 0; i < job.frameCount; i++) {
+              if (signal.aborted) throw new Error('Batch paused');
+              await new Promise(r => setTimeout(r, 10));
+              onProgress(i + 1);
+            }
+            // Stop after the idle combos, as if the tab went away mid-run
+            if (job.stateId === 'idle' && job.viewId === 'front') runner.pause();
+          } finally {
+            inFlight--;
+          }
+        },
+      });
+      await runner.load(runId);
+      const summary = await runner.start();
+      return { runId, summary, maxInFlight, seeds: [...seeds], status: runner.run.status };
+    });
+
+    expect(first.maxInFlight).toBe(2);
+    expect(first.seeds).toHaveLength(1);
+    expect(first.status).toBe('paused');
+    expect(first.summary.done).toBeGreaterThanOrEqual(2);
+    expect(first.summary.pending).toBeGreaterThan(0);
+
+    await page.reload();
+
+    const second = await page.evaluate(async () => {
+      const { BatchRunner } = await import('/src/batch-runner.js');
+      const { findUnfinishedBatchRun } = await import('/src/sprite-storage.js');
+
+      const stored = await findUnfinishedBatchRun();
+      const ran = [];
+      const runner = new BatchRunner({
+        runJob: async (job, run, { onProgress }) => {
+          ran.push(`${job.stateId}/${job.viewId}`);
+          onProgress(job.frameCount);
+        },
+      });
+      await runner.load(stored.id);
+      const summary = await runner.start();
+      return {
+        runId: stored.id,
+        ran,
+        summary,
+        status: runner.run.status,
+        afterwards: await findUnfinishedBatchRun(),
+      };
+    });
+
+    expect(second.runId).toBe(first.runId);
+    expect(second.ran).not.toContain('idle/side');
+    expect(second.ran).toContain('walk/front');
+    expect(second.summary).toEqual({ done: 4, failed: 0, pending: 0 });
+    expect(second.status).toBe('done');
+    expect(second.afterwards).toBeUndefined();
+  });
+
+  test('discarding a running batch is not undone when its jobs finish', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { BatchRunner, createBatch } = await import('/src/batch-runner.js');
+      const { clearAll, findUnfinishedBatchRun, getBatchRun } = await import('/src/sprite-storage.js');
+      await clearAll();
+
+      const runId = await createBatch({ characterName: 'hero', prompt: 'knight', stateIds: ['idle'], viewIds: ['side'] });
+      let started;
+      const jobStarted = new Promise(resolve => { started = resolve; });
+      const runner = new BatchRunner({
+        runJob: async () => {
+          started();
+          // Finishes after the discard, ignoring the abort
+          await new Promise(r => setTimeout(r, 50));
+        },
+      });
+      await runner.load(runId);
+      const running = runner.start();
+      await jobStarted;
+      await runner.discard();
+      await running;
+      return {
+        status: runner.run.status,
+        stored: (await getBatchRun(runId)).run.status,
+        unfinished: await findUnfinishedBatchRun(),
+      };
+    });
+
+    expect(result.status).toBe('discarded');
+    expect(result.stored).toBe('discarded');
+    expect(result.unfinished).toBeUndefined();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for OKLAB dithering in the enhanced pipeline.
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Enhanced Dithering', () => {
+  test('enhanced pipeline offers error-diffusion and ordered matrices', async ({ page }) => {
+    await page.goto('/');
+
+    const values = await page.evaluate(async () => {
+      const { DITHER_OPTIONS } = await import('/src/pixel-processor.js');
+      return DITHER_OPTIONS.enhanced.map(o => o.value);
+    });
+
+    for (const mode of ['bayer2', 'bayer', 'bayer8', 'bluenoise', 'FloydSteinberg', 'Atkinson', 'Stucki', 'Sierra']) {
+      expect(values).toContain(mode);
+    }
+  });
+
+  test('every dither mode mixes palette colors across a gradient', async ({ page }) => {
+    await page.goto('/');
+
+    const results = await page.evaluate(async () => {
+      const { processImage, DITHER_OPTIONS } = await import('/src/pixel-processor.js');
+      const { CONSOLES } = await import('/src/palettes.js');
+
+      // Horizontal gray ramp: undithered output is 4 solid bands
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 64;
+      const ctx = canvas.getContext('2d');
+      for (let x = 0; x < 64; x++) {
+        ctx.fillStyle = `rgb(${x * 4}, ${x * 4}, ${x * 4})`;
+        ctx.fillRect(x, 0, 1, 64);
+      }
+
+      const paletteKeys = new Set(CONSOLES.gameboy.palette.map(c => c.join(',')));
+      const out = {};
+      for (const { value } of DITHER_OPTIONS.enhanced) {
+        const { pixelData, spriteW, spriteH } = await processImage(canvas, {
+          consoleId: 'gameboy',
+          spriteSize: '32x32',
+          dithering: value || null,
+          outlines: false,
+          cleanup: false,
+        });
+
+        // Columns whose pixels are not all the same color
+        let mixedColumns = 0;
+        let offPalette = 0;
+        for (let x = 0; x < spriteW; x++) {
+          const column = new Set();
+          for (let y = 0; y < spriteH; y++) {
+            const i = (y * spriteW + x) * 4;
+            const key = `${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`;
+            column.add(key);
+            if (!paletteKeys.has(key)) offPalette++;
+          }
+          if (column.size > 1) mixedColumns++;
+        }
+        out[value || 'none'] = { mixedColumns, offPalette };
+      }
+      return out;
+    });
+
+    expect(results.none.mixedColumns).toBe(0);
+    for (const [mode, { mixedColumns, offPalette }] of Object.entries(results)) {
+      expect(offPalette, mode).toBe(0);
+      if (mode !== 'none') {
+        expect(mixedColumns, mode).toBeGreaterThan(0);
+      }
+    }
+  });
+
+  test('nearest-pair checkerboard mixes only two adjacent shades', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { processImage, DITHER_PRESETS } = await import('/src/pixel-processor.js');
+      const { CONSOLES } = await import('/src/palettes.js');
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 64;
+      const ctx = canvas.getContext('2d');
+      for (let x = 0; x < 64; x++) {
+        ctx.fillStyle = `rgb(${x * 4}, ${x * 4}, ${x * 4})`;
+        ctx.fillRect(x, 0, 1, 64);
+      }
+
+      // Palette index of each pixel, by console shade order
+      const shades = CONSOLES.gameboy.palette.map(c => c.join(','));
+      const run = async (options) => {
+        const { pixelData, spriteW, spriteH } = await processImage(canvas, {
+          consoleId: 'gameboy',
+          spriteSize: '32x32',
+          outlines: false,
+          cleanup: false,
+          ...options,
+        });
+        const columns = [];
+        for (let x = 0; x < spriteW; x++) {
+          const column = new Set();
+          for (let y = 0; y < spriteH; y++) {
+            const i = (y * spriteW + x) * 4;
+            column.add(shades.indexOf(`${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`));
+          }
+          columns.push([...column].sort());
+        }
+        return columns;
+      };
+
+      const { dithering, ditherStrength, ditherPairs } = DITHER_PRESETS[CONSOLES.gameboy.ditherPreset];
+      return {
+        preset: CONSOLES.gameboy.ditherPreset,
+        checker: await run({ dithering, ditherStrength, ditherPairs }),
+        flat: await run({ dithering, ditherStrength: 0, ditherPairs }),
+      };
+    });
+
+    expect(result.preset).toBe('checkerboard');
+    const mixed = result.checker.filter(c => c.length > 1);
+    expect(mixed.length).toBeGreaterThan(0);
+    for (const column of mixed) {
+      expect(column).toHaveLength(2);
+      expect(Math.abs(column[1] - column[0])).toBe(1);
+    }
+    expect(result.flat.every(c => c.length === 1)).toBe(true);
+  });
+});
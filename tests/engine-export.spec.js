@@ -0,0 +1,66 @@
+/**
+ * Tests for Godot and Unity sprite sheet export.
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Engine Export', () => {
+  test('lays out animations in rows and describes them for Godot and Unity', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const {
+        buildAnimationGrid, buildGodotSpriteFrames, buildGodotScene,
+        buildUnityTextureMeta, buildUnityAnimationClip, stableHexId,
+      } = await import('/src/engine-export.js');
+
+      const pixelData = new ImageData(16, 24);
+      pixelData.data.set([255, 0, 0, 255], 0);
+      const grid = buildAnimationGrid([
+        { stateId: 'idle', viewId: '3/4-front', frames: [{ pixelData }, null, { pixelData }] },
+        { stateId: 'walk', viewId: 'side', frames: [null, null] },  // nothing stored
+        { stateId: 'death', viewId: 'side', frames: [{ pixelData }] },
+      ]);
+
+      const sheetPixel = Array.from(grid.canvas.getContext('2d').getImageData(16, 0, 1, 1).data);
+      const guid = stableHexId('hero.png');
+      return {
+        size: [grid.width, grid.height],
+        animations: grid.animations.map(a => [a.name, a.loop, a.frames.length]),
+        deathRect: grid.animations[1].frames[0],
+        sheetPixel,
+        tres: buildGodotSpriteFrames(grid, { texturePath: 'res://hero.png', fps: 12 }),
+        tscn: buildGodotScene(grid, { name: 'hero', spriteFramesPath: 'res://hero.tres' }),
+        meta: buildUnityTextureMeta(grid, { baseName: 'hero', guid }),
+        clip: buildUnityAnimationClip(grid, 0, { baseName: 'hero', guid, fps: 12 }),
+        deathClip: buildUnityAnimationClip(grid, 1, { baseName: 'hero', guid, fps: 12 }),
+        guid,
+        guidStable: guid === stableHexId('hero.png'),
+      };
+    });
+
+    expect(result.size).toEqual([32, 48]);
+    expect(result.animations).toEqual([['idle_3_4_front', true, 2], ['death_side', false, 1]]);
+    expect(result.deathRect).toEqual({ x: 0, y: 24, w: 16, h: 24 });
+    expect(result.sheetPixel).toEqual([255, 0, 0, 255]);
+
+    expect(result.tres).toContain('[gd_resource type="SpriteFrames" load_steps=5 format=3]');
+    expect(result.tres).toContain('region = Rect2(0, 24, 16, 24)');
+    expect(result.tres).toContain('"name": &"death_side"');
+    expect(result.tres).toContain('"loop": false');
+    expect(result.tres).toContain('"speed": 12.0');
+    expect(result.tscn).toContain('texture_filter = 1');
+
+    expect(result.guid).toMatch(/^[0-9a-f]{32}$/);
+    expect(result.guidStable).toBe(true);
+    expect(result.meta).toContain('spriteMode: 2');
+    expect(result.meta).toContain('filterMode: 0');
+    expect(result.meta).toContain('spritePixelsToUnits: 24');
+    expect(result.meta).toContain('name: hero_death_side_0');
+    // Unity rects are bottom-up: the first row sits at the top of the sheet
+    expect(result.meta).toMatch(/name: hero_idle_3_4_front_0\n\s+rect:\n\s+serializedVersion: 2\n\s+x: 0\n\s+y: 24/);
+    expect(result.clip).toContain(`value: {fileID: 21300002, guid: ${result.guid}, type: 3}`);
+    expect(result.clip).toContain('m_SampleRate: 12');
+    expect(result.clip).toContain('m_LoopTime: 1');
+    expect(result.deathClip).toContain('m_LoopTime: 0');
+  });
+});
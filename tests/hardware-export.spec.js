@@ -0,0 +1,301 @@
+/**
+ * Tests for native hardware graphics encoding and export.
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Hardware Export', () => {
+  test('Atari 2600 frames become 1-bit players with one color per row', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { processImage } = await import('/src/pixel-processor.js');
+      const { formatAtariPlayerAsm, atariColorRegister } = await import('/src/hardware-export.js');
+      const { CONSOLES } = await import('/src/palettes.js');
+
+      // Colorful disc on a flat background
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 128;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#101060';
+      ctx.fillRect(0, 0, 64, 128);
+      for (let y = 0; y < 128; y++) {
+        ctx.fillStyle = `hsl(${y * 3}, 80%, 50%)`;
+        const half = Math.sqrt(Math.max(0, 50 ** 2 - (y - 64) ** 2)) * 0.5;
+        ctx.fillRect(32 - half, y, half * 2, 1);
+      }
+
+      const frame = await processImage(canvas, {
+        consoleId: 'atari',
+        spriteSize: '8x16',
+        hardwareLimits: true,
+        outlines: false,
+      });
+      const { pixelData, spriteW, spriteH, playerGraphics } = frame;
+
+      let rowsOk = true;
+      for (let y = 0; y < spriteH; y++) {
+        const { bits, color } = playerGraphics[0].rows[y];
+        for (let x = 0; x < spriteW; x++) {
+          const i = (y * spriteW + x) * 4;
+          const set = Boolean(bits & (0x80 >> x));
+          if (set !== (pixelData.data[i + 3] > 0)) rowsOk = false;
+          if (set && `${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}` !== color.join(',')) {
+            rowsOk = false;
+          }
+        }
+      }
+
+      const asm = formatAtariPlayerAsm([frame], { name: 'hero' });
+      return {
+        players: playerGraphics.length,
+        rows: playerGraphics[0].rows.length,
+        anyBits: playerGraphics[0].rows.some(r => r.bits !== 0),
+        emptyEdgeRow: playerGraphics[0].rows[0].bits === 0,
+        rowsOk,
+        asm,
+        colorByte: atariColorRegister(CONSOLES.atari.palette[3 * 8 + 5]),
+      };
+    });
+
+    expect(result.players).toBe(1);
+    expect(result.rows).toBe(16);
+    expect(result.anyBits).toBe(true);
+    expect(result.emptyEdgeRow).toBe(true);
+    expect(result.rowsOk).toBe(true);
+    expect(result.colorByte).toBe(0x3a);
+    expect(result.asm).toContain('hero_F0_Gfx:');
+    expect(result.asm).toContain('hero_F0_Colors:');
+    expect(result.asm).toContain('hero_HEIGHT = 16');
+  });
+
+  test('NES frames become deduplicated CHR tiles with flip attributes', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { buildNesChr, formatNesAsm } = await import('/src/hardware-export.js');
+      const { NES_PALETTE_FULL } = await import('/src/palettes.js');
+
+      // 16×8 frame: right tile is the left tile mirrored horizontally
+      const colors = [0x16, 0x27, 0x39].map(i => NES_PALETTE_FULL[i]);
+      const pixelData = new ImageData(16, 8);
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          if (x > y) continue;
+          const color = colors[(x + y) % 3];
+          for (const px of [x, 15 - x]) {
+            const i = (y * 16 + px) * 4;
+            pixelData.data.set([...color, 255], i);
+          }
+        }
+      }
+
+      const data = buildNesChr([{ pixelData }]);
+      let tooMany = null;
+      try {
+        const noisy = new ImageData(8, 8);
+        for (let i = 0; i < 4; i++) noisy.data.set([...NES_PALETTE_FULL[0x11 + i], 255], i * 4);
+        buildNesChr([{ pixelData: noisy }]);
+      } catch (err) {
+        tooMany = err.message;
+      }
+
+      return {
+        tileCount: data.tileCount,
+        chrLength: data.chr.length,
+        entries: data.metasprites[0],
+        palette: Array.from(data.palette),
+        lastByte: data.metaspriteBytes[data.metaspriteBytes.length - 1],
+        metaLength: data.metaspriteBytes.length,
+        ca65: formatNesAsm(data, { name: 'hero', syntax: 'ca65' }),
+        asm6: formatNesAsm(data, { name: 'hero', syntax: 'asm6' }),
+        tooMany,
+      };
+    });
+
+    expect(result.tileCount).toBe(1);
+    expect(result.chrLength).toBe(16);
+    expect(result.entries).toHaveLength(2);
+    expect(result.entries[0]).toMatchObject({ x: 0, y: 0, tile: 0, attr: 0 });
+    expect(result.entries[1]).toMatchObject({ x: 8, y: 0, tile: 0, attr: 0x40 });
+    expect(result.palette).toEqual([0x0f, 0x16, 0x27, 0x39]);
+    expect(result.lastByte).toBe(0x80);
+    expect(result.metaLength).toBe(9);
+    expect(result.ca65).toContain('hero_Palette:');
+    expect(result.ca65).toContain('.segment "CHARS"');
+    expect(result.asm6).toContain('.db $0F, $16, $27, $39');
+    expect(result.tooMany).toContain('colors');
+  });
+
+  test('Game Boy frames become interleaved 2bpp tiles with OBP color IDs', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const {
+        buildGameBoyTiles, gameBoyShade, formatGameBoyRgbds, formatGameBoyGbdk,
+      } = await import('/src/hardware-export.js');
+      const { CONSOLES } = await import('/src/palettes.js');
+      const shades = CONSOLES.gameboy.palette;
+
+      // 16×8 frame: right tile is the left tile mirrored horizontally
+      const pixelData = new ImageData(16, 8);
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x <= y; x++) {
+          const color = shades[(x + y) % 3];
+          for (const px of [x, 15 - x]) {
+            pixelData.data.set([...color, 255], (y * 16 + px) * 4);
+          }
+        }
+      }
+
+      const data = buildGameBoyTiles([{ pixelData }]);
+      // OBP1 %01101100: color IDs 1, 2, 3 show shades 3, 2, 1
+      const remapped = buildGameBoyTiles([{ pixelData }], { obp1: 0x6c, objPalette: 1 });
+
+      let unreachable = null;
+      try {
+        buildGameBoyTiles([{ pixelData }], { obp0: 0xfc });
+      } catch (err) {
+        unreachable = err.message;
+      }
+
+      const { asm, inc } = formatGameBoyRgbds(data, { name: 'hero', tileFile: 'hero.2bpp' });
+      return {
+        shadeOrder: shades.map(gameBoyShade),
+        tileCount: data.tileCount,
+        firstRows: Array.from(data.tiles.slice(0, 4)),
+        remappedRows: Array.from(remapped.tiles.slice(0, 4)),
+        entries: data.layouts[0],
+        remappedFlags: remapped.layouts[0].map(e => e.flags),
+        lastByte: data.layoutBytes[data.layoutBytes.length - 1],
+        asm,
+        inc,
+        gbdk: formatGameBoyGbdk(data, { name: 'hero' }),
+        unreachable,
+      };
+    });
+
+    expect(result.shadeOrder).toEqual([3, 2, 1, 0]);
+    expect(result.tileCount).toBe(1);
+    // Row 0: shade 3 → ID 3 (both planes); row 1: shade 2 then shade 1
+    expect(result.firstRows).toEqual([0x80, 0x80, 0x40, 0x80]);
+    expect(result.remappedRows).toEqual([0x80, 0x00, 0x40, 0xc0]);
+    expect(result.entries).toEqual([
+      { y: 0, x: 0, tile: 0, flags: 0 },
+      { y: 0, x: 8, tile: 0, flags: 0x20 },
+    ]);
+    expect(result.remappedFlags).toEqual([0x10, 0x30]);
+    expect(result.lastByte).toBe(0x80);
+    expect(result.asm).toContain('INCBIN "hero.2bpp"');
+    expect(result.asm).toContain('hero_F0:');
+    expect(result.inc).toContain('DEF hero_OBP0 EQU %11100100');
+    expect(result.gbdk).toContain('const unsigned char hero_tiles[] = {');
+    expect(result.gbdk).toContain('METASPR_ITEM(0, 8, 0, 0x20),');
+    expect(result.unreachable).toContain('OBP0');
+  });
+
+  test('Genesis frames become column-major 4bpp sprites with CRAM words', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { buildGenesisSprites, genesisCramWord, formatGenesisSources } = await import('/src/hardware-export.js');
+      const { GENESIS_CHANNEL_LEVELS: L } = await import('/src/palettes.js');
+
+      // 48×40 frame, left tile column empty; each tile one flat color
+      const pixelData = new ImageData(48, 40);
+      for (let y = 0; y < 40; y++) {
+        for (let x = 8; x < 48; x++) {
+          pixelData.data.set([L[(x >> 3) % 4], L[(y >> 3) % 3], 0, 255], (y * 48 + x) * 4);
+        }
+      }
+
+      const data = buildGenesisSprites([{ pixelData }]);
+      const sources = formatGenesisSources(data, { name: 'hero', tileFile: 'hero.bin', paletteFile: 'hero_pal.bin' });
+      return {
+        cram: genesisCramWord([255, 36, 146]),
+        tileCount: data.tileCount,
+        pieces: data.frames[0],
+        firstTiles: [data.tiles[0], data.tiles[32], data.tiles[64]],
+        paletteEntry0: data.palette[0],
+        res: sources.res,
+        c: sources.c,
+        asm: sources.asm,
+      };
+    });
+
+    expect(result.cram).toBe(0x082e);
+    expect(result.tileCount).toBe(25);
+    expect(result.pieces).toEqual([
+      { x: 8, y: 0, w: 3, h: 4, size: 0x0b, tile: 0 },
+      { x: 32, y: 0, w: 2, h: 4, size: 0x07, tile: 12 },
+      { x: 8, y: 32, w: 3, h: 1, size: 0x08, tile: 20 },
+      { x: 32, y: 32, w: 2, h: 1, size: 0x04, tile: 23 },
+    ]);
+    // Column-major: tiles 0, 1, 2 run down the first column
+    expect(new Set(result.firstTiles).size).toBe(3);
+    expect(result.paletteEntry0).toBe(0);
+    expect(result.res).toContain('BIN hero_tiles "hero.bin" 2');
+    expect(result.c).toContain('const u16 hero_palette[16] = {');
+    expect(result.c).toContain('{ 8, 0, SPRITE_SIZE(3, 4), 0 },');
+    expect(result.asm).toContain('dc.w 32, 0, $07, 12');
+  });
+
+  test('C64 frames become 64-byte sprite blocks and a SpritePad file', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { buildC64Sprites, buildSpritePadFile, formatC64Asm } = await import('/src/hardware-export.js');
+      const { CONSOLES } = await import('/src/palettes.js');
+      const c64 = CONSOLES.c64.palette;
+
+      // Multicolor 12×21: red (most used), green, then a yellow top row
+      const mc = new ImageData(12, 21);
+      for (let y = 0; y < 21; y++) {
+        for (let x = 0; x < 12; x++) {
+          const color = x < 6 ? c64[2] : x < 9 ? c64[5] : y === 0 ? c64[7] : null;
+          if (color) mc.data.set([...color, 255], (y * 12 + x) * 4);
+        }
+      }
+      const multi = buildC64Sprites([{ pixelData: mc, pixelAspect: 2 }]);
+
+      // Hires 16×16 (padded into 24×21), two frames
+      const hi = new ImageData(16, 16);
+      hi.data.set([...c64[1], 255], 0);
+      hi.data.set([...c64[1], 255], (1 * 16 + 15) * 4);
+      const hires = buildC64Sprites([{ pixelData: hi }, { pixelData: hi }]);
+
+      let oversized = null;
+      try {
+        buildC64Sprites([{ pixelData: new ImageData(24, 21), pixelAspect: 2 }]);
+      } catch (err) {
+        oversized = err.message;
+      }
+
+      const spd = buildSpritePadFile(hires);
+      return {
+        multiColors: [multi.color, multi.mc0, multi.mc1],
+        multiRow0: Array.from(multi.blocks.slice(0, 3)),
+        multiAttr: multi.blocks[63],
+        hiresLength: hires.blocks.length,
+        hiresRows: Array.from(hires.blocks.slice(0, 6)),
+        spdHeader: Array.from(spd.slice(0, 9)),
+        spdLength: spd.length,
+        acme: formatC64Asm(multi, { name: 'hero' }),
+        kick: formatC64Asm(hires, { name: 'hero', syntax: 'kick' }),
+        oversized,
+      };
+    });
+
+    expect(result.multiColors).toEqual([2, 5, 7]);
+    expect(result.multiRow0).toEqual([0b10101010, 0b10100101, 0b01111111]);
+    expect(result.multiAttr).toBe(0x82);
+    expect(result.hiresLength).toBe(128);
+    expect(result.hiresRows).toEqual([0x80, 0, 0, 0, 0x01, 0]);
+    expect(result.spdHeader).toEqual([0x53, 0x50, 0x44, 1, 1, 0, 0, 0, 0]);
+    expect(result.spdLength).toBe(9 + 128 + 4);
+    expect(result.acme).toContain('hero_MC0 = 5');
+    expect(result.acme).toContain('!byte %10101010, %10100101, %01111111');
+    expect(result.kick).toContain('.const hero_PTR = $80');
+    expect(result.oversized).toContain('12×21 multicolor');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for mask-based inpainting: mask painting and compositing in the
+ * browser, and the provider requests against the mock provider server.
+ */
+import { test, expect } from '@playwright/test';
+import { startMockProvider } from './mock-provider-server.js';
+
+test.describe('Inpainting', () => {
+  let mock;
+
+  test.beforeAll(async () => {
+    mock = await startMockProvider();
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  test.beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  test('upscales the sprite mask cell by cell and composites only inside it', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { createMask, paintMask, isMaskEmpty, upscaleMask, compositeInpaint } = await import('/src/inpaint.js');
+
+      const mask = createMask(4, 4);
+      const empty = isMaskEmpty(mask);
+      paintMask(mask, 1, 1, 2);
+      paintMask(mask, 2, 2, 1, true);
+      const cells = Array.from(mask.data);
+
+      // 4×4 sprite over a 16×16 source: each cell covers 4×4 source pixels
+      const maskCanvas = upscaleMask(mask, 16, 16);
+      const alphaAt = (x, y) => maskCanvas.getContext('2d').getImageData(x, y, 1, 1).data[3];
+
+      const solid = (color) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 16;
+        canvas.height = 16;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, 16, 16);
+        return canvas;
+      };
+      const out = compositeInpaint(solid('#000'), solid('#f00'), maskCanvas);
+      const redAt = (x, y) => out.getContext('2d').getImageData(x, y, 1, 1).data[0];
+
+      return {
+        empty,
+        cells,
+        alpha: [alphaAt(0, 0), alphaAt(4, 4), alphaAt(11, 7), alphaAt(8, 8), alphaAt(5, 9)],
+        red: [redAt(0, 0), redAt(7, 4), redAt(9, 9)],
+      };
+    });
+
+    expect(result.empty).toBe(true);
+    // 2×2 brush at (1, 1) covers cells (1..2, 1..2); (2, 2) was erased again
+    expect(result.cells).toEqual([
+      0, 0, 0, 0,
+      0, 1, 1, 0,
+      0, 1, 0, 0,
+      0, 0, 0, 0,
+    ]);
+    expect(result.alpha).toEqual([0, 255, 255, 0, 255]);
+    expect(result.red).toEqual([255, 255, 0]);
+  });
+
+  test('Automatic1111 inpaints through img2img with a mask and the denoise strength', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (apiBase) => {
+      const { inpaintImage, lastRequest } = await import('/src/image-service.js');
+      const { createMask, paintMask, upscaleMask } = await import('/src/inpaint.js');
+
+      const source = document.createElement('canvas');
+      source.width = 64;
+      source.height = 64;
+      const mask = createMask(8, 8);
+      paintMask(mask, 3, 3, 2);
+
+      const img = await inpaintImage('a knight with a red cape', {
+        model: 'a1111:pixelArt_v1.safetensors',
+        image: source,
+        mask: upscaleMask(mask, 64, 64),
+        denoiseStrength: 0.8,
+        apiBase,
+      });
+      return { size: [img.naturalWidth, img.naturalHeight], type: lastRequest.type };
+    }, mock.url);
+
+    const [req] = mock.requests;
+    expect(req.path).toBe('/sdapi/v1/img2img');
+    expect(req.body.init_images).toHaveLength(1);
+    expect(typeof req.body.mask).toBe('string');
+    expect(req.body).toMatchObject({ denoising_strength: 0.8, inpainting_fill: 1, inpaint_full_res: true, width: 64, height: 64 });
+    expect(req.body.prompt).toContain('a knight with a red cape');
+    // The 2×1 mock reply is stretched onto the source size
+    expect(result.size).toEqual([64, 64]);
+    expect(result.type).toBe('inpaint');
+  });
+
+  test('OpenAI sends image and mask to the edits endpoint; other models are refused', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (url) => {
+      const { inpaintImage } = await import('/src/image-service.js');
+      const { supportsInpainting } = await import('/src/provider-adapters.js');
+      const { createMask, paintMask, upscaleMask } = await import('/src/inpaint.js');
+
+      const source = document.createElement('canvas');
+      source.width = 32;
+      source.height = 32;
+      const mask = createMask(4, 4);
+      paintMask(mask, 0, 0);
+      const options = { image: source, mask: upscaleMask(mask, 32, 32) };
+
+      await inpaintImage('a knight', { ...options, model: 'openai:dall-e-2', apiBase: `${url}/v1` });
+      await inpaintImage('a knight', { ...options, model: 'gemini:gemini-flash-image', apiBase: `${url}/v1beta` });
+      const refused = await inpaintImage('a knight', { ...options, model: 'openai:dall-e-3', apiBase: `${url}/v1` })
+        .then(() => null, err => err.message);
+      return {
+        support: ['openai:dall-e-2', 'openai:dall-e-3', 'a1111:any', 'gemini:gemini-flash-image', 'pollinations:flux', 'comfyui:any']
+          .map(id => supportsInpainting(id)),
+        refused,
+      };
+    }, mock.url);
+
+    expect(result.support).toEqual([true, false, true, true, false, false]);
+    expect(result.refused).toBe('openai:dall-e-3 cannot regenerate a masked region');
+
+    const [edit, gemini] = mock.requests.map(r => r.body);
+    expect(mock.requests[0].path).toBe('/v1/images/edits');
+    expect(edit.model).toBe('dall-e-2');
+    expect(edit.size).toBe('256x256');
+    expect(edit.image).toMatchObject({ filename: 'image.png', type: 'image/png' });
+    expect(edit.mask).toMatchObject({ filename: 'mask.png', type: 'image/png' });
+
+    const parts = gemini.contents[0].parts;
+    expect(parts).toHaveLength(3);
+    expect(parts[2].text).toMatch(/^Edit the first image/);
+  });
+});
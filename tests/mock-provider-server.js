@@ -0,0 +1,242 @@
+/**
+ * Local stand-in for provider image endpoints.
+ *
+ * Serves the Gemini generateContent, OpenAI images/generations,
+ * Automatic1111 sdapi and ComfyUI prompt/history/view routes with a fixed
+ * 2×1 PNG (red, blue), plus each provider's model list. Records every
+ * request and lets a test queue canned replies (errors, blocked prompts)
+ * for the next POST.
+ */
+import http from 'node:http';
+
+/** 2×1 RGBA PNG: one red pixel, one blue pixel */
+export const MOCK_PNG_BASE64 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAIAAAABCAYAAAD0In+KAAAADklEQVR4nGP4z8AAQv8BD/kD/YURmXYAAAAASUVORK5CYII=';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/** Checkpoints, samplers and LoRAs the local backends report */
+const LOCAL_CHECKPOINTS = ['pixelArt_v1.safetensors', 'sd15/dreamshaper_8.safetensors'];
+const LOCAL_SAMPLERS = ['euler', 'euler_ancestral', 'dpmpp_2m'];
+const LOCAL_LORAS = ['pixel-art-xl.safetensors'];
+
+/** ComfyUI object_info inputs per node class */
+const COMFY_OBJECT_INFO = {
+  CheckpointLoaderSimple: { ckpt_name: [LOCAL_CHECKPOINTS] },
+  KSampler: { sampler_name: [LOCAL_SAMPLERS] },
+  LoraLoader: { lora_name: [LOCAL_LORAS] },
+};
+
+/**
+ * Route → success reply. `reply(body, match, state)` returns a JSON body,
+ * or a Buffer to send as image/png.
+ */
+const ROUTES = [
+  {
+    method: 'POST',
+    pattern: /^\/v1beta\/models\/[^/]+:generateContent$/,
+    reply: () => ({
+      candidates: [{
+        content: {
+          role: 'model',
+          parts: [{ inlineData: { mimeType: 'image/png', data: MOCK_PNG_BASE64 } }],
+        },
+        finishReason: 'STOP',
+      }],
+    }),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/v1\/images\/generations$/,
+    reply: (body) => ({
+      created: 1700000000,
+      data: [{ b64_json: MOCK_PNG_BASE64, revised_prompt: `Revised: ${body.prompt.slice(0, 40)}` }],
+    }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/models$/,
+    reply: () => [
+      { name: 'flux', description: 'Flux Schnell', output_modalities: ['image'] },
+      { name: 'kontext', description: 'FLUX.1 Kontext', output_modalities: ['image'] },
+      { name: 'newmodel', description: 'Brand new model', output_modalities: ['image'] },
+      { name: 'veo', description: 'Video model', output_modalities: ['video'] },
+    ],
+  },
+  {
+    method: 'GET',
+    pattern: /^\/v1beta\/models(\?.*)?$/,
+    reply: () => ({
+      models: [
+        { name: 'models/gemini-2.5-flash', displayName: 'Gemini 2.5 Flash', supportedGenerationMethods: ['generateContent'] },
+        { name: 'models/gemini-2.5-flash-image', displayName: 'Nano Banana', supportedGenerationMethods: ['generateContent'] },
+        { name: 'models/gemini-3-pro-image-preview', displayName: 'Nano Banana Pro', supportedGenerationMethods: ['generateContent'] },
+        { name: 'models/imagen-4.0-generate-001', displayName: 'Imagen 4', supportedGenerationMethods: ['predict'] },
+      ],
+    }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/v1\/models$/,
+    reply: () => ({
+      object: 'list',
+      data: ['gpt-4o', 'dall-e-3', 'gpt-image-1', 'whisper-1'].map(id => ({ id, object: 'model', owned_by: 'openai' })),
+    }),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/v1\/images\/edits$/,
+    reply: () => ({ created: 1700000000, data: [{ b64_json: MOCK_PNG_BASE64 }] }),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/sdapi\/v1\/(txt2img|img2img)$/,
+    reply: (body) => ({ images: [MOCK_PNG_BASE64], parameters: body, info: '{}' }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sdapi\/v1\/sd-models$/,
+    reply: () => LOCAL_CHECKPOINTS.map(file => ({
+      title: `${file} [0123abcd]`,
+      model_name: file.replace(/\.safetensors$/, '').replace('/', '_'),
+      filename: `/models/Stable-diffusion/${file}`,
+    })),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sdapi\/v1\/samplers$/,
+    reply: () => [{ name: 'Euler a' }, { name: 'DPM++ 2M' }],
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sdapi\/v1\/loras$/,
+    reply: () => LOCAL_LORAS.map(file => ({ name: file.replace(/\.safetensors$/, '') })),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/prompt$/,
+    reply: (body, match, state) => {
+      const promptId = `prompt-${state.comfyPrompts.size + 1}`;
+      state.comfyPrompts.set(promptId, { workflow: body.prompt, polls: 0 });
+      return { prompt_id: promptId, number: state.comfyPrompts.size, node_errors: {} };
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/history\/([^/?]+)$/,
+    reply: (body, match, state) => {
+      // Not finished on the first poll, done on the second
+      const entry = state.comfyPrompts.get(match[1]);
+      if (!entry || ++entry.polls < 2) return {};
+      const saveNode = Object.keys(entry.workflow).find(id => entry.workflow[id].class_type === 'SaveImage');
+      return {
+        [match[1]]: {
+          prompt: [0, match[1], entry.workflow, {}, [saveNode]],
+          outputs: { [saveNode]: { images: [{ filename: 'PixelGen_00001_.png', subfolder: '', type: 'output' }] } },
+          status: { status_str: 'success', completed: true, messages: [] },
+        },
+      };
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/view\?/,
+    reply: () => Buffer.from(MOCK_PNG_BASE64, 'base64'),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/object_info\/(\w+)$/,
+    reply: (body, match) => ({
+      [match[1]]: { input: { required: COMFY_OBJECT_INFO[match[1]] || {} } },
+    }),
+  },
+];
+
+/**
+ * Parse a multipart/form-data body: text fields keep their value, files
+ * become { filename, type, size }.
+ * @param {Buffer} raw
+ * @param {string} contentType
+ * @returns {object}
+ */
+function parseMultipart(raw, contentType) {
+  const boundary = `--${contentType.match(/boundary=(.+)$/)[1]}`;
+  const fields = {};
+  // latin1 keeps one character per byte, so file sizes stay exact
+  for (const part of raw.toString('latin1').split(boundary).slice(1, -1)) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.slice(0, headerEnd);
+    const content = part.slice(headerEnd + 4, -2);
+    const name = headers.match(/name="([^"]+)"/)[1];
+    const filename = headers.match(/filename="([^"]+)"/)?.[1];
+    fields[name] = filename
+      ? { filename, type: headers.match(/Content-Type: (\S+)/i)?.[1], size: content.length }
+      : content;
+  }
+  return fields;
+}
+
+/**
+ * Start the mock server on a free port.
+ * @returns {Promise<{ url: string, requests: Array<{ method: string, path: string, body: object }>, queueReply: (status: number, body: object) => void, close: () => Promise<void> }>}
+ */
+export async function startMockProvider() {
+  const requests = [];
+  const replies = [];
+  const state = { comfyPrompts: new Map() };
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => { chunks.push(chunk); });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const send = (status, body) => {
+        if (Buffer.isBuffer(body)) {
+          res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'image/png' });
+          res.end(body);
+          return;
+        }
+        res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      const route = ROUTES.find(r => r.method === req.method && r.pattern.test(req.url));
+      if (!route) {
+        send(404, { error: { code: 404, message: `No route for ${req.method} ${req.url}`, status: 'NOT_FOUND' } });
+        return;
+      }
+
+      const contentType = req.headers['content-type'] || '';
+      const body = contentType.startsWith('multipart/form-data')
+        ? parseMultipart(raw, contentType)
+        : JSON.parse(raw.toString() || '{}');
+      requests.push({ method: req.method, path: req.url, body });
+      const reply = req.method === 'POST' && replies.shift();
+      if (reply) {
+        send(reply.status, reply.body);
+        return;
+      }
+      send(200, route.reply(body, req.url.match(route.pattern), state));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    queueReply: (status, body) => replies.push({ status, body }),
+    close: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
@@ -0,0 +1,390 @@
+/**
+ * Tests for hardware palette constraints in the pixel processor.
+ * Modules are imported in the page through the Vite dev server, so these
+ * exercise the real browser ImageData/OffscreenCanvas implementations.
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Palette Constraints', () => {
+  test('NES hardware limits keep a sprite to one 3-color sub-palette', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { processImage } = await import('/src/pixel-processor.js');
+      const { NES_PALETTE } = await import('/src/palettes.js');
+
+      // Noisy gradient that would normally hit many NES colors
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 64;
+      const ctx = canvas.getContext('2d');
+      for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 64; x++) {
+          ctx.fillStyle = `rgb(${x * 4}, ${(x * y) % 256}, ${y * 4})`;
+          ctx.fillRect(x, y, 1, 1);
+        }
+      }
+
+      const countColors = (pixelData) => {
+        const colors = new Set();
+        for (let i = 0; i < pixelData.data.length; i += 4) {
+          if (pixelData.data[i + 3] < 10) continue;
+          colors.add(`${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`);
+        }
+        return colors;
+      };
+
+      const free = await processImage(canvas, { consoleId: 'nes', hardwareLimits: false });
+      const limited = await processImage(canvas, { consoleId: 'nes', hardwareLimits: true });
+      const nesKeys = new Set(NES_PALETTE.map(c => c.join(',')));
+
+      return {
+        freeColors: countColors(free.pixelData).size,
+        freeSubPalette: free.subPalette,
+        limitedColors: [...countColors(limited.pixelData)],
+        subPalette: limited.subPalette.map(c => c.join(',')),
+        allNes: limited.subPalette.every(c => nesKeys.has(c.join(','))),
+      };
+    });
+
+    expect(result.freeColors).toBeGreaterThan(3);
+    expect(result.freeSubPalette).toBeNull();
+    expect(result.subPalette).toHaveLength(3);
+    expect(result.allNes).toBe(true);
+    expect(result.limitedColors.length).toBeLessThanOrEqual(3);
+    for (const color of result.limitedColors) {
+      expect(result.subPalette).toContain(color);
+    }
+  });
+
+  test('Genesis frames share one 15-color CRAM line', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { processImage, buildGenesisPaletteLine } = await import('/src/pixel-processor.js');
+      const { GENESIS_CHANNEL_LEVELS } = await import('/src/palettes.js');
+
+      const images = [];
+      for (let f = 0; f < 3; f++) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        for (let y = 0; y < 64; y++) {
+          for (let x = 0; x < 64; x++) {
+            ctx.fillStyle = `hsl(${(x * 6 + f * 40) % 360}, 70%, ${20 + y}%)`;
+            ctx.fillRect(x, y, 1, 1);
+          }
+        }
+        const { pixelData } = await processImage(canvas, { consoleId: 'genesis' });
+        images.push(pixelData);
+      }
+
+      const { paletteLine, cramLine, frames } = buildGenesisPaletteLine(images, { usedLines: [0, 1] });
+      const colors = new Set();
+      for (const frame of frames) {
+        for (let i = 0; i < frame.data.length; i += 4) {
+          if (frame.data[i + 3] < 10) continue;
+          colors.add(`${frame.data[i]},${frame.data[i + 1]},${frame.data[i + 2]}`);
+        }
+      }
+
+      let fullError = null;
+      try {
+        buildGenesisPaletteLine(images, { usedLines: [0, 1, 2, 3] });
+      } catch (err) {
+        fullError = err.message;
+      }
+
+      return {
+        lineSize: paletteLine.length,
+        cramLine,
+        colorCount: colors.size,
+        onGrid: paletteLine.every(c => c.every(v => GENESIS_CHANNEL_LEVELS.includes(v))),
+        fullError,
+      };
+    });
+
+    expect(result.lineSize).toBe(15);
+    expect(result.cramLine).toBe(2);
+    expect(result.colorCount).toBeLessThanOrEqual(15);
+    expect(result.onGrid).toBe(true);
+    expect(result.fullError).toContain('CRAM');
+  });
+
+  test('SNES hardware limits build a shared 15-color BGR555 palette', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { processSpriteSheet } = await import('/src/pixel-processor.js');
+
+      // 4-frame horizontal strip with a different hue per frame
+      const canvas = document.createElement('canvas');
+      canvas.width = 256;
+      canvas.height = 64;
+      const ctx = canvas.getContext('2d');
+      for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 256; x++) {
+          ctx.fillStyle = `hsl(${x * 1.4}, 80%, ${10 + y * 1.2}%)`;
+          ctx.fillRect(x, y, 1, 1);
+        }
+      }
+
+      const { frames } = await processSpriteSheet(canvas, 4, {
+        consoleId: 'snes',
+        hardwareLimits: true,
+        sharedPalette: true,
+      });
+
+      const palette = frames[0].subPalette;
+      const paletteKeys = new Set(palette.map(c => c.join(',')));
+      const is5Bit = (v) => Math.round(Math.round(v * 31 / 255) * 255 / 31) === v;
+
+      let outside = 0;
+      for (const { pixelData } of frames) {
+        for (let i = 0; i < pixelData.data.length; i += 4) {
+          if (pixelData.data[i + 3] < 10) continue;
+          const key = `${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`;
+          if (!paletteKeys.has(key)) outside++;
+        }
+      }
+
+      return {
+        paletteSize: palette.length,
+        shared: frames.every(f => f.subPalette === palette),
+        allBgr555: palette.every(c => c.every(is5Bit)),
+        outside,
+      };
+    });
+
+    expect(result.paletteSize).toBeLessThanOrEqual(15);
+    expect(result.paletteSize).toBeGreaterThan(1);
+    expect(result.shared).toBe(true);
+    expect(result.allBgr555).toBe(true);
+    expect(result.outside).toBe(0);
+  });
+
+  test('shared palette is picked once from all frames and applied to each', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { processImage, processSpriteSheet, buildSharedPalette } = await import('/src/pixel-processor.js');
+
+      const makeFrame = (hueShift) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        for (let y = 0; y < 64; y++) {
+          for (let x = 0; x < 64; x++) {
+            ctx.fillStyle = `hsl(${(x * 5 + hueShift) % 360}, 75%, ${15 + y}%)`;
+            ctx.fillRect(x, y, 1, 1);
+          }
+        }
+        return canvas;
+      };
+
+      const colorsOf = (pixelData) => {
+        const colors = new Set();
+        for (let i = 0; i < pixelData.data.length; i += 4) {
+          if (pixelData.data[i + 3] < 10) continue;
+          colors.add(`${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`);
+        }
+        return colors;
+      };
+
+      // Separately generated frames: pass 1 picks the palette, pass 2 applies it
+      const sources = [makeFrame(0), makeFrame(90), makeFrame(180)];
+      const palette = await buildSharedPalette(sources, { consoleId: 'nes', paletteSize: 8 });
+      const paletteKeys = new Set(palette.map(c => c.join(',')));
+      let singleOutside = 0;
+      for (const source of sources) {
+        const { pixelData, subPalette } = await processImage(source, { consoleId: 'nes', palette });
+        if (subPalette !== palette) singleOutside++;
+        for (const color of colorsOf(pixelData)) {
+          if (!paletteKeys.has(color)) singleOutside++;
+        }
+      }
+
+      // Sheet: two frames side by side
+      const sheet = document.createElement('canvas');
+      sheet.width = 128;
+      sheet.height = 64;
+      sheet.getContext('2d').drawImage(sources[0], 0, 0);
+      sheet.getContext('2d').drawImage(sources[2], 64, 0);
+      const { frames, palette: sheetPalette } = await processSpriteSheet(sheet, 2, {
+        consoleId: 'nes',
+        sharedPalette: true,
+        paletteSize: 6,
+      });
+      const sheetKeys = new Set(sheetPalette.map(c => c.join(',')));
+      let sheetOutside = 0;
+      for (const { pixelData } of frames) {
+        for (const color of colorsOf(pixelData)) {
+          if (!sheetKeys.has(color)) sheetOutside++;
+        }
+      }
+
+      return {
+        paletteSize: palette.length,
+        singleOutside,
+        sheetPaletteSize: sheetPalette.length,
+        sheetOutside,
+      };
+    });
+
+    expect(result.paletteSize).toBe(8);
+    expect(result.singleOutside).toBe(0);
+    expect(result.sheetPaletteSize).toBe(6);
+    expect(result.sheetOutside).toBe(0);
+  });
+
+  test('extra retro targets carry their hardware palettes and limits', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { CONSOLES } = await import('/src/palettes.js');
+      const { processImage } = await import('/src/pixel-processor.js');
+
+      const summary = {};
+      for (const id of ['gbc', 'sms', 'pce', 'pico8', 'msx', 'zx']) {
+        const cfg = CONSOLES[id];
+        summary[id] = {
+          paletteSize: cfg.palette ? new Set(cfg.palette.map(c => c.join(','))).size : null,
+          spriteColors: cfg.spriteColors ?? null,
+          lineColors: cfg.lineColors ?? null,
+          defaultSizeValid: Boolean(cfg.spriteSizes[cfg.defaultSize]),
+        };
+      }
+
+      // MSX1 sprites are one color per line
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 64;
+      const ctx = canvas.getContext('2d');
+      for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 64; x++) {
+          ctx.fillStyle = `hsl(${x * 5}, 80%, ${20 + y}%)`;
+          ctx.fillRect(x, y, 1, 1);
+        }
+      }
+      const { pixelData, spriteW, spriteH } = await processImage(canvas, { consoleId: 'msx', hardwareLimits: true });
+      let maxLineColors = 0;
+      for (let y = 0; y < spriteH; y++) {
+        const line = new Set();
+        for (let x = 0; x < spriteW; x++) {
+          const i = (y * spriteW + x) * 4;
+          if (pixelData.data[i + 3] < 10) continue;
+          line.add(`${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`);
+        }
+        maxLineColors = Math.max(maxLineColors, line.size);
+      }
+
+      return { summary, maxLineColors };
+    });
+
+    expect(result.summary.gbc).toMatchObject({ paletteSize: null, spriteColors: 3 });
+    expect(result.summary.sms).toMatchObject({ paletteSize: 64, spriteColors: 15 });
+    expect(result.summary.pce).toMatchObject({ paletteSize: 512, spriteColors: 15 });
+    expect(result.summary.pico8.paletteSize).toBe(16);
+    expect(result.summary.msx).toMatchObject({ paletteSize: 15, lineColors: 1 });
+    expect(result.summary.zx.paletteSize).toBe(15);
+    for (const entry of Object.values(result.summary)) {
+      expect(entry.defaultSizeValid).toBe(true);
+    }
+    expect(result.maxLineColors).toBe(1);
+  });
+
+  test('ZX Spectrum cells keep two colors from one BRIGHT half', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { processImage } = await import('/src/pixel-processor.js');
+      const { CONSOLES } = await import('/src/palettes.js');
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 64;
+      const ctx = canvas.getContext('2d');
+      for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 64; x++) {
+          ctx.fillStyle = `hsl(${x * 6}, 90%, ${25 + y * 0.8}%)`;
+          ctx.fillRect(x, y, 1, 1);
+        }
+      }
+
+      const { pixelData, spriteW, spriteH } = await processImage(canvas, {
+        consoleId: 'zx',
+        spriteSize: '32x32',
+        hardwareLimits: true,
+      });
+
+      const palette = CONSOLES.zx.palette.map(c => c.join(','));
+      let maxCellColors = 0;
+      let mixedBright = 0;
+      for (let cy = 0; cy < spriteH; cy += 8) {
+        for (let cx = 0; cx < spriteW; cx += 8) {
+          const cell = new Set();
+          for (let y = cy; y < cy + 8; y++) {
+            for (let x = cx; x < cx + 8; x++) {
+              const i = (y * spriteW + x) * 4;
+              cell.add(palette.indexOf(`${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`));
+            }
+          }
+          maxCellColors = Math.max(maxCellColors, cell.size);
+          const colored = [...cell].filter(i => i > 0);  // black is in both halves
+          if (colored.some(i => i < 8) && colored.some(i => i >= 8)) mixedBright++;
+        }
+      }
+      return { maxCellColors, mixedBright };
+    });
+
+    expect(result.maxCellColors).toBeLessThanOrEqual(2);
+    expect(result.mixedBright).toBe(0);
+  });
+
+  test('C64 multicolor sprites are 12×21 double-wide pixels with 3 colors', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { processImage, renderPixelArt } = await import('/src/pixel-processor.js');
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 48;
+      canvas.height = 42;
+      const ctx = canvas.getContext('2d');
+      for (let x = 0; x < 48; x++) {
+        ctx.fillStyle = `hsl(${x * 7}, 70%, 50%)`;
+        ctx.fillRect(x, 0, 1, 42);
+      }
+
+      const { pixelData, spriteW, spriteH, pixelAspect } = await processImage(canvas, {
+        consoleId: 'c64',
+        spriteSize: '12x21',
+        hardwareLimits: true,
+      });
+      const colors = new Set();
+      for (let i = 0; i < pixelData.data.length; i += 4) {
+        if (pixelData.data[i + 3] < 10) continue;
+        colors.add(`${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`);
+      }
+
+      const display = document.createElement('canvas');
+      renderPixelArt(display, pixelData, spriteW, spriteH, { pixelAspect, scale: 4 });
+
+      return {
+        spriteW,
+        spriteH,
+        pixelAspect,
+        colorCount: colors.size,
+        displayW: display.width,
+        displayH: display.height,
+      };
+    });
+
+    expect(result).toMatchObject({ spriteW: 12, spriteH: 21, pixelAspect: 2 });
+    expect(result.colorCount).toBeLessThanOrEqual(3);
+    expect(result.displayW).toBe(12 * 2 * 4);
+    expect(result.displayH).toBe(21 * 4);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for custom palette import (GPL, PAL, HEX, ASE, PNG swatch).
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Palette Import', () => {
+  test('parses every supported palette format', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { importPaletteFile } = await import('/src/palette-import.js');
+
+      // Minimal ASE: one group holding an RGB and a Gray swatch
+      const bytes = [];
+      const u16 = (v) => bytes.push((v >> 8) & 255, v & 255);
+      const u32 = (v) => { u16(v >>> 16); u16(v & 0xffff); };
+      const f32 = (v) => {
+        const view = new DataView(new ArrayBuffer(4));
+        view.setFloat32(0, v);
+        bytes.push(...new Uint8Array(view.buffer));
+      };
+      const swatch = (model, values) => {
+        u16(0x0001);
+        u32(2 + 4 + 4 + values.length * 4 + 2);
+        u16(2); u16(0x61); u16(0);  // name "a"
+        bytes.push(...[...model.padEnd(4)].map(c => c.charCodeAt(0)));
+        values.forEach(f32);
+        u16(2);
+      };
+      bytes.push(...[...'ASEF'].map(c => c.charCodeAt(0)));
+      u16(1); u16(0); u32(4);
+      u16(0xc001); u32(6); u16(2); u16(0x67); u16(0);
+      swatch('RGB', [1, 0, 0]);
+      swatch('Gray', [0.5]);
+      u16(0xc002); u32(0);
+
+      // 3×1 PNG swatch
+      const canvas = document.createElement('canvas');
+      canvas.width = 3;
+      canvas.height = 1;
+      const ctx = canvas.getContext('2d');
+      ['#1d2b53', '#7e2553', '#008751'].forEach((c, x) => {
+        ctx.fillStyle = c;
+        ctx.fillRect(x, 0, 1, 1);
+      });
+      const png = await new Promise(r => canvas.toBlob(r, 'image/png'));
+
+      const files = [
+        new File(['GIMP Palette\nName: Art Bible\nColumns: 2\n#\n  0   0   0\tBlack\n255 255 255\tWhite\n'], 'bible.gpl'),
+        new File(['JASC-PAL\r\n0100\r\n2\r\n255 0 0\r\n0 255 0\r\n'], 'pair.pal'),
+        new File(['ff004d\n29adff\n'], 'pico-bits.hex'),
+        new File([new Uint8Array(bytes)], 'swatches.ase'),
+        new File([png], 'strip.png'),
+      ];
+
+      const out = {};
+      for (const file of files) {
+        const { slug, name, colors, format } = await importPaletteFile(file);
+        out[format] = { slug, name, colors };
+      }
+
+      let unsupported = null;
+      try {
+        await importPaletteFile(new File(['x'], 'palette.act'));
+      } catch (err) {
+        unsupported = err.message;
+      }
+      return { out, unsupported };
+    });
+
+    expect(result.out.gpl).toEqual({ slug: 'art-bible', name: 'Art Bible', colors: [[0, 0, 0], [255, 255, 255]] });
+    expect(result.out.pal.colors).toEqual([[255, 0, 0], [0, 255, 0]]);
+    expect(result.out.hex).toEqual({ slug: 'pico-bits', name: 'pico-bits', colors: [[255, 0, 77], [41, 173, 255]] });
+    expect(result.out.ase.colors).toEqual([[255, 0, 0], [128, 128, 128]]);
+    expect(result.out.png.colors).toEqual([[29, 43, 83], [126, 37, 83], [0, 135, 81]]);
+    expect(result.unsupported).toContain('Unsupported palette format');
+  });
+
+  test('imported palettes quantize like consoles and persist in the database', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { parseHex } = await import('/src/palette-import.js');
+      const { CONSOLES, registerCustomPalette } = await import('/src/palettes.js');
+      const { processImage } = await import('/src/pixel-processor.js');
+      const { savePalette, listPalettes, deletePalette } = await import('/src/sprite-storage.js');
+
+      const { colors } = parseHex('000000\nff004d\nffa300\nfff1e8\n');
+      const palette = { slug: 'test-four', name: 'Test Four', colors, format: 'hex' };
+      const id = registerCustomPalette(palette);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 64;
+      const ctx = canvas.getContext('2d');
+      for (let x = 0; x < 64; x++) {
+        ctx.fillStyle = `hsl(${x * 5}, 80%, 50%)`;
+        ctx.fillRect(x, 0, 1, 64);
+      }
+
+      const { pixelData } = await processImage(canvas, { consoleId: id, outlines: false });
+      const allowed = new Set(colors.map(c => c.join(',')));
+      let outside = 0;
+      for (let i = 0; i < pixelData.data.length; i += 4) {
+        if (pixelData.data[i + 3] < 10) continue;
+        if (!allowed.has(`${pixelData.data[i]},${pixelData.data[i + 1]},${pixelData.data[i + 2]}`)) outside++;
+      }
+
+      await savePalette(palette);
+      await savePalette({ ...palette, name: 'Test Four v2' });  // same slug replaces
+      const saved = (await listPalettes()).filter(p => p.slug === 'test-four');
+      await deletePalette('test-four');
+      const afterDelete = (await listPalettes()).filter(p => p.slug === 'test-four');
+
+      return {
+        id,
+        registered: CONSOLES[id]?.custom === true,
+        outside,
+        savedCount: saved.length,
+        savedName: saved[0]?.name,
+        savedColors: saved[0]?.colors,
+        afterDelete: afterDelete.length,
+      };
+    });
+
+    expect(result.id).toBe('custom:test-four');
+    expect(result.registered).toBe(true);
+    expect(result.outside).toBe(0);
+    expect(result.savedCount).toBe(1);
+    expect(result.savedName).toBe('Test Four v2');
+    expect(result.savedColors).toHaveLength(4);
+    expect(result.afterDelete).toBe(0);
+  });
+});
@@ -0,0 +1,413 @@
+/**
+ * Tests for provider adapters, run against a local mock provider server.
+ */
+import { test, expect } from '@playwright/test';
+import { startMockProvider } from './mock-provider-server.js';
+
+test.describe('Provider Adapters', () => {
+  let mock;
+
+  test.beforeAll(async () => {
+    mock = await startMockProvider();
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  test.beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  test('generateImage sends a generateContent request and decodes the inline image', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (apiBase) => {
+      const { generateImage, lastRequest } = await import('/src/image-service.js');
+
+      const img = await generateImage('a knight', {
+        model: 'gemini:gemini-flash-image',
+        width: 512,
+        height: 768,
+        seed: 42,
+        negativePrompt: 'blurry',
+        apiBase,
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      return {
+        size: [img.width, img.height],
+        pixels: Array.from(ctx.getImageData(0, 0, 2, 1).data),
+        provider: lastRequest.provider,
+        url: lastRequest.url,
+        bodyModalities: JSON.parse(lastRequest.body).generationConfig.responseModalities,
+      };
+    }, `${mock.url}/v1beta`);
+
+    expect(result.size).toEqual([2, 1]);
+    expect(result.pixels).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+    expect(result.provider).toBe('gemini');
+    expect(result.url).toBe(`${mock.url}/v1beta/models/gemini-2.5-flash-image:generateContent`);
+    expect(result.bodyModalities).toEqual(['IMAGE']);
+
+    expect(mock.requests).toHaveLength(1);
+    const { path, body } = mock.requests[0];
+    expect(path).toBe('/v1beta/models/gemini-2.5-flash-image:generateContent');
+    expect(body.contents[0].parts[0].text).toContain('a knight');
+    expect(body.contents[0].parts[0].text).toContain('Avoid: blurry');
+    expect(body.generationConfig.responseModalities).toEqual(['IMAGE']);
+    expect(body.generationConfig.imageConfig.aspectRatio).toBe('2:3');
+    expect(body.generationConfig.seed).toBe(42);
+  });
+
+  test('generateSpriteSheet goes through the Gemini adapter', async ({ page }) => {
+    await page.goto('/');
+
+    const frameCount = await page.evaluate(async (apiBase) => {
+      const { generateSpriteSheet } = await import('/src/image-service.js');
+      const img = await generateSpriteSheet('a knight', {
+        model: 'gemini:gemini-pro-image',
+        frameCount: 4,
+        apiBase,
+      });
+      return img._frameCount;
+    }, `${mock.url}/v1beta`);
+
+    expect(frameCount).toBe(4);
+    expect(mock.requests).toHaveLength(1);
+    expect(mock.requests[0].path).toBe('/v1beta/models/gemini-3-pro-image-preview:generateContent');
+    expect(mock.requests[0].body.contents[0].parts[0].text).toContain('4 frames in a horizontal row');
+    expect(mock.requests[0].body.generationConfig.imageConfig.aspectRatio).toBe('21:9');
+  });
+
+  test('surfaces Gemini error bodies and blocked prompts', async ({ page }) => {
+    await page.goto('/');
+
+    mock.queueReply(400, { error: { code: 400, message: 'API key not valid', status: 'INVALID_ARGUMENT' } });
+    mock.queueReply(200, { promptFeedback: { blockReason: 'SAFETY' } });
+
+    const errors = await page.evaluate(async (apiBase) => {
+      const { generateImage } = await import('/src/image-service.js');
+      const attempt = () => generateImage('a knight', { model: 'gemini:gemini-flash-image', apiBase })
+        .then(() => null, err => err.message);
+      return [await attempt(), await attempt()];
+    }, `${mock.url}/v1beta`);
+
+    expect(errors[0]).toBe('Image generation failed: 400 Bad Request: API key not valid');
+    expect(errors[1]).toBe('Gemini returned no image (SAFETY)');
+  });
+
+  test('maps sizes to the nearest Gemini aspect ratio', async ({ page }) => {
+    await page.goto('/');
+
+    const ratios = await page.evaluate(async () => {
+      const { geminiAspectRatio } = await import('/src/provider-adapters.js');
+      return [geminiAspectRatio(512, 512), geminiAspectRatio(1024, 576), geminiAspectRatio(300, 400)];
+    });
+
+    expect(ratios).toEqual(['1:1', '16:9', '3:4']);
+  });
+
+  test('OpenAI adapter requests b64_json at a supported size and fits the image back', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (apiBase) => {
+      const { generateImage, lastRequest } = await import('/src/image-service.js');
+
+      const pixelsOf = (img, points) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        return points.map(([x, y]) => Array.from(ctx.getImageData(x, y, 1, 1).data));
+      };
+
+      // The mock returns a 2×1 image (red, blue)
+      const cropped = await generateImage('a knight', {
+        model: 'openai:dall-e-3',
+        width: 512,
+        height: 512,
+        negativePrompt: 'blurry',
+        apiBase,
+      });
+      const revisedPrompt = lastRequest.revisedPrompt;
+      const letterboxed = await generateImage('a knight', {
+        model: 'openai:dall-e-2',
+        width: 512,
+        height: 512,
+        fit: 'letterbox',
+        apiBase,
+      });
+
+      return {
+        croppedSize: [cropped.width, cropped.height],
+        croppedPixels: pixelsOf(cropped, [[5, 256], [506, 256]]),
+        letterboxedPixels: pixelsOf(letterboxed, [[506, 5], [506, 256]]),
+        revisedPrompt,
+      };
+    }, `${mock.url}/v1`);
+
+    expect(mock.requests).toHaveLength(2);
+    const [dalle3, dalle2] = mock.requests.map(r => r.body);
+    expect(mock.requests[0].path).toBe('/v1/images/generations');
+    expect(dalle3.model).toBe('dall-e-3');
+    expect(dalle3.size).toBe('1024x1024');
+    expect(dalle3.response_format).toBe('b64_json');
+    expect(dalle3.prompt).toContain('a knight');
+    expect(dalle3.prompt).toContain('Avoid: blurry');
+    expect(dalle3.negative_prompt).toBeUndefined();
+    expect(dalle2.size).toBe('512x512');
+
+    expect(result.revisedPrompt).toMatch(/^Revised: /);
+    // Crop: the 2:1 image covers the square, left half red, right half blue
+    // (scaled with smoothing, so allow a little blending)
+    const [left, right] = result.croppedPixels;
+    expect(result.croppedSize).toEqual([512, 512]);
+    expect(left[0]).toBeGreaterThan(240);
+    expect(left[2]).toBeLessThan(15);
+    expect(right[2]).toBeGreaterThan(240);
+    expect(right[0]).toBeLessThan(15);
+    // Letterbox: bars take the corner color, the image sits in the middle
+    expect(result.letterboxedPixels[0].slice(0, 3)).toEqual([255, 0, 0]);
+    expect(result.letterboxedPixels[1][2]).toBeGreaterThan(240);
+  });
+
+  test('turns OpenAI error bodies into clear messages', async ({ page }) => {
+    await page.goto('/');
+
+    mock.queueReply(400, {
+      error: { message: 'Your request was rejected by the safety system.', type: 'invalid_request_error', param: null, code: 'content_policy_violation' },
+    });
+    mock.queueReply(401, { error: { message: 'Incorrect API key provided', type: 'invalid_request_error', code: 'invalid_api_key' } });
+    mock.queueReply(400, { error: { message: 'Invalid size', type: 'invalid_request_error', param: 'size', code: null } });
+
+    const errors = await page.evaluate(async (apiBase) => {
+      const { generateImage } = await import('/src/image-service.js');
+      const attempt = () => generateImage('a knight', { model: 'openai:dall-e-3', apiBase })
+        .then(() => null, err => err.message);
+      return [await attempt(), await attempt(), await attempt()];
+    }, `${mock.url}/v1`);
+
+    expect(errors).toEqual([
+      'Image generation failed: OpenAI rejected the prompt under its content policy: Your request was rejected by the safety system.',
+      'Image generation failed: OpenAI API key is missing or invalid (set OPENAI_API_KEY in .env)',
+      'Image generation failed: OpenAI invalid_request_error (size): Invalid size',
+    ]);
+  });
+
+  test('maps sizes to the nearest supported OpenAI size', async ({ page }) => {
+    await page.goto('/');
+
+    const sizes = await page.evaluate(async () => {
+      const { openaiImageSize } = await import('/src/provider-adapters.js');
+      const dalle3 = ['1024x1024', '1792x1024', '1024x1792'];
+      const dalle2 = ['256x256', '512x512', '1024x1024'];
+      return [
+        openaiImageSize(dalle3, 1920, 512),
+        openaiImageSize(dalle3, 512, 768),
+        openaiImageSize(dalle2, 200, 200),
+        openaiImageSize(dalle2, 2048, 2048),
+      ];
+    });
+
+    expect(sizes).toEqual(['1792x1024', '1024x1792', '256x256', '1024x1024']);
+  });
+
+  test('Automatic1111 adapter sends sampling settings, LoRA tags and a real negative prompt', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (apiBase) => {
+      const { generateImage } = await import('/src/image-service.js');
+      const img = await generateImage('a knight', {
+        model: 'a1111:pixelArt_v1.safetensors [0123abcd]',
+        width: 500,
+        height: 500,
+        seed: 7,
+        negativePrompt: 'blurry',
+        sampling: { sampler: 'DPM++ 2M', steps: 12, cfgScale: 6.5, loras: [{ name: 'pixel-art-xl', weight: 0.8 }] },
+        apiBase,
+      });
+      return [img.width, img.height];
+    }, mock.url);
+
+    expect(result).toEqual([500, 500]);
+    expect(mock.requests).toHaveLength(1);
+    const { path, body } = mock.requests[0];
+    expect(path).toBe('/sdapi/v1/txt2img');
+    expect(body.prompt).toContain('a knight');
+    expect(body.prompt).toMatch(/ <lora:pixel-art-xl:0\.8>$/);
+    expect(body.negative_prompt).toBe('blurry');
+    expect([body.width, body.height]).toEqual([504, 504]);
+    expect(body.seed).toBe(7);
+    expect(body.sampler_name).toBe('DPM++ 2M');
+    expect(body.steps).toBe(12);
+    expect(body.cfg_scale).toBe(6.5);
+    expect(body.override_settings.sd_model_checkpoint).toBe('pixelArt_v1.safetensors [0123abcd]');
+  });
+
+  test('ComfyUI adapter submits a workflow and polls history for the image', async ({ page }) => {
+    await page.goto('/');
+
+    const size = await page.evaluate(async (apiBase) => {
+      const { generateImage } = await import('/src/image-service.js');
+      const img = await generateImage('a knight', {
+        model: 'comfyui:sd15/dreamshaper_8.safetensors',
+        seed: 3,
+        negativePrompt: 'blurry',
+        sampling: { sampler: 'dpmpp_2m', steps: 25, cfgScale: 5, loras: [{ name: 'pixel-art-xl.safetensors', weight: 0.7 }] },
+        apiBase,
+      });
+      return [img.width, img.height];
+    }, mock.url);
+
+    expect(size).toEqual([512, 512]);
+    expect(mock.requests.map(r => `${r.method} ${r.path.split('?')[0]}`)).toEqual([
+      'POST /prompt',
+      'GET /history/prompt-1',
+      'GET /history/prompt-1',
+      'GET /view',
+    ]);
+
+    const workflow = mock.requests[0].body.prompt;
+    const node = (type) => Object.entries(workflow).find(([, n]) => n.class_type === type);
+    const [checkpointId, checkpoint] = node('CheckpointLoaderSimple');
+    const [loraId, lora] = node('LoraLoader');
+    const [, sampler] = node('KSampler');
+    const texts = Object.values(workflow).filter(n => n.class_type === 'CLIPTextEncode').map(n => n.inputs.text);
+
+    expect(checkpoint.inputs.ckpt_name).toBe('sd15/dreamshaper_8.safetensors');
+    expect(lora.inputs).toMatchObject({ model: [checkpointId, 0], clip: [checkpointId, 1], lora_name: 'pixel-art-xl.safetensors', strength_model: 0.7 });
+    expect(sampler.inputs).toMatchObject({ model: [loraId, 0], seed: 3, steps: 25, cfg: 5, sampler_name: 'dpmpp_2m' });
+    expect(texts[0]).toContain('a knight');
+    expect(texts[1]).toBe('blurry');
+  });
+
+  test('surfaces ComfyUI workflow validation errors', async ({ page }) => {
+    await page.goto('/');
+
+    mock.queueReply(400, {
+      error: { type: 'prompt_outputs_failed_validation', message: 'Prompt outputs failed validation', details: '' },
+      node_errors: { 1: { errors: [{ message: 'Value not in list', details: 'ckpt_name: missing.safetensors' }], class_type: 'CheckpointLoaderSimple' } },
+    });
+
+    const error = await page.evaluate(async (apiBase) => {
+      const { generateImage } = await import('/src/image-service.js');
+      return generateImage('a knight', { model: 'comfyui:missing.safetensors', apiBase })
+        .then(() => null, err => err.message);
+    }, mock.url);
+
+    expect(error).toBe('Image generation failed: ComfyUI rejected the workflow — Prompt outputs failed validation: Value not in list (ckpt_name: missing.safetensors)');
+  });
+
+  test('fetchImageModels lists the checkpoints and options of local backends', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (apiBase) => {
+      const { initializeProviders } = await import('/src/provider-service.js');
+      const { fetchImageModels, clearModelCache } = await import('/src/model-service.js');
+      const { PROVIDER_ADAPTERS } = await import('/src/provider-adapters.js');
+      clearModelCache();
+      initializeProviders(['pollinations', 'a1111', 'comfyui']);
+
+      const models = await fetchImageModels({ apiBases: { pollinations: apiBase, a1111: apiBase, comfyui: apiBase } });
+      return {
+        local: models.filter(m => m.provider !== 'pollinations').map(m => `${m.fullId} | ${m.name} | ${m.providerName}`),
+        hasCloud: models.some(m => m.fullId === 'pollinations:flux'),
+        a1111: await PROVIDER_ADAPTERS.a1111.listSamplingOptions(apiBase),
+        comfyui: await PROVIDER_ADAPTERS.comfyui.listSamplingOptions(apiBase),
+      };
+    }, mock.url);
+
+    expect(result.hasCloud).toBe(true);
+    expect(result.local).toEqual([
+      'a1111:pixelArt_v1.safetensors [0123abcd] | pixelArt_v1 | Automatic1111 (local)',
+      'a1111:sd15/dreamshaper_8.safetensors [0123abcd] | sd15_dreamshaper_8 | Automatic1111 (local)',
+      'comfyui:pixelArt_v1.safetensors | pixelArt_v1 | ComfyUI (local)',
+      'comfyui:sd15/dreamshaper_8.safetensors | sd15/dreamshaper_8 | ComfyUI (local)',
+    ]);
+    expect(result.a1111).toEqual({ samplers: ['Euler a', 'DPM++ 2M'], loras: ['pixel-art-xl'] });
+    expect(result.comfyui).toEqual({ samplers: ['euler', 'euler_ancestral', 'dpmpp_2m'], loras: ['pixel-art-xl.safetensors'] });
+  });
+
+  test('fetchImageModels merges live cloud model lists with curated metadata and caches them', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (url) => {
+      const { initializeProviders } = await import('/src/provider-service.js');
+      const { fetchImageModels, clearModelCache } = await import('/src/model-service.js');
+      const { generateImage } = await import('/src/image-service.js');
+      clearModelCache();
+      initializeProviders(['pollinations', 'gemini', 'openai']);
+
+      const apiBases = { pollinations: url, gemini: `${url}/v1beta`, openai: `${url}/v1` };
+      const models = await fetchImageModels({ apiBases });
+      const cached = await fetchImageModels({ apiBases });
+      await generateImage('a knight', { model: 'openai:gpt-image-1', apiBase: apiBases.openai });
+
+      return {
+        models: models.map(m => `${m.fullId} | ${m.name} | ${m.cost}`),
+        offline: models.some(m => m.offline),
+        cachedIds: cached.map(m => m.fullId),
+      };
+    }, mock.url);
+
+    expect(result.models).toEqual([
+      'pollinations:flux | Flux Schnell | Free-tier',
+      'pollinations:kontext | FLUX.1 Kontext | ~$0.04/img',
+      'pollinations:newmodel | newmodel | See provider pricing',
+      'gemini:gemini-flash-image | Gemini 2.5 Flash | ~$0.039/img',
+      'gemini:gemini-pro-image | Gemini 3 Pro | ~$0.134/img',
+      'openai:dall-e-3 | DALL-E 3 | ~$0.04/img',
+      'openai:gpt-image-1 | gpt-image-1 | See provider pricing',
+    ]);
+    expect(result.offline).toBe(false);
+    expect(result.cachedIds).toEqual(result.models.map(m => m.split(' | ')[0]));
+
+    // One list request per provider; the second fetch came from the cache
+    expect(mock.requests.map(r => `${r.method} ${r.path}`)).toEqual([
+      'GET /models',
+      'GET /v1beta/models?pageSize=1000',
+      'GET /v1/models',
+      'POST /v1/images/generations',
+    ]);
+    // Discovered GPT Image models answer in base64 without being asked
+    const generation = mock.requests[3].body;
+    expect(generation.model).toBe('gpt-image-1');
+    expect(generation.size).toBe('1024x1024');
+    expect(generation.response_format).toBeUndefined();
+  });
+
+  test('fetchImageModels falls back to known models flagged offline', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (url) => {
+      const { initializeProviders } = await import('/src/provider-service.js');
+      const { fetchImageModels, clearModelCache } = await import('/src/model-service.js');
+      clearModelCache();
+      initializeProviders(['pollinations']);
+
+      // Never reached: the curated list stands in
+      const curated = await fetchImageModels({ apiBases: { pollinations: `${url}/unreachable` } });
+      // Reached once, then unreachable: the last known list stands in
+      await fetchImageModels({ apiBases: { pollinations: url } });
+      const lastKnown = await fetchImageModels({ apiBases: { pollinations: `${url}/unreachable` }, refresh: true });
+
+      return {
+        curated: curated.map(m => m.id),
+        curatedOffline: curated.every(m => m.offline),
+        lastKnown: lastKnown.map(m => m.id),
+        lastKnownOffline: lastKnown.every(m => m.offline),
+      };
+    }, mock.url);
+
+    expect(result.curated).toEqual(['flux', 'zimage', 'gptimage', 'nanobanana', 'nanobanana-pro', 'seedream', 'klein', 'kontext']);
+    expect(result.curatedOffline).toBe(true);
+    expect(result.lastKnown).toEqual(['flux', 'kontext', 'newmodel']);
+    expect(result.lastKnownOffline).toBe(true);
+  });
+});
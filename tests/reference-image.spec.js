@@ -0,0 +1,160 @@
+/**
+ * Tests for reference-image conditioning, run against the mock provider server.
+ */
+import { test, expect } from '@playwright/test';
+import { startMockProvider, MOCK_PNG_BASE64 } from './mock-provider-server.js';
+
+test.describe('Reference Images', () => {
+  let mock;
+
+  test.beforeAll(async () => {
+    mock = await startMockProvider();
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  test.beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  test('knows which models take a reference image', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { supportsReferenceImage, PROVIDER_ADAPTERS } = await import('/src/provider-adapters.js');
+      const build = (reference) => PROVIDER_ADAPTERS.pollinations.buildRequest(
+        { modelId: 'kontext', prompt: 'a knight', width: 512, height: 512, reference },
+        'https://example.test/image',
+      );
+      const blob = new Blob(['x'], { type: 'image/png' });
+      let localOnly = null;
+      try {
+        build({ blob });
+      } catch (err) {
+        localOnly = err.message;
+      }
+      return {
+        support: ['pollinations:kontext', 'pollinations:flux', 'gemini:gemini-flash-image', 'openai:dall-e-3', 'a1111:any', 'comfyui:any']
+          .map(id => supportsReferenceImage(id)),
+        url: build({ blob, url: 'https://example.test/image/idle?seed=1' }).url,
+        localOnly,
+      };
+    });
+
+    expect(result.support).toEqual([true, false, true, false, true, false]);
+    expect(result.url).toContain('&image=https%3A%2F%2Fexample.test%2Fimage%2Fidle%3Fseed%3D1');
+    expect(result.localOnly).toMatch(/^Pollinations can only use a reference image with a public URL/);
+  });
+
+  test('Automatic1111 uses img2img or ControlNet reference_only with the denoise strength', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (apiBase) => {
+      const { generateImage, lastRequest } = await import('/src/image-service.js');
+      const { blobToBase64 } = await import('/src/provider-adapters.js');
+
+      // Noisy pixels, so the PNG is big enough to be abbreviated in the Inspector
+      const canvas = document.createElement('canvas');
+      canvas.width = 32;
+      canvas.height = 32;
+      const ctx = canvas.getContext('2d');
+      const pixels = ctx.createImageData(32, 32);
+      pixels.data.forEach((_, i) => { pixels.data[i] = i % 4 === 3 ? 255 : (i * 37) % 256; });
+      ctx.putImageData(pixels, 0, 0);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      const options = { model: 'a1111:pixelArt_v1.safetensors', reference: { blob }, denoiseStrength: 0.35, apiBase };
+
+      await generateImage('a knight', options);
+      const inspectorBody = lastRequest.body;
+      await generateImage('a knight', { ...options, sampling: { referenceMode: 'controlnet' } });
+      return { expected: await blobToBase64(blob), inspectorBody };
+    }, mock.url);
+
+    const [img2img, controlnet] = mock.requests;
+    expect(img2img.path).toBe('/sdapi/v1/img2img');
+    expect(img2img.body.init_images).toEqual([result.expected]);
+    expect(img2img.body.denoising_strength).toBe(0.35);
+    expect(result.inspectorBody).not.toContain(result.expected);
+
+    expect(controlnet.path).toBe('/sdapi/v1/txt2img');
+    expect(controlnet.body.init_images).toBeUndefined();
+    const [unit] = controlnet.body.alwayson_scripts.controlnet.args;
+    expect(unit).toMatchObject({ enabled: true, module: 'reference_only', image: result.expected });
+    expect(unit.weight).toBeCloseTo(0.65);
+  });
+
+  test('OpenAI sends the reference to the edits endpoint and Gemini inlines it', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (url) => {
+      const { initializeProviders } = await import('/src/provider-service.js');
+      const { fetchImageModels, clearModelCache } = await import('/src/model-service.js');
+      const { generateImage, lastRequest } = await import('/src/image-service.js');
+      clearModelCache();
+      initializeProviders(['pollinations', 'gemini', 'openai']);
+      // Registers gpt-image-1, which only discovery knows about
+      await fetchImageModels({ apiBases: { pollinations: url, gemini: `${url}/v1beta`, openai: `${url}/v1` } });
+
+      const blob = new Blob([new Uint8Array(64)], { type: 'image/png' });
+      await generateImage('a knight', { model: 'openai:gpt-image-1', reference: { blob }, apiBase: `${url}/v1` });
+      const inspectorBody = JSON.parse(lastRequest.body);
+      await generateImage('a knight', { model: 'gemini:gemini-flash-image', reference: { blob }, apiBase: `${url}/v1beta` });
+      const refused = await generateImage('a knight', { model: 'openai:dall-e-3', reference: { blob }, apiBase: `${url}/v1` })
+        .then(() => null, err => err.message);
+      return { inspectorBody, refused };
+    }, mock.url);
+
+    const generations = mock.requests.filter(r => r.method === 'POST');
+    expect(generations.map(r => r.path)).toEqual(['/v1/images/edits', '/v1beta/models/gemini-2.5-flash-image:generateContent']);
+
+    const [edit, gemini] = generations.map(r => r.body);
+    expect(edit.model).toBe('gpt-image-1');
+    expect(edit.prompt).toContain('a knight');
+    expect(edit.size).toBe('1024x1024');
+    expect(edit.image).toEqual({ filename: 'reference.png', type: 'image/png', size: 64 });
+    expect(result.inspectorBody.image).toBe('<image/png, 64 bytes>');
+
+    const [imagePart, textPart] = gemini.contents[0].parts;
+    expect(imagePart.inlineData.mimeType).toBe('image/png');
+    expect(imagePart.inlineData.data).toBe(Buffer.from(new Uint8Array(64)).toString('base64'));
+    expect(textPart.text).toMatch(/^Keep the character's design/);
+
+    expect(result.refused).toBe('openai:dall-e-3 cannot use a reference image');
+  });
+
+  test('a frame from Gen All Frames with a shared palette keeps its public URL when pinned', async ({ page }) => {
+    const generations = [];
+    await page.route('**/api/pollinations/**', async (route) => {
+      if (new URL(route.request().url()).pathname.endsWith('/models')) {
+        await route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(['flux', 'kontext']) });
+        return;
+      }
+      generations.push(route.request().url());
+      await route.fulfill({ status: 200, contentType: 'image/png', body: Buffer.from(MOCK_PNG_BASE64, 'base64') });
+    });
+
+    await page.goto('/');
+    await page.locator('select').filter({ has: page.locator('option[value="pollinations:kontext"]') })
+      .selectOption('pollinations:kontext');
+    const promptInput = page.getByPlaceholder('e.g. a knight with a sword', { exact: false });
+    await promptInput.fill('a red knight');
+
+    // With Share Palette on, both idle frames go through the second pass
+    await page.locator('.chakra-form-control', { hasText: 'Share Palette:' }).locator('label.chakra-checkbox').click();
+    await page.getByRole('button', { name: 'Gen All Frames' }).click();
+    await expect(page.getByText('All 2 frames generated!')).toBeVisible({ timeout: 15000 });
+
+    await page.getByRole('button', { name: 'Pin as Reference' }).click();
+    await expect(page.getByText(/^Reference: .* frame 1$/)).toBeVisible();
+
+    await page.getByRole('button', { name: 'Next frame' }).click();
+    generations.length = 0;
+    await promptInput.press('Enter');
+    await expect(page.getByText('Done! Frame 2/2')).toBeVisible({ timeout: 15000 });
+
+    expect(generations).toHaveLength(1);
+    expect(generations[0]).toContain(`&image=${encodeURIComponent('https://gen.pollinations.ai/image/')}`);
+  });
+});
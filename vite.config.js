@@ -13,6 +13,13 @@ export default defineConfig(({ mode }) => {
   if (env.OPENAI_API_KEY) {
     availableProviders.push('openai')
   }
+  // Local Stable Diffusion backends are enabled by their base URL
+  if (env.A1111_BASE_URL) {
+    availableProviders.push('a1111')
+  }
+  if (env.COMFYUI_BASE_URL) {
+    availableProviders.push('comfyui')
+  }
 
   const proxyConfig = {}
 
@@ -62,6 +69,24 @@ export default defineConfig(({ mode }) => {
     }
   }
 
+  // Automatic1111 proxy (if base URL provided; the web UI must run with --api)
+  if (availableProviders.includes('a1111')) {
+    proxyConfig['/api/a1111'] = {
+      target: env.A1111_BASE_URL,
+      changeOrigin: true,
+      rewrite: (path) => path.replace(/^\/api\/a1111/, ''),
+    }
+  }
+
+  // ComfyUI proxy (if base URL provided)
+  if (availableProviders.includes('comfyui')) {
+    proxyConfig['/api/comfyui'] = {
+      target: env.COMFYUI_BASE_URL,
+      changeOrigin: true,
+      rewrite: (path) => path.replace(/^\/api\/comfyui/, ''),
+    }
+  }
+
   // Backward compatibility: /api/generate → pollinations
   proxyConfig['/api/generate'] = {
     target: 'https://gen.pollinations.ai',